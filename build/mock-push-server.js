@@ -0,0 +1,635 @@
+/**
+ * Mock Push Server
+ *
+ * Local stand-in for the push backend used by src/js/utils/push-notifications.js.
+ * Serves the site from src/ and the push API on the same origin, so a browser
+ * on http://localhost can subscribe, pick categories, set event reminders and
+ * receive real Web Push messages through its push service.
+ *
+ * Uses only Node built-ins: VAPID (RFC 8292) request signing and aes128gcm
+ * payload encryption (RFC 8291). Keys and subscriptions live in memory and
+ * are lost on restart; the client resubscribes when the server key changes.
+ *
+ * Usage:
+ *   npm run push:mock                       # http://localhost:8090
+ *   node build/mock-push-server.js --port 9000
+ *   node build/mock-push-server.js --self-test
+ *
+ * Sending (while the server runs):
+ *   curl -X POST localhost:8090/api/push/send -H 'Content-Type: application/json' \
+ *     -d '{"category":"youth","title":"Youth night moved","body":"Now at 7pm","url":"/events.html"}'
+ *   curl -X POST localhost:8090/api/push/send -H 'Content-Type: application/json' \
+ *     -d '{"eventId":"<event key>"}'          # send that event's reminders now
+ *
+ * Reminders are also sent automatically once their remindAt time passes.
+ *
+ * @generated-from: task-id:user-017
+ * @modifies: none (new file)
+ * @dependencies: ["http", "crypto", "fs", "path"]
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SERVER_CONFIG = {
+  port: Number(readArg('--port') || process.env.PORT || 8090),
+  srcDir: path.resolve(__dirname, '../src'),
+  apiBase: '/api/push',
+  subject: 'mailto:webmaster@gracefellowship.example',
+  ttl: 60 * 60, // Seconds the push service keeps an undelivered message
+  reminderCheckInterval: 15 * 1000,
+  recordSize: 4096,
+};
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.ics': 'text/calendar; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.webmanifest': 'application/manifest+json',
+};
+
+/**
+ * Logger utility for structured logging
+ */
+const logger = {
+  info: (message, context = {}) => {
+    console.log(`[PUSH] ${message}`, Object.keys(context).length ? context : '');
+  },
+  warn: (message, context = {}) => {
+    console.warn(`[PUSH] ${message}`, Object.keys(context).length ? context : '');
+  },
+  error: (message, context = {}) => {
+    console.error(`[PUSH] ${message}`, Object.keys(context).length ? context : '');
+  },
+};
+
+/**
+ * Reads a command line option value
+ * @param {string} name - Option name, e.g. --port
+ * @returns {string|null} Value following the option
+ */
+function readArg(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] || null : null;
+}
+
+// ============================================================================
+// WEB PUSH (RFC 8291 / RFC 8292)
+// ============================================================================
+
+/**
+ * Encodes bytes as base64url without padding
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} Base64url string
+ */
+function toBase64Url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+/**
+ * HKDF extract-and-expand for outputs up to 32 bytes
+ * @param {Buffer} salt - Salt
+ * @param {Buffer} ikm - Input keying material
+ * @param {Buffer} info - Context info
+ * @param {number} length - Output length
+ * @returns {Buffer} Derived key
+ */
+function hkdf(salt, ikm, info, length) {
+  const prk = crypto.createHmac('sha256', salt).update(ikm).digest();
+  return crypto.createHmac('sha256', prk)
+    .update(Buffer.concat([info, Buffer.from([1])]))
+    .digest()
+    .subarray(0, length);
+}
+
+/**
+ * Generates the server's VAPID key pair
+ * @returns {Object} { privateKey (KeyObject), publicKey (base64url, uncompressed point) }
+ */
+function createVapidKeys() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const point = Buffer.concat([
+    Buffer.from([4]),
+    Buffer.from(jwk.x, 'base64url'),
+    Buffer.from(jwk.y, 'base64url'),
+  ]);
+
+  return { privateKey, publicKey: toBase64Url(point) };
+}
+
+/**
+ * Builds the VAPID Authorization header for a push service endpoint
+ * @param {string} endpoint - Subscription endpoint
+ * @param {Object} vapidKeys - From createVapidKeys
+ * @returns {string} Authorization header value
+ */
+function createVapidAuthorization(endpoint, vapidKeys) {
+  const header = toBase64Url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = toBase64Url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+    sub: SERVER_CONFIG.subject,
+  }));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+    key: vapidKeys.privateKey,
+    dsaEncoding: 'ieee-p1363',
+  });
+
+  return `vapid t=${header}.${claims}.${toBase64Url(signature)}, k=${vapidKeys.publicKey}`;
+}
+
+/**
+ * Encrypts a payload for a subscription (aes128gcm, single record)
+ * @param {Object} keys - Subscription keys { p256dh, auth } (base64url)
+ * @param {string} payload - Plain text payload
+ * @returns {Buffer} Encrypted body
+ */
+function encryptPayload(keys, payload) {
+  const userAgentKey = Buffer.from(keys.p256dh, 'base64url');
+  const authSecret = Buffer.from(keys.auth, 'base64url');
+  const ecdh = crypto.createECDH('prime256v1');
+  const serverKey = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(userAgentKey);
+  const salt = crypto.randomBytes(16);
+
+  const ikm = hkdf(
+    authSecret,
+    sharedSecret,
+    Buffer.concat([Buffer.from('WebPush: info\0'), userAgentKey, serverKey]),
+    32
+  );
+  const contentKey = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  // 0x02 marks the last (and only) record
+  const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(SERVER_CONFIG.recordSize, 16);
+  header.writeUInt8(serverKey.length, 20);
+
+  return Buffer.concat([header, serverKey, ciphertext]);
+}
+
+/**
+ * Sends one push message
+ * @param {Object} subscription - PushSubscription JSON { endpoint, keys }
+ * @param {Object} message - Payload { title, body, url, tag }
+ * @param {Object} vapidKeys - From createVapidKeys
+ * @returns {Promise<number>} Push service HTTP status
+ */
+async function sendPush(subscription, message, vapidKeys) {
+  const response = await fetch(subscription.endpoint, {
+    method: 'POST',
+    headers: {
+      Authorization: createVapidAuthorization(subscription.endpoint, vapidKeys),
+      'Content-Encoding': 'aes128gcm',
+      'Content-Type': 'application/octet-stream',
+      TTL: String(SERVER_CONFIG.ttl),
+      Urgency: 'normal',
+    },
+    body: encryptPayload(subscription.keys, JSON.stringify(message)),
+  });
+
+  return response.status;
+}
+
+// ============================================================================
+// SUBSCRIPTIONS
+// ============================================================================
+
+/**
+ * Creates the in-memory push backend
+ * @param {Object} vapidKeys - From createVapidKeys
+ * @returns {Object} Backend API
+ */
+function createPushBackend(vapidKeys) {
+  // endpoint -> { subscription, categories, reminders, sent: Set<eventId> }
+  const subscriptions = new Map();
+
+  /**
+   * Stores a subscription and its preferences. With oldEndpoint and no
+   * preferences (browser-rotated subscription) the old preferences move over.
+   * @param {Object} body - { subscription, categories, reminders, oldEndpoint }
+   * @returns {boolean} True if stored
+   */
+  function upsert({ subscription, categories, reminders, oldEndpoint }) {
+    if (!subscription || !subscription.endpoint || !subscription.keys) {
+      return false;
+    }
+
+    const previous = subscriptions.get(oldEndpoint) || subscriptions.get(subscription.endpoint);
+    if (oldEndpoint) subscriptions.delete(oldEndpoint);
+
+    subscriptions.set(subscription.endpoint, {
+      subscription,
+      categories: Array.isArray(categories) ? categories : (previous ? previous.categories : []),
+      reminders: Array.isArray(reminders) ? reminders : (previous ? previous.reminders : []),
+      sent: previous ? previous.sent : new Set(),
+    });
+    return true;
+  }
+
+  /**
+   * Sends messages, dropping subscriptions the push service reports expired
+   * @param {Array<Object>} deliveries - { entry, message } pairs
+   * @returns {Promise<Object>} { sent, failed }
+   */
+  async function deliver(deliveries) {
+    let sent = 0;
+    let failed = 0;
+
+    for (const { entry, message } of deliveries) {
+      try {
+        const status = await sendPush(entry.subscription, message, vapidKeys);
+        if (status === 404 || status === 410) {
+          subscriptions.delete(entry.subscription.endpoint);
+          logger.warn('Subscription expired, removed', { status });
+          failed += 1;
+        } else if (status >= 400) {
+          logger.warn('Push service rejected message', { status });
+          failed += 1;
+        } else {
+          sent += 1;
+        }
+      } catch (error) {
+        logger.error('Push delivery failed', { error: error.message });
+        failed += 1;
+      }
+    }
+
+    return { sent, failed };
+  }
+
+  /**
+   * Sends an announcement to everyone following a category
+   * @param {Object} announcement - { category, title, body, url }
+   * @returns {Promise<Object>} { sent, failed }
+   */
+  function sendAnnouncement({ category, title, body, url }) {
+    const message = {
+      title: title || 'Grace Fellowship Church',
+      body: body || '',
+      url: url || '/events.html',
+      tag: `announcement-${category}`,
+    };
+
+    return deliver([...subscriptions.values()]
+      .filter((entry) => entry.categories.includes(category))
+      .map((entry) => ({ entry, message })));
+  }
+
+  /**
+   * Sends reminders for one event, or every reminder that is due. Each
+   * reminder is sent once per subscription.
+   * @param {Object} [options] - { eventId, force: send even if not yet due }
+   * @returns {Promise<Object>} { sent, failed }
+   */
+  function sendReminders({ eventId = null, force = false } = {}) {
+    const now = Date.now();
+    const deliveries = [];
+
+    subscriptions.forEach((entry) => {
+      entry.reminders.forEach((reminder) => {
+        const matches = !eventId || reminder.eventId === eventId;
+        const isDue = force || Date.parse(reminder.remindAt) <= now;
+        if (!matches || !isDue || entry.sent.has(reminder.eventId)) return;
+
+        entry.sent.add(reminder.eventId);
+        deliveries.push({
+          entry,
+          message: {
+            title: `Reminder: ${reminder.title}`,
+            body: `Starts at ${new Date(reminder.startsAt).toLocaleTimeString('en-NG', {
+              hour: 'numeric',
+              minute: '2-digit',
+              timeZone: 'Africa/Lagos',
+            })}`,
+            url: reminder.url || '/events.html',
+            tag: `reminder-${reminder.eventId}`,
+          },
+        });
+      });
+    });
+
+    return deliver(deliveries);
+  }
+
+  return {
+    upsert,
+    remove: (endpoint) => subscriptions.delete(endpoint),
+    list: () => [...subscriptions.values()].map((entry) => ({
+      endpoint: entry.subscription.endpoint,
+      categories: entry.categories,
+      reminders: entry.reminders,
+    })),
+    sendAnnouncement,
+    sendReminders,
+  };
+}
+
+// ============================================================================
+// HTTP SERVER
+// ============================================================================
+
+/**
+ * Reads a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ */
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => {
+      data += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Writes a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Serves a file from src/
+ * @param {string} pathname - URL path
+ * @param {http.ServerResponse} res - Response
+ */
+function serveStatic(pathname, res) {
+  const relative = decodeURIComponent(pathname).replace(/\/$/, '/index.html');
+  const filePath = path.join(SERVER_CONFIG.srcDir, relative);
+
+  if (!filePath.startsWith(`${SERVER_CONFIG.srcDir}${path.sep}`) || !fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found');
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+    'Cache-Control': 'no-cache',
+  });
+  fs.createReadStream(filePath).pipe(res);
+}
+
+/**
+ * Handles a push API request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} route - Path after the API base
+ * @param {Object} context - { backend, vapidKeys }
+ */
+async function handleApi(req, res, route, { backend, vapidKeys }) {
+  const body = req.method === 'GET' ? {} : await readJson(req);
+
+  if (route === '/vapid-public-key' && req.method === 'GET') {
+    sendJson(res, 200, { publicKey: vapidKeys.publicKey });
+  } else if (route === '/subscriptions' && req.method === 'GET') {
+    sendJson(res, 200, { subscriptions: backend.list() });
+  } else if (route === '/subscriptions' && req.method === 'PUT') {
+    if (!backend.upsert(body)) {
+      sendJson(res, 400, { error: 'subscription with endpoint and keys is required' });
+      return;
+    }
+    logger.info('Subscription saved', { categories: body.categories, reminders: (body.reminders || []).length });
+    sendJson(res, 200, { ok: true });
+  } else if (route === '/subscriptions' && req.method === 'DELETE') {
+    backend.remove(body.endpoint);
+    logger.info('Subscription removed');
+    sendJson(res, 200, { ok: true });
+  } else if (route === '/send' && req.method === 'POST') {
+    const result = body.eventId
+      ? await backend.sendReminders({ eventId: body.eventId, force: true })
+      : await backend.sendAnnouncement(body);
+    logger.info('Push sent', { ...result, category: body.category, eventId: body.eventId });
+    sendJson(res, 200, result);
+  } else {
+    sendJson(res, 404, { error: 'Unknown push API route' });
+  }
+}
+
+/**
+ * Starts the mock push server
+ * @param {Object} [options] - { port, vapidKeys }
+ * @returns {Promise<Object>} { server, backend, vapidKeys, stop }
+ */
+async function startServer({ port = SERVER_CONFIG.port, vapidKeys = createVapidKeys() } = {}) {
+  const backend = createPushBackend(vapidKeys);
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      if (pathname.startsWith(SERVER_CONFIG.apiBase)) {
+        await handleApi(req, res, pathname.slice(SERVER_CONFIG.apiBase.length), { backend, vapidKeys });
+      } else {
+        serveStatic(pathname, res);
+      }
+    } catch (error) {
+      logger.error('Request failed', { path: pathname, error: error.message });
+      sendJson(res, 500, { error: error.message });
+    }
+  });
+
+  const timer = setInterval(() => {
+    backend.sendReminders().then((result) => {
+      if (result.sent || result.failed) logger.info('Due reminders sent', result);
+    });
+  }, SERVER_CONFIG.reminderCheckInterval);
+
+  await new Promise((resolve) => server.listen(port, resolve));
+
+  return {
+    server,
+    backend,
+    vapidKeys,
+    stop: () => {
+      clearInterval(timer);
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+// ============================================================================
+// SELF-TEST
+// ============================================================================
+
+/**
+ * Decrypts an aes128gcm body the way a browser would (self-test only)
+ * @param {Buffer} body - Encrypted body
+ * @param {crypto.ECDH} userAgent - Browser key pair
+ * @param {Buffer} authSecret - Browser auth secret
+ * @returns {string} Plain text payload
+ */
+function decryptPayload(body, userAgent, authSecret) {
+  const salt = body.subarray(0, 16);
+  const keyLength = body.readUInt8(20);
+  const serverKey = body.subarray(21, 21 + keyLength);
+  const ciphertext = body.subarray(21 + keyLength);
+  const userAgentKey = userAgent.getPublicKey();
+
+  const ikm = hkdf(
+    authSecret,
+    userAgent.computeSecret(serverKey),
+    Buffer.concat([Buffer.from('WebPush: info\0'), userAgentKey, serverKey]),
+    32
+  );
+  const contentKey = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+  decipher.setAuthTag(ciphertext.subarray(ciphertext.length - 16));
+  const plaintext = Buffer.concat([decipher.update(ciphertext.subarray(0, ciphertext.length - 16)), decipher.final()]);
+
+  return plaintext.subarray(0, plaintext.lastIndexOf(2)).toString();
+}
+
+/**
+ * Verifies a VAPID Authorization header (self-test only)
+ * @param {string} authorization - Header value
+ * @returns {boolean} True if the JWT signature matches the key in the header
+ */
+function verifyVapidAuthorization(authorization) {
+  const [, token, key] = /^vapid t=([^,]+), k=(.+)$/.exec(authorization) || [];
+  if (!token || !key) return false;
+
+  const [header, claims, signature] = token.split('.');
+  const point = Buffer.from(key, 'base64url');
+  const publicKey = crypto.createPublicKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: toBase64Url(point.subarray(1, 33)),
+      y: toBase64Url(point.subarray(33, 65)),
+    },
+    format: 'jwk',
+  });
+
+  return crypto.verify('sha256', Buffer.from(`${header}.${claims}`), {
+    key: publicKey,
+    dsaEncoding: 'ieee-p1363',
+  }, Buffer.from(signature, 'base64url'));
+}
+
+/**
+ * Runs the server against a fake browser and push service: subscribes, sends
+ * an announcement and a reminder, and checks the deliveries decrypt
+ * @returns {Promise<boolean>} True if every check passed
+ */
+async function selfTest() {
+  const deliveries = [];
+  const pushService = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      deliveries.push({ headers: req.headers, body: Buffer.concat(chunks) });
+      res.writeHead(201);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => pushService.listen(0, resolve));
+
+  const userAgent = crypto.createECDH('prime256v1');
+  userAgent.generateKeys();
+  const authSecret = crypto.randomBytes(16);
+  const running = await startServer({ port: 0 });
+  const apiUrl = `http://localhost:${running.server.address().port}${SERVER_CONFIG.apiBase}`;
+  const api = (route, method, body) => fetch(`${apiUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined,
+  }).then((response) => response.json());
+
+  try {
+    const { publicKey } = await api('/vapid-public-key', 'GET');
+    await api('/subscriptions', 'PUT', {
+      subscription: {
+        endpoint: `http://localhost:${pushService.address().port}/push/device-1`,
+        keys: { p256dh: toBase64Url(userAgent.getPublicKey()), auth: toBase64Url(authSecret) },
+      },
+      categories: ['youth'],
+      reminders: [{
+        eventId: 'youth-night',
+        title: 'Youth Night',
+        url: '/events.html#youth-night',
+        startsAt: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString(),
+        remindAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      }],
+    });
+
+    const worship = await api('/send', 'POST', { category: 'worship', title: 'Not for this device' });
+    const youth = await api('/send', 'POST', { category: 'youth', title: 'Youth update', url: '/ministries/youth.html' });
+    const reminder = await api('/send', 'POST', { eventId: 'youth-night' });
+    const messages = deliveries.map((delivery) => JSON.parse(decryptPayload(delivery.body, userAgent, authSecret)));
+
+    const checks = {
+      'other categories are skipped': worship.sent === 0,
+      'announcement decrypts with its link': youth.sent === 1 && messages[0].url === '/ministries/youth.html',
+      'reminder carries the event deep link': reminder.sent === 1 && messages[1].url === '/events.html#youth-night',
+      'VAPID signature is valid': deliveries.every((delivery) => verifyVapidAuthorization(delivery.headers.authorization)),
+      'VAPID key matches the API key': deliveries.every((delivery) => delivery.headers.authorization.endsWith(`k=${publicKey}`)),
+      'body is aes128gcm encoded': deliveries.every((delivery) => delivery.headers['content-encoding'] === 'aes128gcm'),
+    };
+
+    Object.entries(checks).forEach(([name, passed]) => {
+      logger[passed ? 'info' : 'error'](`${passed ? 'PASS' : 'FAIL'} ${name}`);
+    });
+    return Object.values(checks).every(Boolean);
+  } finally {
+    await running.stop();
+    await new Promise((resolve) => pushService.close(resolve));
+  }
+}
+
+// Run server (or self-test) if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  if (process.argv.includes('--self-test')) {
+    selfTest().then((passed) => process.exit(passed ? 0 : 1));
+  } else {
+    startServer().then(({ vapidKeys }) => {
+      logger.info(`Serving src/ and ${SERVER_CONFIG.apiBase} on http://localhost:${SERVER_CONFIG.port}`);
+      logger.info('VAPID public key', { publicKey: vapidKeys.publicKey });
+    });
+  }
+}
+
+export {
+  startServer,
+  createVapidKeys,
+  createVapidAuthorization,
+  encryptPayload,
+  selfTest,
+};
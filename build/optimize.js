@@ -1,21 +1,35 @@
 /**
  * Build Optimization Script
  * 
- * Handles CSS minification, JavaScript bundling, image optimization,
- * and performance budget checking for production builds.
+ * Handles data validation, CSS minification, JavaScript bundling, image
+ * optimization, calendar feed generation, site search index generation,
+ * service worker precache manifest generation, and performance budget
+ * checking for production builds.
  * 
  * @generated-from: task-id:TASK-006 type:performance
  * @modifies: build process
- * @dependencies: ["postcss", "terser", "fs", "path"]
+ * @dependencies: ["postcss", "terser", "fs", "path", "crypto"]
  */
 
 import fs from 'fs';
 import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import postcss from 'postcss';
 import cssnano from 'cssnano';
 import autoprefixer from 'autoprefixer';
 import { minify } from 'terser';
+import { generateICalendarFeed } from '../src/js/utils/calendar-export.js';
+import { validateSchema, formatSchemaErrors } from '../src/js/utils/schema-validator.js';
+import {
+  extractPageDocuments,
+  extractMinistryDocuments,
+  extractEventDocuments,
+  createSearchPayload,
+  RESULT_TYPES,
+  MINISTRY_SOURCES,
+} from '../src/js/utils/search-documents.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -26,6 +40,7 @@ const PERFORMANCE_BUDGET = {
   js: 200 * 1024, // 200KB
   images: 500 * 1024, // 500KB per image
   totalBundle: 1024 * 1024, // 1MB total
+  searchIndex: 100 * 1024, // 100KB, downloaded when site search first opens
 };
 
 // Build configuration
@@ -35,6 +50,40 @@ const BUILD_CONFIG = {
   cssEntry: path.resolve(__dirname, '../src/css/main.css'),
   jsEntry: path.resolve(__dirname, '../src/js/main.js'),
   imageExtensions: ['.jpg', '.jpeg', '.png', '.gif', '.svg', '.webp'],
+  eventsData: path.resolve(__dirname, '../src/data/events.json'),
+  ministryData: {
+    dir: path.resolve(__dirname, '../src/data/ministries'),
+    schema: path.resolve(__dirname, '../src/data/schemas/ministry.schema.json'),
+  },
+  calendarFeeds: {
+    // Disable with: node build/optimize.js --no-calendar-feeds
+    enabled: !process.argv.includes('--no-calendar-feeds'),
+    fileName: 'calendar.ics',
+    categoryDir: 'calendars',
+    name: 'Grace Fellowship Church Events',
+  },
+  searchIndex: {
+    // Disable with: node build/optimize.js --no-search-index
+    enabled: !process.argv.includes('--no-search-index'),
+    fileName: 'search-index.json',
+    seoMetaData: path.resolve(__dirname, '../src/data/seo-meta.json'),
+    // Pages whose sections are not worth searching
+    excludePages: ['offline.html', 'checkin.html', 'volunteer-shifts.html'],
+  },
+  // Files pages load unbundled: ES modules, @import-ed stylesheets, fetched data
+  runtimeAssets: [
+    { dir: 'js', extensions: ['.js'] },
+    { dir: 'css', extensions: ['.css'] },
+    { dir: 'data', extensions: ['.json'], exclude: ['data/schemas'] },
+  ],
+  serviceWorker: {
+    source: path.resolve(__dirname, '../src/sw.js'),
+    fileName: 'sw.js',
+    placeholder: 'self.__PRECACHE_MANIFEST',
+    // Emitted files that are never requested by pages
+    exclude: [/\.map$/, /^sw\.js$/],
+    revisionLength: 16,
+  },
 };
 
 /**
@@ -301,7 +350,7 @@ function checkPerformanceBudget(buildResults) {
   logger.info('Checking performance budget...');
   
   const violations = [];
-  const { css, js, images } = buildResults;
+  const { css, js, images, searchIndex = { size: 0 } } = buildResults;
   
   // Check CSS budget
   if (css.size > PERFORMANCE_BUDGET.css) {
@@ -323,6 +372,16 @@ function checkPerformanceBudget(buildResults) {
     });
   }
   
+  // Check search index budget (not part of the page bundle: it loads on demand)
+  if (searchIndex.size > PERFORMANCE_BUDGET.searchIndex) {
+    violations.push({
+      type: 'Search Index',
+      actual: formatBytes(searchIndex.size),
+      budget: formatBytes(PERFORMANCE_BUDGET.searchIndex),
+      exceeded: formatBytes(searchIndex.size - PERFORMANCE_BUDGET.searchIndex),
+    });
+  }
+  
   // Check total bundle budget
   const totalSize = css.size + js.size + images.size;
   if (totalSize > PERFORMANCE_BUDGET.totalBundle) {
@@ -348,6 +407,7 @@ function checkPerformanceBudget(buildResults) {
     js: formatBytes(js.size),
     images: formatBytes(images.size),
     total: formatBytes(totalSize),
+    searchIndex: formatBytes(searchIndex.size),
   });
   
   return true;
@@ -404,6 +464,404 @@ function copyStaticAssets() {
   }
 }
 
+/**
+ * Copies the JS modules, stylesheets and data files pages load directly
+ * @returns {number} Number of files copied
+ */
+function copyRuntimeAssets() {
+  logger.info('Copying runtime assets...');
+  
+  try {
+    let copiedCount = 0;
+    
+    for (const { dir, extensions, exclude = [] } of BUILD_CONFIG.runtimeAssets) {
+      const files = findFiles(path.join(BUILD_CONFIG.srcDir, dir), extensions);
+      
+      for (const srcPath of files) {
+        const relativePath = toPosixPath(path.relative(BUILD_CONFIG.srcDir, srcPath));
+        if (exclude.some(prefix => relativePath.startsWith(`${prefix}/`))) continue;
+        
+        const destPath = path.join(BUILD_CONFIG.distDir, relativePath);
+        ensureDirectoryExists(path.dirname(destPath));
+        fs.copyFileSync(srcPath, destPath);
+        copiedCount++;
+      }
+    }
+    
+    logger.success('Runtime assets copied', { count: copiedCount });
+    return copiedCount;
+  } catch (error) {
+    logger.error('Failed to copy runtime assets', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Converts a relative file path to URL form
+ */
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Lists every file under a directory
+ */
+function listFiles(dir, fileList = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      listFiles(entryPath, fileList);
+    } else {
+      fileList.push(entryPath);
+    }
+  }
+  return fileList;
+}
+
+/**
+ * Builds the precache manifest: one { url, revision } entry per emitted file,
+ * the revision being a hash of the file's content
+ * @returns {Array<Object>} Manifest entries sorted by URL
+ */
+function createPrecacheManifest() {
+  const swConfig = BUILD_CONFIG.serviceWorker;
+  
+  return listFiles(BUILD_CONFIG.distDir)
+    .map(filePath => toPosixPath(path.relative(BUILD_CONFIG.distDir, filePath)))
+    .filter(relativePath => !swConfig.exclude.some(pattern => pattern.test(relativePath)))
+    .sort()
+    .map(relativePath => ({
+      url: `/${relativePath}`,
+      revision: crypto
+        .createHash('sha256')
+        .update(fs.readFileSync(path.join(BUILD_CONFIG.distDir, relativePath)))
+        .digest('hex')
+        .slice(0, swConfig.revisionLength),
+    }));
+}
+
+/**
+ * Writes dist/sw.js with the precache manifest of every emitted file
+ * injected. Run after everything else has been written to dist.
+ * @returns {Object} { entries, size } of the manifest
+ */
+function generateServiceWorker() {
+  const swConfig = BUILD_CONFIG.serviceWorker;
+  
+  logger.info('Generating service worker precache manifest...');
+  
+  try {
+    const source = fs.readFileSync(swConfig.source, 'utf8');
+    const occurrences = source.split(swConfig.placeholder).length - 1;
+    
+    if (occurrences !== 1) {
+      throw new Error(`Expected one ${swConfig.placeholder} in ${path.basename(swConfig.source)}, found ${occurrences}`);
+    }
+    
+    const manifest = createPrecacheManifest();
+    const manifestSource = JSON.stringify(manifest);
+    const outputPath = path.join(BUILD_CONFIG.distDir, swConfig.fileName);
+    
+    fs.writeFileSync(outputPath, source.replace(swConfig.placeholder, () => manifestSource));
+    
+    const size = manifest.reduce(
+      (total, entry) => total + getFileSize(path.join(BUILD_CONFIG.distDir, entry.url)),
+      0
+    );
+    
+    logger.success('Service worker generated', {
+      entries: manifest.length,
+      precacheSize: formatBytes(size),
+      output: outputPath,
+    });
+    
+    return { entries: manifest.length, size };
+  } catch (error) {
+    logger.error('Service worker generation failed', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Writes everything pages load directly (HTML, static files, images, the
+ * unbundled modules, stylesheets and data, calendar feeds, the search index)
+ * and then the service worker with its precache manifest. Needs neither the
+ * CSS nor the JS bundle, so `npm run build:sw` works on its own; bundles
+ * already in dist are precached too.
+ * @returns {Promise<Object>} { images, searchIndex, serviceWorker }
+ */
+async function buildServiceWorker() {
+  ensureDirectoryExists(BUILD_CONFIG.distDir);
+  
+  const images = await optimizeImages();
+  copyHTMLFiles();
+  copyStaticAssets();
+  copyRuntimeAssets();
+  generateCalendarFeeds();
+  const searchIndex = generateSearchIndex();
+  
+  // Last: the precache manifest covers everything written above
+  const serviceWorker = generateServiceWorker();
+  
+  return { images, searchIndex, serviceWorker };
+}
+
+/**
+ * Validates every ministry data file against the ministry JSON Schema and
+ * checks that each file's `id` matches its file name. Every problem is logged
+ * with its file and path (e.g. youth.json: leadership[2].email is required)
+ * before the build is failed.
+ */
+function validateMinistryData() {
+  const dataConfig = BUILD_CONFIG.ministryData;
+  
+  logger.info('Validating ministry data...');
+  
+  const schema = JSON.parse(fs.readFileSync(dataConfig.schema, 'utf8'));
+  const files = fs.readdirSync(dataConfig.dir).filter(file => path.extname(file) === '.json');
+  const problems = [];
+  const shiftIds = new Set();
+  
+  files.forEach(file => {
+    let data;
+    
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(dataConfig.dir, file), 'utf8'));
+    } catch (error) {
+      problems.push(`${file}: invalid JSON (${error.message})`);
+      return;
+    }
+    
+    const result = validateSchema(data, schema);
+    formatSchemaErrors(result.errors).forEach(message => problems.push(`${file}: ${message}`));
+    
+    const slug = path.basename(file, '.json');
+    if (data && typeof data.id === 'string' && data.id !== slug) {
+      problems.push(`${file}: id must match the file name, expected "${slug}", got "${data.id}"`);
+    }
+    
+    findShiftProblems(data, shiftIds).forEach(message => problems.push(`${file}: ${message}`));
+  });
+  
+  if (problems.length > 0) {
+    problems.forEach(problem => logger.error(problem));
+    throw new Error(`Ministry data failed validation (${problems.length} problem(s))`);
+  }
+  
+  logger.success('Ministry data valid', { files: files.length });
+  
+  return { files: files.length };
+}
+
+/**
+ * Checks volunteer shift rules the schema cannot express: sign-ups are counted
+ * per shift ID, so IDs must be unique across all ministries (`seen` is shared
+ * between files), and a shift must end after it starts
+ */
+function findShiftProblems(data, seen) {
+  const opportunities = data && Array.isArray(data.volunteerOpportunities) ? data.volunteerOpportunities : [];
+  const problems = [];
+  
+  opportunities.forEach(opportunity => {
+    (Array.isArray(opportunity.shifts) ? opportunity.shifts : []).forEach(shift => {
+      if (seen.has(shift.id)) {
+        problems.push(`duplicate volunteer shift id "${shift.id}"`);
+      }
+      seen.add(shift.id);
+      
+      if (shift.startTime && shift.endTime && shift.endTime <= shift.startTime) {
+        problems.push(`volunteer shift "${shift.id}" must end after it starts`);
+      }
+    });
+  });
+  
+  return problems;
+}
+
+/**
+ * Formats an event category slug as a title (e.g. "bible-study" -> "Bible Study")
+ */
+function formatCategoryName(category) {
+  return category
+    .split('-')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Writes static iCalendar feeds: one for all events and one per category
+ * (e.g. calendars/worship.ics) that members can subscribe to
+ */
+function generateCalendarFeeds() {
+  const feedConfig = BUILD_CONFIG.calendarFeeds;
+  
+  if (!feedConfig.enabled) {
+    logger.info('Calendar feed generation disabled');
+    return { size: 0, count: 0 };
+  }
+  
+  logger.info('Generating calendar feeds...');
+  
+  try {
+    const events = JSON.parse(fs.readFileSync(BUILD_CONFIG.eventsData, 'utf8'));
+    
+    if (!Array.isArray(events)) {
+      throw new Error('Invalid events data: expected array');
+    }
+    
+    const feeds = [{
+      file: feedConfig.fileName,
+      content: generateICalendarFeed(events, { name: feedConfig.name }),
+    }];
+    
+    const categories = [...new Set(events.map(event => event.category).filter(Boolean))];
+    categories.forEach(category => {
+      feeds.push({
+        file: path.join(feedConfig.categoryDir, `${category}.ics`),
+        content: generateICalendarFeed(events, {
+          name: `${feedConfig.name} - ${formatCategoryName(category)}`,
+          category,
+        }),
+      });
+    });
+    
+    let totalSize = 0;
+    for (const feed of feeds) {
+      const outputPath = path.join(BUILD_CONFIG.distDir, feed.file);
+      ensureDirectoryExists(path.dirname(outputPath));
+      fs.writeFileSync(outputPath, feed.content);
+      totalSize += Buffer.byteLength(feed.content, 'utf8');
+    }
+    
+    logger.success('Calendar feeds generated', {
+      count: feeds.length,
+      categories,
+      totalSize: formatBytes(totalSize),
+    });
+    
+    return { size: totalSize, count: feeds.length };
+  } catch (error) {
+    logger.error('Calendar feed generation failed', { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Converts an HTML fragment to plain text
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<(script|style|svg|template)[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&rsquo;|&lsquo;/g, "'")
+    .replace(/&[a-z]+;|&#\d+;/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Creates search documents for the sections of an HTML page. Each <h2> with
+ * an id inside <main> becomes a document linking to that heading, indexed
+ * with the text up to the next <h2>.
+ */
+function extractSectionDocuments(html, fileName) {
+  const mainMatch = html.match(/<main[\s\S]*?<\/main>/i);
+  const titleMatch = html.match(/<title>([\s\S]*?)<\/title>/i);
+  const pageTitle = titleMatch ? htmlToText(titleMatch[1]).split(' | ')[0] : fileName;
+  const pageUrl = fileName === 'index.html' ? '/' : `/${fileName}`;
+  const slug = path.basename(fileName, '.html');
+  
+  const chunks = (mainMatch ? mainMatch[0] : html).split(/(?=<h2[\s>])/i).slice(1);
+  
+  return chunks.map(chunk => {
+    const heading = chunk.match(/^<h2([^>]*)>([\s\S]*?)<\/h2>/i);
+    const id = heading && heading[1].match(/\bid="([^"]+)"/);
+    const title = heading ? htmlToText(heading[2]) : '';
+    
+    if (!id || !title) {
+      return null;
+    }
+    
+    return {
+      id: `${RESULT_TYPES.SECTION}:${slug}:${id[1]}`,
+      type: RESULT_TYPES.SECTION,
+      title,
+      subtitle: pageTitle,
+      text: htmlToText(chunk.slice(heading[0].length)),
+      url: `${pageUrl}#${id[1]}`,
+    };
+  }).filter(Boolean);
+}
+
+/**
+ * Writes dist/search-index.json: a compact inverted index (stemmed, without
+ * stop words) over the pages, page sections, ministries and events, so the
+ * site search dialog downloads one file instead of every data file.
+ */
+function generateSearchIndex() {
+  const indexConfig = BUILD_CONFIG.searchIndex;
+  
+  if (!indexConfig.enabled) {
+    logger.info('Search index generation disabled');
+    return { size: 0, documents: 0 };
+  }
+  
+  logger.info('Generating search index...');
+  
+  try {
+    const readJSON = filePath => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const documents = [
+      ...extractPageDocuments(readJSON(indexConfig.seoMetaData)),
+      ...extractEventDocuments(readJSON(BUILD_CONFIG.eventsData)),
+    ];
+    
+    MINISTRY_SOURCES.forEach(source => {
+      const dataPath = path.join(BUILD_CONFIG.ministryData.dir, `${source.slug}.json`);
+      if (fs.existsSync(dataPath)) {
+        documents.push(...extractMinistryDocuments(source, readJSON(dataPath)));
+      } else {
+        logger.warn(`Ministry data not found: ${source.slug}.json`);
+      }
+    });
+    
+    const htmlFiles = fs.readdirSync(BUILD_CONFIG.srcDir)
+      .filter(file => path.extname(file) === '.html' && !indexConfig.excludePages.includes(file));
+    
+    htmlFiles.forEach(file => {
+      const html = fs.readFileSync(path.join(BUILD_CONFIG.srcDir, file), 'utf8');
+      documents.push(...extractSectionDocuments(html, file));
+    });
+    
+    const payload = createSearchPayload(documents);
+    const content = JSON.stringify({ ...payload, generatedAt: new Date().toISOString() });
+    const outputPath = path.join(BUILD_CONFIG.distDir, indexConfig.fileName);
+    
+    ensureDirectoryExists(BUILD_CONFIG.distDir);
+    fs.writeFileSync(outputPath, content);
+    
+    const size = Buffer.byteLength(content, 'utf8');
+    const gzipSize = zlib.gzipSync(content).length;
+    
+    logger.success('Search index generated', {
+      documents: documents.length,
+      terms: Object.keys(payload.index.terms).length,
+      pages: htmlFiles.length,
+      size: formatBytes(size),
+      gzipSize: formatBytes(gzipSize),
+    });
+    
+    return { size, gzipSize, documents: documents.length };
+  } catch (error) {
+    logger.error('Search index generation failed', { error: error.message });
+    throw error;
+  }
+}
+
 /**
  * Main build function
  */
@@ -424,19 +882,20 @@ async function build() {
     
     ensureDirectoryExists(BUILD_CONFIG.distDir);
     
+    // Fail fast on broken data before the slower tasks
+    validateMinistryData();
+    
     // Run build tasks
-    const [css, js, images] = await Promise.all([
+    const [css, js] = await Promise.all([
       minifyCSS(),
       bundleAndMinifyJS(),
-      optimizeImages(),
     ]);
     
-    // Copy HTML and static assets
-    copyHTMLFiles();
-    copyStaticAssets();
+    // Site files and the service worker, whose manifest covers the bundles
+    const { images, searchIndex } = await buildServiceWorker();
     
     // Check performance budget
-    const budgetMet = checkPerformanceBudget({ css, js, images });
+    const budgetMet = checkPerformanceBudget({ css, js, images, searchIndex });
     
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     
@@ -463,4 +922,16 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   build();
 }
 
-export { build, minifyCSS, bundleAndMinifyJS, optimizeImages, checkPerformanceBudget };
\ No newline at end of file
+export {
+  build,
+  minifyCSS,
+  bundleAndMinifyJS,
+  optimizeImages,
+  validateMinistryData,
+  generateCalendarFeeds,
+  generateSearchIndex,
+  copyRuntimeAssets,
+  generateServiceWorker,
+  buildServiceWorker,
+  checkPerformanceBudget,
+};
\ No newline at end of file
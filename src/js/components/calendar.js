@@ -3,19 +3,27 @@
  * 
  * Provides calendar view functionality for displaying events in month, week, and day formats.
  * Handles date navigation, view switching, event positioning, and Nigerian timezone (WAT) support.
+ * Recurring events are expanded into occurrences for the visible date range.
+ * Grid dates are wall-clock dates in the church's time zone (see utils/timezone).
  * 
  * @module components/calendar
  * @generated-from: task-id:TASK-007
  * @modifies: none
- * @dependencies: none
+ * @dependencies: [recurrence, timezone]
  */
 
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import { expandEvents } from '../utils/recurrence.js';
+import { toZonedWallClock, parseWallClock } from '../utils/timezone.js';
+
 // ============================================================================
 // CONSTANTS & CONFIGURATION
 // ============================================================================
 
 const CONFIG = Object.freeze({
-  TIMEZONE: 'Africa/Lagos', // Nigerian timezone (WAT)
   LOCALE: 'en-NG',
   FIRST_DAY_OF_WEEK: 0, // Sunday
   HOURS_START: 0,
@@ -65,6 +73,7 @@ const state = {
   currentDate: null,
   currentView: 'month',
   events: [],
+  occurrences: [],
   eventHandlers: new Map(),
 };
 
@@ -73,39 +82,44 @@ const state = {
 // ============================================================================
 
 /**
- * Creates a date in Nigerian timezone (WAT)
- * @param {string|Date} dateInput - Date string or Date object
- * @returns {Date} Date object in WAT timezone
+ * Creates a wall-clock date in the church's time zone (WAT)
+ * @param {string|Date} dateInput - Event date string (YYYY-MM-DD, taken as
+ *   church wall-clock time) or an instant
+ * @returns {Date} Wall-clock date in WAT
  */
 function createWATDate(dateInput) {
   try {
-    const date = typeof dateInput === 'string' ? new Date(dateInput) : new Date(dateInput);
+    if (typeof dateInput === 'string') {
+      const [datePart, timePart] = dateInput.split('T');
+      const wallClock = parseWallClock(datePart, timePart ? timePart.slice(0, 5) : undefined);
+      if (wallClock) {
+        return wallClock;
+      }
+    }
+    
+    const date = new Date(dateInput);
     
     if (isNaN(date.getTime())) {
       throw new Error('Invalid date');
     }
     
-    // Convert to WAT timezone
-    const watString = date.toLocaleString('en-US', { timeZone: CONFIG.TIMEZONE });
-    return new Date(watString);
+    return toZonedWallClock(date);
   } catch (error) {
     console.error('[Calendar] Error creating WAT date:', error);
-    return new Date();
+    return toZonedWallClock(new Date());
   }
 }
 
 /**
- * Formats date for display
- * @param {Date} date - Date to format
+ * Formats a wall-clock date for display. No time zone is applied because the
+ * date already holds church time in its local fields.
+ * @param {Date} date - Wall-clock date to format
  * @param {Object} options - Intl.DateTimeFormat options
  * @returns {string} Formatted date string
  */
 function formatDate(date, options = {}) {
   try {
-    return new Intl.DateTimeFormat(CONFIG.LOCALE, {
-      timeZone: CONFIG.TIMEZONE,
-      ...options,
-    }).format(date);
+    return new Intl.DateTimeFormat(CONFIG.LOCALE, options).format(date);
   } catch (error) {
     console.error('[Calendar] Error formatting date:', error);
     return date.toLocaleDateString();
@@ -194,13 +208,51 @@ function addMonths(date, months) {
   return newDate;
 }
 
+/**
+ * Gets the key that identifies an event or a single recurring occurrence
+ * @param {Object} event - Event or occurrence
+ * @returns {string} Event key
+ */
+function getEventKey(event) {
+  return event.occurrenceId || event.id;
+}
+
+/**
+ * Gets the first and last dates displayed by a view
+ * @param {Date} date - Current date
+ * @param {string} view - View type ('month', 'week', 'day')
+ * @returns {Object} Range with start and end dates
+ */
+function getVisibleRange(date, view) {
+  if (view === 'month') {
+    const start = getStartOfWeek(getStartOfMonth(date));
+    return { start, end: addDays(start, 41) };
+  }
+  
+  if (view === 'week') {
+    const start = getStartOfWeek(date);
+    return { start, end: addDays(start, 6) };
+  }
+  
+  const start = getStartOfDay(date);
+  return { start, end: start };
+}
+
+/**
+ * Expands recurring events into occurrences for the current view
+ */
+function updateOccurrences() {
+  const range = getVisibleRange(state.currentDate, state.currentView);
+  state.occurrences = expandEvents(state.events, range.start, range.end);
+}
+
 /**
  * Gets events for a specific date
  * @param {Date} date - Date to get events for
  * @returns {Array} Array of events
  */
 function getEventsForDate(date) {
-  return state.events.filter(event => {
+  return state.occurrences.filter(event => {
     const eventDate = createWATDate(event.date);
     return isSameDay(eventDate, date);
   });
@@ -372,7 +424,7 @@ function renderMonthView(date, events) {
             className: CLASSES.CALENDAR_EVENT,
             type: 'button',
             'aria-label': `${event.title} at ${event.time}`,
-            dataset: { eventId: event.id },
+            dataset: { eventId: getEventKey(event) },
           });
           
           const eventTitle = createElement('span', {
@@ -383,7 +435,7 @@ function renderMonthView(date, events) {
           eventsContainer.appendChild(eventElement);
           
           // Store event handler
-          state.eventHandlers.set(event.id, () => {
+          state.eventHandlers.set(getEventKey(event), () => {
             dispatchEventClick(event);
           });
         });
@@ -508,7 +560,7 @@ function renderWeekView(date, events) {
         className: CLASSES.WEEK_EVENT,
         type: 'button',
         'aria-label': `${event.title} at ${event.time}`,
-        dataset: { eventId: event.id },
+        dataset: { eventId: getEventKey(event) },
       });
       
       eventElement.style.top = `${position.top}px`;
@@ -529,7 +581,7 @@ function renderWeekView(date, events) {
       
       container.appendChild(eventElement);
       
-      state.eventHandlers.set(event.id, () => {
+      state.eventHandlers.set(getEventKey(event), () => {
         dispatchEventClick(event);
       });
     });
@@ -588,7 +640,7 @@ function renderDayView(date, events) {
       className: CLASSES.WEEK_EVENT,
       type: 'button',
       'aria-label': `${event.title} at ${event.time}`,
-      dataset: { eventId: event.id },
+      dataset: { eventId: getEventKey(event) },
     });
     
     eventElement.style.top = `${position.top}px`;
@@ -609,7 +661,7 @@ function renderDayView(date, events) {
     
     container.appendChild(eventElement);
     
-    state.eventHandlers.set(event.id, () => {
+    state.eventHandlers.set(getEventKey(event), () => {
       dispatchEventClick(event);
     });
   });
@@ -715,6 +767,8 @@ function render() {
   }
   
   try {
+    updateOccurrences();
+    
     if (state.currentView === 'month') {
       renderMonthView(state.currentDate, state.events);
     } else if (state.currentView === 'week') {
@@ -793,6 +847,7 @@ function init(options = {}) {
 function destroy() {
   state.eventHandlers.clear();
   state.events = [];
+  state.occurrences = [];
   state.currentDate = null;
   
   console.log('[Calendar] Destroyed');
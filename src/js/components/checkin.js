@@ -0,0 +1,1374 @@
+/**
+ * Children's Check-In Component
+ *
+ * Kiosk for the children's ministry check-in/check-out system advertised in
+ * childrens.json `safetyPolicies`:
+ * - Family lookup by parent/guardian phone, or registration of a new family
+ * - Room assignment from each child's birthdate using the `ageGroups` age
+ *   bands (`minAgeMonths` / `maxAgeMonths`), with a manual override
+ * - One pickup code per check-in, printed on a parent tag and on every child tag
+ * - Pick-up only releases children when the matching code is entered
+ *
+ * Everything is stored on the kiosk in IndexedDB first, so check-in keeps
+ * working without a connection. Each change is also written to an outbox in
+ * the same transaction and sent to the sync endpoint whenever the kiosk is
+ * online, using the outbox entry ID as the idempotency key.
+ *
+ * Markup contract (see checkin.html): the root carries `data-checkin`, and
+ * each step, form and list inside it a `data-checkin-*` attribute.
+ *
+ * @module components/checkin
+ * @generated-from: task-id:user-013
+ * @modifies: none (new file)
+ * @dependencies: [idb, form-submission, timezone, accessibility]
+ */
+
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import {
+  openDatabase,
+  runTransaction,
+  getRecord,
+  getAllRecords,
+  countRecords,
+  deleteRecord,
+  TRANSACTION_MODES,
+} from '../utils/idb.js';
+import {
+  submitForm,
+  generateIdempotencyKey,
+  SUBMISSION_STATUS,
+} from '../utils/form-submission.js';
+import { toZonedDateKey } from '../utils/timezone.js';
+import { announcePolite } from '../utils/accessibility.js';
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const CONFIG = Object.freeze({
+  DATA_URL: '/data/ministries/childrens.json',
+  SYNC_ENDPOINT: '/api/childrens/checkin/sync', // Overridden by data-sync-endpoint on the root
+  DB_NAME: 'gfc-childrens-checkin',
+  DB_VERSION: 1,
+  CODE_ALPHABET: 'ACDEFGHJKLMNPQRTUVWXY346789', // No 0/O, 1/I/L, 2/Z, 5/S, B/8
+  CODE_LENGTH: 4,
+  CODE_ATTEMPTS: 25,
+  MIN_PHONE_DIGITS: 7,
+  IDLE_RESET_DELAY: 120000, // Clear family details after 2 minutes without input
+  RETENTION_DAYS: 30, // Synced, checked-out records older than this are removed
+});
+
+const STORES = Object.freeze({
+  FAMILIES: 'families',
+  CHECKINS: 'checkins',
+  OUTBOX: 'outbox',
+});
+
+const CHECKIN_STATUS = Object.freeze({
+  CHECKED_IN: 'checked-in',
+  CHECKED_OUT: 'checked-out',
+});
+
+const SYNC_TYPES = Object.freeze({
+  FAMILY: 'family',
+  CHECK_IN: 'check-in',
+  CHECK_OUT: 'check-out',
+});
+
+const STEPS = Object.freeze({
+  LOOKUP: 'lookup',
+  REGISTER: 'register',
+  FAMILY: 'family',
+  TAGS: 'tags',
+});
+
+const MODES = Object.freeze({
+  CHECK_IN: 'checkin',
+  PICKUP: 'pickup',
+});
+
+const SELECTORS = Object.freeze({
+  ROOT: '[data-checkin]',
+  MODE_BUTTONS: '[data-checkin-mode]',
+  PANELS: '[data-checkin-panel]',
+  STEPS: '[data-checkin-step]',
+  MESSAGE: '[data-checkin-message]',
+  SYNC_STATUS: '[data-checkin-sync]',
+  LOOKUP_FORM: '[data-checkin-lookup]',
+  REGISTER_FORM: '[data-checkin-register]',
+  CHILD_ROWS: '[data-checkin-child-rows]',
+  CHILD_ROW: '[data-checkin-child-row]',
+  CHILD_TEMPLATE: '[data-checkin-child-template]',
+  ADD_CHILD: '[data-checkin-add-child]',
+  REMOVE_CHILD: '[data-checkin-remove-child]',
+  FAMILY_FORM: '[data-checkin-family]',
+  FAMILY_NAME: '[data-checkin-family-name]',
+  CHILD_OPTIONS: '[data-checkin-child-options]',
+  REGISTER_CHILD: '[data-checkin-register-child]',
+  TAG_SHEET: '[data-checkin-tag-sheet]',
+  PRINT: '[data-checkin-print]',
+  DONE: '[data-checkin-done]',
+  PICKUP_FORM: '[data-checkin-pickup]',
+  RELEASE_FORM: '[data-checkin-release]',
+  RELEASE_LIST: '[data-checkin-release-list]',
+  CANCEL: '[data-checkin-cancel]',
+  SUBMIT_BUTTON: '[type="submit"]',
+});
+
+const CLASSES = Object.freeze({
+  MESSAGE_ERROR: 'checkin__message--error',
+  MESSAGE_SUCCESS: 'checkin__message--success',
+  SYNC_PENDING: 'checkin__sync--pending',
+});
+
+const MESSAGES = Object.freeze({
+  UNAVAILABLE: 'Check-in is unavailable on this device. Please see a children\'s ministry volunteer.',
+  PHONE_INVALID: 'Please enter a phone number with at least 7 digits.',
+  FAMILY_NOT_FOUND: 'We could not find that number. Please register your family below.',
+  GUARDIAN_REQUIRED: 'Please enter the parent or guardian name.',
+  CHILD_REQUIRED: 'Please add at least one child with a first name and birthdate.',
+  BIRTHDATE_INVALID: 'Please check each child\'s birthdate.',
+  SAVE_FAILED: 'We could not save your details. Please try again or see a volunteer.',
+  SELECT_CHILD: 'Please choose at least one child to check in.',
+  ROOM_REQUIRED: 'Please choose a room for each selected child.',
+  CHECKIN_FAILED: 'Check-in could not be completed. Please try again or see a volunteer.',
+  CHECKED_IN: 'Checked in! Keep the parent tag - you will need the code to pick up.',
+  ALREADY_CHECKED_IN: 'Checked in today',
+  NO_ROOM: 'No room for this age',
+  CHOOSE_ROOM: 'Choose a room',
+  CODE_INVALID: 'Please enter the pickup code from your parent tag.',
+  CODE_NOT_FOUND: 'No children are checked in with that code.',
+  SELECT_RELEASE: 'Please choose at least one child to pick up.',
+  CHECKED_OUT: 'Pickup confirmed. Have a great week!',
+  CHECKOUT_FAILED: 'Pickup could not be recorded. Please see a volunteer.',
+  SYNCED: 'All check-ins are synced',
+  PENDING_ONE: '1 change waiting to sync',
+  PENDING_MANY: '{count} changes waiting to sync',
+  PARENT_TAG: 'Parent pickup tag',
+  CHILD_TAG: 'Child tag',
+  ALLERGIES: 'Allergies',
+  NOTES: 'Notes',
+});
+
+// ============================================================================
+// STATE MANAGEMENT
+// ============================================================================
+
+const state = {
+  root: null,
+  db: null,
+  ageGroups: [],
+  family: null,
+  pickupCode: null,
+  syncEndpoint: CONFIG.SYNC_ENDPOINT,
+  isSyncing: false,
+  idleTimer: null,
+  initialized: false,
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Safely queries a single DOM element
+ * @param {string} selector - CSS selector
+ * @param {Document|Element} context - Context to query within
+ * @returns {Element|null} Found element or null
+ */
+function querySelector(selector, context = document) {
+  try {
+    return context.querySelector(selector);
+  } catch (error) {
+    console.error(`[CheckIn] Invalid selector: ${selector}`, error);
+    return null;
+  }
+}
+
+/**
+ * Safely queries multiple DOM elements
+ * @param {string} selector - CSS selector
+ * @param {Document|Element} context - Context to query within
+ * @returns {NodeList} NodeList of found elements
+ */
+function querySelectorAll(selector, context = document) {
+  try {
+    return context.querySelectorAll(selector);
+  } catch (error) {
+    console.error(`[CheckIn] Invalid selector: ${selector}`, error);
+    return document.createDocumentFragment().childNodes;
+  }
+}
+
+/**
+ * Logs structured messages with context
+ * @param {string} level - Log level (info, warn, error)
+ * @param {string} message - Log message
+ * @param {Object} context - Additional context data
+ */
+function log(level, message, context = {}) {
+  const logMethod = console[level] || console.log;
+  logMethod('[CheckIn]', message, context);
+}
+
+/**
+ * Escapes a value for use in an HTML attribute or text
+ * @param {string} value - Value to escape
+ * @returns {string} Escaped value
+ */
+function escapeHTML(value) {
+  const div = document.createElement('div');
+  div.textContent = value == null ? '' : String(value);
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * Reduces a phone number to its digits so lookups ignore formatting
+ * @param {string} phone - Phone number as typed
+ * @returns {string} Digits only
+ */
+function normalizePhone(phone) {
+  return String(phone || '').replace(/\D/g, '');
+}
+
+/**
+ * Creates a record ID
+ * @param {string} prefix - Record type prefix
+ * @returns {string} Unique ID
+ */
+function createId(prefix) {
+  return `${prefix}-${generateIdempotencyKey()}`;
+}
+
+/**
+ * Gets today's service date in the church time zone
+ * @returns {string} Date key (YYYY-MM-DD)
+ */
+function getServiceDate() {
+  return toZonedDateKey(new Date());
+}
+
+/**
+ * Formats a child's display name
+ * @param {Object} child - Child record
+ * @returns {string} Full name
+ */
+function getChildName(child) {
+  return [child.firstName, child.lastName].filter(Boolean).join(' ');
+}
+
+// ============================================================================
+// AGE GROUPS & ROOMS
+// ============================================================================
+
+/**
+ * Parses a YYYY-MM-DD date key
+ * @param {string} dateKey - Date key
+ * @returns {Object|null} { year, month, day } or null if invalid
+ */
+function parseDateKey(dateKey) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateKey || ''));
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return { year, month, day };
+}
+
+/**
+ * Calculates a child's age in completed months on a given date
+ * @param {string} birthdate - Birthdate (YYYY-MM-DD)
+ * @param {string} onDate - Date to measure on (YYYY-MM-DD)
+ * @returns {number|null} Age in months, or null for invalid or future birthdates
+ */
+function getAgeInMonths(birthdate, onDate) {
+  const birth = parseDateKey(birthdate);
+  const on = parseDateKey(onDate);
+  if (!birth || !on) return null;
+
+  let months = (on.year - birth.year) * 12 + (on.month - birth.month);
+  if (on.day < birth.day) {
+    months -= 1;
+  }
+
+  return months >= 0 ? months : null;
+}
+
+/**
+ * Formats an age in months for display
+ * @param {number} months - Age in months
+ * @returns {string} e.g. "8 months" or "3 years"
+ */
+function formatAge(months) {
+  if (months < 24) {
+    return `${months} ${months === 1 ? 'month' : 'months'}`;
+  }
+  return `${Math.floor(months / 12)} years`;
+}
+
+/**
+ * Reads the age groups that define an age band and a room
+ * @param {Object} data - Children's ministry data
+ * @returns {Array<Object>} Age groups { name, room, minAgeMonths, maxAgeMonths }
+ */
+function getRoomAgeGroups(data) {
+  return (Array.isArray(data && data.ageGroups) ? data.ageGroups : [])
+    .filter((group) => group.room
+      && Number.isInteger(group.minAgeMonths)
+      && Number.isInteger(group.maxAgeMonths))
+    .sort((a, b) => a.minAgeMonths - b.minAgeMonths);
+}
+
+/**
+ * Finds the age group for a child on a service date
+ * @param {Object} child - Child record with birthdate
+ * @param {string} serviceDate - Service date (YYYY-MM-DD)
+ * @param {Array<Object>} [ageGroups] - Age groups to choose from
+ * @returns {Object|null} Matching age group, or null if the child is outside every band
+ */
+function assignAgeGroup(child, serviceDate, ageGroups = state.ageGroups) {
+  const months = getAgeInMonths(child.birthdate, serviceDate);
+  if (months === null) return null;
+
+  return ageGroups.find((group) => months >= group.minAgeMonths && months < group.maxAgeMonths) || null;
+}
+
+// ============================================================================
+// PICKUP CODES
+// ============================================================================
+
+/**
+ * Generates a random pickup code from an alphabet without look-alike characters
+ * @returns {string} Pickup code
+ */
+function generatePickupCode() {
+  const values = new Uint32Array(CONFIG.CODE_LENGTH);
+  crypto.getRandomValues(values);
+
+  return Array.from(values, (value) => CONFIG.CODE_ALPHABET[value % CONFIG.CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Normalizes a typed pickup code
+ * @param {string} code - Code as typed
+ * @returns {string} Upper-case code without spaces
+ */
+function normalizePickupCode(code) {
+  return String(code || '').replace(/\s/g, '').toUpperCase();
+}
+
+/**
+ * Generates a pickup code that no child currently checked in is using
+ * @returns {Promise<string|null>} Unused code, or null if none was found
+ */
+async function createUniquePickupCode() {
+  const active = await getAllRecords(state.db, STORES.CHECKINS, {
+    index: 'status',
+    query: CHECKIN_STATUS.CHECKED_IN,
+  });
+  const inUse = new Set(active.map((record) => record.code));
+
+  for (let attempt = 0; attempt < CONFIG.CODE_ATTEMPTS; attempt += 1) {
+    const code = generatePickupCode();
+    if (!inUse.has(code)) {
+      return code;
+    }
+  }
+
+  log('error', 'Could not generate an unused pickup code', { active: active.length });
+  return null;
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Creates the object stores on first use
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {number} oldVersion - Previous schema version
+ */
+function upgradeDatabase(db, oldVersion) {
+  if (oldVersion < 1) {
+    const families = db.createObjectStore(STORES.FAMILIES, { keyPath: 'id' });
+    families.createIndex('phone', 'phone', { unique: false });
+
+    const checkins = db.createObjectStore(STORES.CHECKINS, { keyPath: 'id' });
+    checkins.createIndex('code', 'code', { unique: false });
+    checkins.createIndex('status', 'status', { unique: false });
+    checkins.createIndex('familyId', 'familyId', { unique: false });
+
+    const outbox = db.createObjectStore(STORES.OUTBOX, { keyPath: 'id' });
+    outbox.createIndex('createdAt', 'createdAt', { unique: false });
+  }
+}
+
+/**
+ * Builds an outbox entry for the sync endpoint
+ * @param {string} type - One of SYNC_TYPES
+ * @param {Object} payload - Record to send
+ * @returns {Object} Outbox entry
+ */
+function createOutboxEntry(type, payload) {
+  return {
+    id: createId('sync'),
+    type,
+    payload,
+    createdAt: new Date().toISOString(),
+    attempts: 0,
+  };
+}
+
+/**
+ * Finds a family by phone number
+ * @param {string} phone - Phone number in any format
+ * @returns {Promise<Object|null>} Family record or null
+ */
+async function findFamilyByPhone(phone) {
+  const families = await getAllRecords(state.db, STORES.FAMILIES, {
+    index: 'phone',
+    query: normalizePhone(phone),
+  });
+  return families[0] || null;
+}
+
+/**
+ * Saves a new or updated family and queues it for sync
+ * @param {Object} family - Family record
+ * @returns {Promise<boolean>} True once stored
+ */
+async function saveFamily(family) {
+  const record = { ...family, updatedAt: new Date().toISOString() };
+
+  const { ok } = await runTransaction(
+    state.db,
+    [STORES.FAMILIES, STORES.OUTBOX],
+    TRANSACTION_MODES.WRITE,
+    (stores) => {
+      stores[STORES.FAMILIES].put(record);
+      stores[STORES.OUTBOX].put(createOutboxEntry(SYNC_TYPES.FAMILY, record));
+    }
+  );
+
+  if (ok) {
+    log('info', 'Family saved', { familyId: record.id, children: record.children.length });
+  }
+  return ok;
+}
+
+/**
+ * Gets the children of a family who are checked in right now
+ * @param {string} familyId - Family ID
+ * @returns {Promise<Map<string, Object>>} Child ID -> check-in record
+ */
+async function getActiveCheckinsForFamily(familyId) {
+  const records = await getAllRecords(state.db, STORES.CHECKINS, { index: 'familyId', query: familyId });
+
+  return new Map(records
+    .filter((record) => record.status === CHECKIN_STATUS.CHECKED_IN)
+    .map((record) => [record.childId, record]));
+}
+
+/**
+ * Checks children in under one shared pickup code
+ * @param {Object} family - Family record
+ * @param {Array<Object>} selections - { child, room, groupName } per child
+ * @returns {Promise<Object>} { ok, code, records }
+ */
+async function checkInChildren(family, selections) {
+  const code = await createUniquePickupCode();
+  if (!code) {
+    return { ok: false, code: null, records: [] };
+  }
+
+  const checkedInAt = new Date().toISOString();
+  const serviceDate = getServiceDate();
+  const records = selections.map(({ child, room, groupName }) => ({
+    id: createId('checkin'),
+    familyId: family.id,
+    childId: child.id,
+    childName: getChildName(child),
+    guardianName: family.guardianName,
+    room,
+    groupName,
+    allergies: child.allergies || '',
+    notes: child.notes || '',
+    code,
+    serviceDate,
+    status: CHECKIN_STATUS.CHECKED_IN,
+    checkedInAt,
+    checkedOutAt: null,
+  }));
+
+  const { ok } = await runTransaction(
+    state.db,
+    [STORES.CHECKINS, STORES.OUTBOX],
+    TRANSACTION_MODES.WRITE,
+    (stores) => {
+      records.forEach((record) => {
+        stores[STORES.CHECKINS].put(record);
+        stores[STORES.OUTBOX].put(createOutboxEntry(SYNC_TYPES.CHECK_IN, record));
+      });
+    }
+  );
+
+  log(ok ? 'info' : 'error', ok ? 'Children checked in' : 'Check-in failed', {
+    familyId: family.id,
+    children: records.length,
+  });
+
+  return { ok, code: ok ? code : null, records: ok ? records : [] };
+}
+
+/**
+ * Finds the children checked in under a pickup code
+ * @param {string} code - Pickup code
+ * @returns {Promise<Array<Object>>} Active check-in records
+ */
+async function findCheckinsByCode(code) {
+  const normalized = normalizePickupCode(code);
+  if (normalized.length !== CONFIG.CODE_LENGTH) return [];
+
+  const records = await getAllRecords(state.db, STORES.CHECKINS, { index: 'code', query: normalized });
+  return records.filter((record) => record.status === CHECKIN_STATUS.CHECKED_IN);
+}
+
+/**
+ * Checks children out. Every record must carry the pickup code presented.
+ * @param {string} code - Pickup code from the parent tag
+ * @param {Array<string>} checkinIds - Check-in records to close
+ * @returns {Promise<Object>} { ok, records }
+ */
+async function checkOutChildren(code, checkinIds) {
+  const normalized = normalizePickupCode(code);
+  const active = await findCheckinsByCode(normalized);
+  const releasable = active.filter((record) => checkinIds.includes(record.id));
+
+  if (!releasable.length || releasable.length !== checkinIds.length) {
+    log('warn', 'Pickup code does not match the selected check-ins', { requested: checkinIds.length });
+    return { ok: false, records: [] };
+  }
+
+  const checkedOutAt = new Date().toISOString();
+  const records = releasable.map((record) => ({
+    ...record,
+    status: CHECKIN_STATUS.CHECKED_OUT,
+    checkedOutAt,
+  }));
+
+  const { ok } = await runTransaction(
+    state.db,
+    [STORES.CHECKINS, STORES.OUTBOX],
+    TRANSACTION_MODES.WRITE,
+    (stores) => {
+      records.forEach((record) => {
+        stores[STORES.CHECKINS].put(record);
+        stores[STORES.OUTBOX].put(createOutboxEntry(SYNC_TYPES.CHECK_OUT, record));
+      });
+    }
+  );
+
+  log(ok ? 'info' : 'error', ok ? 'Children checked out' : 'Check-out failed', { children: records.length });
+
+  return { ok, records: ok ? records : [] };
+}
+
+/**
+ * Removes checked-out records past the retention period once they have synced
+ * @returns {Promise<number>} Number of records removed
+ */
+async function purgeExpiredCheckins() {
+  const cutoff = Date.now() - CONFIG.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const [checkedOut, outbox] = await Promise.all([
+    getAllRecords(state.db, STORES.CHECKINS, { index: 'status', query: CHECKIN_STATUS.CHECKED_OUT }),
+    getAllRecords(state.db, STORES.OUTBOX),
+  ]);
+  const unsynced = new Set(outbox.map((entry) => entry.payload && entry.payload.id));
+
+  const expired = checkedOut.filter((record) => !unsynced.has(record.id)
+    && new Date(record.checkedOutAt).getTime() < cutoff);
+
+  if (!expired.length) return 0;
+
+  const { ok } = await runTransaction(state.db, STORES.CHECKINS, TRANSACTION_MODES.WRITE, (stores) => {
+    expired.forEach((record) => stores[STORES.CHECKINS].delete(record.id));
+  });
+
+  if (ok) {
+    log('info', 'Expired check-in records removed', { count: expired.length });
+  }
+  return ok ? expired.length : 0;
+}
+
+// ============================================================================
+// SYNC
+// ============================================================================
+
+/**
+ * Shows how many changes are waiting to sync
+ * @returns {Promise<number>} Pending change count
+ */
+async function updateSyncStatus() {
+  const count = await countRecords(state.db, STORES.OUTBOX);
+  const element = querySelector(SELECTORS.SYNC_STATUS, state.root || document);
+
+  if (element) {
+    let text = MESSAGES.SYNCED;
+    if (count === 1) {
+      text = MESSAGES.PENDING_ONE;
+    } else if (count > 1) {
+      text = MESSAGES.PENDING_MANY.replace('{count}', count);
+    }
+
+    element.textContent = text;
+    element.classList.toggle(CLASSES.SYNC_PENDING, count > 0);
+  }
+
+  return count;
+}
+
+/**
+ * Sends queued changes to the sync endpoint, oldest first. Stops at the first
+ * failure so records always reach the server in the order they were made.
+ * @returns {Promise<Object>} { sent, remaining }
+ */
+async function syncOutbox() {
+  if (!state.db || state.isSyncing || (typeof navigator !== 'undefined' && navigator.onLine === false)) {
+    return { sent: 0, remaining: await countRecords(state.db, STORES.OUTBOX) };
+  }
+
+  state.isSyncing = true;
+  let sent = 0;
+
+  try {
+    const entries = await getAllRecords(state.db, STORES.OUTBOX, { index: 'createdAt' });
+
+    for (const entry of entries) {
+      const result = await submitForm(
+        state.syncEndpoint,
+        { type: entry.type, payload: entry.payload, createdAt: entry.createdAt },
+        {
+          idempotencyKey: entry.id,
+          formType: 'childrens-checkin',
+          queueWhenOffline: false, // The outbox already keeps it
+        }
+      );
+
+      if (result.status !== SUBMISSION_STATUS.SENT) {
+        const stored = await getRecord(state.db, STORES.OUTBOX, entry.id);
+        if (stored) {
+          await runTransaction(state.db, STORES.OUTBOX, TRANSACTION_MODES.WRITE, (stores) => {
+            stores[STORES.OUTBOX].put({ ...stored, attempts: stored.attempts + 1 });
+          });
+        }
+        log('warn', 'Sync stopped, will retry later', { entryId: entry.id, status: result.status });
+        break;
+      }
+
+      await deleteRecord(state.db, STORES.OUTBOX, entry.id);
+      sent += 1;
+    }
+  } finally {
+    state.isSyncing = false;
+  }
+
+  const remaining = await updateSyncStatus();
+  if (sent) {
+    log('info', 'Check-in changes synced', { sent, remaining });
+  }
+
+  return { sent, remaining };
+}
+
+// ============================================================================
+// UI HELPERS
+// ============================================================================
+
+/**
+ * Shows a message above the active step
+ * @param {string} text - Message text
+ * @param {string} [type='error'] - 'error' or 'success'
+ */
+function showMessage(text, type = 'error') {
+  const element = querySelector(SELECTORS.MESSAGE, state.root);
+  if (!element) return;
+
+  element.textContent = text;
+  element.classList.toggle(CLASSES.MESSAGE_ERROR, type === 'error');
+  element.classList.toggle(CLASSES.MESSAGE_SUCCESS, type === 'success');
+  element.hidden = false;
+}
+
+/**
+ * Hides the message area
+ */
+function clearMessage() {
+  const element = querySelector(SELECTORS.MESSAGE, state.root);
+  if (!element) return;
+
+  element.textContent = '';
+  element.hidden = true;
+}
+
+/**
+ * Shows one check-in step and hides the others
+ * @param {string} step - One of STEPS
+ */
+function showStep(step) {
+  querySelectorAll(SELECTORS.STEPS, state.root).forEach((element) => {
+    element.hidden = element.dataset.checkinStep !== step;
+  });
+
+  const active = querySelector(`[data-checkin-step="${step}"]`, state.root);
+  const focusTarget = active && querySelector('input:not([type="hidden"]):not([disabled]), button', active);
+  if (focusTarget) {
+    focusTarget.focus();
+  }
+}
+
+/**
+ * Switches between the check-in and pick-up panels
+ * @param {string} mode - One of MODES
+ */
+function setMode(mode) {
+  querySelectorAll(SELECTORS.MODE_BUTTONS, state.root).forEach((button) => {
+    button.setAttribute('aria-pressed', String(button.dataset.checkinMode === mode));
+  });
+  querySelectorAll(SELECTORS.PANELS, state.root).forEach((panel) => {
+    panel.hidden = panel.dataset.checkinPanel !== mode;
+  });
+
+  resetKiosk();
+}
+
+/**
+ * Returns the kiosk to its first screen and forgets the current family
+ */
+function resetKiosk() {
+  state.family = null;
+  state.pickupCode = null;
+
+  querySelectorAll('form', state.root).forEach((form) => form.reset());
+
+  const rows = querySelector(SELECTORS.CHILD_ROWS, state.root);
+  if (rows) {
+    rows.innerHTML = '';
+  }
+
+  const sheet = querySelector(SELECTORS.TAG_SHEET, state.root);
+  if (sheet) {
+    sheet.innerHTML = '';
+  }
+
+  const releaseForm = querySelector(SELECTORS.RELEASE_FORM, state.root);
+  if (releaseForm) {
+    releaseForm.hidden = true;
+  }
+
+  clearMessage();
+  showStep(STEPS.LOOKUP);
+
+  // The lookup step may sit in the hidden check-in panel; start where the visitor is
+  const panel = querySelector(`${SELECTORS.PANELS}:not([hidden])`, state.root);
+  const firstInput = panel && querySelector('input', panel);
+  if (firstInput) {
+    firstInput.focus();
+  }
+}
+
+/**
+ * Restarts the idle timer that clears family details from the screen
+ */
+function resetIdleTimer() {
+  clearTimeout(state.idleTimer);
+  state.idleTimer = setTimeout(() => {
+    if (state.family || state.pickupCode) {
+      log('info', 'Kiosk idle, clearing screen');
+      resetKiosk();
+    }
+  }, CONFIG.IDLE_RESET_DELAY);
+}
+
+/**
+ * Disables a form's submit button while work is in progress
+ * @param {HTMLFormElement} form - Form
+ * @param {boolean} busy - Whether the form is busy
+ */
+function setBusy(form, busy) {
+  const button = querySelector(SELECTORS.SUBMIT_BUTTON, form);
+  if (button) {
+    button.disabled = busy;
+  }
+  form.setAttribute('aria-busy', String(busy));
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Adds an empty child row to the registration form
+ */
+function addChildRow() {
+  const template = querySelector(SELECTORS.CHILD_TEMPLATE, state.root);
+  const rows = querySelector(SELECTORS.CHILD_ROWS, state.root);
+  if (!template || !rows) return;
+
+  rows.appendChild(template.content.cloneNode(true));
+
+  const added = rows.lastElementChild;
+  const firstInput = added && querySelector('input', added);
+  if (firstInput) {
+    firstInput.focus();
+  }
+}
+
+/**
+ * Reads the child rows of the registration form
+ * @param {HTMLFormElement} form - Registration form
+ * @returns {Array<Object>} Children { firstName, lastName, birthdate, allergies, notes }
+ */
+function readChildRows(form) {
+  return Array.from(querySelectorAll(SELECTORS.CHILD_ROW, form)).map((row) => {
+    const value = (name) => {
+      const field = querySelector(`[name="${name}"]`, row);
+      return field ? field.value.trim() : '';
+    };
+
+    return {
+      firstName: value('firstName'),
+      lastName: value('lastName'),
+      birthdate: value('birthdate'),
+      allergies: value('allergies'),
+      notes: value('notes'),
+    };
+  }).filter((child) => child.firstName || child.lastName || child.birthdate);
+}
+
+/**
+ * Builds the room options for a child
+ * @param {Object|null} assigned - Age group picked from the birthdate
+ * @returns {string} Option HTML
+ */
+function renderRoomOptions(assigned) {
+  const placeholder = assigned ? '' : `<option value="">${escapeHTML(MESSAGES.CHOOSE_ROOM)}</option>`;
+
+  return placeholder + state.ageGroups.map((group) => `
+    <option value="${escapeHTML(group.name)}"${assigned && assigned.name === group.name ? ' selected' : ''}>
+      ${escapeHTML(group.room)} (${escapeHTML(group.name)})
+    </option>
+  `).join('');
+}
+
+/**
+ * Renders the family's children with their assigned rooms
+ * @param {Object} family - Family record
+ * @param {Map<string, Object>} active - Children already checked in
+ */
+function renderFamily(family, active) {
+  const nameElement = querySelector(SELECTORS.FAMILY_NAME, state.root);
+  if (nameElement) {
+    nameElement.textContent = family.guardianName;
+  }
+
+  const list = querySelector(SELECTORS.CHILD_OPTIONS, state.root);
+  if (!list) return;
+
+  const serviceDate = getServiceDate();
+
+  list.innerHTML = family.children.map((child) => {
+    const name = escapeHTML(getChildName(child));
+    const months = getAgeInMonths(child.birthdate, serviceDate);
+    const age = months === null ? '' : ` <span class="checkin-option__age">${escapeHTML(formatAge(months))}</span>`;
+
+    if (active.has(child.id)) {
+      return `
+        <li class="checkin-option checkin-option--disabled">
+          <span class="checkin-option__name">${name}${age}</span>
+          <span class="checkin-option__status">${escapeHTML(MESSAGES.ALREADY_CHECKED_IN)} - ${escapeHTML(active.get(child.id).room)}</span>
+        </li>
+      `;
+    }
+
+    const assigned = assignAgeGroup(child, serviceDate);
+    const roomId = `checkin-room-${escapeHTML(child.id)}`;
+
+    return `
+      <li class="checkin-option">
+        <label class="checkin-option__name">
+          <input type="checkbox" name="child" value="${escapeHTML(child.id)}" checked>
+          ${name}${age}
+        </label>
+        <label class="checkin-option__room" for="${roomId}">
+          <span class="sr-only">Room for ${name}</span>
+          <select id="${roomId}" name="room-${escapeHTML(child.id)}">${renderRoomOptions(assigned)}</select>
+        </label>
+        ${assigned ? '' : `<span class="checkin-option__status">${escapeHTML(MESSAGES.NO_ROOM)}</span>`}
+        ${child.allergies ? `<span class="checkin-option__alert">${escapeHTML(MESSAGES.ALLERGIES)}: ${escapeHTML(child.allergies)}</span>` : ''}
+      </li>
+    `;
+  }).join('');
+}
+
+/**
+ * Renders the printable parent tag and one tag per child
+ * @param {Object} family - Family record
+ * @param {string} code - Pickup code
+ * @param {Array<Object>} records - Check-in records
+ */
+function renderTags(family, code, records) {
+  const sheet = querySelector(SELECTORS.TAG_SHEET, state.root);
+  if (!sheet) return;
+
+  const date = escapeHTML(records[0] ? records[0].serviceDate : getServiceDate());
+  const codeHTML = `<span class="checkin-tag__code" aria-label="Pickup code ${code.split('').join(' ')}">${escapeHTML(code)}</span>`;
+
+  const parentTag = `
+    <article class="checkin-tag checkin-tag--parent">
+      <p class="checkin-tag__label">${escapeHTML(MESSAGES.PARENT_TAG)}</p>
+      ${codeHTML}
+      <p class="checkin-tag__name">${escapeHTML(family.guardianName)}</p>
+      <ul class="checkin-tag__children" role="list">
+        ${records.map((record) => `<li>${escapeHTML(record.childName)} - ${escapeHTML(record.room)}</li>`).join('')}
+      </ul>
+      <p class="checkin-tag__date">${date}</p>
+    </article>
+  `;
+
+  const childTags = records.map((record) => `
+    <article class="checkin-tag checkin-tag--child">
+      <p class="checkin-tag__label">${escapeHTML(MESSAGES.CHILD_TAG)}</p>
+      ${codeHTML}
+      <p class="checkin-tag__name">${escapeHTML(record.childName)}</p>
+      <p class="checkin-tag__room">${escapeHTML(record.room)}</p>
+      ${record.allergies ? `<p class="checkin-tag__alert">${escapeHTML(MESSAGES.ALLERGIES)}: ${escapeHTML(record.allergies)}</p>` : ''}
+      ${record.notes ? `<p class="checkin-tag__notes">${escapeHTML(MESSAGES.NOTES)}: ${escapeHTML(record.notes)}</p>` : ''}
+      <p class="checkin-tag__date">${date}</p>
+    </article>
+  `).join('');
+
+  sheet.innerHTML = parentTag + childTags;
+}
+
+/**
+ * Renders the children waiting to be picked up under a code
+ * @param {Array<Object>} records - Active check-in records
+ */
+function renderReleaseList(records) {
+  const list = querySelector(SELECTORS.RELEASE_LIST, state.root);
+  if (!list) return;
+
+  list.innerHTML = records.map((record) => `
+    <li class="checkin-option">
+      <label class="checkin-option__name">
+        <input type="checkbox" name="checkin" value="${escapeHTML(record.id)}" checked>
+        ${escapeHTML(record.childName)}
+      </label>
+      <span class="checkin-option__status">${escapeHTML(record.room)}</span>
+    </li>
+  `).join('');
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+/**
+ * Looks up a family by phone
+ * @param {Event} event - Submit event
+ */
+async function handleLookupSubmit(event) {
+  event.preventDefault();
+  const form = event.currentTarget;
+  const phone = normalizePhone(new FormData(form).get('phone'));
+
+  clearMessage();
+
+  if (phone.length < CONFIG.MIN_PHONE_DIGITS) {
+    showMessage(MESSAGES.PHONE_INVALID);
+    return;
+  }
+
+  setBusy(form, true);
+  const family = await findFamilyByPhone(phone);
+  setBusy(form, false);
+
+  if (family) {
+    state.family = family;
+    renderFamily(family, await getActiveCheckinsForFamily(family.id));
+    showStep(STEPS.FAMILY);
+    return;
+  }
+
+  const registerForm = querySelector(SELECTORS.REGISTER_FORM, state.root);
+  if (registerForm) {
+    registerForm.reset();
+    registerForm.elements.phone.value = form.elements.phone.value;
+    registerForm.elements.guardianName.readOnly = false;
+    registerForm.elements.phone.readOnly = false;
+  }
+
+  const rows = querySelector(SELECTORS.CHILD_ROWS, state.root);
+  if (rows) {
+    rows.innerHTML = '';
+  }
+
+  showStep(STEPS.REGISTER);
+  addChildRow();
+  showMessage(MESSAGES.FAMILY_NOT_FOUND, 'success');
+}
+
+/**
+ * Opens the registration form to add children to the current family
+ */
+function handleRegisterChild() {
+  const form = querySelector(SELECTORS.REGISTER_FORM, state.root);
+  const rows = querySelector(SELECTORS.CHILD_ROWS, state.root);
+  if (!form || !rows || !state.family) return;
+
+  form.reset();
+  form.elements.guardianName.value = state.family.guardianName;
+  form.elements.phone.value = state.family.phone;
+  form.elements.guardianName.readOnly = true;
+  form.elements.phone.readOnly = true;
+  rows.innerHTML = '';
+
+  clearMessage();
+  showStep(STEPS.REGISTER);
+  addChildRow();
+}
+
+/**
+ * Saves a new family, or new children for the current family
+ * @param {Event} event - Submit event
+ */
+async function handleRegisterSubmit(event) {
+  event.preventDefault();
+  const form = event.currentTarget;
+  const formData = new FormData(form);
+  const guardianName = String(formData.get('guardianName') || '').trim();
+  const phone = normalizePhone(formData.get('phone'));
+  const children = readChildRows(form);
+
+  clearMessage();
+
+  if (!guardianName) {
+    showMessage(MESSAGES.GUARDIAN_REQUIRED);
+    return;
+  }
+  if (phone.length < CONFIG.MIN_PHONE_DIGITS) {
+    showMessage(MESSAGES.PHONE_INVALID);
+    return;
+  }
+  if (!children.length || children.some((child) => !child.firstName || !child.birthdate)) {
+    showMessage(MESSAGES.CHILD_REQUIRED);
+    return;
+  }
+  if (children.some((child) => getAgeInMonths(child.birthdate, getServiceDate()) === null)) {
+    showMessage(MESSAGES.BIRTHDATE_INVALID);
+    return;
+  }
+
+  setBusy(form, true);
+
+  const now = new Date().toISOString();
+  const existing = state.family || await findFamilyByPhone(phone);
+  const family = existing
+    ? { ...existing }
+    : { id: createId('family'), guardianName, phone, children: [], createdAt: now };
+
+  family.children = [
+    ...family.children,
+    ...children.map((child) => ({ id: createId('child'), ...child })),
+  ];
+
+  const saved = await saveFamily(family);
+  setBusy(form, false);
+
+  if (!saved) {
+    showMessage(MESSAGES.SAVE_FAILED);
+    return;
+  }
+
+  state.family = family;
+  renderFamily(family, await getActiveCheckinsForFamily(family.id));
+  showStep(STEPS.FAMILY);
+  updateSyncStatus();
+  syncOutbox();
+}
+
+/**
+ * Checks in the selected children and shows their tags
+ * @param {Event} event - Submit event
+ */
+async function handleFamilySubmit(event) {
+  event.preventDefault();
+  const form = event.currentTarget;
+  const family = state.family;
+  if (!family) return;
+
+  clearMessage();
+
+  const selectedIds = Array.from(querySelectorAll('input[name="child"]:checked', form), (input) => input.value);
+  if (!selectedIds.length) {
+    showMessage(MESSAGES.SELECT_CHILD);
+    return;
+  }
+
+  const selections = selectedIds.map((childId) => {
+    const child = family.children.find((item) => item.id === childId);
+    const select = form.elements[`room-${childId}`];
+    const group = state.ageGroups.find((item) => select && item.name === select.value);
+    return { child, room: group ? group.room : '', groupName: group ? group.name : '' };
+  });
+
+  if (selections.some((selection) => !selection.child || !selection.room)) {
+    showMessage(MESSAGES.ROOM_REQUIRED);
+    return;
+  }
+
+  setBusy(form, true);
+  const result = await checkInChildren(family, selections);
+  setBusy(form, false);
+
+  if (!result.ok) {
+    showMessage(MESSAGES.CHECKIN_FAILED);
+    return;
+  }
+
+  renderTags(family, result.code, result.records);
+  showStep(STEPS.TAGS);
+  showMessage(MESSAGES.CHECKED_IN, 'success');
+  announcePolite(`${MESSAGES.CHECKED_IN} ${result.records.length} checked in.`);
+  updateSyncStatus();
+  syncOutbox();
+}
+
+/**
+ * Looks up the children checked in under a pickup code
+ * @param {Event} event - Submit event
+ */
+async function handlePickupSubmit(event) {
+  event.preventDefault();
+  const form = event.currentTarget;
+  const code = normalizePickupCode(new FormData(form).get('code'));
+  const releaseForm = querySelector(SELECTORS.RELEASE_FORM, state.root);
+
+  clearMessage();
+  state.pickupCode = null;
+  if (releaseForm) {
+    releaseForm.hidden = true;
+  }
+
+  if (code.length !== CONFIG.CODE_LENGTH) {
+    showMessage(MESSAGES.CODE_INVALID);
+    return;
+  }
+
+  const records = await findCheckinsByCode(code);
+  if (!records.length) {
+    showMessage(MESSAGES.CODE_NOT_FOUND);
+    return;
+  }
+
+  state.pickupCode = code;
+  renderReleaseList(records);
+
+  if (releaseForm) {
+    releaseForm.hidden = false;
+    const button = querySelector(SELECTORS.SUBMIT_BUTTON, releaseForm);
+    if (button) {
+      button.focus();
+    }
+  }
+}
+
+/**
+ * Confirms pickup of the selected children
+ * @param {Event} event - Submit event
+ */
+async function handleReleaseSubmit(event) {
+  event.preventDefault();
+  const form = event.currentTarget;
+
+  clearMessage();
+
+  if (!state.pickupCode) {
+    showMessage(MESSAGES.CODE_INVALID);
+    return;
+  }
+
+  const checkinIds = Array.from(querySelectorAll('input[name="checkin"]:checked', form), (input) => input.value);
+  if (!checkinIds.length) {
+    showMessage(MESSAGES.SELECT_RELEASE);
+    return;
+  }
+
+  setBusy(form, true);
+  const result = await checkOutChildren(state.pickupCode, checkinIds);
+  setBusy(form, false);
+
+  if (!result.ok) {
+    showMessage(MESSAGES.CHECKOUT_FAILED);
+    return;
+  }
+
+  resetKiosk();
+  showMessage(MESSAGES.CHECKED_OUT, 'success');
+  announcePolite(MESSAGES.CHECKED_OUT);
+  updateSyncStatus();
+  syncOutbox();
+}
+
+/**
+ * Handles clicks on kiosk buttons
+ * @param {Event} event - Click event
+ */
+function handleClick(event) {
+  const target = event.target.closest('button');
+  if (!target || !state.root.contains(target)) return;
+
+  if (target.matches(SELECTORS.MODE_BUTTONS)) {
+    setMode(target.dataset.checkinMode);
+  } else if (target.matches(SELECTORS.ADD_CHILD)) {
+    addChildRow();
+  } else if (target.matches(SELECTORS.REMOVE_CHILD)) {
+    const row = target.closest(SELECTORS.CHILD_ROW);
+    if (row && querySelectorAll(SELECTORS.CHILD_ROW, state.root).length > 1) {
+      row.remove();
+    }
+  } else if (target.matches(SELECTORS.REGISTER_CHILD)) {
+    handleRegisterChild();
+  } else if (target.matches(SELECTORS.PRINT)) {
+    window.print();
+  } else if (target.matches(SELECTORS.DONE) || target.matches(SELECTORS.CANCEL)) {
+    resetKiosk();
+  }
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Loads the age groups that rooms are assigned from
+ * @returns {Promise<Array<Object>>} Age groups (empty on failure)
+ */
+async function loadAgeGroups() {
+  try {
+    const response = await fetch(CONFIG.DATA_URL);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return getRoomAgeGroups(await response.json());
+  } catch (error) {
+    log('error', 'Failed to load age groups', { error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Binds a submit handler to a form inside the kiosk
+ * @param {string} selector - Form selector
+ * @param {Function} handler - Submit handler
+ */
+function bindForm(selector, handler) {
+  const form = querySelector(selector, state.root);
+  if (form) {
+    form.addEventListener('submit', handler);
+  }
+}
+
+/**
+ * Initializes the check-in kiosk
+ * @returns {Promise<boolean>} True if the kiosk is ready
+ */
+async function initCheckin() {
+  if (state.initialized) return true;
+
+  state.root = querySelector(SELECTORS.ROOT);
+  if (!state.root) {
+    log('info', 'Check-in kiosk not found - skipping initialization');
+    return false;
+  }
+
+  state.syncEndpoint = state.root.dataset.syncEndpoint || CONFIG.SYNC_ENDPOINT;
+
+  const [db, ageGroups] = await Promise.all([
+    openDatabase(CONFIG.DB_NAME, CONFIG.DB_VERSION, upgradeDatabase),
+    loadAgeGroups(),
+  ]);
+
+  if (!db || !ageGroups.length) {
+    log('error', 'Check-in kiosk unavailable', { database: Boolean(db), ageGroups: ageGroups.length });
+    showMessage(MESSAGES.UNAVAILABLE);
+    querySelectorAll('form', state.root).forEach((form) => {
+      form.hidden = true;
+    });
+    return false;
+  }
+
+  state.db = db;
+  state.ageGroups = ageGroups;
+
+  bindForm(SELECTORS.LOOKUP_FORM, handleLookupSubmit);
+  bindForm(SELECTORS.REGISTER_FORM, handleRegisterSubmit);
+  bindForm(SELECTORS.FAMILY_FORM, handleFamilySubmit);
+  bindForm(SELECTORS.PICKUP_FORM, handlePickupSubmit);
+  bindForm(SELECTORS.RELEASE_FORM, handleReleaseSubmit);
+  state.root.addEventListener('click', handleClick);
+  state.root.addEventListener('input', resetIdleTimer);
+  state.root.addEventListener('click', resetIdleTimer);
+  window.addEventListener('online', syncOutbox);
+
+  state.initialized = true;
+  setMode(MODES.CHECK_IN);
+
+  await purgeExpiredCheckins();
+  await updateSyncStatus();
+  syncOutbox();
+
+  log('info', 'Check-in kiosk initialized', { rooms: ageGroups.length });
+  return true;
+}
+
+// ============================================================================
+// AUTO-INITIALIZATION
+// ============================================================================
+
+function handleDOMReady() {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initCheckin);
+  } else {
+    initCheckin();
+  }
+}
+
+handleDOMReady();
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  initCheckin,
+  getAgeInMonths,
+  getRoomAgeGroups,
+  assignAgeGroup,
+  generatePickupCode,
+  normalizePickupCode,
+  checkInChildren,
+  checkOutChildren,
+  findCheckinsByCode,
+  syncOutbox,
+  CHECKIN_STATUS,
+  SYNC_TYPES,
+};
@@ -0,0 +1,514 @@
+/**
+ * Consent Banner and Preferences
+ *
+ * Asks visitors for their privacy choices (stored by utils/consent.js):
+ * - A banner with "Accept all", "Reject all" and "Manage preferences", shown
+ *   until the visitor chooses and again when the consent version changes
+ * - A preferences dialog with a switch per category; necessary storage
+ *   cannot be turned off
+ * - Footer "Cookie settings" buttons (`data-consent-settings`) reopen the
+ *   dialog at any time
+ *
+ * Third-party embeds are blocked until their category is allowed. Write them
+ * with `data-consent-src` instead of `src`, and optionally
+ * `data-consent-category` (defaults to marketing):
+ *
+ *   <iframe data-consent-src="https://www.youtube-nocookie.com/embed/ID"
+ *           title="Sunday service video"></iframe>
+ *
+ * Until then a placeholder explains why and offers to allow them.
+ *
+ * @module components/consent-manager
+ * @generated-from: task-id:user-025
+ * @modifies: none (new file)
+ * @dependencies: [consent, accessibility]
+ */
+
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import {
+  initConsent,
+  getConsent,
+  hasCategoryConsent,
+  needsConsent,
+  saveConsent,
+  updateConsent,
+  acceptAllConsent,
+  rejectAllConsent,
+  CONSENT_CATEGORIES,
+  CONSENT_EVENT,
+} from '../utils/consent.js';
+import { announce } from '../utils/accessibility.js';
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const CONFIG = Object.freeze({
+  BANNER_ID: 'consent-banner',
+  DIALOG_ID: 'consent-preferences',
+  DEFAULT_EMBED_CATEGORY: CONSENT_CATEGORIES.MARKETING,
+  BLANK_SRC: 'about:blank',
+});
+
+const SELECTORS = Object.freeze({
+  SETTINGS_TRIGGER: '[data-consent-settings]',
+  EMBED: 'iframe[data-consent-src]',
+  FORM: '.consent-dialog__form',
+  CLOSE: '.consent-dialog__close',
+  ACTION: '[data-consent-action]',
+});
+
+const CLASSES = Object.freeze({
+  BANNER: 'consent-banner',
+  DIALOG: 'consent-dialog',
+  CATEGORY: 'consent-dialog__category',
+  PLACEHOLDER: 'consent-placeholder',
+  PLACEHOLDER_TEXT: 'consent-placeholder__text',
+  PLACEHOLDER_ACTIONS: 'consent-placeholder__actions',
+  BUTTON: 'consent-btn',
+  BUTTON_PRIMARY: 'consent-btn--primary',
+});
+
+const ACTIONS = Object.freeze({
+  ACCEPT_ALL: 'accept-all',
+  REJECT_ALL: 'reject-all',
+  MANAGE: 'manage',
+  ALLOW_EMBED: 'allow-embed',
+});
+
+// Shown in the preferences dialog, in this order
+const CATEGORY_DETAILS = Object.freeze([
+  {
+    category: CONSENT_CATEGORIES.NECESSARY,
+    label: 'Necessary',
+    description: 'Keeps the site working: your saved choices, forms waiting to be sent while offline and security. Always on.',
+  },
+  {
+    category: CONSENT_CATEGORIES.ANALYTICS,
+    label: 'Analytics',
+    description: 'Anonymous Google Analytics statistics that show us which pages help visitors most.',
+  },
+  {
+    category: CONSENT_CATEGORIES.MARKETING,
+    label: 'Marketing & embeds',
+    description: 'Google Maps and YouTube videos shown on our pages. These services may set their own cookies.',
+  },
+  {
+    category: CONSENT_CATEGORIES.NOTIFICATIONS,
+    label: 'Notifications',
+    description: 'Event reminders and announcements you choose on the events page, sent as push notifications.',
+  },
+]);
+
+const MESSAGES = Object.freeze({
+  BANNER_TITLE: 'Your privacy choices',
+  BANNER_TEXT: 'We use necessary storage to run this site. With your permission we also use analytics, show maps and videos from Google and YouTube, and send event notifications.',
+  DIALOG_TITLE: 'Cookie settings',
+  DIALOG_INTRO: 'Choose what this site may use. You can change your choices at any time from "Cookie settings" at the bottom of each page.',
+  ACCEPT_ALL: 'Accept all',
+  REJECT_ALL: 'Reject all',
+  MANAGE: 'Manage preferences',
+  SAVE: 'Save choices',
+  SAVED: 'Your cookie choices have been saved.',
+  EMBED_BLOCKED: 'is provided by a third party that may set cookies. It is shown once you allow marketing and embedded content.',
+  ALLOW_EMBED: 'Allow embedded content',
+  SETTINGS: 'Cookie settings',
+});
+
+// ============================================================================
+// STATE MANAGEMENT
+// ============================================================================
+
+const state = {
+  banner: null,
+  dialog: null,
+  placeholders: new WeakMap(), // iframe -> placeholder element
+  initialized: false,
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Safely queries a single DOM element
+ * @param {string} selector - CSS selector
+ * @param {Document|Element} context - Context to query within
+ * @returns {Element|null} Found element or null
+ */
+function querySelector(selector, context = document) {
+  try {
+    return context.querySelector(selector);
+  } catch (error) {
+    console.error(`[ConsentManager] Invalid selector: ${selector}`, error);
+    return null;
+  }
+}
+
+/**
+ * Safely queries multiple DOM elements
+ * @param {string} selector - CSS selector
+ * @param {Document|Element} context - Context to query within
+ * @returns {Array<Element>} Found elements
+ */
+function querySelectorAll(selector, context = document) {
+  try {
+    return Array.from(context.querySelectorAll(selector));
+  } catch (error) {
+    console.error(`[ConsentManager] Invalid selector: ${selector}`, error);
+    return [];
+  }
+}
+
+/**
+ * Logs structured messages with context
+ * @param {string} level - Log level (info, warn, error)
+ * @param {string} message - Log message
+ * @param {Object} context - Additional context data
+ */
+function log(level, message, context = {}) {
+  const logMethod = console[level] || console.log;
+  logMethod('[ConsentManager]', message, context);
+}
+
+/**
+ * Creates a button
+ * @param {string} text - Button text
+ * @param {string} action - One of ACTIONS
+ * @param {boolean} [primary] - Style as the main action
+ * @returns {HTMLButtonElement} Button
+ */
+function createButton(text, action, primary = false) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = primary ? `${CLASSES.BUTTON} ${CLASSES.BUTTON_PRIMARY}` : CLASSES.BUTTON;
+  button.dataset.consentAction = action;
+  button.textContent = text;
+  return button;
+}
+
+// ============================================================================
+// EMBEDS
+// ============================================================================
+
+/**
+ * Creates the placeholder shown in place of a blocked embed
+ * @param {HTMLIFrameElement} iframe - Blocked embed
+ * @returns {HTMLElement} Placeholder
+ */
+function createPlaceholder(iframe) {
+  const placeholder = document.createElement('div');
+  placeholder.className = CLASSES.PLACEHOLDER;
+
+  const text = document.createElement('p');
+  text.className = CLASSES.PLACEHOLDER_TEXT;
+  text.textContent = `${iframe.title || 'This content'} ${MESSAGES.EMBED_BLOCKED}`;
+
+  const actions = document.createElement('div');
+  actions.className = CLASSES.PLACEHOLDER_ACTIONS;
+
+  const allowButton = createButton(MESSAGES.ALLOW_EMBED, ACTIONS.ALLOW_EMBED, true);
+  allowButton.addEventListener('click', () => {
+    const category = iframe.dataset.consentCategory || CONFIG.DEFAULT_EMBED_CATEGORY;
+    updateConsent({ [category]: true });
+    announce(MESSAGES.SAVED);
+  });
+
+  const settingsButton = createButton(MESSAGES.SETTINGS, ACTIONS.MANAGE);
+  settingsButton.addEventListener('click', openConsentPreferences);
+
+  actions.append(allowButton, settingsButton);
+  placeholder.append(text, actions);
+  return placeholder;
+}
+
+/**
+ * Loads or blocks an embed according to its category
+ * @param {HTMLIFrameElement} iframe - Embed written with data-consent-src
+ */
+function syncEmbed(iframe) {
+  const category = iframe.dataset.consentCategory || CONFIG.DEFAULT_EMBED_CATEGORY;
+  let placeholder = state.placeholders.get(iframe);
+
+  if (hasCategoryConsent(category)) {
+    if (iframe.getAttribute('src') !== iframe.dataset.consentSrc) {
+      iframe.src = iframe.dataset.consentSrc;
+    }
+    iframe.hidden = false;
+    if (placeholder) placeholder.hidden = true;
+    return;
+  }
+
+  // Unload an embed whose consent was withdrawn
+  if (iframe.hasAttribute('src') && iframe.getAttribute('src') !== CONFIG.BLANK_SRC) {
+    iframe.src = CONFIG.BLANK_SRC;
+  }
+  iframe.hidden = true;
+
+  if (!placeholder) {
+    placeholder = createPlaceholder(iframe);
+    iframe.after(placeholder);
+    state.placeholders.set(iframe, placeholder);
+  }
+  placeholder.hidden = false;
+}
+
+/**
+ * Loads or blocks every embed on the page
+ */
+function syncEmbeds() {
+  querySelectorAll(SELECTORS.EMBED).forEach(syncEmbed);
+}
+
+// ============================================================================
+// BANNER
+// ============================================================================
+
+/**
+ * Removes the banner
+ */
+function hideBanner() {
+  if (state.banner) {
+    state.banner.remove();
+    state.banner = null;
+  }
+}
+
+/**
+ * Shows the banner asking for the visitor's choices
+ */
+function showBanner() {
+  if (state.banner) {
+    return;
+  }
+
+  const banner = document.createElement('section');
+  banner.id = CONFIG.BANNER_ID;
+  banner.className = CLASSES.BANNER;
+  banner.setAttribute('aria-labelledby', `${CONFIG.BANNER_ID}-title`);
+  banner.innerHTML = `
+    <div class="consent-banner__content">
+      <h2 id="${CONFIG.BANNER_ID}-title" class="consent-banner__title">${MESSAGES.BANNER_TITLE}</h2>
+      <p class="consent-banner__text">${MESSAGES.BANNER_TEXT}</p>
+    </div>
+    <div class="consent-banner__actions"></div>
+  `;
+
+  querySelector('.consent-banner__actions', banner).append(
+    createButton(MESSAGES.ACCEPT_ALL, ACTIONS.ACCEPT_ALL, true),
+    createButton(MESSAGES.REJECT_ALL, ACTIONS.REJECT_ALL),
+    createButton(MESSAGES.MANAGE, ACTIONS.MANAGE),
+  );
+  banner.addEventListener('click', handleActionClick);
+
+  document.body.appendChild(banner);
+  state.banner = banner;
+  log('info', 'Consent banner shown');
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+/**
+ * Handles the accept, reject and manage buttons of the banner and dialog
+ * @param {MouseEvent} event - Click event
+ */
+function handleActionClick(event) {
+  const button = event.target.closest(SELECTORS.ACTION);
+  if (!button) return;
+
+  switch (button.dataset.consentAction) {
+    case ACTIONS.ACCEPT_ALL:
+      acceptAllConsent();
+      break;
+    case ACTIONS.REJECT_ALL:
+      rejectAllConsent();
+      break;
+    case ACTIONS.MANAGE:
+      openConsentPreferences();
+      return;
+    default:
+      return;
+  }
+
+  closeConsentPreferences();
+  announce(MESSAGES.SAVED);
+}
+
+/**
+ * Saves the choices made in the dialog
+ * @param {SubmitEvent} event - Submit event
+ */
+function handleFormSubmit(event) {
+  event.preventDefault();
+
+  const form = event.currentTarget;
+  const categories = CATEGORY_DETAILS.reduce((choices, { category }) => {
+    choices[category] = form.elements[category].checked;
+    return choices;
+  }, {});
+
+  saveConsent(categories);
+  closeConsentPreferences();
+  announce(MESSAGES.SAVED);
+}
+
+/**
+ * Opens the dialog from footer "Cookie settings" buttons
+ * @param {MouseEvent} event - Click event
+ */
+function handleDocumentClick(event) {
+  const trigger = event.target.closest(SELECTORS.SETTINGS_TRIGGER);
+  if (trigger) {
+    event.preventDefault();
+    openConsentPreferences();
+  }
+}
+
+/**
+ * Follows consent changes from this tab or another one
+ */
+function handleConsentChange() {
+  syncEmbeds();
+
+  if (needsConsent()) {
+    showBanner();
+  } else {
+    hideBanner();
+  }
+}
+
+/**
+ * Closes the dialog when the backdrop is clicked
+ * @param {MouseEvent} event - Click event
+ */
+function handleBackdropClick(event) {
+  if (event.target === state.dialog) {
+    closeConsentPreferences();
+  }
+}
+
+// ============================================================================
+// DIALOG
+// ============================================================================
+
+/**
+ * Builds the switch for a category
+ * @param {Object} details - Entry of CATEGORY_DETAILS
+ * @returns {string} HTML
+ */
+function renderCategory({ category, label, description }) {
+  const id = `${CONFIG.DIALOG_ID}-${category}`;
+  const required = category === CONSENT_CATEGORIES.NECESSARY;
+
+  return `
+    <div class="${CLASSES.CATEGORY}">
+      <input type="checkbox" id="${id}" name="${category}" class="consent-dialog__switch" role="switch" aria-describedby="${id}-description"${required ? ' checked disabled' : ''}>
+      <label for="${id}" class="consent-dialog__label">${label}</label>
+      <p id="${id}-description" class="consent-dialog__description">${description}</p>
+    </div>
+  `;
+}
+
+/**
+ * Creates the dialog and adds it to the page
+ * @returns {HTMLDialogElement} Dialog
+ */
+function createDialog() {
+  const dialog = document.createElement('dialog');
+  dialog.id = CONFIG.DIALOG_ID;
+  dialog.className = CLASSES.DIALOG;
+  dialog.setAttribute('aria-labelledby', `${CONFIG.DIALOG_ID}-title`);
+  dialog.innerHTML = `
+    <form class="consent-dialog__form">
+      <header class="consent-dialog__header">
+        <h2 id="${CONFIG.DIALOG_ID}-title" class="consent-dialog__title">${MESSAGES.DIALOG_TITLE}</h2>
+        <button type="button" class="consent-dialog__close" aria-label="Close cookie settings">
+          <span aria-hidden="true">&times;</span>
+        </button>
+      </header>
+      <div class="consent-dialog__body">
+        <p class="consent-dialog__intro">${MESSAGES.DIALOG_INTRO}</p>
+        ${CATEGORY_DETAILS.map(renderCategory).join('')}
+      </div>
+      <footer class="consent-dialog__footer">
+        <button type="submit" class="${CLASSES.BUTTON} ${CLASSES.BUTTON_PRIMARY}">${MESSAGES.SAVE}</button>
+        <button type="button" class="${CLASSES.BUTTON}" data-consent-action="${ACTIONS.ACCEPT_ALL}">${MESSAGES.ACCEPT_ALL}</button>
+        <button type="button" class="${CLASSES.BUTTON}" data-consent-action="${ACTIONS.REJECT_ALL}">${MESSAGES.REJECT_ALL}</button>
+      </footer>
+    </form>
+  `;
+
+  document.body.appendChild(dialog);
+
+  querySelector(SELECTORS.FORM, dialog).addEventListener('submit', handleFormSubmit);
+  querySelector(SELECTORS.CLOSE, dialog).addEventListener('click', closeConsentPreferences);
+  dialog.addEventListener('click', handleActionClick);
+  dialog.addEventListener('click', handleBackdropClick);
+
+  return dialog;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Opens the preferences dialog with the current choices, creating it on
+ * first use
+ */
+function openConsentPreferences() {
+  if (!state.dialog) {
+    state.dialog = createDialog();
+  }
+
+  const form = querySelector(SELECTORS.FORM, state.dialog);
+  const consent = getConsent();
+  CATEGORY_DETAILS.forEach(({ category }) => {
+    form.elements[category].checked = consent[category];
+  });
+
+  if (!state.dialog.open) {
+    state.dialog.showModal();
+  }
+}
+
+/**
+ * Closes the preferences dialog
+ */
+function closeConsentPreferences() {
+  if (state.dialog && state.dialog.open) {
+    state.dialog.close();
+  }
+}
+
+/**
+ * Applies the stored choices to the page, shows the banner if the visitor
+ * has not chosen yet and wires up the "Cookie settings" buttons. Safe to
+ * call more than once.
+ */
+function initConsentManager() {
+  if (state.initialized) return;
+
+  initConsent();
+  document.addEventListener('click', handleDocumentClick);
+  window.addEventListener(CONSENT_EVENT, handleConsentChange);
+  state.initialized = true;
+
+  handleConsentChange();
+  log('info', 'Consent manager ready', { needsConsent: needsConsent() });
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  initConsentManager,
+  openConsentPreferences,
+  closeConsentPreferences,
+};
@@ -8,9 +8,15 @@
  * @module contact-form
  * @generated-from: task-id:TASK-004
  * @modifies: none
- * @dependencies: []
+ * @dependencies: [form-submission]
  */
 
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import { submitForm, SUBMISSION_STATUS } from '../utils/form-submission.js';
+
 // ============================================================================
 // CONSTANTS & CONFIGURATION
 // ============================================================================
@@ -19,7 +25,8 @@ const CONFIG = Object.freeze({
   FORM_SELECTOR: '.contact-form',
   STATUS_SELECTOR: '#contact-form-status',
   SUBMIT_BUTTON_SELECTOR: '.contact-form__submit',
-  SUBMIT_DELAY: 1500,
+  SUBMIT_ENDPOINT: '/api/contact', // Overridden by the form's data-endpoint or action
+  SUBMIT_ENCODING: 'json', // 'json' or 'form'; overridden by data-encoding
   MIN_NAME_LENGTH: 2,
   MAX_NAME_LENGTH: 100,
   MAX_EMAIL_LENGTH: 254,
@@ -37,6 +44,13 @@ const CLASSES = Object.freeze({
   STATUS_ERROR: 'contact-form__status--error',
 });
 
+const STATUS_MESSAGES = Object.freeze({
+  SUCCESS: 'Thank you for your message! We will get back to you within 24 hours.',
+  QUEUED: 'You appear to be offline. Your message has been saved and will be sent automatically when your connection returns.',
+  INVALID: 'Please correct the highlighted fields and try again.',
+  ERROR: 'An error occurred while submitting the form. Please try again.',
+});
+
 const VALIDATION_MESSAGES = Object.freeze({
   valueMissing: 'This field is required',
   typeMismatch: {
@@ -449,11 +463,58 @@ function collectFormData(form) {
   return sanitizedData;
 }
 
+/**
+ * Resolves the submission endpoint and encoding for a form
+ * @param {HTMLFormElement} form - Form element
+ * @returns {Object} Endpoint URL and body encoding
+ */
+function getSubmissionSettings(form) {
+  return {
+    url: form.dataset.endpoint || form.getAttribute('action') || CONFIG.SUBMIT_ENDPOINT,
+    encoding: form.dataset.encoding || CONFIG.SUBMIT_ENCODING,
+  };
+}
+
+/**
+ * Maps server-side validation errors onto form fields
+ * @param {HTMLFormElement} form - Form element
+ * @param {Object<string, string>} fieldErrors - Map of field names to messages
+ * @returns {number} Number of fields that received an error
+ */
+function applyServerErrors(form, fieldErrors) {
+  let applied = 0;
+  
+  Object.entries(fieldErrors).forEach(([fieldName, message]) => {
+    const input = form.elements.namedItem(fieldName);
+    
+    if (input && input.id) {
+      showError(input, message);
+      applied += 1;
+    } else {
+      log('warn', 'Server error for unknown field', { fieldName });
+    }
+  });
+  
+  return applied;
+}
+
+/**
+ * Resets the form and its field errors after a successful hand-off
+ * @param {HTMLFormElement} form - Form element
+ */
+function resetAfterSubmit(form) {
+  form.reset();
+  
+  const inputs = querySelectorAll('input, select, textarea', form);
+  inputs.forEach((input) => clearError(input));
+}
+
 /**
  * Handles form submission
  * @param {Event} event - Submit event
+ * @returns {Promise<void>}
  */
-function handleSubmit(event) {
+async function handleSubmit(event) {
   event.preventDefault();
   
   const form = event.target;
@@ -482,45 +543,64 @@ function handleSubmit(event) {
   clearStatus(statusDiv);
   
   const formData = collectFormData(form);
+  const { url, encoding } = getSubmissionSettings(form);
   
-  setTimeout(() => {
-    try {
-      showStatus(
-        statusDiv,
-        'Thank you for your message! We will get back to you within 24 hours.',
-        'success'
-      );
-      
-      form.reset();
-      
-      const inputs = querySelectorAll('input, select, textarea', form);
-      inputs.forEach((input) => clearError(input));
-      
-      setSubmitLoading(submitButton, false);
-      
-      log('info', 'Form submission successful', { formData });
-      
-      if (typeof window.gtag === 'function') {
-        window.gtag('event', 'form_submit', {
-          event_category: 'Contact',
-          event_label: 'Contact Form',
+  try {
+    const result = await submitForm(url, formData, {
+      encoding,
+      formType: 'contact',
+    });
+    
+    switch (result.status) {
+      case SUBMISSION_STATUS.SENT:
+        showStatus(statusDiv, STATUS_MESSAGES.SUCCESS, 'success');
+        resetAfterSubmit(form);
+        
+        log('info', 'Form submission successful', { httpStatus: result.httpStatus });
+        
+        if (typeof window.gtag === 'function') {
+          window.gtag('event', 'form_submit', {
+            event_category: 'Contact',
+            event_label: 'Contact Form',
+          });
+        }
+        break;
+        
+      case SUBMISSION_STATUS.QUEUED:
+        showStatus(statusDiv, STATUS_MESSAGES.QUEUED, 'success');
+        resetAfterSubmit(form);
+        log('info', 'Form submission queued for sync');
+        break;
+        
+      case SUBMISSION_STATUS.INVALID: {
+        const applied = applyServerErrors(form, result.fieldErrors);
+        showStatus(statusDiv, STATUS_MESSAGES.INVALID, 'error');
+        
+        const firstError = querySelector(`.${CLASSES.INPUT_ERROR}`, form);
+        if (applied > 0 && firstError) {
+          firstError.focus();
+        }
+        
+        log('warn', 'Form submission rejected by server', {
+          fields: Object.keys(result.fieldErrors),
         });
+        break;
       }
-    } catch (error) {
-      log('error', 'Form submission error', { 
-        error: error.message,
-        stack: error.stack,
-      });
-      
-      showStatus(
-        statusDiv,
-        'An error occurred while submitting the form. Please try again.',
-        'error'
-      );
-      
-      setSubmitLoading(submitButton, false);
+        
+      default:
+        showStatus(statusDiv, STATUS_MESSAGES.ERROR, 'error');
+        log('error', 'Form submission failed', { httpStatus: result.httpStatus });
     }
-  }, CONFIG.SUBMIT_DELAY);
+  } catch (error) {
+    log('error', 'Form submission error', { 
+      error: error.message,
+      stack: error.stack,
+    });
+    
+    showStatus(statusDiv, STATUS_MESSAGES.ERROR, 'error');
+  } finally {
+    setSubmitLoading(submitButton, false);
+  }
 }
 
 /**
@@ -621,7 +701,7 @@ function handleDOMReady() {
 
 handleDOMReady();
 
-// Export for testing purposes
+// Export for reuse by other forms (event registration) and for testing
 export {
   initContactForm,
   validateField,
@@ -630,5 +710,7 @@ export {
   isValidEmail,
   isValidPhone,
   isValidName,
+  showError,
+  clearError,
   handleSubmit,
 };
\ No newline at end of file
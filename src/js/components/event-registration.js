@@ -0,0 +1,741 @@
+/**
+ * Event Registration Component
+ *
+ * Handles sign-up for events marked `registrationRequired` in events.json:
+ * - Capacity lookup from a configurable endpoint (spots left, full, waitlist)
+ * - Capacity badges on event cards
+ * - Attendee form with party size in the event modal
+ * - Validation shared with the contact form
+ * - Submission through the shared form-submission layer (queued when offline)
+ * - EVENT_REGISTRATION conversion tracking on success
+ *
+ * Registrations and capacity are tracked per occurrence, so each date of a
+ * recurring series fills up independently.
+ *
+ * @module components/event-registration
+ * @generated-from: task-id:user-005
+ * @modifies: none (new file)
+ * @dependencies: [contact-form, form-submission, analytics]
+ */
+
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import {
+  validateForm,
+  validateField,
+  sanitizeInput,
+  showError,
+  clearError,
+} from './contact-form.js';
+import {
+  submitForm,
+  generateIdempotencyKey,
+  SUBMISSION_STATUS,
+} from '../utils/form-submission.js';
+import { trackConversion, CONVERSION_EVENTS } from '../utils/analytics.js';
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const CONFIG = Object.freeze({
+  SUBMIT_ENDPOINT: '/api/events/registrations', // Overridden by the form's data-endpoint
+  SUBMIT_ENCODING: 'json', // 'json' or 'form'; overridden by data-encoding
+  CAPACITY_ENDPOINT: '/api/events/capacity', // Overridden by data-capacity-endpoint
+  CAPACITY_TIMEOUT: 8000, // 8 seconds
+  MIN_PARTY_SIZE: 1,
+  MAX_PARTY_SIZE: 10,
+  LOW_SPOTS_THRESHOLD: 10, // Highlight cards with this many spots or fewer
+});
+
+const SELECTORS = Object.freeze({
+  SECTION: '#event-registration',
+  FORM: '#event-registration-form',
+  CAPACITY: '#registration-capacity',
+  STATUS: '#registration-form-status',
+  SUBMIT_BUTTON: '[type="submit"]',
+  PARTY_SIZE: '#registration-party-size',
+  BADGES: '[data-capacity-key]',
+});
+
+const CLASSES = Object.freeze({
+  BADGE: 'event-card__badge',
+  STATUS: 'contact-form__status',
+});
+
+const CAPACITY_STATUS = Object.freeze({
+  UNKNOWN: 'unknown',
+  OPEN: 'open',
+  LIMITED: 'limited',
+  WAITLIST: 'waitlist',
+  FULL: 'full',
+});
+
+const MESSAGES = Object.freeze({
+  REGISTRATION_REQUIRED: 'Registration Required',
+  SUBMIT: 'Register',
+  SUBMIT_WAITLIST: 'Join Waitlist',
+  SUBMITTING: 'Registering...',
+  OPEN: 'Registration open',
+  FULL: 'Full',
+  WAITLIST: 'Full - join the waitlist',
+  FULL_DETAIL: 'This event is full and is not taking waitlist sign-ups.',
+  WAITLIST_DETAIL: 'This event is full. Register below to join the waitlist and we will contact you if a place opens up.',
+  SUCCESS: 'You are registered! A confirmation has been sent to your email.',
+  WAITLISTED: 'You have been added to the waitlist. We will email you if a place opens up.',
+  REFERENCE: 'Your reference is',
+  QUEUED: 'You appear to be offline. Your registration has been saved and will be sent automatically when your connection returns.',
+  INVALID: 'Please correct the highlighted fields and try again.',
+  ERROR: 'We could not complete your registration. Please try again.',
+});
+
+// ============================================================================
+// STATE MANAGEMENT
+// ============================================================================
+
+const state = {
+  capacity: new Map(), // Registration key -> { capacity, registered, waitlist }
+  requestedKeys: new Set(),
+  event: null,
+  idempotencyKey: null,
+  isSubmitting: false,
+  initialized: false,
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Safely queries a single DOM element
+ * @param {string} selector - CSS selector
+ * @param {Document|Element} context - Context to query within
+ * @returns {Element|null} Found element or null
+ */
+function querySelector(selector, context = document) {
+  try {
+    return context.querySelector(selector);
+  } catch (error) {
+    console.error(`[EventRegistration] Invalid selector: ${selector}`, error);
+    return null;
+  }
+}
+
+/**
+ * Safely queries multiple DOM elements
+ * @param {string} selector - CSS selector
+ * @param {Document|Element} context - Context to query within
+ * @returns {NodeList} NodeList of found elements
+ */
+function querySelectorAll(selector, context = document) {
+  try {
+    return context.querySelectorAll(selector);
+  } catch (error) {
+    console.error(`[EventRegistration] Invalid selector: ${selector}`, error);
+    return document.createDocumentFragment().childNodes;
+  }
+}
+
+/**
+ * Logs structured messages with context
+ * @param {string} level - Log level (info, warn, error)
+ * @param {string} message - Log message
+ * @param {Object} context - Additional context data
+ */
+function log(level, message, context = {}) {
+  const logMethod = console[level] || console.log;
+  logMethod('[EventRegistration]', message, context);
+}
+
+/**
+ * Escapes a value for use in an HTML attribute or text
+ * @param {string} value - Value to escape
+ * @returns {string} Escaped value
+ */
+function escapeHTML(value) {
+  const div = document.createElement('div');
+  div.textContent = value;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * Gets the key registrations are tracked under
+ * @param {Object} event - Event or occurrence
+ * @returns {string} Occurrence ID for recurring events, event ID otherwise
+ */
+function getRegistrationKey(event) {
+  return event.occurrenceId || event.id;
+}
+
+/**
+ * Formats an event date as YYYY-MM-DD
+ * @param {Date|string} date - Event date
+ * @returns {string} Date key
+ */
+function toDateString(date) {
+  if (typeof date === 'string') {
+    return date;
+  }
+
+  const pad = (num) => String(num).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Gets the configured endpoints from the registration form's data attributes
+ * @returns {Object} Submit endpoint, encoding and capacity endpoint
+ */
+function getEndpoints() {
+  const form = querySelector(SELECTORS.FORM);
+  const dataset = form ? form.dataset : {};
+
+  return {
+    submit: dataset.endpoint || CONFIG.SUBMIT_ENDPOINT,
+    encoding: dataset.encoding || CONFIG.SUBMIT_ENCODING,
+    capacity: dataset.capacityEndpoint || CONFIG.CAPACITY_ENDPOINT,
+  };
+}
+
+// ============================================================================
+// CAPACITY TRACKING
+// ============================================================================
+
+/**
+ * Normalizes a capacity entry from the capacity endpoint
+ * @param {Object} entry - Raw entry
+ * @returns {Object|null} Entry with capacity, registered and waitlist, or null
+ */
+function normalizeCapacityEntry(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return null;
+  }
+
+  const capacity = entry.capacity === null || entry.capacity === undefined
+    ? null
+    : parseInt(entry.capacity, 10);
+  const registered = parseInt(entry.registered, 10);
+
+  return {
+    capacity: Number.isFinite(capacity) ? capacity : null,
+    registered: Number.isFinite(registered) ? Math.max(0, registered) : 0,
+    waitlist: Boolean(entry.waitlist),
+  };
+}
+
+/**
+ * Stores capacity entries from a capacity endpoint response.
+ * Accepts `{ "<key>": { capacity, registered, waitlist } }`, an array of
+ * `{ id, capacity, registered, waitlist }`, or either shape under `events`.
+ * @param {Object|Array} body - Parsed response body
+ * @returns {number} Number of entries stored
+ */
+function storeCapacity(body) {
+  const source = body && body.events ? body.events : body;
+  const entries = Array.isArray(source)
+    ? source.map((entry) => [entry && entry.id, entry])
+    : Object.entries(source || {});
+  let stored = 0;
+
+  entries.forEach(([key, entry]) => {
+    const normalized = normalizeCapacityEntry(entry);
+    if (key && normalized) {
+      state.capacity.set(key, normalized);
+      stored += 1;
+    }
+  });
+
+  return stored;
+}
+
+/**
+ * Fetches capacity for registration-required events that have not been looked
+ * up yet, then refreshes any rendered capacity badges. Never throws; events
+ * without capacity data keep the generic "Registration Required" badge.
+ * @param {Array<Object>} events - Displayed events or occurrences
+ * @returns {Promise<boolean>} True if capacity data was fetched
+ */
+async function loadCapacity(events) {
+  const keys = [...new Set(
+    events
+      .filter((event) => event.registrationRequired)
+      .map(getRegistrationKey)
+      .filter((key) => !state.requestedKeys.has(key))
+  )];
+
+  if (keys.length === 0) {
+    return false;
+  }
+
+  keys.forEach((key) => state.requestedKeys.add(key));
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), CONFIG.CAPACITY_TIMEOUT);
+  const url = `${getEndpoints().capacity}?ids=${keys.map(encodeURIComponent).join(',')}`;
+
+  try {
+    const response = await fetch(url, {
+      headers: { Accept: 'application/json' },
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const stored = storeCapacity(await response.json());
+    updateCapacityBadges();
+
+    log('info', 'Capacity loaded', { requested: keys.length, stored });
+    return true;
+  } catch (error) {
+    // Allow a later render to try again
+    keys.forEach((key) => state.requestedKeys.delete(key));
+    log('warn', 'Capacity lookup failed', { error: error.message });
+    return false;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Describes the registration availability of an event
+ * @param {Object} event - Event or occurrence
+ * @returns {Object|null} Status, spots left and label, or null if no registration
+ */
+function getCapacityStatus(event) {
+  if (!event || !event.registrationRequired) {
+    return null;
+  }
+
+  const entry = state.capacity.get(getRegistrationKey(event));
+
+  if (!entry) {
+    return { status: CAPACITY_STATUS.UNKNOWN, spotsLeft: null, label: MESSAGES.REGISTRATION_REQUIRED };
+  }
+
+  if (entry.capacity === null) {
+    return { status: CAPACITY_STATUS.OPEN, spotsLeft: null, label: MESSAGES.OPEN };
+  }
+
+  const spotsLeft = Math.max(0, entry.capacity - entry.registered);
+
+  if (spotsLeft === 0) {
+    return entry.waitlist
+      ? { status: CAPACITY_STATUS.WAITLIST, spotsLeft, label: MESSAGES.WAITLIST }
+      : { status: CAPACITY_STATUS.FULL, spotsLeft, label: MESSAGES.FULL };
+  }
+
+  return {
+    status: spotsLeft <= CONFIG.LOW_SPOTS_THRESHOLD ? CAPACITY_STATUS.LIMITED : CAPACITY_STATUS.OPEN,
+    spotsLeft,
+    label: `${spotsLeft} ${spotsLeft === 1 ? 'spot' : 'spots'} left`,
+  };
+}
+
+/**
+ * Creates the capacity badge HTML for an event card
+ * @param {Object} event - Event or occurrence
+ * @returns {string} Badge HTML, or an empty string if registration is not required
+ */
+function renderCapacityBadge(event) {
+  const capacityStatus = getCapacityStatus(event);
+
+  if (!capacityStatus) {
+    return '';
+  }
+
+  return `<span class="${CLASSES.BADGE} ${CLASSES.BADGE}--${capacityStatus.status}" data-capacity-key="${escapeHTML(getRegistrationKey(event))}">${escapeHTML(capacityStatus.label)}</span>`;
+}
+
+/**
+ * Refreshes rendered capacity badges from the current capacity data
+ */
+function updateCapacityBadges() {
+  querySelectorAll(SELECTORS.BADGES).forEach((badge) => {
+    const key = badge.dataset.capacityKey;
+    const capacityStatus = getCapacityStatus({ id: key, registrationRequired: true });
+
+    badge.className = `${CLASSES.BADGE} ${CLASSES.BADGE}--${capacityStatus.status}`;
+    badge.textContent = capacityStatus.label;
+  });
+
+  if (state.event) {
+    updateModalCapacity(state.event);
+  }
+}
+
+/**
+ * Records a successful registration in the local capacity data
+ * @param {Object} event - Registered event or occurrence
+ * @param {number} partySize - Number of attendees registered
+ * @param {Object|null} responseData - Response body, which may include fresh counts
+ */
+function recordRegistration(event, partySize, responseData) {
+  const key = getRegistrationKey(event);
+
+  if (responseData && (responseData.registered !== undefined || responseData.capacity !== undefined)) {
+    const normalized = normalizeCapacityEntry(responseData);
+    if (normalized) {
+      state.capacity.set(key, normalized);
+    }
+  } else if (state.capacity.has(key)) {
+    const entry = state.capacity.get(key);
+    state.capacity.set(key, { ...entry, registered: entry.registered + partySize });
+  }
+
+  updateCapacityBadges();
+}
+
+// ============================================================================
+// REGISTRATION FORM
+// ============================================================================
+
+/**
+ * Shows a status message below the registration form
+ * @param {string} message - Message text
+ * @param {string} type - Status type ('success', 'error' or 'info')
+ */
+function showStatus(message, type) {
+  const status = querySelector(SELECTORS.STATUS);
+  if (!status) return;
+
+  status.textContent = message;
+  status.className = `${CLASSES.STATUS} ${CLASSES.STATUS}--${type}`;
+}
+
+/**
+ * Clears the registration status message
+ */
+function clearStatus() {
+  const status = querySelector(SELECTORS.STATUS);
+  if (!status) return;
+
+  status.textContent = '';
+  status.className = CLASSES.STATUS;
+}
+
+/**
+ * Gets the largest party size that can register for an event
+ * @param {Object} event - Event or occurrence
+ * @returns {number} Maximum party size
+ */
+function getMaxPartySize(event) {
+  const capacityStatus = getCapacityStatus(event);
+
+  if (capacityStatus && capacityStatus.spotsLeft > 0) {
+    return Math.min(CONFIG.MAX_PARTY_SIZE, capacityStatus.spotsLeft);
+  }
+
+  return CONFIG.MAX_PARTY_SIZE;
+}
+
+/**
+ * Updates the capacity message and form availability in the modal
+ * @param {Object} event - Event shown in the modal
+ */
+function updateModalCapacity(event) {
+  const capacityText = querySelector(SELECTORS.CAPACITY);
+  const form = querySelector(SELECTORS.FORM);
+  const partySize = querySelector(SELECTORS.PARTY_SIZE);
+  const capacityStatus = getCapacityStatus(event);
+
+  if (!capacityStatus) return;
+
+  const isFull = capacityStatus.status === CAPACITY_STATUS.FULL;
+
+  if (capacityText) {
+    if (isFull) {
+      capacityText.textContent = MESSAGES.FULL_DETAIL;
+    } else if (capacityStatus.status === CAPACITY_STATUS.WAITLIST) {
+      capacityText.textContent = MESSAGES.WAITLIST_DETAIL;
+    } else {
+      capacityText.textContent = capacityStatus.label;
+    }
+  }
+
+  if (partySize) {
+    partySize.max = String(getMaxPartySize(event));
+  }
+
+  if (form) {
+    form.hidden = isFull;
+
+    const button = querySelector(SELECTORS.SUBMIT_BUTTON, form);
+    if (button && !state.isSubmitting) {
+      button.textContent = getSubmitLabel(event);
+    }
+  }
+}
+
+/**
+ * Prepares the registration section of the event modal for an event.
+ * Hides the section for events that do not require registration.
+ * @param {Object} event - Event or occurrence shown in the modal
+ */
+function openRegistration(event) {
+  const section = querySelector(SELECTORS.SECTION);
+  const form = querySelector(SELECTORS.FORM);
+
+  if (!section || !form) return;
+
+  if (!event || !event.registrationRequired) {
+    state.event = null;
+    section.hidden = true;
+    return;
+  }
+
+  if (!state.event || getRegistrationKey(state.event) !== getRegistrationKey(event)) {
+    form.reset();
+    state.idempotencyKey = null;
+    querySelectorAll('input', form).forEach(clearError);
+    clearStatus();
+  }
+
+  state.event = event;
+  section.hidden = false;
+  updateModalCapacity(event);
+
+  // Pick up counts for events opened before the card lookup finished
+  loadCapacity([event]);
+}
+
+/**
+ * Validates the party size against the spots left for the event
+ * @param {HTMLInputElement} input - Party size input
+ * @returns {boolean} True if the party size is valid
+ */
+function validatePartySize(input) {
+  if (!input) return true;
+
+  const value = parseInt(input.value, 10);
+  const max = getMaxPartySize(state.event);
+
+  if (!Number.isInteger(value) || value < CONFIG.MIN_PARTY_SIZE || value > max) {
+    showError(input, `Please enter a party size between ${CONFIG.MIN_PARTY_SIZE} and ${max}`);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Maps server-side field errors onto the registration form
+ * @param {HTMLFormElement} form - Registration form
+ * @param {Object<string, string>} fieldErrors - Field names mapped to messages
+ */
+function applyServerErrors(form, fieldErrors) {
+  Object.entries(fieldErrors).forEach(([field, message]) => {
+    const input = form.elements.namedItem(field);
+    if (input) {
+      showError(input, message);
+    }
+  });
+}
+
+/**
+ * Gets the submit button label for an event
+ * @param {Object} event - Event or occurrence
+ * @returns {string} Button label
+ */
+function getSubmitLabel(event) {
+  const capacityStatus = getCapacityStatus(event);
+  return capacityStatus && capacityStatus.status === CAPACITY_STATUS.WAITLIST
+    ? MESSAGES.SUBMIT_WAITLIST
+    : MESSAGES.SUBMIT;
+}
+
+/**
+ * Toggles the submit button's loading state
+ * @param {HTMLFormElement} form - Registration form
+ * @param {boolean} isLoading - Whether a submission is in progress
+ */
+function setSubmitLoading(form, isLoading) {
+  const button = querySelector(SELECTORS.SUBMIT_BUTTON, form);
+  if (!button) return;
+
+  button.disabled = isLoading;
+  button.setAttribute('aria-busy', String(isLoading));
+  button.textContent = isLoading ? MESSAGES.SUBMITTING : getSubmitLabel(state.event);
+}
+
+/**
+ * Handles registration form submission
+ * @param {Event} submitEvent - Submit event
+ */
+async function handleSubmit(submitEvent) {
+  submitEvent.preventDefault();
+
+  const form = submitEvent.target;
+  const event = state.event;
+
+  if (!event || state.isSubmitting) {
+    return;
+  }
+
+  clearStatus();
+
+  const fieldsValid = validateForm(form);
+  const partySizeValid = validatePartySize(querySelector(SELECTORS.PARTY_SIZE, form));
+
+  if (!fieldsValid || !partySizeValid) {
+    const firstInvalid = querySelector('[aria-invalid="true"]', form);
+    if (firstInvalid) firstInvalid.focus();
+    return;
+  }
+
+  const formData = new FormData(form);
+  const partySize = parseInt(formData.get('partySize'), 10);
+  const waitlist = getCapacityStatus(event).status === CAPACITY_STATUS.WAITLIST;
+
+  // Reuse the key across retries so the backend can discard duplicates
+  if (!state.idempotencyKey) {
+    state.idempotencyKey = generateIdempotencyKey();
+  }
+
+  const submissionData = {
+    eventId: event.id,
+    occurrenceId: event.occurrenceId || null,
+    eventDate: toDateString(event.date),
+    eventTitle: event.title,
+    name: sanitizeInput(formData.get('name') || ''),
+    email: sanitizeInput(formData.get('email') || ''),
+    phone: sanitizeInput(formData.get('phone') || ''),
+    partySize,
+    waitlist,
+    idempotencyKey: state.idempotencyKey,
+    timestamp: new Date().toISOString(),
+  };
+
+  const endpoints = getEndpoints();
+
+  try {
+    state.isSubmitting = true;
+    setSubmitLoading(form, true);
+
+    log('info', 'Submitting event registration', { eventId: event.id, partySize, waitlist });
+
+    const result = await submitForm(endpoints.submit, submissionData, {
+      encoding: endpoints.encoding,
+      formType: 'event-registration',
+      idempotencyKey: state.idempotencyKey,
+    });
+
+    switch (result.status) {
+      case SUBMISSION_STATUS.SENT: {
+        const data = result.data || {};
+        const waitlisted = waitlist || data.status === 'waitlisted';
+        const reference = data.reference || data.confirmationId || data.id;
+        const message = waitlisted ? MESSAGES.WAITLISTED : MESSAGES.SUCCESS;
+
+        showStatus(reference ? `${message} ${MESSAGES.REFERENCE} ${reference}.` : message, 'success');
+        recordRegistration(event, waitlisted ? 0 : partySize, data);
+
+        trackConversion(CONVERSION_EVENTS.EVENT_REGISTRATION, {
+          event_id: event.id,
+          event_category: event.category,
+          party_size: partySize,
+          waitlist: waitlisted,
+        });
+
+        form.reset();
+        state.idempotencyKey = null;
+        log('info', 'Event registration submitted', { eventId: event.id });
+        break;
+      }
+      case SUBMISSION_STATUS.QUEUED:
+        showStatus(MESSAGES.QUEUED, 'info');
+        form.reset();
+        state.idempotencyKey = null;
+        log('info', 'Event registration queued for sync', { eventId: event.id });
+        break;
+      case SUBMISSION_STATUS.INVALID:
+        applyServerErrors(form, result.fieldErrors);
+        showStatus(MESSAGES.INVALID, 'error');
+        break;
+      default:
+        showStatus(MESSAGES.ERROR, 'error');
+    }
+  } catch (error) {
+    log('error', 'Event registration failed', { error: error.message });
+    showStatus(MESSAGES.ERROR, 'error');
+  } finally {
+    state.isSubmitting = false;
+    setSubmitLoading(form, false);
+  }
+}
+
+/**
+ * Handles field blur by validating the field
+ * @param {Event} event - Blur event
+ */
+function handleBlur(event) {
+  if (event.target.matches(SELECTORS.PARTY_SIZE)) {
+    if (validateField(event.target)) {
+      validatePartySize(event.target);
+    }
+    return;
+  }
+
+  validateField(event.target);
+}
+
+/**
+ * Handles field input by clearing stale errors
+ * @param {Event} event - Input event
+ */
+function handleInput(event) {
+  // Edited details are a new registration, not a retry of the previous one
+  state.idempotencyKey = null;
+
+  if (event.target.getAttribute('aria-invalid') === 'true') {
+    clearError(event.target);
+  }
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initializes the registration form in the event modal
+ */
+function init() {
+  if (state.initialized) return;
+
+  const form = querySelector(SELECTORS.FORM);
+
+  if (!form) {
+    log('info', 'Registration form not found - skipping initialization');
+    return;
+  }
+
+  const partySize = querySelector(SELECTORS.PARTY_SIZE, form);
+  if (partySize) {
+    partySize.min = String(CONFIG.MIN_PARTY_SIZE);
+    partySize.max = String(CONFIG.MAX_PARTY_SIZE);
+  }
+
+  form.addEventListener('submit', handleSubmit);
+  querySelectorAll('input', form).forEach((input) => {
+    input.addEventListener('blur', handleBlur);
+    input.addEventListener('input', handleInput);
+  });
+
+  state.initialized = true;
+  log('info', 'Event registration initialized');
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  init,
+  loadCapacity,
+  getCapacityStatus,
+  renderCapacityBadge,
+  openRegistration,
+  CAPACITY_STATUS,
+};
@@ -4,9 +4,17 @@
  * Provides comprehensive event management functionality including:
  * - Dynamic event loading from JSON data source
  * - Category and date range filtering
- * - Full-text search across event properties
+ * - Ranked, typo-tolerant full-text search with match highlighting
  * - Multiple calendar views (grid, month, week, day)
+ * - Shareable URLs for view, date, filters and the open event
+ * - Recurring event expansion within the visible date range
  * - Event detail modal with calendar export
+ * - Registration with capacity badges for registration-required events
+ * - Multi-event calendar download and category feed subscription links
+ * - Push notifications per category and "remind me" for single events
+ * - Offline use: the last good events file is saved on the device and shown,
+ *   with a "Showing saved data from ..." banner, when offline or when it
+ *   cannot be loaded; the page refreshes when the connection returns
  * - Progressive image loading with error handling
  * - Nigerian timezone (WAT) support
  * - Responsive design with accessibility features
@@ -14,7 +22,7 @@
  * @module components/events
  * @generated-from: task-id:TASK-007
  * @modifies: none
- * @dependencies: [lazy-loading]
+ * @dependencies: [lazy-loading, recurrence, calendar-export, search, event-registration, timezone, push-notifications, offline, saved-data]
  */
 
 // ============================================================================
@@ -22,6 +30,49 @@
 // ============================================================================
 
 import { observeImages } from '../utils/lazy-loading.js';
+import { expandEvents, toCalendarDate, toDateKey } from '../utils/recurrence.js';
+import { createSearchIndex, searchIndex, highlightMatches } from '../utils/search.js';
+import {
+  calculateEndDate,
+  downloadICalendarFeed,
+  generateGoogleCalendarUrl,
+  generateICalendar,
+} from '../utils/calendar-export.js';
+import {
+  formatInTimeZone,
+  getTimeZoneName,
+  getVisitorTimeZone,
+  isVisitorInChurchTimeZone,
+  parseWallClock,
+  parseZonedDateTime,
+  toZonedDateKey,
+  toZonedWallClock,
+} from '../utils/timezone.js';
+import {
+  init as initRegistration,
+  loadCapacity,
+  openRegistration,
+  renderCapacityBadge,
+} from './event-registration.js';
+import {
+  addReminder,
+  getPushState,
+  hasReminder,
+  initPushNotifications,
+  isPushSupported,
+  removeReminder,
+  setCategories,
+  PUSH_CATEGORIES,
+  PUSH_STATUS,
+} from '../utils/push-notifications.js';
+import { isOffline } from '../utils/offline.js';
+import {
+  saveData,
+  loadSavedData,
+  showSavedDataBanner,
+  hideSavedDataBanner,
+  onReconnect,
+} from '../utils/saved-data.js';
 
 // ============================================================================
 // CONSTANTS & CONFIGURATION
@@ -29,22 +80,27 @@ import { observeImages } from '../utils/lazy-loading.js';
 
 const CONFIG = Object.freeze({
   DATA_URL: '/data/events.json',
-  TIMEZONE: 'Africa/Lagos',
+  LOCALE: 'en-NG',
   DEBOUNCE_DELAY: 300,
   IMAGE_LOADING_DELAY: 100,
   RETRY_ATTEMPTS: 3,
   RETRY_DELAY: 1000,
   CACHE_DURATION: 5 * 60 * 1000, // 5 minutes
+  RECURRENCE_WINDOW_DAYS: 56, // Grid view shows 8 weeks of recurring occurrences
+  FEED_URL: '/calendar.ics', // Written by build/optimize.js
+  CATEGORY_FEED_DIR: '/calendars',
 });
 
 const SELECTORS = Object.freeze({
   SEARCH_INPUT: '#event-search',
+  SORT_OPTIONS: 'input[name="sort"]',
   CATEGORY_FILTERS: 'input[name="category"]',
   DATE_FROM: '#date-from',
   DATE_TO: '#date-to',
   VIEW_BUTTONS: '.events__view-btn',
   EVENTS_LIST: '#events-list',
   EVENTS_COUNT: '#events-count',
+  RESULTS: '.events__results',
   LOADING: '.events__loading',
   ERROR: '.events__error',
   ERROR_MESSAGE: '.events__error-message',
@@ -62,6 +118,13 @@ const SELECTORS = Object.freeze({
   MODAL_LOCATION: '#modal-location',
   ADD_GOOGLE_CALENDAR: '#add-google-calendar',
   DOWNLOAD_ICAL: '#download-ical',
+  DOWNLOAD_FEED: '#download-events-feed',
+  SUBSCRIBE_LINK: '#subscribe-calendar',
+  REMIND_ME: '#remind-me',
+  REMIND_ME_STATUS: '#remind-me-status',
+  NOTIFY_FORM: '#event-notifications',
+  NOTIFY_OPTIONS: '[data-notify-options]',
+  NOTIFY_STATUS: '#event-notifications-status',
   CALENDAR_MONTH_TITLE: '#calendar-month-title',
   CALENDAR_MONTH_GRID: '#calendar-month-grid',
   CALENDAR_WEEK_TITLE: '#calendar-week-title',
@@ -71,6 +134,32 @@ const SELECTORS = Object.freeze({
   CALENDAR_NAV_BUTTONS: '.calendar__nav-btn',
 });
 
+const URL_PARAMS = Object.freeze({
+  VIEW: 'view',
+  DATE: 'date',
+  CATEGORY: 'category',
+  QUERY: 'q',
+  DATE_FROM: 'from',
+  DATE_TO: 'to',
+  SORT: 'sort',
+});
+
+// Title matches rank above location/category matches, which rank above description
+const SEARCH_FIELDS = Object.freeze({
+  title: 4,
+  category: 2,
+  location: 2,
+  organizer: 1.5,
+  description: 1,
+});
+
+const SORT_ORDERS = Object.freeze({
+  RELEVANCE: 'relevance',
+  DATE: 'date',
+});
+
+const VIEWS = Object.freeze(['grid', 'month', 'week', 'day']);
+
 const CATEGORY_LABELS = Object.freeze({
   worship: 'Worship',
   youth: 'Youth',
@@ -81,6 +170,16 @@ const CATEGORY_LABELS = Object.freeze({
   community: 'Community',
 });
 
+const PUSH_MESSAGES = Object.freeze({
+  [PUSH_STATUS.NO_CONSENT]: 'Notifications are only available once you allow them in Cookie settings, at the bottom of this page.',
+  [PUSH_STATUS.BLOCKED]: 'Notifications are blocked for this site. Allow them in your browser settings to continue.',
+  [PUSH_STATUS.FAILED]: 'We could not set up notifications right now. Please try again later.',
+  SAVED: 'Notification preferences saved.',
+  OFF: 'Notifications are off.',
+  REMINDER_SET: 'We will remind you an hour before this event starts.',
+  REMINDER_REMOVED: 'Reminder removed.',
+});
+
 // ============================================================================
 // STATE MANAGEMENT
 // ============================================================================
@@ -101,6 +200,12 @@ const state = {
     timestamp: null,
   },
   selectedEvent: null,
+  searchIndex: null,
+  sortOrder: SORT_ORDERS.RELEVANCE,
+  isRestoringHistory: false,
+  initialized: false,
+  needsRefresh: false, // Showing saved events or an error; reload when back online
+  removeReconnectListener: null,
 };
 
 // ============================================================================
@@ -157,18 +262,16 @@ function debounce(func, delay) {
 }
 
 /**
- * Formats date in Nigerian timezone
- * @param {string|Date} date - Date to format
+ * Formats a church wall-clock date (see utils/timezone). No time zone is
+ * applied because the date already holds church time in its local fields.
+ * @param {string|Date} date - Date key (YYYY-MM-DD) or wall-clock date
  * @param {Object} options - Intl.DateTimeFormat options
  * @returns {string} Formatted date string
  */
 function formatDate(date, options = {}) {
   try {
-    const dateObj = typeof date === 'string' ? new Date(date) : date;
-    return new Intl.DateTimeFormat('en-NG', {
-      timeZone: CONFIG.TIMEZONE,
-      ...options,
-    }).format(dateObj);
+    const dateObj = typeof date === 'string' ? parseWallClock(date) : date;
+    return new Intl.DateTimeFormat(CONFIG.LOCALE, options).format(dateObj);
   } catch (error) {
     console.error('[Events] Date formatting error', { date, error: error.message });
     return String(date);
@@ -259,7 +362,59 @@ async function fetchEventsWithRetry(attempt = 1) {
 }
 
 /**
- * Loads events data from JSON file
+ * Normalizes loaded events and builds their search index
+ * @param {Array} data - Events as stored in events.json
+ * @returns {Array} Normalized events
+ */
+function prepareEvents(data) {
+  // Dates stay YYYY-MM-DD until recurring series are expanded for the
+  // visible range
+  const normalizedEvents = data.map(event => ({
+    ...event,
+    time: event.time || '00:00',
+    endTime: event.endTime || event.time || '00:00',
+  }));
+  
+  // Build the search index once per load; occurrences share their series ID
+  state.searchIndex = createSearchIndex(normalizedEvents, SEARCH_FIELDS);
+  
+  return normalizedEvents;
+}
+
+/**
+ * Shows the saved data banner while the page shows saved events
+ * @param {number|null} savedAt - When the events shown were saved, or null if fresh
+ */
+function updateSavedDataBanner(savedAt) {
+  const results = querySelector(SELECTORS.RESULTS);
+  state.needsRefresh = savedAt !== null;
+  
+  if (savedAt === null) {
+    hideSavedDataBanner(results);
+  } else {
+    showSavedDataBanner(results, savedAt);
+  }
+}
+
+/**
+ * Uses the events saved on this device, if any
+ * @returns {Promise<Array|null>} Normalized events, or null if none are saved
+ */
+async function useSavedEvents() {
+  const saved = await loadSavedData(CONFIG.DATA_URL);
+  
+  if (!saved || !Array.isArray(saved.data)) {
+    return null;
+  }
+  
+  log('info', 'Using saved events data', { savedAt: saved.savedAt });
+  updateSavedDataBanner(saved.savedAt);
+  return prepareEvents(saved.data);
+}
+
+/**
+ * Loads events data from JSON file, falling back to the copy saved on this
+ * device when offline or when the file cannot be fetched
  * @returns {Promise<Array>} Events data
  */
 async function loadEvents() {
@@ -273,15 +428,17 @@ async function loadEvents() {
   hideError();
   
   try {
-    const data = await fetchEventsWithRetry();
+    if (isOffline()) {
+      const savedEvents = await useSavedEvents();
+      if (savedEvents) {
+        return savedEvents;
+      }
+    }
     
-    // Validate and normalize event data
-    const normalizedEvents = data.map(event => ({
-      ...event,
-      date: new Date(event.date),
-      time: event.time || '00:00',
-      endTime: event.endTime || event.time || '00:00',
-    }));
+    const data = await fetchEventsWithRetry();
+    const normalizedEvents = prepareEvents(data);
+    saveData(CONFIG.DATA_URL, data);
+    updateSavedDataBanner(null);
     
     // Update cache
     state.cache.data = normalizedEvents;
@@ -291,6 +448,12 @@ async function loadEvents() {
     
     return normalizedEvents;
   } catch (error) {
+    const savedEvents = await useSavedEvents();
+    if (savedEvents) {
+      return savedEvents;
+    }
+    
+    state.needsRefresh = true;
     log('error', 'Failed to load events', { error: error.message });
     showError('Failed to load events. Please check your connection and try again.');
     throw error;
@@ -299,6 +462,29 @@ async function loadEvents() {
   }
 }
 
+/**
+ * Reloads the events once the connection is back
+ */
+async function refreshEvents() {
+  if (!state.needsRefresh) {
+    return;
+  }
+  
+  if (!state.initialized) {
+    // The first load failed; start again
+    init();
+    return;
+  }
+  
+  try {
+    state.events = await loadEvents();
+    applyFilters();
+    log('info', 'Events refreshed after reconnecting');
+  } catch (error) {
+    // Error already handled in loadEvents
+  }
+}
+
 // ============================================================================
 // UI STATE MANAGEMENT
 // ============================================================================
@@ -364,13 +550,111 @@ function updateEventCount(count) {
 // FILTERING & SEARCH
 // ============================================================================
 
+/**
+ * Gets the identifier that distinguishes an event or a single occurrence
+ * @param {Object} event - Event or occurrence
+ * @returns {string} Occurrence ID for recurring events, event ID otherwise
+ */
+function getEventKey(event) {
+  return event.occurrenceId || event.id;
+}
+
+/**
+ * Finds a filtered event or occurrence by its key
+ * @param {string} key - Event key from getEventKey
+ * @returns {Object|undefined} Matching event
+ */
+function findFilteredEvent(key) {
+  return state.filteredEvents.find(e => getEventKey(e) === key);
+}
+
+/**
+ * Converts a loaded event or occurrence into the display shape. Event
+ * date/time strings are church wall-clock time.
+ * @param {Object} event - Event with a YYYY-MM-DD date and HH:mm time
+ * @returns {Object} Event with `date` (wall-clock date for calendar grids),
+ *   `start` (instant) and `dateKey` (YYYY-MM-DD)
+ */
+function toDisplayEvent(event) {
+  return {
+    ...event,
+    dateKey: event.date,
+    date: parseWallClock(event.date, event.time) || parseWallClock(event.date),
+    start: parseZonedDateTime(event.date, event.time) || parseZonedDateTime(event.date),
+  };
+}
+
+/**
+ * Gets today's date as a wall-clock date in church time
+ * @returns {Date} Church-time today
+ */
+function getChurchToday() {
+  return toZonedWallClock(new Date());
+}
+
+/**
+ * Formats an event's times in church time and, when the visitor's clock
+ * differs, in the visitor's own time zone
+ * @param {Object} event - Display event
+ * @returns {Object} { church, local } strings; local is null when not needed
+ */
+function formatEventTimes(event) {
+  const church = `${event.time} - ${event.endTime} ${getTimeZoneName(event.start)}`;
+  
+  if (isVisitorInChurchTimeZone(event.start)) {
+    return { church, local: null };
+  }
+  
+  const visitorZone = getVisitorTimeZone();
+  const end = calculateEndDate(event.start, event.endTime);
+  const timeOptions = { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+  const isOtherDay = toZonedDateKey(event.start, visitorZone) !== event.dateKey;
+  const startText = formatInTimeZone(event.start, isOtherDay ? { weekday: 'short', ...timeOptions } : timeOptions, visitorZone);
+  const endText = formatInTimeZone(end, timeOptions, visitorZone);
+  
+  return {
+    church,
+    local: `${startText} - ${endText} ${getTimeZoneName(event.start, visitorZone)}`,
+  };
+}
+
+/**
+ * Gets the date range shown by the current view, used to expand recurring events
+ * @returns {Object} Range with start and end date keys (YYYY-MM-DD)
+ */
+function getVisibleRange() {
+  const current = toCalendarDate(state.currentDate);
+  const addDays = (date, days) => new Date(date.getTime() + days * 86400000);
+  
+  switch (state.currentView) {
+    case 'month': {
+      const start = new Date(Date.UTC(current.getUTCFullYear(), current.getUTCMonth(), 1));
+      const end = new Date(Date.UTC(current.getUTCFullYear(), current.getUTCMonth() + 1, 0));
+      return { start: toDateKey(start), end: toDateKey(end) };
+    }
+    case 'week': {
+      const start = addDays(current, -current.getUTCDay());
+      return { start: toDateKey(start), end: toDateKey(addDays(start, 6)) };
+    }
+    case 'day':
+      return { start: toDateKey(current), end: toDateKey(current) };
+    default: {
+      const start = state.filters.dateFrom || toDateKey(toCalendarDate(getChurchToday()));
+      const end = state.filters.dateTo ||
+        toDateKey(addDays(toCalendarDate(start), CONFIG.RECURRENCE_WINDOW_DAYS));
+      return { start, end };
+    }
+  }
+}
+
 /**
  * Filters events based on current filter state
  * @param {Array} events - Events to filter
  * @returns {Array} Filtered events
  */
 function filterEvents(events) {
-  let filtered = [...events];
+  const range = getVisibleRange();
+  let filtered = expandEvents(events, range.start, range.end).map(toDisplayEvent);
   
   // Category filter
   if (state.filters.category !== 'all') {
@@ -379,34 +663,34 @@ function filterEvents(events) {
   
   // Date range filter
   if (state.filters.dateFrom) {
-    const fromDate = new Date(state.filters.dateFrom);
-    filtered = filtered.filter(event => event.date >= fromDate);
+    filtered = filtered.filter(event => event.dateKey >= state.filters.dateFrom);
   }
   
   if (state.filters.dateTo) {
-    const toDate = new Date(state.filters.dateTo);
-    toDate.setHours(23, 59, 59, 999);
-    filtered = filtered.filter(event => event.date <= toDate);
+    filtered = filtered.filter(event => event.dateKey <= state.filters.dateTo);
   }
   
   // Search filter
   if (state.filters.searchQuery) {
-    const query = state.filters.searchQuery.toLowerCase();
-    filtered = filtered.filter(event => {
-      const searchableText = [
-        event.title,
-        event.description,
-        event.category,
-        event.location,
-        event.organizer,
-      ].join(' ').toLowerCase();
-      
-      return searchableText.includes(query);
-    });
+    const matches = new Map(
+      searchIndex(state.searchIndex, state.filters.searchQuery).map(result => [result.id, result])
+    );
+    
+    filtered = filtered
+      .filter(event => matches.has(event.id))
+      .map(event => ({
+        ...event,
+        searchScore: matches.get(event.id).score,
+        matchedTerms: matches.get(event.id).terms,
+      }));
   }
   
-  // Sort by date
-  filtered.sort((a, b) => a.date - b.date);
+  // Sort by relevance while searching (date breaks ties), otherwise by date
+  if (state.filters.searchQuery && state.sortOrder === SORT_ORDERS.RELEVANCE) {
+    filtered.sort((a, b) => (b.searchScore - a.searchScore) || (a.date - b.date));
+  } else {
+    filtered.sort((a, b) => a.date - b.date);
+  }
   
   return filtered;
 }
@@ -425,6 +709,8 @@ function applyFilters() {
   }
   
   renderCurrentView();
+  updateSubscribeLink();
+  loadCapacity(state.filteredEvents);
   
   log('info', 'Filters applied', {
     total: state.events.length,
@@ -462,6 +748,7 @@ function clearFilters() {
   if (dateTo) dateTo.value = '';
   
   applyFilters();
+  syncURL();
   
   log('info', 'Filters cleared');
 }
@@ -470,6 +757,18 @@ function clearFilters() {
 // EVENT RENDERING
 // ============================================================================
 
+/**
+ * Escapes text for HTML, marking words that matched the search query
+ * @param {Object} event - Event with optional matchedTerms from search
+ * @param {string} text - Text to render
+ * @returns {string} HTML string
+ */
+function highlightText(event, text) {
+  return event.matchedTerms
+    ? highlightMatches(text, event.matchedTerms, 'event-card__highlight')
+    : sanitizeHTML(text);
+}
+
 /**
  * Creates HTML for a single event card
  * @param {Object} event - Event data
@@ -484,10 +783,11 @@ function createEventCard(event) {
   });
   
   const categoryLabel = CATEGORY_LABELS[event.category] || event.category;
+  const times = formatEventTimes(event);
   
   return `
     <li class="events__item">
-      <article class="event-card" data-event-id="${sanitizeHTML(event.id)}">
+      <article class="event-card" data-event-id="${sanitizeHTML(getEventKey(event))}">
         <div class="event-card__image-container">
           <img 
             class="event-card__image lazy-load"
@@ -499,13 +799,15 @@ function createEventCard(event) {
         </div>
         <div class="event-card__content">
           <span class="event-card__category">${sanitizeHTML(categoryLabel)}</span>
-          <h3 class="event-card__title">${sanitizeHTML(event.title)}</h3>
-          <time class="event-card__date" datetime="${event.date.toISOString()}">
+          <h3 class="event-card__title">${highlightText(event, event.title)}</h3>
+          <time class="event-card__date" datetime="${event.start.toISOString()}">
             ${dateStr}
           </time>
-          <p class="event-card__time">${sanitizeHTML(event.time)} - ${sanitizeHTML(event.endTime)}</p>
-          <p class="event-card__location">${sanitizeHTML(event.location)}</p>
-          ${event.registrationRequired ? '<span class="event-card__badge">Registration Required</span>' : ''}
+          <p class="event-card__time">${sanitizeHTML(times.church)}</p>
+          ${times.local ? `<p class="event-card__time event-card__time--local">Your time: ${sanitizeHTML(times.local)}</p>` : ''}
+          <p class="event-card__location">${highlightText(event, event.location)}</p>
+          ${event.matchedTerms ? `<p class="event-card__description">${highlightText(event, event.description)}</p>` : ''}
+          ${renderCapacityBadge(event)}
           <button 
             type="button" 
             class="event-card__btn"
@@ -545,8 +847,7 @@ function renderGridView() {
     const btn = card.querySelector('.event-card__btn');
     if (btn) {
       btn.addEventListener('click', () => {
-        const eventId = card.dataset.eventId;
-        const event = state.filteredEvents.find(e => e.id === eventId);
+        const event = findFilteredEvent(card.dataset.eventId);
         if (event) {
           showEventModal(event);
         }
@@ -574,6 +875,7 @@ function renderMonthView() {
   const startDay = firstDay.getDay();
   const daysInMonth = lastDay.getDate();
   
+  const today = getChurchToday();
   let html = '<div class="calendar__weekdays">';
   const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
   weekdays.forEach(day => {
@@ -593,7 +895,7 @@ function renderMonthView() {
       return event.date.toDateString() === date.toDateString();
     });
     
-    const isToday = date.toDateString() === new Date().toDateString();
+    const isToday = date.toDateString() === today.toDateString();
     const classes = ['calendar__day'];
     if (isToday) classes.push('calendar__day--today');
     if (eventsOnDay.length > 0) classes.push('calendar__day--has-events');
@@ -638,6 +940,7 @@ function renderWeekView() {
   
   title.textContent = `${formatDate(startOfWeek, { month: 'short', day: 'numeric' })} - ${formatDate(endOfWeek, { month: 'short', day: 'numeric', year: 'numeric' })}`;
   
+  const today = getChurchToday();
   let html = '';
   
   for (let i = 0; i < 7; i++) {
@@ -648,7 +951,7 @@ function renderWeekView() {
       return event.date.toDateString() === date.toDateString();
     });
     
-    const isToday = date.toDateString() === new Date().toDateString();
+    const isToday = date.toDateString() === today.toDateString();
     
     html += `
       <div class="calendar__week-day ${isToday ? 'calendar__week-day--today' : ''}">
@@ -658,7 +961,7 @@ function renderWeekView() {
         </div>
         <div class="calendar__week-day-events">
           ${eventsOnDay.map(event => `
-            <div class="calendar__week-event" data-event-id="${sanitizeHTML(event.id)}">
+            <div class="calendar__week-event" data-event-id="${sanitizeHTML(getEventKey(event))}">
               <span class="calendar__week-event-time">${sanitizeHTML(event.time)}</span>
               <span class="calendar__week-event-title">${sanitizeHTML(event.title)}</span>
             </div>
@@ -674,8 +977,7 @@ function renderWeekView() {
   const eventElements = grid.querySelectorAll('.calendar__week-event');
   eventElements.forEach(eventEl => {
     eventEl.addEventListener('click', () => {
-      const eventId = eventEl.dataset.eventId;
-      const event = state.filteredEvents.find(e => e.id === eventId);
+      const event = findFilteredEvent(eventEl.dataset.eventId);
       if (event) {
         showEventModal(event);
       }
@@ -709,9 +1011,9 @@ function renderDayView() {
   }
   
   const html = eventsOnDay.map(event => `
-    <article class="calendar__day-event" data-event-id="${sanitizeHTML(event.id)}">
+    <article class="calendar__day-event" data-event-id="${sanitizeHTML(getEventKey(event))}">
       <div class="calendar__day-event-time">
-        <time datetime="${event.date.toISOString()}">${sanitizeHTML(event.time)}</time>
+        <time datetime="${event.start.toISOString()}">${sanitizeHTML(event.time)}</time>
         <span>-</span>
         <time>${sanitizeHTML(event.endTime)}</time>
       </div>
@@ -737,8 +1039,7 @@ function renderDayView() {
   eventElements.forEach(btn => {
     btn.addEventListener('click', () => {
       const article = btn.closest('.calendar__day-event');
-      const eventId = article.dataset.eventId;
-      const event = state.filteredEvents.find(e => e.id === eventId);
+      const event = findFilteredEvent(article.dataset.eventId);
       if (event) {
         showEventModal(event);
       }
@@ -792,11 +1093,22 @@ function renderCurrentView() {
 function switchView(view) {
   state.currentView = view;
   
-  // Update button states
+  updateViewButtons();
+  
+  // Re-filter so recurring events are expanded for the new range
+  applyFilters();
+  syncURL();
+  
+  log('info', 'View switched', { view });
+}
+
+/**
+ * Updates view button states to match the current view
+ */
+function updateViewButtons() {
   const viewButtons = querySelectorAll(SELECTORS.VIEW_BUTTONS);
   viewButtons.forEach(btn => {
-    const btnView = btn.dataset.view;
-    const isActive = btnView === view;
+    const isActive = btn.dataset.view === state.currentView;
     
     if (isActive) {
       btn.classList.add('events__view-btn--active');
@@ -806,10 +1118,6 @@ function switchView(view) {
       btn.setAttribute('aria-pressed', 'false');
     }
   });
-  
-  renderCurrentView();
-  
-  log('info', 'View switched', { view });
 }
 
 /**
@@ -833,7 +1141,8 @@ function navigateCalendar(direction) {
       return;
   }
   
-  renderCurrentView();
+  applyFilters();
+  syncURL();
 }
 
 // ============================================================================
@@ -871,80 +1180,70 @@ function showEventModal(event) {
       month: 'long',
       day: 'numeric',
     });
-    date.setAttribute('datetime', event.date.toISOString());
+    date.setAttribute('datetime', event.start.toISOString());
+  }
+  if (time) {
+    const times = formatEventTimes(event);
+    time.textContent = times.local ? `${times.church} (your time: ${times.local})` : times.church;
   }
-  if (time) time.textContent = `${event.time} - ${event.endTime}`;
   if (category) category.textContent = CATEGORY_LABELS[event.category] || event.category;
   if (description) description.textContent = event.description;
   if (location) location.textContent = `📍 ${event.location}`;
   
-  modal.showModal();
+  openRegistration(event);
+  updateRemindButton(event);
+  
+  if (!modal.open) {
+    modal.showModal();
+  }
+  syncURL({ modal: true });
   
   log('info', 'Event modal opened', { eventId: event.id });
 }
 
+/**
+ * Handles the event modal closing (close button, Escape or history navigation)
+ */
+function handleModalClose() {
+  if (!state.selectedEvent) return;
+  
+  state.selectedEvent = null;
+  
+  if (state.isRestoringHistory) return;
+  
+  // Step back over the entry pushed when the modal opened so Back does not reopen it
+  if (history.state && history.state.eventModal) {
+    history.back();
+  } else {
+    syncURL({ replace: true });
+  }
+}
+
+/**
+ * Gets the loaded source event (series for recurring occurrences) for export
+ * @param {Object} event - Displayed event or occurrence
+ * @returns {Object} Source event with YYYY-MM-DD date
+ */
+function getExportEvent(event) {
+  return state.events.find(e => e.id === event.id) || { ...event, date: event.dateKey };
+}
+
 /**
  * Generates Google Calendar URL
  * @param {Object} event - Event data
  * @returns {string} Google Calendar URL
  */
 function generateGoogleCalendarURL(event) {
-  const startDate = new Date(event.date);
-  const [startHour, startMinute] = event.time.split(':');
-  startDate.setHours(parseInt(startHour, 10), parseInt(startMinute, 10));
-  
-  const endDate = new Date(event.date);
-  const [endHour, endMinute] = event.endTime.split(':');
-  endDate.setHours(parseInt(endHour, 10), parseInt(endMinute, 10));
-  
-  const formatGoogleDate = (date) => {
-    return date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
-  };
-  
-  const params = new URLSearchParams({
-    action: 'TEMPLATE',
-    text: event.title,
-    dates: `${formatGoogleDate(startDate)}/${formatGoogleDate(endDate)}`,
-    details: event.description,
-    location: event.location,
-  });
-  
-  return `https://calendar.google.com/calendar/render?${params.toString()}`;
+  return generateGoogleCalendarUrl(getExportEvent(event));
 }
 
 /**
- * Generates iCal file content
+ * Generates iCal file content, including RRULE/EXDATE for recurring series
  * @param {Object} event - Event data
  * @returns {string} iCal file content
  */
 function generateICalContent(event) {
-  const startDate = new Date(event.date);
-  const [startHour, startMinute] = event.time.split(':');
-  startDate.setHours(parseInt(startHour, 10), parseInt(startMinute, 10));
-  
-  const endDate = new Date(event.date);
-  const [endHour, endMinute] = event.endTime.split(':');
-  endDate.setHours(parseInt(endHour, 10), parseInt(endMinute, 10));
-  
-  const formatICalDate = (date) => {
-    return date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
-  };
-  
-  return [
-    'BEGIN:VCALENDAR',
-    'VERSION:2.0',
-    'PRODID:-//Grace Fellowship Church//Events//EN',
-    'BEGIN:VEVENT',
-    `UID:${event.id}@gracefellowship.church`,
-    `DTSTAMP:${formatICalDate(new Date())}`,
-    `DTSTART:${formatICalDate(startDate)}`,
-    `DTEND:${formatICalDate(endDate)}`,
-    `SUMMARY:${event.title}`,
-    `DESCRIPTION:${event.description.replace(/\n/g, '\\n')}`,
-    `LOCATION:${event.location}`,
-    'END:VEVENT',
-    'END:VCALENDAR',
-  ].join('\r\n');
+  return generateICalendar(getExportEvent(event));
 }
 
 /**
@@ -968,6 +1267,252 @@ function downloadICalFile(event) {
   log('info', 'iCal file downloaded', { eventId: event.id });
 }
 
+/**
+ * Downloads the currently filtered events as a single iCalendar file
+ */
+function downloadFilteredEvents() {
+  if (state.filteredEvents.length === 0) {
+    log('warn', 'No events to export');
+    return;
+  }
+  
+  const { category } = state.filters;
+  const categoryLabel = CATEGORY_LABELS[category];
+  const name = categoryLabel
+    ? `Grace Fellowship Church - ${categoryLabel} Events`
+    : 'Grace Fellowship Church Events';
+  
+  downloadICalendarFeed(
+    state.filteredEvents.map(getExportEvent),
+    { name },
+    categoryLabel ? `${category}-events.ics` : 'events.ics'
+  );
+  
+  log('info', 'Filtered events downloaded', { count: state.filteredEvents.length, category });
+}
+
+/**
+ * Points the subscribe link at the feed for the selected category
+ */
+function updateSubscribeLink() {
+  const link = querySelector(SELECTORS.SUBSCRIBE_LINK);
+  if (!link) return;
+  
+  const { category } = state.filters;
+  const path = category !== 'all'
+    ? `${CONFIG.CATEGORY_FEED_DIR}/${encodeURIComponent(category)}.ics`
+    : CONFIG.FEED_URL;
+  
+  // webcal:// opens the subscription dialog in phone and desktop calendar apps
+  link.href = `webcal://${window.location.host}${path}`;
+  link.dataset.feedUrl = path;
+}
+
+// ============================================================================
+// URL STATE
+// ============================================================================
+
+/**
+ * Formats a local date as YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ */
+function formatDateParam(date) {
+  const pad = num => String(num).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parses a date parameter (YYYY-MM or YYYY-MM-DD) as a local date
+ * @param {string|null} value - Parameter value
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+function parseDateParam(value) {
+  const match = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(value || '');
+  if (!match) return null;
+  
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3] || 1));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Builds the page URL for the current view, filters and open event
+ * @param {boolean} includeEvent - Whether to include the open event in the hash
+ * @returns {string} Relative URL (path, query and hash)
+ */
+function buildStateURL(includeEvent) {
+  const params = new URLSearchParams();
+  const { category, dateFrom, dateTo, searchQuery } = state.filters;
+  
+  if (state.currentView !== 'grid') {
+    params.set(URL_PARAMS.VIEW, state.currentView);
+    params.set(
+      URL_PARAMS.DATE,
+      state.currentView === 'month'
+        ? formatDateParam(state.currentDate).slice(0, 7)
+        : formatDateParam(state.currentDate)
+    );
+  }
+  if (category !== 'all') params.set(URL_PARAMS.CATEGORY, category);
+  if (searchQuery) params.set(URL_PARAMS.QUERY, searchQuery);
+  if (dateFrom) params.set(URL_PARAMS.DATE_FROM, dateFrom);
+  if (dateTo) params.set(URL_PARAMS.DATE_TO, dateTo);
+  if (state.sortOrder !== SORT_ORDERS.RELEVANCE) params.set(URL_PARAMS.SORT, state.sortOrder);
+  
+  const query = params.toString();
+  const hash = includeEvent && state.selectedEvent
+    ? `#${encodeURIComponent(getEventKey(state.selectedEvent))}`
+    : '';
+  
+  return `${window.location.pathname}${query ? `?${query}` : ''}${hash}`;
+}
+
+/**
+ * Writes the current page state to the URL
+ * @param {Object} options - Sync options
+ * @param {boolean} [options.replace=false] - Replace the history entry instead of pushing
+ * @param {boolean} [options.modal=false] - Whether the entry opens the event modal
+ */
+function syncURL({ replace = false, modal = false } = {}) {
+  if (state.isRestoringHistory) return;
+  
+  const url = buildStateURL(true);
+  const currentURL = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+  
+  if (url === currentURL) return;
+  
+  try {
+    if (replace) {
+      history.replaceState(history.state, '', url);
+    } else {
+      history.pushState({ eventModal: modal }, '', url);
+    }
+  } catch (error) {
+    log('warn', 'Unable to update URL', { error: error.message });
+  }
+}
+
+/**
+ * Reads view, date and filters from the URL into state
+ * @returns {string|null} Event key from the URL hash, if any
+ */
+function readStateFromURL() {
+  const params = new URLSearchParams(window.location.search);
+  const view = params.get(URL_PARAMS.VIEW);
+  const category = params.get(URL_PARAMS.CATEGORY);
+  
+  state.currentView = VIEWS.includes(view) ? view : 'grid';
+  state.currentDate = parseDateParam(params.get(URL_PARAMS.DATE)) || getChurchToday();
+  state.sortOrder = params.get(URL_PARAMS.SORT) === SORT_ORDERS.DATE ? SORT_ORDERS.DATE : SORT_ORDERS.RELEVANCE;
+  state.filters = {
+    category: /^[a-z0-9-]+$/.test(category || '') ? category : 'all',
+    dateFrom: parseDateParam(params.get(URL_PARAMS.DATE_FROM)) ? params.get(URL_PARAMS.DATE_FROM) : null,
+    dateTo: parseDateParam(params.get(URL_PARAMS.DATE_TO)) ? params.get(URL_PARAMS.DATE_TO) : null,
+    searchQuery: (params.get(URL_PARAMS.QUERY) || '').trim(),
+  };
+  
+  const hash = window.location.hash.slice(1);
+  if (!hash) return null;
+  
+  try {
+    return decodeURIComponent(hash);
+  } catch (error) {
+    return hash;
+  }
+}
+
+/**
+ * Updates the filter controls to reflect the current state
+ */
+function syncFilterControls() {
+  const searchInput = querySelector(SELECTORS.SEARCH_INPUT);
+  if (searchInput) {
+    searchInput.value = state.filters.searchQuery;
+  }
+  
+  querySelectorAll(SELECTORS.CATEGORY_FILTERS).forEach(input => {
+    input.checked = input.value === state.filters.category;
+  });
+  
+  querySelectorAll(SELECTORS.SORT_OPTIONS).forEach(input => {
+    input.checked = input.value === state.sortOrder;
+  });
+  
+  const dateFrom = querySelector(SELECTORS.DATE_FROM);
+  const dateTo = querySelector(SELECTORS.DATE_TO);
+  if (dateFrom) dateFrom.value = state.filters.dateFrom || '';
+  if (dateTo) dateTo.value = state.filters.dateTo || '';
+  
+  updateViewButtons();
+}
+
+/**
+ * Finds an event by key, including events outside the visible range.
+ * A series ID without a date resolves to the next upcoming occurrence.
+ * @param {string} key - Event ID or occurrence ID (id@YYYY-MM-DD)
+ * @returns {Object|undefined} Display event
+ */
+function findEventByKey(key) {
+  const visible = findFilteredEvent(key);
+  if (visible) return visible;
+  
+  const [id, dateKey] = key.split('@');
+  const source = state.events.find(e => e.id === id);
+  if (!source) return undefined;
+  
+  const start = dateKey || toDateKey(toCalendarDate(getChurchToday()));
+  const end = dateKey ||
+    toDateKey(new Date(toCalendarDate(start).getTime() + CONFIG.RECURRENCE_WINDOW_DAYS * 86400000));
+  const [occurrence] = expandEvents([source], start, end);
+  
+  return toDisplayEvent(occurrence || source);
+}
+
+/**
+ * Opens or closes the event modal to match the URL hash
+ * @param {string|null} eventKey - Event key from the URL hash
+ */
+function restoreSelectedEvent(eventKey) {
+  const modal = querySelector(SELECTORS.MODAL);
+  
+  if (!eventKey) {
+    if (modal && modal.open) modal.close();
+    state.selectedEvent = null;
+    return;
+  }
+  
+  const event = findEventByKey(eventKey);
+  if (event) {
+    showEventModal(event);
+  } else {
+    log('warn', 'Linked event not found', { eventKey });
+  }
+}
+
+/**
+ * Applies the state described by the URL without adding history entries
+ */
+function restoreStateFromURL() {
+  state.isRestoringHistory = true;
+  
+  try {
+    const eventKey = readStateFromURL();
+    syncFilterControls();
+    applyFilters();
+    restoreSelectedEvent(eventKey);
+  } finally {
+    state.isRestoringHistory = false;
+  }
+}
+
+/**
+ * Handles browser back/forward navigation
+ */
+function handlePopState() {
+  restoreStateFromURL();
+  log('info', 'State restored from history', { url: window.location.href });
+}
+
 // ============================================================================
 // EVENT HANDLERS
 // ============================================================================
@@ -981,6 +1526,8 @@ const handleSearch = debounce(() => {
   
   state.filters.searchQuery = searchInput.value.trim();
   applyFilters();
+  // Replace rather than push so each keystroke does not add a history entry
+  syncURL({ replace: true });
 }, CONFIG.DEBOUNCE_DELAY);
 
 /**
@@ -990,6 +1537,17 @@ const handleSearch = debounce(() => {
 function handleCategoryChange(event) {
   state.filters.category = event.target.value;
   applyFilters();
+  syncURL();
+}
+
+/**
+ * Handles sort order change
+ * @param {Event} event - Change event
+ */
+function handleSortChange(event) {
+  state.sortOrder = event.target.value === SORT_ORDERS.DATE ? SORT_ORDERS.DATE : SORT_ORDERS.RELEVANCE;
+  applyFilters();
+  syncURL();
 }
 
 /**
@@ -1003,6 +1561,7 @@ function handleDateChange() {
   state.filters.dateTo = dateTo?.value || null;
   
   applyFilters();
+  syncURL();
 }
 
 /**
@@ -1017,6 +1576,145 @@ async function handleRetry() {
   }
 }
 
+// ============================================================================
+// PUSH NOTIFICATIONS
+// ============================================================================
+
+/**
+ * Gets the link a notification opens for an event: this page with the
+ * event's key in the hash, which reopens its modal
+ * @param {Object} event - Event or occurrence
+ * @returns {string} Deep link path
+ */
+function getEventDeepLink(event) {
+  return `${window.location.pathname}#${encodeURIComponent(getEventKey(event))}`;
+}
+
+/**
+ * Shows a push status message
+ * @param {HTMLElement|null} element - Status element
+ * @param {string} message - Message, or empty to clear
+ */
+function showPushMessage(element, message) {
+  if (element) element.textContent = message;
+}
+
+/**
+ * Updates the "Remind me" button for the event in the modal. Hidden when
+ * push is unsupported or the event has already started.
+ * @param {Object} event - Displayed event or occurrence
+ */
+function updateRemindButton(event) {
+  const button = querySelector(SELECTORS.REMIND_ME);
+  if (!button) return;
+  
+  const isUpcoming = event.start instanceof Date && event.start > new Date();
+  const isSet = hasReminder(getEventKey(event));
+  
+  button.hidden = !isPushSupported() || !isUpcoming;
+  button.disabled = false;
+  button.setAttribute('aria-pressed', String(isSet));
+  button.textContent = isSet ? 'Reminder set' : 'Remind me';
+  showPushMessage(querySelector(SELECTORS.REMIND_ME_STATUS), '');
+}
+
+/**
+ * Toggles a reminder for the event in the modal
+ */
+async function handleRemindMe() {
+  const event = state.selectedEvent;
+  const button = querySelector(SELECTORS.REMIND_ME);
+  if (!event || !button) return;
+  
+  const key = getEventKey(event);
+  const wasSet = hasReminder(key);
+  
+  button.disabled = true;
+  const result = wasSet
+    ? await removeReminder(key)
+    : await addReminder({
+      id: key,
+      title: event.title,
+      url: getEventDeepLink(event),
+      startsAt: event.start,
+    });
+  
+  // The modal may have moved on to another event while waiting
+  if (state.selectedEvent !== event) return;
+  
+  updateRemindButton(event);
+  
+  const message = PUSH_MESSAGES[result.status]
+    || (wasSet ? PUSH_MESSAGES.REMINDER_REMOVED : PUSH_MESSAGES.REMINDER_SET);
+  showPushMessage(querySelector(SELECTORS.REMIND_ME_STATUS), message);
+  
+  log('info', 'Event reminder updated', { eventId: key, status: result.status });
+}
+
+/**
+ * Ticks the category checkboxes to match the stored preferences
+ * @param {Array<string>} categories - Followed categories
+ */
+function checkNotificationOptions(categories) {
+  querySelectorAll(`${SELECTORS.NOTIFY_OPTIONS} input[type="checkbox"]`).forEach(input => {
+    input.checked = categories.includes(input.value);
+  });
+}
+
+/**
+ * Handles a category checkbox change in the notification preferences
+ */
+async function handleNotifyChange() {
+  const inputs = querySelectorAll(`${SELECTORS.NOTIFY_OPTIONS} input[type="checkbox"]`);
+  const categories = Array.from(inputs).filter(input => input.checked).map(input => input.value);
+  
+  inputs.forEach(input => { input.disabled = true; });
+  const result = await setCategories(categories);
+  inputs.forEach(input => { input.disabled = false; });
+  
+  checkNotificationOptions(result.preferences.categories);
+  
+  let message = PUSH_MESSAGES[result.status];
+  if (!message) {
+    message = result.preferences.categories.length > 0 ? PUSH_MESSAGES.SAVED : PUSH_MESSAGES.OFF;
+  }
+  showPushMessage(querySelector(SELECTORS.NOTIFY_STATUS), message);
+  
+  log('info', 'Notification categories updated', { categories, status: result.status });
+}
+
+/**
+ * Builds the notification category checkboxes and shows the preferences
+ * form when this browser supports push
+ */
+async function initNotificationPreferences() {
+  const form = querySelector(SELECTORS.NOTIFY_FORM);
+  const options = querySelector(SELECTORS.NOTIFY_OPTIONS);
+  if (!form || !options || !isPushSupported()) return;
+  
+  initPushNotifications();
+  
+  options.innerHTML = '';
+  PUSH_CATEGORIES.forEach(category => {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    
+    label.className = 'events__notify-option';
+    input.type = 'checkbox';
+    input.name = 'notify-category';
+    input.value = category;
+    input.addEventListener('change', handleNotifyChange);
+    
+    label.append(input, ` ${CATEGORY_LABELS[category] || category}`);
+    options.appendChild(label);
+  });
+  
+  const { status, preferences } = await getPushState();
+  checkNotificationOptions(preferences.categories);
+  showPushMessage(querySelector(SELECTORS.NOTIFY_STATUS), PUSH_MESSAGES[status] || '');
+  form.hidden = false;
+}
+
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
@@ -1037,6 +1735,12 @@ function initEventListeners() {
     filter.addEventListener('change', handleCategoryChange);
   });
   
+  // Sort order
+  const sortOptions = querySelectorAll(SELECTORS.SORT_OPTIONS);
+  sortOptions.forEach(option => {
+    option.addEventListener('change', handleSortChange);
+  });
+  
   // Date filters
   const dateFrom = querySelector(SELECTORS.DATE_FROM);
   const dateTo = querySelector(SELECTORS.DATE_TO);
@@ -1094,6 +1798,24 @@ function initEventListeners() {
     });
   }
   
+  const remindBtn = querySelector(SELECTORS.REMIND_ME);
+  if (remindBtn) {
+    remindBtn.addEventListener('click', handleRemindMe);
+  }
+  
+  // Keep the URL in step with the modal and browser history
+  const modal = querySelector(SELECTORS.MODAL);
+  if (modal) {
+    modal.addEventListener('close', handleModalClose);
+  }
+  window.addEventListener('popstate', handlePopState);
+  
+  // Multi-event calendar download
+  const downloadFeedBtn = querySelector(SELECTORS.DOWNLOAD_FEED);
+  if (downloadFeedBtn) {
+    downloadFeedBtn.addEventListener('click', downloadFilteredEvents);
+  }
+  
   log('info', 'Event listeners initialized');
 }
 
@@ -1104,14 +1826,21 @@ export async function init() {
   try {
     log('info', 'Initializing events page');
     
+    if (!state.removeReconnectListener) {
+      state.removeReconnectListener = onReconnect(refreshEvents);
+    }
+    
     // Load events data
     state.events = await loadEvents();
+    state.initialized = true;
     
     // Initialize event listeners
     initEventListeners();
+    initRegistration();
+    initNotificationPreferences();
     
-    // Apply initial filters
-    applyFilters();
+    // Apply view, filters and open event from the URL
+    restoreStateFromURL();
     
     log('info', 'Events page initialized successfully');
   } catch (error) {
@@ -0,0 +1,979 @@
+/**
+ * Giving Component
+ *
+ * Online giving and item pledges for a ministry's `donationNeeds`:
+ * - Fund selection: the general fund plus one fund per donation category
+ * - Amount presets from the markup, or a custom amount
+ * - One-time or recurring (weekly, monthly, yearly) gifts
+ * - Item pledges ("I'll bring 10 cans on Saturday") for categories that list items
+ * - A printable receipt for gifts and pledges
+ * - DONATION_INITIATED conversion tracking when a gift or pledge is submitted
+ *
+ * Payments go through the provider adapter named by `data-payment-provider`
+ * on the root (see utils/payment-providers.js). Without one the gift form is
+ * disabled, except on development hosts where the mock provider stands in.
+ * Pledges are posted through the shared form-submission layer and queued
+ * when offline.
+ *
+ * @module components/giving
+ * @generated-from: task-id:user-014
+ * @modifies: none (new file)
+ * @dependencies: [payment-providers, form-submission, contact-form, analytics, timezone, accessibility]
+ */
+
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import {
+  processPayment,
+  getPaymentProvider,
+  isMockProviderEnabled,
+  mockProvider,
+  FREQUENCIES,
+} from '../utils/payment-providers.js';
+import {
+  submitForm,
+  generateIdempotencyKey,
+  SUBMISSION_STATUS,
+} from '../utils/form-submission.js';
+import {
+  validateForm,
+  validateField,
+  sanitizeInput,
+  showError,
+} from './contact-form.js';
+import { trackConversion, CONVERSION_EVENTS } from '../utils/analytics.js';
+import { formatInTimeZone, toZonedDateKey } from '../utils/timezone.js';
+import { announcePolite } from '../utils/accessibility.js';
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const CONFIG = Object.freeze({
+  DATA_PATH: '/data/ministries/',
+  DEFAULT_PROVIDER: null, // Set by data-payment-provider on the root; the mock on development hosts
+  PLEDGE_ENDPOINT: '/api/giving/pledges', // Overridden by data-pledge-endpoint on the root
+  CURRENCY: 'NGN', // Overridden by data-currency on the root
+  LOCALE: 'en-NG',
+  MIN_AMOUNT: 50000, // Minor units (₦500.00); overridden by data-min-amount (major units)
+  MAX_AMOUNT: 1000000000, // Minor units (₦10,000,000.00); overridden by data-max-amount (major units)
+  MAX_PLEDGE_QUANTITY: 500,
+});
+
+const GENERAL_FUND = Object.freeze({
+  id: 'general',
+  name: 'General Fund',
+});
+
+const MODES = Object.freeze({
+  GIFT: 'gift',
+  PLEDGE: 'pledge',
+});
+
+const FREQUENCY_LABELS = Object.freeze({
+  [FREQUENCIES.ONE_TIME]: 'One time',
+  [FREQUENCIES.WEEKLY]: 'Every week',
+  [FREQUENCIES.MONTHLY]: 'Every month',
+  [FREQUENCIES.YEARLY]: 'Every year',
+});
+
+const SELECTORS = Object.freeze({
+  ROOT: '[data-giving]',
+  MODE_BUTTONS: '[data-giving-mode]',
+  PANELS: '[data-giving-panel]',
+  GIFT_FORM: '[data-giving-gift]',
+  PLEDGE_FORM: '[data-giving-pledge]',
+  FUND: '[name="fund"]',
+  PRESETS: '[name="amountPreset"]',
+  CUSTOM_AMOUNT: '[name="customAmount"]',
+  FREQUENCY: '[name="frequency"]',
+  CATEGORY: '[name="category"]',
+  ITEM: '[name="item"]',
+  QUANTITY: '[name="quantity"]',
+  DROP_OFF_DATE: '[name="dropOffDate"]',
+  DROP_OFF_INFO: '[data-giving-dropoff]',
+  STATUS: '[data-giving-status]',
+  RECEIPT: '[data-giving-receipt]',
+  PRINT: '[data-giving-print]',
+  RESTART: '[data-giving-restart]',
+  SELECT_LINKS: '[data-giving-select]',
+  SUBMIT_BUTTON: '[type="submit"]',
+});
+
+const CLASSES = Object.freeze({
+  STATUS: 'contact-form__status',
+});
+
+const MESSAGES = Object.freeze({
+  UNAVAILABLE: 'Online giving is not available right now. Please give by check or during Sunday services.',
+  INVALID: 'Please correct the highlighted fields and try again.',
+  AMOUNT_REQUIRED: 'Please choose or enter an amount.',
+  AMOUNT_RANGE: 'Please enter an amount between {min} and {max}.',
+  QUANTITY_RANGE: 'Please enter a quantity between 1 and {max}.',
+  DATE_PAST: 'Please choose today or a later date.',
+  PROCESSING: 'Processing your gift...',
+  SUBMITTING_PLEDGE: 'Sending your pledge...',
+  PLEDGE_FAILED: 'We could not record your pledge. Please try again.',
+  PLEDGE_QUEUED: 'You appear to be offline. Your pledge has been saved and will be sent when your connection returns.',
+  GIVE: 'Give',
+  PLEDGE: 'Pledge Items',
+  GIFT_THANKS: 'Thank you for your gift!',
+  PLEDGE_THANKS: 'Thank you for your pledge!',
+  TEST_PAYMENT: 'This was a test payment. No money was taken.',
+});
+
+// ============================================================================
+// STATE MANAGEMENT
+// ============================================================================
+
+const state = {
+  root: null,
+  funds: [],
+  categories: [],
+  donationNeeds: null,
+  providerId: CONFIG.DEFAULT_PROVIDER,
+  pledgeEndpoint: CONFIG.PLEDGE_ENDPOINT,
+  currency: CONFIG.CURRENCY,
+  minAmount: CONFIG.MIN_AMOUNT,
+  maxAmount: CONFIG.MAX_AMOUNT,
+  idempotencyKeys: { [MODES.GIFT]: null, [MODES.PLEDGE]: null }, // One per form
+  isSubmitting: false,
+  initialized: false,
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Safely queries a single DOM element
+ * @param {string} selector - CSS selector
+ * @param {Document|Element} context - Context to query within
+ * @returns {Element|null} Found element or null
+ */
+function querySelector(selector, context = document) {
+  try {
+    return context.querySelector(selector);
+  } catch (error) {
+    console.error(`[Giving] Invalid selector: ${selector}`, error);
+    return null;
+  }
+}
+
+/**
+ * Safely queries multiple DOM elements
+ * @param {string} selector - CSS selector
+ * @param {Document|Element} context - Context to query within
+ * @returns {NodeList} NodeList of found elements
+ */
+function querySelectorAll(selector, context = document) {
+  try {
+    return context.querySelectorAll(selector);
+  } catch (error) {
+    console.error(`[Giving] Invalid selector: ${selector}`, error);
+    return document.createDocumentFragment().childNodes;
+  }
+}
+
+/**
+ * Logs structured messages with context
+ * @param {string} level - Log level (info, warn, error)
+ * @param {string} message - Log message
+ * @param {Object} context - Additional context data
+ */
+function log(level, message, context = {}) {
+  const logMethod = console[level] || console.log;
+  logMethod('[Giving]', message, context);
+}
+
+/**
+ * Escapes a value for use in an HTML attribute or text
+ * @param {string} value - Value to escape
+ * @returns {string} Escaped value
+ */
+function escapeHTML(value) {
+  const div = document.createElement('div');
+  div.textContent = value == null ? '' : String(value);
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * Converts a name to an ID such as "food-pantry-supplies"
+ * @param {string} text - Name
+ * @returns {string} ID
+ */
+function toId(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Formats an amount in minor units as currency
+ * @param {number} amount - Amount in minor units
+ * @param {string} [currency] - ISO currency code
+ * @returns {string} e.g. "₦5,000.00"
+ */
+function formatMoney(amount, currency = state.currency) {
+  return new Intl.NumberFormat(CONFIG.LOCALE, { style: 'currency', currency }).format(amount / 100);
+}
+
+/**
+ * Parses a typed amount into minor units
+ * @param {string} value - Amount as typed, e.g. "5000", "₦12,500.50"
+ * @returns {number|null} Amount in minor units, or null if not a valid amount
+ */
+function parseAmount(value) {
+  const text = String(value || '').replace(/[,\s]/g, '').replace(/^\p{Sc}/u, '');
+  if (!/^\d+(\.\d{1,2})?$/.test(text)) return null;
+
+  const [whole, fraction = ''] = text.split('.');
+  return Number(whole) * 100 + Number(fraction.padEnd(2, '0'));
+}
+
+/**
+ * Replaces {name} placeholders in a message
+ * @param {string} message - Message template
+ * @param {Object} values - Placeholder values
+ * @returns {string} Message
+ */
+function formatMessage(message, values) {
+  return message.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+/**
+ * Gets the idempotency key of a form's current submission, creating one
+ * for a new submission
+ * @param {string} mode - MODES.GIFT or MODES.PLEDGE
+ * @returns {string} Idempotency key
+ */
+function getIdempotencyKey(mode) {
+  state.idempotencyKeys[mode] = state.idempotencyKeys[mode] || generateIdempotencyKey();
+  return state.idempotencyKeys[mode];
+}
+
+/**
+ * Forgets a form's idempotency key so its next submission gets a new one
+ * @param {string} mode - MODES.GIFT or MODES.PLEDGE
+ */
+function resetIdempotencyKey(mode) {
+  state.idempotencyKeys[mode] = null;
+}
+
+// ============================================================================
+// FUNDS & CATEGORIES
+// ============================================================================
+
+/**
+ * Builds the fund list from donation needs
+ * @param {Object|null} donationNeeds - Ministry donationNeeds
+ * @returns {Array<Object>} Funds { id, name }
+ */
+function buildFunds(donationNeeds) {
+  const categories = donationNeeds && Array.isArray(donationNeeds.categories) ? donationNeeds.categories : [];
+
+  return [
+    GENERAL_FUND,
+    ...categories.map((category) => ({ id: toId(category.name), name: category.name })),
+  ];
+}
+
+/**
+ * Builds the pledge categories (those that list items to bring)
+ * @param {Object|null} donationNeeds - Ministry donationNeeds
+ * @returns {Array<Object>} Categories { id, name, items, dropOffLocation, dropOffHours }
+ */
+function buildPledgeCategories(donationNeeds) {
+  const categories = donationNeeds && Array.isArray(donationNeeds.categories) ? donationNeeds.categories : [];
+
+  return categories
+    .filter((category) => Array.isArray(category.items) && category.items.length > 0)
+    .map((category) => ({
+      id: toId(category.name),
+      name: category.name,
+      items: category.items,
+      dropOffLocation: category.dropOffLocation || '',
+      dropOffHours: category.dropOffHours || '',
+    }));
+}
+
+/**
+ * Finds a pledge category by ID
+ * @param {string} id - Category ID
+ * @returns {Object|null} Category or null
+ */
+function findCategory(id) {
+  return state.categories.find((category) => category.id === id) || null;
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Fills a select with options
+ * @param {HTMLSelectElement} select - Select element
+ * @param {Array<Object>} options - { value, label }
+ */
+function renderOptions(select, options) {
+  if (!select) return;
+
+  select.innerHTML = options
+    .map((option) => `<option value="${escapeHTML(option.value)}">${escapeHTML(option.label)}</option>`)
+    .join('');
+}
+
+/**
+ * Shows the items and drop-off details for the selected pledge category
+ * @param {HTMLFormElement} form - Pledge form
+ */
+function renderCategoryDetails(form) {
+  const categorySelect = querySelector(SELECTORS.CATEGORY, form);
+  const category = findCategory(categorySelect ? categorySelect.value : '');
+
+  renderOptions(
+    querySelector(SELECTORS.ITEM, form),
+    (category ? category.items : []).map((item) => ({ value: item, label: item }))
+  );
+
+  const info = querySelector(SELECTORS.DROP_OFF_INFO, form);
+  if (info) {
+    info.textContent = category && category.dropOffLocation
+      ? `Drop-off: ${category.dropOffLocation}${category.dropOffHours ? `, ${category.dropOffHours}` : ''}`
+      : '';
+  }
+}
+
+/**
+ * Gets the selected gift amount
+ * @param {HTMLFormElement} form - Gift form
+ * @returns {number|null} Amount in minor units, or null if none is chosen
+ */
+function getSelectedAmount(form) {
+  const preset = querySelector(`${SELECTORS.PRESETS}:checked`, form);
+
+  if (preset && preset.value !== 'other') {
+    return parseAmount(preset.value);
+  }
+
+  const custom = querySelector(SELECTORS.CUSTOM_AMOUNT, form);
+  return custom ? parseAmount(custom.value) : null;
+}
+
+/**
+ * Gets the selected giving frequency
+ * @param {HTMLFormElement} form - Gift form
+ * @returns {string} One of FREQUENCIES
+ */
+function getSelectedFrequency(form) {
+  const checked = querySelector(`${SELECTORS.FREQUENCY}:checked`, form);
+  return checked && Object.values(FREQUENCIES).includes(checked.value) ? checked.value : FREQUENCIES.ONE_TIME;
+}
+
+/**
+ * Updates the gift submit button, e.g. "Give ₦10,000.00 every month"
+ * @param {HTMLFormElement} form - Gift form
+ */
+function updateGiftSummary(form) {
+  const button = querySelector(SELECTORS.SUBMIT_BUTTON, form);
+  if (!button || state.isSubmitting) return;
+
+  const amount = getSelectedAmount(form);
+  const frequency = getSelectedFrequency(form);
+
+  if (!amount) {
+    button.textContent = MESSAGES.GIVE;
+    return;
+  }
+
+  const suffix = frequency === FREQUENCIES.ONE_TIME ? '' : ` ${FREQUENCY_LABELS[frequency].toLowerCase()}`;
+  button.textContent = `${MESSAGES.GIVE} ${formatMoney(amount)}${suffix}`;
+}
+
+/**
+ * Shows a status message in a form
+ * @param {HTMLFormElement} form - Form
+ * @param {string} message - Message text
+ * @param {string} type - success, error or info
+ */
+function showStatus(form, message, type) {
+  const status = querySelector(SELECTORS.STATUS, form);
+  if (!status) return;
+
+  status.textContent = message;
+  status.className = `${CLASSES.STATUS} ${CLASSES.STATUS}--${type}`;
+}
+
+/**
+ * Clears a form's status message
+ * @param {HTMLFormElement} form - Form
+ */
+function clearStatus(form) {
+  const status = querySelector(SELECTORS.STATUS, form);
+  if (!status) return;
+
+  status.textContent = '';
+  status.className = CLASSES.STATUS;
+}
+
+/**
+ * Switches between the gift and pledge forms
+ * @param {string} mode - One of MODES
+ */
+function setMode(mode) {
+  querySelectorAll(SELECTORS.MODE_BUTTONS, state.root).forEach((button) => {
+    button.setAttribute('aria-pressed', String(button.dataset.givingMode === mode));
+  });
+  querySelectorAll(SELECTORS.PANELS, state.root).forEach((panel) => {
+    panel.hidden = panel.dataset.givingPanel !== mode;
+  });
+
+  const receipt = querySelector(SELECTORS.RECEIPT, state.root);
+  if (receipt) {
+    receipt.hidden = true;
+  }
+}
+
+/**
+ * Renders a receipt and hides the forms
+ * @param {Object} receipt - { title, reference, rows: [{ label, value }], notes }
+ */
+function renderReceipt(receipt) {
+  const container = querySelector(SELECTORS.RECEIPT, state.root);
+  if (!container) return;
+
+  container.innerHTML = `
+    <h3 class="giving-receipt__title">${escapeHTML(receipt.title)}</h3>
+    <dl class="giving-receipt__details">
+      ${receipt.rows.filter((row) => row.value).map((row) => `
+        <div class="giving-receipt__row">
+          <dt class="giving-receipt__label">${escapeHTML(row.label)}</dt>
+          <dd class="giving-receipt__value">${escapeHTML(row.value)}</dd>
+        </div>
+      `).join('')}
+    </dl>
+    ${receipt.notes.filter(Boolean).map((note) => `<p class="giving-receipt__note">${escapeHTML(note)}</p>`).join('')}
+    <div class="giving-receipt__actions">
+      <button type="button" class="giving__button" data-giving-print>Print Receipt</button>
+      <button type="button" class="giving__button giving__button--secondary" data-giving-restart>Give Again</button>
+    </div>
+  `;
+
+  querySelectorAll(SELECTORS.PANELS, state.root).forEach((panel) => {
+    panel.hidden = true;
+  });
+  container.hidden = false;
+  container.focus();
+  announcePolite(receipt.title);
+}
+
+/**
+ * Builds the receipt for a successful gift
+ * @param {Object} gift - Gift details
+ * @param {Object} result - Payment result
+ * @returns {Object} Receipt
+ */
+function buildGiftReceipt(gift, result) {
+  const provider = getPaymentProvider(result.provider);
+
+  return {
+    title: MESSAGES.GIFT_THANKS,
+    rows: [
+      { label: 'Receipt number', value: result.transactionId },
+      { label: 'Date', value: formatInTimeZone(new Date(), { dateStyle: 'long', timeStyle: 'short' }) },
+      { label: 'Name', value: gift.donor.name },
+      { label: 'Email', value: gift.donor.email },
+      { label: 'Fund', value: gift.fund.name },
+      { label: 'Amount', value: formatMoney(gift.amount, gift.currency) },
+      { label: 'Frequency', value: FREQUENCY_LABELS[gift.frequency] },
+      { label: 'Recurring gift reference', value: result.subscriptionId },
+      { label: 'Payment method', value: provider ? provider.label : result.provider },
+    ],
+    notes: [
+      state.donationNeeds && state.donationNeeds.description,
+      result.provider === mockProvider.id ? MESSAGES.TEST_PAYMENT : '',
+    ],
+  };
+}
+
+/**
+ * Builds the confirmation for a recorded pledge
+ * @param {Object} pledge - Pledge details
+ * @param {Object} result - Submission result
+ * @returns {Object} Receipt
+ */
+function buildPledgeReceipt(pledge, result) {
+  const category = findCategory(pledge.category) || {};
+  const reference = (result.data && result.data.reference) || pledge.reference;
+  const dropOffDate = formatInTimeZone(new Date(`${pledge.dropOffDate}T12:00:00Z`), { dateStyle: 'full', timeZone: 'UTC' });
+
+  return {
+    title: MESSAGES.PLEDGE_THANKS,
+    rows: [
+      { label: 'Pledge reference', value: reference },
+      { label: 'Name', value: pledge.name },
+      { label: 'Email', value: pledge.email },
+      { label: 'Pledge', value: `${pledge.quantity} x ${pledge.item}` },
+      { label: 'For', value: category.name },
+      { label: 'Drop-off date', value: dropOffDate },
+      { label: 'Drop-off location', value: category.dropOffLocation },
+      { label: 'Drop-off hours', value: category.dropOffHours },
+    ],
+    notes: [
+      result.status === SUBMISSION_STATUS.QUEUED ? MESSAGES.PLEDGE_QUEUED : '',
+    ],
+  };
+}
+
+// ============================================================================
+// SUBMISSION
+// ============================================================================
+
+/**
+ * Marks a form as busy while a gift or pledge is processed
+ * @param {HTMLFormElement} form - Form
+ * @param {boolean} busy - Whether the form is busy
+ * @param {string} [label] - Button label while busy
+ */
+function setSubmitting(form, busy, label) {
+  state.isSubmitting = busy;
+
+  const button = querySelector(SELECTORS.SUBMIT_BUTTON, form);
+  if (button) {
+    button.disabled = busy;
+    button.setAttribute('aria-busy', String(busy));
+    if (busy && label) {
+      button.textContent = label;
+    }
+  }
+}
+
+/**
+ * Validates the amount fields of the gift form
+ * @param {HTMLFormElement} form - Gift form
+ * @returns {number|null} Amount in minor units, or null after showing an error
+ */
+function validateAmount(form) {
+  const amount = getSelectedAmount(form);
+  const custom = querySelector(SELECTORS.CUSTOM_AMOUNT, form);
+
+  if (!amount) {
+    showError(custom, MESSAGES.AMOUNT_REQUIRED);
+    return null;
+  }
+
+  if (amount < state.minAmount || amount > state.maxAmount) {
+    showError(custom, formatMessage(MESSAGES.AMOUNT_RANGE, {
+      min: formatMoney(state.minAmount),
+      max: formatMoney(state.maxAmount),
+    }));
+    return null;
+  }
+
+  return amount;
+}
+
+/**
+ * Handles gift form submission
+ * @param {Event} event - Submit event
+ */
+async function handleGiftSubmit(event) {
+  event.preventDefault();
+  const form = event.currentTarget;
+  if (state.isSubmitting) return;
+
+  clearStatus(form);
+
+  const fieldsValid = validateForm(form);
+  const amount = validateAmount(form);
+
+  if (!fieldsValid || !amount) {
+    showStatus(form, MESSAGES.INVALID, 'error');
+    return;
+  }
+
+  const formData = new FormData(form);
+  const fund = state.funds.find((item) => item.id === formData.get('fund')) || GENERAL_FUND;
+  const gift = {
+    amount,
+    currency: state.currency,
+    frequency: getSelectedFrequency(form),
+    fund,
+    donor: {
+      name: sanitizeInput(formData.get('name')),
+      email: sanitizeInput(formData.get('email')),
+    },
+  };
+
+  // Reuse the key while retrying the same gift so it is never charged twice
+  const idempotencyKey = getIdempotencyKey(MODES.GIFT);
+
+  trackConversion(CONVERSION_EVENTS.DONATION_INITIATED, {
+    donation_type: 'gift',
+    fund: fund.id,
+    frequency: gift.frequency,
+    value: amount / 100,
+    currency: gift.currency,
+  });
+
+  setSubmitting(form, true, MESSAGES.PROCESSING);
+  showStatus(form, MESSAGES.PROCESSING, 'info');
+
+  const result = await processPayment(state.providerId, {
+    ...gift,
+    fund: fund.id,
+    idempotencyKey,
+  });
+
+  setSubmitting(form, false);
+  updateGiftSummary(form);
+
+  if (!result.ok) {
+    showStatus(form, result.message, 'error');
+    return;
+  }
+
+  resetIdempotencyKey(MODES.GIFT);
+  form.reset();
+  clearStatus(form);
+  updateGiftSummary(form);
+  renderReceipt(buildGiftReceipt(gift, result));
+}
+
+/**
+ * Validates the quantity and date fields of the pledge form
+ * @param {HTMLFormElement} form - Pledge form
+ * @returns {boolean} True if both are valid
+ */
+function validatePledgeDetails(form) {
+  let isValid = true;
+
+  const quantityInput = querySelector(SELECTORS.QUANTITY, form);
+  const quantity = Number(quantityInput ? quantityInput.value : NaN);
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > CONFIG.MAX_PLEDGE_QUANTITY) {
+    showError(quantityInput, formatMessage(MESSAGES.QUANTITY_RANGE, { max: CONFIG.MAX_PLEDGE_QUANTITY }));
+    isValid = false;
+  }
+
+  const dateInput = querySelector(SELECTORS.DROP_OFF_DATE, form);
+  if (dateInput && dateInput.value && dateInput.value < toZonedDateKey(new Date())) {
+    showError(dateInput, MESSAGES.DATE_PAST);
+    isValid = false;
+  }
+
+  return isValid;
+}
+
+/**
+ * Handles pledge form submission
+ * @param {Event} event - Submit event
+ */
+async function handlePledgeSubmit(event) {
+  event.preventDefault();
+  const form = event.currentTarget;
+  if (state.isSubmitting) return;
+
+  clearStatus(form);
+
+  const fieldsValid = validateForm(form);
+  if (!fieldsValid || !validatePledgeDetails(form)) {
+    showStatus(form, MESSAGES.INVALID, 'error');
+    return;
+  }
+
+  const formData = new FormData(form);
+  const idempotencyKey = getIdempotencyKey(MODES.PLEDGE);
+
+  const pledge = {
+    reference: idempotencyKey.slice(0, 8).toUpperCase(),
+    category: String(formData.get('category')),
+    item: String(formData.get('item')),
+    quantity: Number(formData.get('quantity')),
+    dropOffDate: String(formData.get('dropOffDate')),
+    name: sanitizeInput(formData.get('name')),
+    email: sanitizeInput(formData.get('email')),
+    note: sanitizeInput(formData.get('note') || ''),
+  };
+
+  trackConversion(CONVERSION_EVENTS.DONATION_INITIATED, {
+    donation_type: 'pledge',
+    fund: pledge.category,
+    quantity: pledge.quantity,
+  });
+
+  setSubmitting(form, true, MESSAGES.SUBMITTING_PLEDGE);
+
+  const result = await submitForm(state.pledgeEndpoint, pledge, {
+    formType: 'giving-pledge',
+    idempotencyKey,
+  });
+
+  setSubmitting(form, false);
+  const button = querySelector(SELECTORS.SUBMIT_BUTTON, form);
+  if (button) {
+    button.textContent = MESSAGES.PLEDGE;
+  }
+
+  if (result.status === SUBMISSION_STATUS.INVALID) {
+    Object.entries(result.fieldErrors).forEach(([name, message]) => {
+      showError(form.elements[name], message);
+    });
+    showStatus(form, MESSAGES.INVALID, 'error');
+    return;
+  }
+
+  if (!result.ok) {
+    showStatus(form, MESSAGES.PLEDGE_FAILED, 'error');
+    return;
+  }
+
+  resetIdempotencyKey(MODES.PLEDGE);
+  form.reset();
+  renderCategoryDetails(form);
+  renderReceipt(buildPledgeReceipt(pledge, result));
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+/**
+ * Keeps the amount fields and submit label in step with each other
+ * @param {Event} event - Input or change event
+ */
+function handleGiftInput(event) {
+  const form = event.currentTarget;
+  const target = event.target;
+
+  // An edited gift is a new payment, not a retry of the previous one
+  resetIdempotencyKey(MODES.GIFT);
+
+  if (target.matches(SELECTORS.CUSTOM_AMOUNT)) {
+    const other = querySelector(`${SELECTORS.PRESETS}[value="other"]`, form);
+    if (other && target.value) {
+      other.checked = true;
+    }
+  } else if (target.matches(SELECTORS.PRESETS) && target.value !== 'other') {
+    const custom = querySelector(SELECTORS.CUSTOM_AMOUNT, form);
+    if (custom) {
+      custom.value = '';
+      validateField(custom);
+    }
+  }
+
+  updateGiftSummary(form);
+}
+
+/**
+ * Handles pledge form edits
+ * @param {Event} event - Input or change event
+ */
+function handlePledgeInput(event) {
+  // An edited pledge is a new pledge, not a retry of the previous one
+  resetIdempotencyKey(MODES.PLEDGE);
+
+  if (event.type === 'change' && event.target.matches(SELECTORS.CATEGORY)) {
+    renderCategoryDetails(event.currentTarget);
+  }
+}
+
+/**
+ * Handles clicks on mode, print and restart buttons
+ * @param {Event} event - Click event
+ */
+function handleClick(event) {
+  const target = event.target.closest('button');
+  if (!target || !state.root.contains(target)) return;
+
+  if (target.matches(SELECTORS.MODE_BUTTONS)) {
+    setMode(target.dataset.givingMode);
+  } else if (target.matches(SELECTORS.PRINT)) {
+    window.print();
+  } else if (target.matches(SELECTORS.RESTART)) {
+    setMode(MODES.GIFT);
+  }
+}
+
+/**
+ * Preselects a fund or pledge category from links elsewhere on the page,
+ * e.g. the donation needs cards: <a href="#give" data-giving-select="pledge" data-giving-category="School Supplies">
+ * @param {Event} event - Click event
+ */
+function handleSelectLink(event) {
+  const link = event.target.closest(SELECTORS.SELECT_LINKS);
+  if (!link) return;
+
+  const mode = link.dataset.givingSelect === MODES.PLEDGE ? MODES.PLEDGE : MODES.GIFT;
+  const id = toId(link.dataset.givingCategory);
+  setMode(mode);
+
+  if (mode === MODES.PLEDGE) {
+    const form = querySelector(SELECTORS.PLEDGE_FORM, state.root);
+    const select = form && querySelector(SELECTORS.CATEGORY, form);
+    if (select && findCategory(id)) {
+      select.value = id;
+      resetIdempotencyKey(MODES.PLEDGE);
+      renderCategoryDetails(form);
+    }
+  } else {
+    const select = querySelector(`${SELECTORS.GIFT_FORM} ${SELECTORS.FUND}`, state.root);
+    if (select && state.funds.some((fund) => fund.id === id)) {
+      select.value = id;
+      resetIdempotencyKey(MODES.GIFT);
+    }
+  }
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Loads the donation needs of the ministry named on the root
+ * @param {string} ministry - Ministry ID (data file name)
+ * @returns {Promise<Object|null>} donationNeeds, or null on failure
+ */
+async function loadDonationNeeds(ministry) {
+  try {
+    const response = await fetch(`${CONFIG.DATA_PATH}${ministry}.json`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const data = await response.json();
+    return data.donationNeeds || null;
+  } catch (error) {
+    log('error', 'Failed to load donation needs', { ministry, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Sets up the gift form
+ * @param {HTMLFormElement} form - Gift form
+ */
+function initGiftForm(form) {
+  renderOptions(querySelector(SELECTORS.FUND, form), state.funds.map((fund) => ({
+    value: fund.id,
+    label: fund.name,
+  })));
+
+  form.addEventListener('submit', handleGiftSubmit);
+  form.addEventListener('input', handleGiftInput);
+  form.addEventListener('change', handleGiftInput);
+  updateGiftSummary(form);
+}
+
+/**
+ * Sets up the pledge form, or removes it when nothing can be pledged
+ * @param {HTMLFormElement} form - Pledge form
+ */
+function initPledgeForm(form) {
+  if (!state.categories.length) {
+    querySelectorAll(`${SELECTORS.MODE_BUTTONS}[data-giving-mode="${MODES.PLEDGE}"]`, state.root)
+      .forEach((button) => button.remove());
+    form.remove();
+    return;
+  }
+
+  renderOptions(querySelector(SELECTORS.CATEGORY, form), state.categories.map((category) => ({
+    value: category.id,
+    label: category.name,
+  })));
+  renderCategoryDetails(form);
+
+  const dateInput = querySelector(SELECTORS.DROP_OFF_DATE, form);
+  if (dateInput) {
+    dateInput.min = toZonedDateKey(new Date());
+  }
+
+  form.addEventListener('submit', handlePledgeSubmit);
+  form.addEventListener('input', handlePledgeInput);
+  form.addEventListener('change', handlePledgeInput);
+  form.addEventListener('reset', () => {
+    setTimeout(() => renderCategoryDetails(form), 0);
+  });
+}
+
+/**
+ * Initializes the giving component
+ * @returns {Promise<boolean>} True if giving is ready
+ */
+async function initGiving() {
+  if (state.initialized) return true;
+
+  state.root = querySelector(SELECTORS.ROOT);
+  if (!state.root) {
+    log('info', 'Giving section not found - skipping initialization');
+    return false;
+  }
+
+  state.providerId = state.root.dataset.paymentProvider
+    || (isMockProviderEnabled() ? mockProvider.id : CONFIG.DEFAULT_PROVIDER);
+  state.pledgeEndpoint = state.root.dataset.pledgeEndpoint || CONFIG.PLEDGE_ENDPOINT;
+  state.currency = state.root.dataset.currency || CONFIG.CURRENCY;
+  state.minAmount = parseAmount(state.root.dataset.minAmount) || CONFIG.MIN_AMOUNT;
+  state.maxAmount = parseAmount(state.root.dataset.maxAmount) || CONFIG.MAX_AMOUNT;
+
+  const giftForm = querySelector(SELECTORS.GIFT_FORM, state.root);
+  const pledgeForm = querySelector(SELECTORS.PLEDGE_FORM, state.root);
+
+  if (!getPaymentProvider(state.providerId)) {
+    log('error', 'Payment provider not registered', { provider: state.providerId });
+    if (giftForm) {
+      showStatus(giftForm, MESSAGES.UNAVAILABLE, 'error');
+      const button = querySelector(SELECTORS.SUBMIT_BUTTON, giftForm);
+      if (button) {
+        button.disabled = true;
+      }
+    }
+  }
+
+  state.donationNeeds = await loadDonationNeeds(state.root.dataset.giving);
+  state.funds = buildFunds(state.donationNeeds);
+  state.categories = buildPledgeCategories(state.donationNeeds);
+
+  if (giftForm) {
+    initGiftForm(giftForm);
+  }
+  if (pledgeForm) {
+    initPledgeForm(pledgeForm);
+  }
+
+  state.root.addEventListener('click', handleClick);
+  document.addEventListener('click', handleSelectLink);
+
+  state.initialized = true;
+  log('info', 'Giving initialized', {
+    provider: state.providerId,
+    funds: state.funds.length,
+    pledgeCategories: state.categories.length,
+  });
+  return true;
+}
+
+// ============================================================================
+// AUTO-INITIALIZATION
+// ============================================================================
+
+function handleDOMReady() {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initGiving);
+  } else {
+    initGiving();
+  }
+}
+
+handleDOMReady();
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  initGiving,
+  buildFunds,
+  buildPledgeCategories,
+  parseAmount,
+  formatMoney,
+  MODES,
+};
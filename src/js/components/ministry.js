@@ -3,6 +3,8 @@
  * 
  * Handles dynamic content loading and interactions for ministry pages including:
  * - Loading ministry data from JSON files
+ * - Normalizing ministry data (src/data/schemas/ministry.schema.json) to one
+ *   shape so every renderer works for every ministry
  * - Rendering leadership profiles with progressive image loading
  * - Displaying meeting schedules (regular and special events)
  * - Managing photo gallery with lightbox functionality
@@ -11,13 +13,41 @@
  * - Multi-ministry support (youth, women's, men's, children's, outreach)
  * - Impact metrics visualization for outreach ministry
  * - Volunteer opportunity handling for outreach ministry
+ * - Declarative page sections: any element with data-ministry-section="leadership"
+ *   (schedule, gallery, ...) is filled from the ministry data file, so a new
+ *   ministry page needs only a data file and markup attributes
+ * - Offline use: the last good data file is saved on the device and shown,
+ *   with a "Showing saved data from ..." banner, when offline or when the
+ *   file cannot be loaded; the page refreshes when the connection returns
+ * 
+ * Markup:
+ *   <main data-ministry="youth">          ministry ID (defaults to the page name)
+ *     <div data-ministry-section="leadership">...fallback markup...</div>
+ *   </main>
+ * 
+ * Sections without data keep their fallback markup. See SECTION_RENDERERS for
+ * the available section names.
  * 
  * @module components/ministry
  * @generated-from: task-id:TASK-010,TASK-011
  * @modifies: ministry.js
- * @dependencies: [lazy-loading]
+ * @dependencies: [lazy-loading, accessibility, offline, saved-data]
  */
 
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import { createFocusTrap, announcePolite } from '../utils/accessibility.js';
+import { isOffline } from '../utils/offline.js';
+import {
+  saveData,
+  loadSavedData,
+  showSavedDataBanner,
+  hideSavedDataBanner,
+  onReconnect,
+} from '../utils/saved-data.js';
+
 // ============================================================================
 // CONSTANTS & CONFIGURATION
 // ============================================================================
@@ -33,10 +63,9 @@ const CONFIG = Object.freeze({
 });
 
 const SELECTORS = Object.freeze({
-  LEADERSHIP_GRID: '.youth-leadership__grid',
-  SCHEDULE_GRID: '.youth-schedule__grid',
-  SPECIAL_EVENTS_GRID: '.youth-schedule__special-grid',
-  GALLERY_GRID: '.youth-gallery__grid',
+  MINISTRY_PAGE: '[data-ministry]',
+  SECTION: '[data-ministry-section]',
+  LOADING_STATUS: '[role="status"]',
   GALLERY_MODAL: '#gallery-modal',
   MODAL_IMAGE: '#modal-image',
   MODAL_CAPTION: '#modal-title',
@@ -52,11 +81,9 @@ const SELECTORS = Object.freeze({
   TESTIMONIALS_INDICATORS: '.testimonials__indicators',
   TESTIMONIALS_PREV: '.testimonials__button--prev',
   TESTIMONIALS_NEXT: '.testimonials__button--next',
-  IMPACT_METRICS_CONTAINER: '[data-impact-metrics]',
   IMPACT_METRIC_NUMBER: '[data-metric-number]',
-  IMPACT_STORIES_GRID: '[data-impact-stories]',
-  VOLUNTEER_OPPORTUNITIES_GRID: '[data-volunteer-opportunities]',
-  DONATION_NEEDS_GRID: '[data-donation-needs]',
+  GIVING_SECTION: '[data-giving]',
+  VOLUNTEER_FORM: '[data-volunteer-form]',
 });
 
 const CLASSES = Object.freeze({
@@ -67,6 +94,11 @@ const CLASSES = Object.freeze({
   MODAL_OPEN: 'modal--open',
 });
 
+const MESSAGES = Object.freeze({
+  LOAD_ERROR: 'Unable to load content. Please try again later.',
+  GALLERY_CLOSED: 'Gallery closed',
+});
+
 const MINISTRY_TYPES = Object.freeze({
   YOUTH: 'youth',
   WOMENS: 'womens',
@@ -94,6 +126,12 @@ const state = {
   },
   currentMinistryType: null,
   impactMetricsAnimated: new Set(),
+  galleryFocusTrap: null,
+  galleryHandlersBound: false,
+  testimonialControlsBound: false,
+  rawMinistryData: null, // As loaded, to tell whether a refresh changed anything
+  needsRefresh: false, // Showing saved data or an error; reload when back online
+  removeReconnectListener: null,
 };
 
 // ============================================================================
@@ -194,10 +232,16 @@ function escapeHTML(text) {
 }
 
 /**
- * Detects ministry type from current page URL
+ * Detects ministry type from the page's data-ministry attribute, falling
+ * back to the page URL
  * @returns {string} Ministry type identifier
  */
 function detectMinistryType() {
+  const page = querySelector(SELECTORS.MINISTRY_PAGE);
+  if (page && page.dataset.ministry) {
+    return page.dataset.ministry;
+  }
+
   const path = window.location.pathname;
   const filename = path.substring(path.lastIndexOf('/') + 1);
   
@@ -274,6 +318,7 @@ async function fetchMinistryData(ministryName, attempt = 1) {
       data,
       timestamp: Date.now(),
     });
+    saveData(url, data);
 
     log('info', 'Ministry data loaded successfully', { ministryName });
     return data;
@@ -293,6 +338,164 @@ async function fetchMinistryData(ministryName, attempt = 1) {
   }
 }
 
+/**
+ * Loads ministry data, falling back to the copy saved on this device when
+ * offline or when the data file cannot be fetched
+ * @param {string} ministryName - Name of ministry
+ * @returns {Promise<Object>} { data, savedAt } where savedAt is null for fresh data
+ * @throws {Error} If the data cannot be fetched and nothing is saved
+ */
+async function loadMinistryData(ministryName) {
+  const url = `${CONFIG.DATA_PATH}${ministryName}.json`;
+
+  if (isOffline()) {
+    const saved = await loadSavedData(url);
+    if (saved) {
+      log('info', 'Offline, using saved ministry data', { ministryName, savedAt: saved.savedAt });
+      return saved;
+    }
+  }
+
+  try {
+    return { data: await fetchMinistryData(ministryName), savedAt: null };
+  } catch (error) {
+    const saved = await loadSavedData(url);
+    if (saved) {
+      log('warn', 'Using saved ministry data', { ministryName, savedAt: saved.savedAt });
+      return saved;
+    }
+    throw error;
+  }
+}
+
+// ============================================================================
+// DATA NORMALIZATION
+// ============================================================================
+
+/**
+ * Derives an ID from a display name (e.g. "Men's Prayer Breakfast" -> "mens-prayer-breakfast")
+ * @param {string} text - Display name
+ * @param {string} fallback - ID used when the name has no usable characters
+ * @returns {string} ID
+ */
+function toId(text, fallback) {
+  const id = String(text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  return id || fallback;
+}
+
+/**
+ * Returns a list section, or an empty list when the section is missing
+ * @param {*} value - Section value
+ * @returns {Array} List
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+/**
+ * Gives every item in a list an ID, keeping the IDs from the data file
+ * @param {Array<Object>} items - List items
+ * @param {string} nameKey - Property the ID is derived from
+ * @param {string} prefix - Fallback ID prefix
+ * @returns {Array<Object>} Items with IDs
+ */
+function withIds(items, nameKey, prefix) {
+  return toList(items).map((item, index) => ({
+    ...item,
+    id: item.id || toId(item[nameKey], `${prefix}-${index + 1}`),
+  }));
+}
+
+/**
+ * Normalizes ministry data (see src/data/schemas/ministry.schema.json) so
+ * every renderer gets the same shape whichever ministry is loaded:
+ * - List sections are always arrays and every item has an `id`
+ * - Optional text fields are strings (empty when missing)
+ * - Gallery items always have `image` and `thumbnail`
+ * - Object sections (impactMetrics, donationNeeds, joinInfo) are null when missing
+ * - A ministry without regular meetings lists its scheduled activities instead
+ * @param {Object} data - Ministry data as loaded from the data file
+ * @returns {Object} Normalized ministry data
+ */
+function normalizeMinistryData(data) {
+  const schedule = data.schedule || {};
+  const activities = withIds(data.activities, 'name', 'activity');
+
+  let regular = withIds(schedule.regular, 'name', 'meeting');
+  if (regular.length === 0) {
+    regular = activities
+      .filter((activity) => activity.schedule)
+      .map((activity) => ({
+        id: activity.id,
+        name: activity.name,
+        day: activity.schedule,
+        time: '',
+        location: activity.location || '',
+        description: activity.description,
+      }));
+  }
+
+  const impactMetrics = data.impactMetrics
+    ? { ...data.impactMetrics, metrics: toList(data.impactMetrics.metrics), stories: toList(data.impactMetrics.stories) }
+    : null;
+
+  const donationNeeds = data.donationNeeds
+    ? { ...data.donationNeeds, categories: toList(data.donationNeeds.categories) }
+    : null;
+
+  return {
+    id: data.id,
+    name: data.name,
+    tagline: data.tagline || '',
+    description: data.description || '',
+    mission: data.mission || '',
+    vision: data.vision || '',
+    ageRange: data.ageRange || '',
+    hero: data.hero || null,
+    contact: { email: '', phone: '', ...data.contact },
+    leadership: withIds(data.leadership, 'name', 'leader').map((leader) => ({
+      email: '',
+      phone: '',
+      ...leader,
+    })),
+    schedule: {
+      regular: regular.map((meeting) => ({ location: '', ...meeting })),
+      special: withIds(schedule.special, 'name', 'event').map((event) => ({
+        location: '',
+        time: '',
+        ...event,
+      })),
+    },
+    activities,
+    ageGroups: toList(data.ageGroups),
+    volunteerOpportunities: withIds(data.volunteerOpportunities, 'title', 'opportunity').map((opportunity) => ({
+      ...opportunity,
+      requirements: toList(opportunity.requirements),
+      shifts: toList(opportunity.shifts),
+    })),
+    testimonials: withIds(data.testimonials, 'name', 'testimonial').map((testimonial) => ({
+      role: '',
+      image: '',
+      ...testimonial,
+    })),
+    resources: withIds(data.resources, 'title', 'resource'),
+    safetyPolicies: toList(data.safetyPolicies),
+    gallery: withIds(data.gallery, 'caption', 'photo').map((item) => ({
+      ...item,
+      thumbnail: item.thumbnail || item.image,
+    })),
+    impactMetrics,
+    donationNeeds,
+    joinInfo: data.joinInfo || null,
+    socialMedia: { ...data.socialMedia },
+  };
+}
+
 // ============================================================================
 // IMAGE LOADING
 // ============================================================================
@@ -403,7 +606,7 @@ function renderLeadership(leaders, container) {
     img.loading = 'lazy';
     img.width = 400;
     img.height = 400;
-    img.dataset.src = leader.photo || leader.image;
+    img.dataset.src = leader.image;
 
     const content = document.createElement('div');
     content.className = 'leader-card__content';
@@ -420,15 +623,17 @@ function renderLeadership(leaders, container) {
     bio.className = 'leader-card__bio';
     bio.textContent = leader.bio;
 
-    const email = document.createElement('a');
-    email.className = 'leader-card__email';
-    email.href = `mailto:${leader.email}`;
-    email.textContent = leader.email;
-
     content.appendChild(name);
     content.appendChild(role);
     content.appendChild(bio);
-    content.appendChild(email);
+
+    if (leader.email) {
+      const email = document.createElement('a');
+      email.className = 'leader-card__email';
+      email.href = `mailto:${leader.email}`;
+      email.textContent = leader.email;
+      content.appendChild(email);
+    }
 
     article.appendChild(img);
     article.appendChild(content);
@@ -470,7 +675,9 @@ function renderSchedule(schedule, container) {
 
     const time = document.createElement('p');
     time.className = 'schedule-card__time';
-    time.innerHTML = `<strong>${escapeHTML(item.day)}</strong> | ${escapeHTML(item.time)}`;
+    time.innerHTML = item.time
+      ? `<strong>${escapeHTML(item.day)}</strong> | ${escapeHTML(item.time)}`
+      : `<strong>${escapeHTML(item.day)}</strong>`;
 
     const location = document.createElement('p');
     location.className = 'schedule-card__location';
@@ -519,7 +726,7 @@ function renderSpecialEvents(events, container) {
 
     const date = document.createElement('p');
     date.className = 'special-event-card__date';
-    date.textContent = event.date;
+    date.textContent = [event.date, event.time].filter(Boolean).join(' | ');
 
     const location = document.createElement('p');
     location.className = 'special-event-card__location';
@@ -531,7 +738,9 @@ function renderSpecialEvents(events, container) {
 
     article.appendChild(name);
     article.appendChild(date);
-    article.appendChild(location);
+    if (event.location) {
+      article.appendChild(location);
+    }
     article.appendChild(description);
     fragment.appendChild(article);
   });
@@ -571,8 +780,8 @@ function renderGallery(gallery, container) {
     img.loading = 'lazy';
     img.width = 400;
     img.height = 300;
-    img.dataset.src = item.thumbnail || item.image || item.src;
-    img.dataset.fullSrc = item.url || item.image || item.src;
+    img.dataset.src = item.thumbnail;
+    img.dataset.fullSrc = item.image;
 
     const caption = document.createElement('span');
     caption.className = 'gallery-item__caption';
@@ -617,14 +826,6 @@ function renderTestimonials(testimonials, trackContainer, indicatorsContainer) {
     const content = document.createElement('div');
     content.className = 'testimonial-card__content';
 
-    const img = document.createElement('img');
-    img.className = 'testimonial-card__image';
-    img.alt = escapeHTML(testimonial.name);
-    img.loading = 'lazy';
-    img.width = 120;
-    img.height = 120;
-    img.dataset.src = testimonial.image;
-
     const textContent = document.createElement('div');
 
     const quote = document.createElement('blockquote');
@@ -643,7 +844,17 @@ function renderTestimonials(testimonials, trackContainer, indicatorsContainer) {
     textContent.appendChild(name);
     textContent.appendChild(role);
 
-    content.appendChild(img);
+    if (testimonial.image) {
+      const img = document.createElement('img');
+      img.className = 'testimonial-card__image';
+      img.alt = escapeHTML(testimonial.name);
+      img.loading = 'lazy';
+      img.width = 120;
+      img.height = 120;
+      img.dataset.src = testimonial.image;
+      content.appendChild(img);
+    }
+
     content.appendChild(textContent);
     article.appendChild(content);
     fragment.appendChild(article);
@@ -679,6 +890,94 @@ function renderTestimonials(testimonials, trackContainer, indicatorsContainer) {
   log('info', 'Testimonials rendered', { count: testimonials.length });
 }
 
+/**
+ * Renders age groups (children's ministry classes)
+ * @param {Array} ageGroups - Array of age group objects
+ * @param {Element} container - Container element
+ */
+function renderAgeGroups(ageGroups, container) {
+  if (!container || !Array.isArray(ageGroups) || ageGroups.length === 0) {
+    log('warn', 'Cannot render age groups - invalid data or container');
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+
+  ageGroups.forEach((group) => {
+    const article = document.createElement('article');
+    article.className = 'schedule-card';
+
+    const name = document.createElement('h3');
+    name.className = 'schedule-card__name';
+    name.textContent = group.name;
+
+    const details = document.createElement('div');
+    details.className = 'schedule-card__details';
+
+    const ages = document.createElement('p');
+    ages.className = 'schedule-card__time';
+    ages.innerHTML = `<strong>Ages:</strong> ${escapeHTML(group.ages)}`;
+    details.appendChild(ages);
+
+    if (group.room) {
+      const room = document.createElement('p');
+      room.className = 'schedule-card__location';
+      room.textContent = group.room;
+      details.appendChild(room);
+    }
+
+    const description = document.createElement('p');
+    description.className = 'schedule-card__description';
+    description.textContent = group.description;
+
+    article.appendChild(name);
+    article.appendChild(details);
+    article.appendChild(description);
+    fragment.appendChild(article);
+  });
+
+  container.innerHTML = '';
+  container.appendChild(fragment);
+
+  log('info', 'Age groups rendered', { count: ageGroups.length });
+}
+
+/**
+ * Renders safety policies
+ * @param {Array} policies - Array of policy objects
+ * @param {Element} container - Container element
+ */
+function renderSafetyPolicies(policies, container) {
+  if (!container || !Array.isArray(policies) || policies.length === 0) {
+    log('warn', 'Cannot render safety policies - invalid data or container');
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+
+  policies.forEach((policy) => {
+    const article = document.createElement('article');
+    article.className = 'schedule-card';
+
+    const title = document.createElement('h3');
+    title.className = 'schedule-card__name';
+    title.textContent = policy.title;
+
+    const description = document.createElement('p');
+    description.className = 'schedule-card__description';
+    description.textContent = policy.description;
+
+    article.appendChild(title);
+    article.appendChild(description);
+    fragment.appendChild(article);
+  });
+
+  container.innerHTML = '';
+  container.appendChild(fragment);
+
+  log('info', 'Safety policies rendered', { count: policies.length });
+}
+
 // ============================================================================
 // OUTREACH-SPECIFIC RENDERING
 // ============================================================================
@@ -781,6 +1080,7 @@ function renderVolunteerOpportunities(opportunities, container) {
   }
 
   const fragment = document.createDocumentFragment();
+  const volunteerForm = querySelector(SELECTORS.VOLUNTEER_FORM);
 
   opportunities.forEach((opportunity) => {
     const article = document.createElement('article');
@@ -808,6 +1108,17 @@ function renderVolunteerOpportunities(opportunities, container) {
     article.appendChild(title);
     article.appendChild(details);
     article.appendChild(description);
+
+    // Link opportunities with shifts to the sign-up form when the page has one (see volunteer.js)
+    if (volunteerForm && volunteerForm.id && opportunity.shifts.length > 0) {
+      const shiftLink = document.createElement('a');
+      shiftLink.className = 'schedule-card__link';
+      shiftLink.href = `#${volunteerForm.id}`;
+      shiftLink.dataset.volunteerSelect = opportunity.id;
+      shiftLink.textContent = 'Choose a shift';
+      article.appendChild(shiftLink);
+    }
+
     fragment.appendChild(article);
   });
 
@@ -829,6 +1140,7 @@ function renderDonationNeeds(donationNeeds, container) {
   }
 
   const fragment = document.createDocumentFragment();
+  const givingSection = querySelector(SELECTORS.GIVING_SECTION);
 
   donationNeeds.categories.forEach((category) => {
     const article = document.createElement('article');
@@ -869,6 +1181,18 @@ function renderDonationNeeds(donationNeeds, container) {
       content.appendChild(location);
     }
 
+    // Link each need to the giving form when the page has one (see giving.js)
+    if (givingSection && givingSection.id) {
+      const pledgeable = Array.isArray(category.items) && category.items.length > 0;
+      const giveLink = document.createElement('a');
+      giveLink.className = 'leader-card__email';
+      giveLink.href = `#${givingSection.id}`;
+      giveLink.dataset.givingSelect = pledgeable ? 'pledge' : 'gift';
+      giveLink.dataset.givingCategory = category.name;
+      giveLink.textContent = pledgeable ? 'Pledge items' : 'Give online';
+      content.appendChild(giveLink);
+    }
+
     article.appendChild(content);
     fragment.appendChild(article);
   });
@@ -879,15 +1203,144 @@ function renderDonationNeeds(donationNeeds, container) {
   log('info', 'Donation needs rendered', { count: donationNeeds.categories.length });
 }
 
+// ============================================================================
+// SECTION REGISTRY
+// ============================================================================
+
+/**
+ * Page sections keyed by their data-ministry-section name. `select` picks the
+ * section's content from normalized ministry data (nothing to render when it
+ * returns null or an empty list), `render` fills the container and
+ * `cardClass` gets a per-ministry modifier (e.g. schedule-card--childrens)
+ * so the ministry themes apply to rendered cards.
+ */
+const SECTION_RENDERERS = Object.freeze({
+  leadership: {
+    select: (data) => data.leadership,
+    render: renderLeadership,
+    cardClass: 'leader-card',
+  },
+  schedule: {
+    select: (data) => data.schedule.regular,
+    render: renderSchedule,
+    cardClass: 'schedule-card',
+  },
+  'special-events': {
+    select: (data) => data.schedule.special,
+    render: renderSpecialEvents,
+    cardClass: 'special-event-card',
+  },
+  'age-groups': {
+    select: (data) => data.ageGroups,
+    render: renderAgeGroups,
+    cardClass: 'schedule-card',
+  },
+  'safety-policies': {
+    select: (data) => data.safetyPolicies,
+    render: renderSafetyPolicies,
+    cardClass: 'schedule-card',
+  },
+  gallery: {
+    select: (data) => data.gallery,
+    render: renderGallery,
+  },
+  testimonials: {
+    select: (data) => data.testimonials,
+    render: (testimonials, container) => {
+      const indicators = querySelector(SELECTORS.TESTIMONIALS_INDICATORS, container.closest('section') || document);
+      renderTestimonials(testimonials, container, indicators);
+      initTestimonialsCarousel(container);
+    },
+  },
+  'impact-metrics': {
+    select: (data) => (data.impactMetrics && data.impactMetrics.metrics.length > 0 ? data.impactMetrics : null),
+    render: renderImpactMetrics,
+  },
+  'impact-stories': {
+    select: (data) => (data.impactMetrics ? data.impactMetrics.stories : null),
+    render: renderImpactStories,
+  },
+  'volunteer-opportunities': {
+    select: (data) => data.volunteerOpportunities,
+    render: renderVolunteerOpportunities,
+    cardClass: 'schedule-card',
+  },
+  'donation-needs': {
+    select: (data) => (data.donationNeeds && data.donationNeeds.categories.length > 0 ? data.donationNeeds : null),
+    render: renderDonationNeeds,
+  },
+});
+
+/**
+ * Fills one data-ministry-section container from ministry data
+ * @param {Element} container - Section container
+ * @param {Object} data - Normalized ministry data
+ * @returns {boolean} Whether the section was rendered
+ */
+function renderSection(container, data) {
+  const name = container.dataset.ministrySection;
+  const section = SECTION_RENDERERS[name];
+
+  if (!section) {
+    log('warn', 'Unknown ministry section', { section: name });
+    return false;
+  }
+
+  const content = section.select(data);
+
+  if (!content || (Array.isArray(content) && content.length === 0)) {
+    log('info', 'No data for section, keeping page markup', { section: name });
+    return false;
+  }
+
+  section.render(content, container);
+
+  if (section.cardClass && data.id) {
+    querySelectorAll(`.${section.cardClass}`, container).forEach((card) => {
+      card.classList.add(`${section.cardClass}--${data.id}`);
+    });
+  }
+
+  return true;
+}
+
+/**
+ * Renders every data-ministry-section container on the page
+ * @param {Object} data - Normalized ministry data
+ * @returns {number} Number of sections rendered
+ */
+function renderSections(data) {
+  let rendered = 0;
+
+  querySelectorAll(SELECTORS.SECTION).forEach((container) => {
+    if (renderSection(container, data)) {
+      rendered += 1;
+    }
+  });
+
+  return rendered;
+}
+
+/**
+ * Replaces loading placeholders in unrendered sections with an error message
+ */
+function showSectionErrors() {
+  querySelectorAll(SELECTORS.SECTION).forEach((container) => {
+    if (querySelector(SELECTORS.LOADING_STATUS, container)) {
+      container.innerHTML = `<p class="ministry-section__error">${escapeHTML(MESSAGES.LOAD_ERROR)}</p>`;
+    }
+  });
+}
+
 // ============================================================================
 // TESTIMONIALS CAROUSEL
 // ============================================================================
 
 /**
  * Initializes testimonials carousel functionality
+ * @param {Element} [track] - Carousel track (defaults to #testimonials-track)
  */
-function initTestimonialsCarousel() {
-  const track = querySelector(SELECTORS.TESTIMONIALS_TRACK);
+function initTestimonialsCarousel(track = querySelector(SELECTORS.TESTIMONIALS_TRACK)) {
   const prevButton = querySelector(SELECTORS.TESTIMONIALS_PREV);
   const nextButton = querySelector(SELECTORS.TESTIMONIALS_NEXT);
   const indicatorsContainer = querySelector(SELECTORS.TESTIMONIALS_INDICATORS);
@@ -988,22 +1441,27 @@ function initTestimonialsCarousel() {
     state.testimonialsState.isPaused = false;
   }
 
-  if (prevButton) {
-    prevButton.addEventListener('click', goToPrevious);
-  }
-
-  if (nextButton) {
-    nextButton.addEventListener('click', goToNext);
-  }
-
   indicators.forEach((indicator, index) => {
     indicator.addEventListener('click', () => goToSlide(index));
   });
 
-  const carousel = track.closest('.testimonials__carousel');
-  if (carousel) {
-    carousel.addEventListener('mouseenter', pause);
-    carousel.addEventListener('mouseleave', resume);
+  // Buttons and the carousel outlive re-rendered testimonials, so bind them once
+  if (!state.testimonialControlsBound) {
+    state.testimonialControlsBound = true;
+
+    if (prevButton) {
+      prevButton.addEventListener('click', goToPrevious);
+    }
+
+    if (nextButton) {
+      nextButton.addEventListener('click', goToNext);
+    }
+
+    const carousel = track.closest('.testimonials__carousel');
+    if (carousel) {
+      carousel.addEventListener('mouseenter', pause);
+      carousel.addEventListener('mouseleave', resume);
+    }
   }
 
   updateCarousel();
@@ -1042,7 +1500,10 @@ function openGalleryModal(index) {
   modal.classList.add(CLASSES.MODAL_OPEN);
   document.body.style.overflow = 'hidden';
 
-  modalImage.focus();
+  if (!state.galleryFocusTrap) {
+    state.galleryFocusTrap = createFocusTrap(modal);
+  }
+  state.galleryFocusTrap.activate();
 
   log('info', 'Gallery modal opened', { index });
 }
@@ -1061,6 +1522,12 @@ function closeGalleryModal() {
   modal.classList.remove(CLASSES.MODAL_OPEN);
   document.body.style.overflow = '';
 
+  if (state.galleryFocusTrap) {
+    state.galleryFocusTrap.deactivate();
+  }
+
+  announcePolite(MESSAGES.GALLERY_CLOSED);
+
   log('info', 'Gallery modal closed');
 }
 
@@ -1086,10 +1553,13 @@ function updateGalleryModal() {
     return;
   }
 
-  modalImage.src = image.url || image.image || image.src;
+  modalImage.src = image.image;
   modalImage.alt = escapeHTML(image.alt);
   modalCaption.textContent = image.caption;
 
+  const total = state.ministryData.gallery.length;
+  announcePolite(`Image ${state.currentGalleryIndex + 1} of ${total}: ${image.caption}`);
+
   log('info', 'Gallery modal updated', { index: state.currentGalleryIndex });
 }
 
@@ -1123,6 +1593,11 @@ function showNextImage() {
  * Sets up gallery event handlers
  */
 function setupGalleryHandlers() {
+  if (!querySelector(SELECTORS.GALLERY_MODAL)) {
+    log('info', 'No gallery modal on page, gallery is not interactive');
+    return;
+  }
+
   const galleryButtons = querySelectorAll(SELECTORS.GALLERY_BUTTONS);
   const closeButtons = querySelectorAll(SELECTORS.MODAL_CLOSE);
   const prevButton = querySelector(SELECTORS.MODAL_PREV);
@@ -1137,6 +1612,12 @@ function setupGalleryHandlers() {
     });
   });
 
+  // Modal controls outlive re-rendered galleries, so bind them once
+  if (state.galleryHandlersBound) {
+    return;
+  }
+  state.galleryHandlersBound = true;
+
   closeButtons.forEach((button) => {
     button.addEventListener('click', closeGalleryModal);
   });
@@ -1306,101 +1787,6 @@ function applyMinistryTheming(ministryType) {
   log('info', 'Ministry theming applied', { ministryType });
 }
 
-/**
- * Handles ministry-specific data structure variations
- * @param {Object} data - Ministry data
- * @param {string} ministryType - Type of ministry
- * @returns {Object} Normalized data structure
- */
-function normalizeMinistryData(data, ministryType) {
-  const normalized = { ...data };
-  
-  if (ministryType === MINISTRY_TYPES.CHILDRENS) {
-    if (data.ageGroups && !normalized.schedule) {
-      normalized.schedule = {
-        regular: data.ageGroups.map((group) => ({
-          id: group.name.toLowerCase().replace(/\s+/g, '-'),
-          name: group.name,
-          day: group.ages,
-          time: data.meetingSchedule?.sunday?.time || '',
-          location: group.room || '',
-          description: group.description,
-        })),
-        special: data.specialEvents || [],
-      };
-    }
-  }
-  
-  if (ministryType === MINISTRY_TYPES.MENS) {
-    if (data.schedule?.regular) {
-      normalized.schedule.regular = data.schedule.regular.map((item) => ({
-        ...item,
-        id: item.name.toLowerCase().replace(/\s+/g, '-'),
-        day: item.day || item.frequency,
-      }));
-    }
-  }
-
-  if (ministryType === MINISTRY_TYPES.OUTREACH) {
-    if (data.initiatives && !normalized.schedule) {
-      normalized.schedule = {
-        regular: data.initiatives.map((initiative) => ({
-          id: initiative.id,
-          name: initiative.name,
-          day: initiative.schedule,
-          time: '',
-          location: initiative.location,
-          description: initiative.description,
-        })),
-        special: [],
-      };
-    }
-
-    if (data.gallery && Array.isArray(data.gallery)) {
-      normalized.gallery = data.gallery.map((item) => ({
-        ...item,
-        image: item.src || item.image,
-        url: item.src || item.url || item.image,
-        thumbnail: item.src || item.thumbnail || item.image,
-      }));
-    }
-  }
-  
-  return normalized;
-}
-
-/**
- * Initializes outreach-specific features
- * @param {Object} data - Ministry data
- */
-function initOutreachFeatures(data) {
-  if (!data) {
-    return;
-  }
-
-  const impactMetricsContainer = querySelector(SELECTORS.IMPACT_METRICS_CONTAINER);
-  if (impactMetricsContainer && data.impactMetrics) {
-    renderImpactMetrics(data.impactMetrics, impactMetricsContainer);
-  }
-
-  const impactStoriesContainer = querySelector('[data-impact-stories]');
-  if (impactStoriesContainer && data.impactMetrics?.stories) {
-    renderImpactStories(data.impactMetrics.stories, impactStoriesContainer);
-  }
-
-  const volunteerOpportunitiesContainer = querySelector('[data-volunteer-opportunities]');
-  if (volunteerOpportunitiesContainer && data.volunteerOpportunities) {
-    renderVolunteerOpportunities(data.volunteerOpportunities, volunteerOpportunitiesContainer);
-  }
-
-  const donationNeedsContainer = querySelector('[data-donation-needs]');
-  if (donationNeedsContainer && data.donationNeeds) {
-    renderDonationNeeds(data.donationNeeds, donationNeedsContainer);
-  }
-
-  log('info', 'Outreach-specific features initialized');
-}
-
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
@@ -1418,43 +1804,22 @@ async function initMinistryPage(ministryName = null) {
 
     applyMinistryTheming(detectedType);
 
-    const data = await fetchMinistryData(detectedType);
-    const normalizedData = normalizeMinistryData(data, detectedType);
-    state.ministryData = normalizedData;
-
-    const leadershipContainer = querySelector(SELECTORS.LEADERSHIP_GRID);
-    if (leadershipContainer && normalizedData.leadership) {
-      renderLeadership(normalizedData.leadership, leadershipContainer);
-    }
-
-    const scheduleContainer = querySelector(SELECTORS.SCHEDULE_GRID);
-    if (scheduleContainer && normalizedData.schedule && normalizedData.schedule.regular) {
-      renderSchedule(normalizedData.schedule.regular, scheduleContainer);
+    if (!state.removeReconnectListener) {
+      state.removeReconnectListener = onReconnect(refreshMinistryData);
     }
 
-    const specialEventsContainer = querySelector(SELECTORS.SPECIAL_EVENTS_GRID);
-    if (specialEventsContainer && normalizedData.schedule && normalizedData.schedule.special) {
-      renderSpecialEvents(normalizedData.schedule.special, specialEventsContainer);
-    }
-
-    const galleryContainer = querySelector(SELECTORS.GALLERY_GRID);
-    if (galleryContainer && normalizedData.gallery) {
-      renderGallery(normalizedData.gallery, galleryContainer);
-    }
-
-    const testimonialsTrack = querySelector(SELECTORS.TESTIMONIALS_TRACK);
-    const testimonialsIndicators = querySelector(SELECTORS.TESTIMONIALS_INDICATORS);
-    if (testimonialsTrack && normalizedData.testimonials) {
-      renderTestimonials(normalizedData.testimonials, testimonialsTrack, testimonialsIndicators);
-      initTestimonialsCarousel();
-    }
+    const { data, savedAt } = await loadMinistryData(detectedType);
+    const normalizedData = normalizeMinistryData(data);
+    state.ministryData = normalizedData;
+    state.rawMinistryData = data;
 
-    if (detectedType === MINISTRY_TYPES.OUTREACH) {
-      initOutreachFeatures(normalizedData);
-    }
+    const rendered = renderSections(normalizedData);
+    updateSavedDataBanner(savedAt);
 
-    log('info', 'Ministry page initialized successfully', { ministryType: detectedType });
+    log('info', 'Ministry page initialized successfully', { ministryType: detectedType, sections: rendered });
   } catch (error) {
+    state.needsRefresh = true;
+    showSectionErrors();
     log('error', 'Ministry page initialization failed', {
       ministryName,
       error: error.message,
@@ -1463,6 +1828,52 @@ async function initMinistryPage(ministryName = null) {
   }
 }
 
+/**
+ * Shows the saved data banner while the page shows saved data
+ * @param {number|null} savedAt - When the data shown was saved, or null if fresh
+ */
+function updateSavedDataBanner(savedAt) {
+  const page = querySelector(SELECTORS.MINISTRY_PAGE) || querySelector('main');
+  state.needsRefresh = savedAt !== null;
+
+  if (savedAt === null) {
+    hideSavedDataBanner(page);
+  } else {
+    showSavedDataBanner(page, savedAt);
+  }
+}
+
+/**
+ * Reloads the ministry data once the connection is back, re-rendering only
+ * if it changed since the saved copy
+ */
+async function refreshMinistryData() {
+  if (!state.needsRefresh || !state.currentMinistryType) {
+    return;
+  }
+
+  if (!state.ministryData) {
+    // Nothing rendered yet (the first load failed); start again
+    initMinistryPage(state.currentMinistryType);
+    return;
+  }
+
+  try {
+    const data = await fetchMinistryData(state.currentMinistryType);
+
+    if (JSON.stringify(data) !== JSON.stringify(state.rawMinistryData)) {
+      state.ministryData = normalizeMinistryData(data);
+      state.rawMinistryData = data;
+      renderSections(state.ministryData);
+    }
+
+    updateSavedDataBanner(null);
+    log('info', 'Ministry data refreshed after reconnecting');
+  } catch (error) {
+    log('warn', 'Ministry data refresh failed', { error: error.message });
+  }
+}
+
 /**
  * Cleans up ministry page resources
  */
@@ -1477,9 +1888,17 @@ function cleanup() {
     state.testimonialsState.autoRotateTimer = null;
   }
 
+  if (state.removeReconnectListener) {
+    state.removeReconnectListener();
+    state.removeReconnectListener = null;
+  }
+  hideSavedDataBanner(querySelector(SELECTORS.MINISTRY_PAGE) || querySelector('main'));
+
   state.imageCache.clear();
   state.loadingImages.clear();
+  state.needsRefresh = false;
   state.ministryData = null;
+  state.rawMinistryData = null;
   state.currentGalleryIndex = 0;
   state.currentMinistryType = null;
   state.impactMetricsAnimated.clear();
@@ -1493,6 +1912,29 @@ function cleanup() {
   log('info', 'Ministry page cleanup completed');
 }
 
+// ============================================================================
+// AUTO-INITIALIZATION
+// ============================================================================
+
+/**
+ * Initializes the page once the DOM is ready if it has ministry sections
+ */
+function handleDOMReady() {
+  const start = () => {
+    if (querySelector(SELECTORS.SECTION)) {
+      initMinistryPage();
+    }
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+  } else {
+    start();
+  }
+}
+
+handleDOMReady();
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -1509,9 +1951,14 @@ export {
   openGalleryModal,
   closeGalleryModal,
   detectMinistryType,
+  normalizeMinistryData,
   applyMinistryTheming,
   renderImpactMetrics,
   renderImpactStories,
   renderVolunteerOpportunities,
   renderDonationNeeds,
+  renderAgeGroups,
+  renderSafetyPolicies,
+  renderSection,
+  SECTION_RENDERERS,
 };
\ No newline at end of file
@@ -9,13 +9,20 @@
  * - Accessible ARIA attributes management
  * - Outside click detection for mobile menu
  * - Viewport resize handling
+ * - Site search launcher (button and "/" or Ctrl/Cmd+K shortcut)
  * 
  * @module components/navigation
  * @generated-from: task-id:TASK-005
  * @modifies: none
- * @dependencies: []
+ * @dependencies: [site-search]
  */
 
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import { openSiteSearch } from './site-search.js';
+
 // ============================================================================
 // CONSTANTS & CONFIGURATION
 // ============================================================================
@@ -32,6 +39,7 @@ const CONFIG = Object.freeze({
 
 const SELECTORS = Object.freeze({
   NAV: '.nav',
+  NAV_CONTAINER: '.nav__container',
   NAV_TOGGLE: '.nav__toggle',
   NAV_MENU: '.nav__menu',
   NAV_LINKS: '.nav__link',
@@ -42,6 +50,7 @@ const CLASSES = Object.freeze({
   MENU_OPEN: 'nav__menu--open',
   NO_SCROLL: 'no-scroll',
   ACTIVE_LINK: 'nav__link--active',
+  SEARCH_BUTTON: 'nav__search-btn',
 });
 
 const ARIA = Object.freeze({
@@ -59,6 +68,7 @@ const state = {
   isMobileViewport: false,
   activeLink: null,
   resizeObserver: null,
+  searchButton: null,
 };
 
 // ============================================================================
@@ -497,6 +507,85 @@ function handleResize() {
   }
 }
 
+// ============================================================================
+// SITE SEARCH LAUNCHER
+// ============================================================================
+
+/**
+ * Checks whether a keyboard event target is a text entry field
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} True if the visitor is typing
+ */
+function isTypingTarget(target) {
+  return Boolean(
+    target &&
+    (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+  );
+}
+
+/**
+ * Handles search button click
+ * @param {Event} _event - Click event
+ */
+function handleSearchClick(_event) {
+  if (state.isMenuOpen) {
+    closeMobileMenu();
+  }
+  openSiteSearch();
+  log('info', 'Site search opened from navigation', { action: 'site_search_open' });
+}
+
+/**
+ * Opens site search with "/" or Ctrl/Cmd+K
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleSearchShortcut(event) {
+  const isModifierShortcut = (event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k';
+  const isSlashShortcut = event.key === '/' && !isTypingTarget(event.target);
+  
+  if (isModifierShortcut || isSlashShortcut) {
+    event.preventDefault();
+    handleSearchClick(event);
+  }
+}
+
+/**
+ * Adds the site search button to the navigation bar
+ */
+function initSearchLauncher() {
+  if (state.searchButton) return;
+  
+  const container = querySelector(SELECTORS.NAV_CONTAINER);
+  if (!container) {
+    log('info', 'Navigation container not found - skipping search launcher');
+    return;
+  }
+  
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = CLASSES.SEARCH_BUTTON;
+  button.setAttribute('aria-label', 'Search the site');
+  button.setAttribute('aria-haspopup', 'dialog');
+  button.setAttribute('aria-keyshortcuts', '/ Control+K Meta+K');
+  button.innerHTML = `
+    <svg class="nav__search-icon" viewBox="0 0 24 24" width="20" height="20" aria-hidden="true" focusable="false">
+      <circle cx="11" cy="11" r="7" fill="none" stroke="currentColor" stroke-width="2"></circle>
+      <line x1="16.5" y1="16.5" x2="21" y2="21" stroke="currentColor" stroke-width="2" stroke-linecap="round"></line>
+    </svg>
+    <span class="nav__search-label">Search</span>
+  `;
+  
+  // Keep the mobile menu toggle last so it stays in the corner
+  const toggle = querySelector(SELECTORS.NAV_TOGGLE, container);
+  container.insertBefore(button, toggle);
+  
+  button.addEventListener('click', handleSearchClick);
+  document.addEventListener('keydown', handleSearchShortcut);
+  state.searchButton = button;
+  
+  log('info', 'Site search launcher initialized');
+}
+
 // ============================================================================
 // INITIALIZATION
 // ============================================================================
@@ -595,6 +684,9 @@ function initNavigation() {
     // Initialize smooth scrolling
     initSmoothScrolling();
     
+    // Initialize site search launcher
+    initSearchLauncher();
+    
     log('info', 'Navigation component initialized successfully');
   } catch (error) {
     log('error', 'Navigation initialization failed', { 
@@ -628,6 +720,13 @@ function cleanup() {
   
   document.removeEventListener('click', handleOutsideClick);
   document.removeEventListener('keydown', handleMenuKeydown);
+  document.removeEventListener('keydown', handleSearchShortcut);
+  
+  if (state.searchButton) {
+    state.searchButton.removeEventListener('click', handleSearchClick);
+    state.searchButton.remove();
+    state.searchButton = null;
+  }
   window.removeEventListener('popstate', handlePageChange);
   window.removeEventListener('hashchange', handlePageChange);
   
@@ -645,6 +744,7 @@ function cleanup() {
 
 export {
   initNavigation,
+  initSearchLauncher,
   cleanup,
   toggleMobileMenu,
   handlePageChange,
@@ -0,0 +1,326 @@
+/**
+ * Offline Page Component
+ *
+ * Fills in offline.html, which the service worker serves in place of a page
+ * that is not available offline:
+ * - Lists the pages and ministry pages that can still be opened, as reported
+ *   by the service worker (GET_OFFLINE_PAGES)
+ * - Shows upcoming events from the cached events.json, or from the copy the
+ *   events page saved on this device
+ *
+ * The church's address and service times are part of the page itself, so
+ * they show even if this script cannot run.
+ *
+ * @module components/offline-page
+ * @generated-from: task-id:user-024
+ * @modifies: none (new file)
+ * @dependencies: [recurrence, timezone, saved-data]
+ */
+
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import { expandEvents } from '../utils/recurrence.js';
+import { formatInTimeZone, parseZonedDateTime, toZonedDateKey } from '../utils/timezone.js';
+import { loadSavedData } from '../utils/saved-data.js';
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const CONFIG = Object.freeze({
+  EVENTS_URL: '/data/events.json',
+  UPCOMING_DAYS: 30,
+  MAX_EVENTS: 5,
+  SW_RESPONSE_TIMEOUT: 3000,
+  SITE_NAME_SUFFIX: / [|-] Grace Fellowship Church$/,
+});
+
+const SELECTORS = Object.freeze({
+  PAGES_SECTION: '[data-offline-pages]',
+  PAGES_LIST: '[data-offline-pages-list]',
+  MINISTRIES_GROUP: '[data-offline-ministries]',
+  MINISTRIES_LIST: '[data-offline-ministries-list]',
+  EVENTS_SECTION: '[data-offline-events]',
+  EVENTS_LIST: '[data-offline-events-list]',
+});
+
+const CLASSES = Object.freeze({
+  LINK_ITEM: 'offline-link-list__item',
+  EVENT: 'offline-event',
+  EVENT_TITLE: 'offline-event__title',
+  EVENT_META: 'offline-event__meta',
+});
+
+// Short names for the site's pages; other pages use their <title>
+const PAGE_LABELS = Object.freeze({
+  '/': 'Home',
+  '/about.html': 'About Us',
+  '/contact.html': 'Contact Us',
+  '/events.html': 'Events',
+  '/checkin.html': "Children's Check-In",
+  '/volunteer-shifts.html': 'Volunteer Shifts',
+});
+
+const MINISTRY_PAGES = Object.freeze({
+  '/childrens.html': "Children's Ministry",
+  '/youth.html': 'Youth Ministry',
+  '/mens.html': "Men's Fellowship",
+  '/womens.html': "Women's Ministry",
+  '/outreach.html': 'Outreach Programs',
+});
+
+const EVENT_DATE_FORMAT = Object.freeze({
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  hour: 'numeric',
+  minute: '2-digit',
+});
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Logs structured messages with context
+ * @param {string} level - Log level (info, warn, error)
+ * @param {string} message - Log message
+ * @param {Object} context - Additional context data
+ */
+function log(level, message, context = {}) {
+  const logMethod = console[level] || console.log;
+  logMethod('[OfflinePage]', message, context);
+}
+
+/**
+ * Safely queries a single DOM element
+ * @param {string} selector - CSS selector
+ * @param {Element|Document} context - Context element
+ * @returns {Element|null} Found element or null
+ */
+function querySelector(selector, context = document) {
+  try {
+    return context.querySelector(selector);
+  } catch (error) {
+    log('error', 'Invalid selector', { selector, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Gets the name to show for a page
+ * @param {Object} page - Page from the service worker { url, title }
+ * @returns {string} Page name
+ */
+function getPageLabel(page) {
+  return PAGE_LABELS[page.url]
+    || MINISTRY_PAGES[page.url]
+    || page.title.replace(CONFIG.SITE_NAME_SUFFIX, '')
+    || page.url;
+}
+
+// ============================================================================
+// DATA
+// ============================================================================
+
+/**
+ * Asks the service worker which pages it can serve offline
+ * @returns {Promise<Array<Object>|null>} [{ url, title }], or null if it cannot say
+ */
+function getOfflinePages() {
+  const controller = 'serviceWorker' in navigator ? navigator.serviceWorker.controller : null;
+
+  if (!controller) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => resolve(null), CONFIG.SW_RESPONSE_TIMEOUT);
+
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      resolve(event.data && event.data.success ? event.data.pages : null);
+    };
+
+    controller.postMessage({ type: 'GET_OFFLINE_PAGES' }, [channel.port2]);
+  });
+}
+
+/**
+ * Reads events.json from the service worker caches, falling back to the
+ * copy saved by the events page
+ * @returns {Promise<Array|null>} Events, or null if none are available
+ */
+async function loadCachedEvents() {
+  try {
+    if ('caches' in window) {
+      const response = await caches.match(CONFIG.EVENTS_URL);
+      if (response) {
+        return await response.json();
+      }
+    }
+  } catch (error) {
+    log('warn', 'Failed to read cached events', { error: error.message });
+  }
+
+  const saved = await loadSavedData(CONFIG.EVENTS_URL);
+  return saved && Array.isArray(saved.data) ? saved.data : null;
+}
+
+/**
+ * Picks the next events that have not finished yet
+ * @param {Array} events - Events from events.json
+ * @param {Date} now - Current time
+ * @returns {Array<Object>} Upcoming occurrences with a `start` Date, soonest first
+ */
+function getUpcomingEvents(events, now) {
+  const rangeEnd = new Date(now.getTime() + CONFIG.UPCOMING_DAYS * 86400000);
+
+  return expandEvents(events, toZonedDateKey(now), toZonedDateKey(rangeEnd))
+    .map((event) => ({
+      ...event,
+      start: parseZonedDateTime(event.date, event.time),
+      end: parseZonedDateTime(event.date, event.endTime || event.time),
+    }))
+    .filter((event) => event.start && event.end && event.end >= now && event.start <= rangeEnd)
+    .sort((a, b) => a.start - b.start)
+    .slice(0, CONFIG.MAX_EVENTS);
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Renders links to pages
+ * @param {Element} list - List element
+ * @param {Array<Object>} pages - Pages { url, title }
+ */
+function renderPageLinks(list, pages) {
+  list.replaceChildren(...pages.map((page) => {
+    const item = document.createElement('li');
+    item.className = CLASSES.LINK_ITEM;
+
+    const link = document.createElement('a');
+    link.href = page.url;
+    link.textContent = getPageLabel(page);
+
+    item.appendChild(link);
+    return item;
+  }));
+}
+
+/**
+ * Shows the pages available offline, with ministry pages listed apart
+ */
+async function renderOfflinePages() {
+  const section = querySelector(SELECTORS.PAGES_SECTION);
+  const pages = await getOfflinePages();
+
+  if (!section || !pages || pages.length === 0) {
+    return;
+  }
+
+  const ministries = pages.filter((page) => MINISTRY_PAGES[page.url]);
+  const otherPages = pages.filter((page) => !MINISTRY_PAGES[page.url]);
+
+  renderPageLinks(querySelector(SELECTORS.PAGES_LIST, section), otherPages);
+  renderPageLinks(querySelector(SELECTORS.MINISTRIES_LIST, section), ministries);
+  querySelector(SELECTORS.PAGES_LIST, section).hidden = otherPages.length === 0;
+  querySelector(SELECTORS.MINISTRIES_GROUP, section).hidden = ministries.length === 0;
+  section.hidden = false;
+
+  log('info', 'Listed pages available offline', { count: pages.length });
+}
+
+/**
+ * Creates an upcoming event item
+ * @param {Object} event - Event occurrence with a `start` Date
+ * @returns {HTMLLIElement} List item
+ */
+function createEventItem(event) {
+  const item = document.createElement('li');
+  item.className = CLASSES.EVENT;
+
+  const title = document.createElement('p');
+  title.className = CLASSES.EVENT_TITLE;
+  title.textContent = event.title;
+
+  const meta = document.createElement('p');
+  meta.className = CLASSES.EVENT_META;
+
+  const time = document.createElement('time');
+  time.dateTime = event.start.toISOString();
+  time.textContent = formatInTimeZone(event.start, EVENT_DATE_FORMAT);
+  meta.appendChild(time);
+
+  if (event.location) {
+    meta.append(` · ${event.location}`);
+  }
+
+  item.append(title, meta);
+  return item;
+}
+
+/**
+ * Shows upcoming events from the cached events data
+ */
+async function renderUpcomingEvents() {
+  const section = querySelector(SELECTORS.EVENTS_SECTION);
+  const events = await loadCachedEvents();
+
+  if (!section || !events) {
+    return;
+  }
+
+  const upcoming = getUpcomingEvents(events, new Date());
+  if (upcoming.length === 0) {
+    return;
+  }
+
+  querySelector(SELECTORS.EVENTS_LIST, section).replaceChildren(...upcoming.map(createEventItem));
+  section.hidden = false;
+
+  log('info', 'Listed upcoming events', { count: upcoming.length });
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initializes the offline page
+ */
+async function initOfflinePage() {
+  const results = await Promise.allSettled([renderOfflinePages(), renderUpcomingEvents()]);
+
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) => log('error', 'Offline page section failed', { error: result.reason.message }));
+}
+
+// ============================================================================
+// AUTO-INITIALIZATION
+// ============================================================================
+
+function handleDOMReady() {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initOfflinePage);
+  } else {
+    initOfflinePage();
+  }
+}
+
+handleDOMReady();
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  initOfflinePage,
+  getUpcomingEvents,
+};
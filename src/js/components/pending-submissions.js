@@ -0,0 +1,698 @@
+/**
+ * Pending Submissions Panel
+ *
+ * Dialog listing the form submissions waiting in the offline queue
+ * (utils/offline.js), opened from the offline notification. For each item it
+ * shows the form type, when it was saved, the attempts so far and the last
+ * error, and lets the visitor:
+ * - Retry it now (also brings back items that failed permanently)
+ * - Edit its fields, e.g. to fix a rejected email address, and send it again
+ * - Discard it (asks for a second press first)
+ *
+ * The list follows the queue live: it re-renders whenever the queue changes,
+ * whether the page or the service worker is sending, and keeps an open edit
+ * form and the focused button in place.
+ *
+ * @module components/pending-submissions
+ * @generated-from: task-id:user-022
+ * @modifies: none (new file)
+ * @dependencies: [offline, date-utils]
+ */
+
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import {
+  getQueuedSubmissions,
+  retrySubmission,
+  updateQueuedSubmission,
+  removeFromQueue,
+  manualSync,
+  isOffline,
+  SUBMISSION_STATES,
+  QUEUE_EVENT,
+  QUEUE_OPEN_EVENT,
+} from '../utils/offline.js';
+import { formatRelativeTime } from '../utils/date-utils.js';
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const CONFIG = Object.freeze({
+  DIALOG_ID: 'pending-submissions',
+  LONG_TEXT_LENGTH: 80, // Longer values are edited in a textarea
+});
+
+const SELECTORS = Object.freeze({
+  LIST: '.pending-submissions__list',
+  STATUS: '.pending-submissions__status',
+  EMPTY: '.pending-submissions__empty',
+  SEND_ALL: '.pending-submissions__send-all',
+  CLOSE: '.pending-submissions__close',
+  ITEM: '.pending-submissions__item',
+});
+
+const CLASSES = Object.freeze({
+  DIALOG: 'pending-submissions',
+  ITEM: 'pending-submissions__item',
+  ITEM_FAILED: 'pending-submissions__item--failed',
+  ITEM_SENDING: 'pending-submissions__item--sending',
+  ITEM_TITLE: 'pending-submissions__item-title',
+  DETAILS: 'pending-submissions__details',
+  ACTIONS: 'pending-submissions__actions',
+  BUTTON: 'pending-submissions__btn',
+  BUTTON_DANGER: 'pending-submissions__btn--danger',
+  EDIT_FORM: 'pending-submissions__edit',
+  FIELD: 'pending-submissions__field',
+  NOTE: 'pending-submissions__note',
+});
+
+// Labels for the formType values passed to submitForm
+const FORM_TYPE_LABELS = Object.freeze({
+  contact: 'Contact message',
+  volunteer: 'Volunteer sign-up',
+  'event-registration': 'Event registration',
+  'giving-pledge': 'Giving pledge',
+  'childrens-checkin': "Children's check-in",
+});
+
+// Field names edited in a textarea whatever their length
+const LONG_TEXT_FIELDS = /message|notes?|comments?|details|description/i;
+
+const MESSAGES = Object.freeze({
+  TITLE: 'Pending form submissions',
+  INTRO: 'These forms are saved on this device and will be sent when a connection is available.',
+  EMPTY: 'No forms are waiting to be sent.',
+  STATUS_PENDING: 'Waiting to send',
+  STATUS_SENDING: 'Sending…',
+  STATUS_FAILED: 'Not sent. Retry, edit or discard it.',
+  SEND_ALL: 'Send all now',
+  OFFLINE: 'You are offline. Forms will be sent when the connection returns.',
+  RETRYING: 'Sending again.',
+  RETRY_FAILED: 'This form is being sent right now. Try again in a moment.',
+  SAVED: 'Changes saved. Sending again.',
+  SAVE_FAILED: 'Changes could not be saved. The form may already have been sent.',
+  CONFIRM_DISCARD: 'Press Discard again to delete this form. It will not be sent.',
+  DISCARDED: 'Form discarded.',
+  DISCARD_FAILED: 'The form could not be discarded.',
+  UNEDITABLE_FIELDS: 'Other details of this form cannot be changed here.',
+});
+
+// ============================================================================
+// STATE MANAGEMENT
+// ============================================================================
+
+const state = {
+  dialog: null,
+  items: new Map(), // id -> label of the items last rendered
+  editingId: null,
+  editForm: null,
+  confirmDiscardId: null,
+  discardedIds: new Set(),
+  renderToken: 0,
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Safely queries a single DOM element
+ * @param {string} selector - CSS selector
+ * @param {Document|Element} context - Context to query within
+ * @returns {Element|null} Found element or null
+ */
+function querySelector(selector, context = document) {
+  try {
+    return context.querySelector(selector);
+  } catch (error) {
+    console.error(`[PendingSubmissions] Invalid selector: ${selector}`, error);
+    return null;
+  }
+}
+
+/**
+ * Logs structured messages with context
+ * @param {string} level - Log level (info, warn, error)
+ * @param {string} message - Log message
+ * @param {Object} context - Additional context data
+ */
+function log(level, message, context = {}) {
+  const logMethod = console[level] || console.log;
+  logMethod('[PendingSubmissions]', message, context);
+}
+
+/**
+ * Creates an element with a class and optional text
+ * @param {string} tag - Tag name
+ * @param {string} [className] - Class name
+ * @param {string} [text] - Text content
+ * @returns {HTMLElement} Element
+ */
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * Turns a field name such as "firstName" or "phone_number" into a label
+ * @param {string} name - Field name
+ * @returns {string} Label
+ */
+function toFieldLabel(name) {
+  const words = name
+    .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+    .replace(/[_-]+/g, ' ')
+    .trim()
+    .toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Gets the label for a queued item's form type
+ * @param {Object} item - Queued submission
+ * @returns {string} Label
+ */
+function getItemLabel(item) {
+  const formType = item.data && item.data.formType;
+  if (!formType) {
+    return 'Form';
+  }
+  return FORM_TYPE_LABELS[formType] || toFieldLabel(formType);
+}
+
+/**
+ * Builds an element ID for an item
+ * @param {Object} item - Queued submission
+ * @param {string} suffix - ID suffix
+ * @returns {string} Element ID
+ */
+function getItemElementId(item, suffix) {
+  return `${CONFIG.DIALOG_ID}-${item.id}-${suffix}`.replace(/[^\w-]/g, '-');
+}
+
+/**
+ * Describes where a queued item stands
+ * @param {Object} item - Queued submission
+ * @param {number} now - Current time
+ * @returns {string} Status text
+ */
+function describeStatus(item, now) {
+  if (item.status === SUBMISSION_STATES.FAILED) {
+    return MESSAGES.STATUS_FAILED;
+  }
+  if (item.lockedUntil > now) {
+    return MESSAGES.STATUS_SENDING;
+  }
+  if (item.nextAttemptAt > now) {
+    return `Next attempt ${formatRelativeTime(item.nextAttemptAt, now)}`;
+  }
+  return MESSAGES.STATUS_PENDING;
+}
+
+/**
+ * Updates the status message
+ * @param {string} message - Status text
+ */
+function setStatus(message) {
+  const status = querySelector(SELECTORS.STATUS, state.dialog);
+  if (status) {
+    status.textContent = message;
+  }
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Creates the edit form for a queued item. Only text and number fields can
+ * be changed; everything else is kept as it was.
+ * @param {Object} item - Queued submission
+ * @returns {HTMLFormElement} Edit form
+ */
+function createEditForm(item) {
+  const form = createElement('form', CLASSES.EDIT_FORM);
+  form.dataset.id = item.id;
+  form.setAttribute('aria-label', `Edit ${getItemLabel(item)}`);
+
+  const body = (item.data && item.data.body) || {};
+  let hasOtherFields = false;
+
+  Object.entries(body).forEach(([name, value]) => {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      hasOtherFields = true;
+      return;
+    }
+
+    const fieldId = getItemElementId(item, `field-${name}`);
+    const field = createElement('div', CLASSES.FIELD);
+    const label = createElement('label', '', toFieldLabel(name));
+    label.htmlFor = fieldId;
+
+    const isLong = typeof value === 'string'
+      && (value.length > CONFIG.LONG_TEXT_LENGTH || value.includes('\n') || LONG_TEXT_FIELDS.test(name));
+    const input = createElement(isLong ? 'textarea' : 'input');
+    input.id = fieldId;
+    input.name = name;
+    input.value = String(value);
+    if (isLong) {
+      input.rows = 4;
+    } else {
+      input.type = typeof value === 'number' ? 'number' : 'text';
+    }
+
+    field.append(label, input);
+    form.appendChild(field);
+  });
+
+  if (hasOtherFields) {
+    form.appendChild(createElement('p', CLASSES.NOTE, MESSAGES.UNEDITABLE_FIELDS));
+  }
+
+  const actions = createElement('div', CLASSES.ACTIONS);
+  const save = createElement('button', CLASSES.BUTTON, 'Save and send');
+  save.type = 'submit';
+  const cancel = createElement('button', CLASSES.BUTTON, 'Cancel');
+  cancel.type = 'button';
+  cancel.dataset.action = 'cancel-edit';
+  actions.append(save, cancel);
+  form.appendChild(actions);
+
+  form.addEventListener('submit', handleEditSubmit);
+  return form;
+}
+
+/**
+ * Creates a list item for a queued submission
+ * @param {Object} item - Queued submission
+ * @param {number} now - Current time
+ * @returns {HTMLLIElement} List item
+ */
+function renderItem(item, now) {
+  const label = getItemLabel(item);
+  const titleId = getItemElementId(item, 'title');
+  const isSending = item.status === SUBMISSION_STATES.PENDING && item.lockedUntil > now;
+  const isEditing = state.editingId === item.id;
+
+  const li = createElement('li', CLASSES.ITEM);
+  li.dataset.id = item.id;
+  li.setAttribute('aria-labelledby', titleId);
+  if (item.status === SUBMISSION_STATES.FAILED) li.classList.add(CLASSES.ITEM_FAILED);
+  if (isSending) li.classList.add(CLASSES.ITEM_SENDING);
+
+  const title = createElement('h3', CLASSES.ITEM_TITLE, label);
+  title.id = titleId;
+
+  const details = createElement('dl', CLASSES.DETAILS);
+  const savedAt = createElement('time', '', formatRelativeTime(item.timestamp, now));
+  savedAt.dateTime = new Date(item.timestamp).toISOString();
+  savedAt.title = new Date(item.timestamp).toLocaleString();
+
+  const rows = [
+    ['Saved', savedAt],
+    ['Attempts', String(item.retries)],
+    ['Status', describeStatus(item, now)],
+  ];
+  if (item.lastError) {
+    rows.push(['Last error', item.lastError]);
+  }
+
+  rows.forEach(([term, value]) => {
+    const dd = createElement('dd');
+    dd.append(value);
+    details.append(createElement('dt', '', term), dd);
+  });
+
+  const actions = createElement('div', CLASSES.ACTIONS);
+  const buttons = [
+    ['retry', 'Retry now'],
+    ['edit', 'Edit'],
+    ['discard', state.confirmDiscardId === item.id ? 'Confirm discard' : 'Discard'],
+  ];
+
+  buttons.forEach(([action, text]) => {
+    const button = createElement('button', CLASSES.BUTTON, text);
+    button.type = 'button';
+    button.dataset.action = action;
+    button.setAttribute('aria-describedby', titleId);
+    button.disabled = isSending;
+    if (action === 'discard') button.classList.add(CLASSES.BUTTON_DANGER);
+    if (action === 'edit') button.setAttribute('aria-expanded', String(isEditing));
+    actions.appendChild(button);
+  });
+
+  li.append(title, details, actions);
+
+  if (isEditing) {
+    // Keep what the visitor has typed across live updates
+    if (!state.editForm || state.editForm.dataset.id !== item.id) {
+      state.editForm = createEditForm(item);
+    }
+    li.appendChild(state.editForm);
+  }
+
+  return li;
+}
+
+/**
+ * Notes the focused control so it can be focused again after a re-render
+ * @returns {Object|null} { element } inside the edit form, { id, action }, or null
+ */
+function getFocusedControl() {
+  const active = document.activeElement;
+
+  // The edit form is moved into the new list item, losing focus on the way
+  if (state.editForm && state.editForm.contains(active)) {
+    return { element: active };
+  }
+
+  const item = active && active.closest && active.closest(SELECTORS.ITEM);
+
+  if (!item || !state.dialog.contains(item) || !active.dataset.action) {
+    return null;
+  }
+  return { id: item.dataset.id, action: active.dataset.action };
+}
+
+/**
+ * Focuses a control again after a re-render, or the list's next best target
+ * @param {Object|null} focused - Result of getFocusedControl
+ */
+function restoreFocus(focused) {
+  if (!focused) {
+    return;
+  }
+
+  if (focused.element) {
+    if (focused.element.isConnected) focused.element.focus();
+    return;
+  }
+
+  const list = querySelector(SELECTORS.LIST, state.dialog);
+  const item = Array.from(list.children).find((li) => li.dataset.id === focused.id);
+  const sendAll = querySelector(SELECTORS.SEND_ALL, state.dialog);
+  let target = querySelector(SELECTORS.CLOSE, state.dialog);
+  if (item) {
+    target = querySelector(`[data-action="${focused.action}"]`, item);
+  } else if (!sendAll.hidden && !sendAll.disabled) {
+    target = sendAll;
+  }
+
+  if (target && !target.disabled) {
+    target.focus();
+  } else if (item) {
+    item.tabIndex = -1;
+    item.focus();
+  }
+}
+
+/**
+ * Renders the queue into the dialog
+ * @returns {Promise<void>}
+ */
+async function renderQueue() {
+  if (!state.dialog || !state.dialog.open) {
+    return;
+  }
+
+  const token = ++state.renderToken;
+  const queue = await getQueuedSubmissions();
+
+  // A newer render started while this one was reading the queue
+  if (token !== state.renderToken) {
+    return;
+  }
+
+  const now = Date.now();
+  const ids = new Set(queue.map((item) => item.id));
+  const sent = Array.from(state.items.entries())
+    .filter(([id]) => !ids.has(id) && !state.discardedIds.has(id))
+    .map(([, label]) => label);
+
+  if (state.editingId && !ids.has(state.editingId)) {
+    state.editingId = null;
+    state.editForm = null;
+  }
+
+  const focused = getFocusedControl();
+  const list = querySelector(SELECTORS.LIST, state.dialog);
+  const fragment = document.createDocumentFragment();
+  queue.forEach((item) => fragment.appendChild(renderItem(item, now)));
+  list.replaceChildren(fragment);
+
+  querySelector(SELECTORS.EMPTY, state.dialog).hidden = queue.length > 0;
+  const sendAll = querySelector(SELECTORS.SEND_ALL, state.dialog);
+  sendAll.hidden = !queue.some((item) => item.status === SUBMISSION_STATES.PENDING);
+  sendAll.disabled = isOffline();
+
+  state.items = new Map(queue.map((item) => [item.id, getItemLabel(item)]));
+  state.discardedIds.forEach((id) => {
+    if (!ids.has(id)) state.discardedIds.delete(id);
+  });
+
+  restoreFocus(focused);
+
+  if (sent.length > 0) {
+    setStatus(`Sent: ${sent.join(', ')}.`);
+  } else if (isOffline() && queue.length > 0) {
+    setStatus(MESSAGES.OFFLINE);
+  }
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+/**
+ * Handles the item action buttons
+ * @param {MouseEvent} event - Click event
+ */
+async function handleListClick(event) {
+  const button = event.target.closest('[data-action]');
+  const itemElement = button && button.closest(SELECTORS.ITEM);
+  if (!button || !itemElement) {
+    return;
+  }
+
+  const { id } = itemElement.dataset;
+  const { action } = button.dataset;
+
+  if (action !== 'discard') {
+    state.confirmDiscardId = null;
+  }
+
+  switch (action) {
+    case 'retry':
+      setStatus(await retrySubmission(id) ? MESSAGES.RETRYING : MESSAGES.RETRY_FAILED);
+      break;
+
+    case 'edit':
+      state.editingId = state.editingId === id ? null : id;
+      state.editForm = null;
+      await renderQueue();
+      if (state.editForm) {
+        const firstField = state.editForm.querySelector('input, textarea');
+        if (firstField) firstField.focus();
+      }
+      break;
+
+    case 'cancel-edit':
+      state.editingId = null;
+      state.editForm = null;
+      await renderQueue();
+      restoreFocus({ id, action: 'edit' });
+      break;
+
+    case 'discard':
+      if (state.confirmDiscardId !== id) {
+        state.confirmDiscardId = id;
+        button.textContent = 'Confirm discard';
+        setStatus(MESSAGES.CONFIRM_DISCARD);
+        return;
+      }
+      state.confirmDiscardId = null;
+      state.discardedIds.add(id);
+      if (state.editingId === id) {
+        state.editingId = null;
+        state.editForm = null;
+      }
+      setStatus(await removeFromQueue(id) ? MESSAGES.DISCARDED : MESSAGES.DISCARD_FAILED);
+      break;
+
+    default:
+      break;
+  }
+}
+
+/**
+ * Saves an edited submission and sends it again
+ * @param {SubmitEvent} event - Submit event
+ */
+async function handleEditSubmit(event) {
+  event.preventDefault();
+
+  const form = event.currentTarget;
+  const queue = await getQueuedSubmissions();
+  const item = queue.find((queued) => queued.id === form.dataset.id);
+
+  if (!item) {
+    setStatus(MESSAGES.SAVE_FAILED);
+    return;
+  }
+
+  const body = { ...item.data.body };
+  Array.from(form.elements).forEach((field) => {
+    if (!field.name || !(field.name in body)) {
+      return;
+    }
+    const original = body[field.name];
+    const number = Number(field.value);
+    body[field.name] = typeof original === 'number' && field.value !== '' && !Number.isNaN(number)
+      ? number
+      : field.value;
+  });
+
+  const saved = await updateQueuedSubmission(item.id, body);
+  if (saved) {
+    state.editingId = null;
+    state.editForm = null;
+  }
+  setStatus(saved ? MESSAGES.SAVED : MESSAGES.SAVE_FAILED);
+  await renderQueue();
+  restoreFocus({ id: item.id, action: 'edit' });
+}
+
+/**
+ * Sends every pending submission now
+ */
+async function handleSendAll() {
+  setStatus(MESSAGES.RETRYING);
+  const results = await manualSync();
+
+  if (results && results.failed + results.retrying > 0) {
+    setStatus(`${results.success} sent, ${results.failed + results.retrying} not sent.`);
+  }
+}
+
+/**
+ * Closes the dialog when the backdrop is clicked
+ * @param {MouseEvent} event - Click event
+ */
+function handleBackdropClick(event) {
+  if (event.target === state.dialog) {
+    closePendingSubmissions();
+  }
+}
+
+/**
+ * Re-renders the list when the queue changes
+ */
+function handleQueueChange() {
+  renderQueue();
+}
+
+// ============================================================================
+// DIALOG
+// ============================================================================
+
+/**
+ * Creates the dialog and adds it to the page
+ * @returns {HTMLDialogElement} Dialog
+ */
+function createDialog() {
+  const dialog = document.createElement('dialog');
+  dialog.id = CONFIG.DIALOG_ID;
+  dialog.className = CLASSES.DIALOG;
+  dialog.setAttribute('aria-labelledby', `${CONFIG.DIALOG_ID}-title`);
+  dialog.innerHTML = `
+    <div class="pending-submissions__content">
+      <header class="pending-submissions__header">
+        <h2 id="${CONFIG.DIALOG_ID}-title" class="pending-submissions__title">${MESSAGES.TITLE}</h2>
+        <button type="button" class="pending-submissions__close" aria-label="Close pending forms">
+          <span aria-hidden="true">&times;</span>
+        </button>
+      </header>
+      <div class="pending-submissions__body">
+        <p class="pending-submissions__intro">${MESSAGES.INTRO}</p>
+        <p class="pending-submissions__status" role="status" aria-live="polite"></p>
+        <ul class="pending-submissions__list" role="list"></ul>
+        <p class="pending-submissions__empty" hidden>${MESSAGES.EMPTY}</p>
+      </div>
+      <footer class="pending-submissions__footer">
+        <button type="button" class="pending-submissions__btn pending-submissions__send-all" hidden>${MESSAGES.SEND_ALL}</button>
+      </footer>
+    </div>
+  `;
+
+  document.body.appendChild(dialog);
+
+  querySelector(SELECTORS.CLOSE, dialog).addEventListener('click', closePendingSubmissions);
+  querySelector(SELECTORS.LIST, dialog).addEventListener('click', handleListClick);
+  querySelector(SELECTORS.SEND_ALL, dialog).addEventListener('click', handleSendAll);
+  dialog.addEventListener('click', handleBackdropClick);
+  dialog.addEventListener('close', () => {
+    state.editingId = null;
+    state.editForm = null;
+    state.confirmDiscardId = null;
+  });
+
+  return dialog;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Opens the pending submissions panel, creating it on first use
+ * @returns {Promise<void>}
+ */
+async function openPendingSubmissions() {
+  if (!state.dialog) {
+    state.dialog = createDialog();
+  }
+
+  if (!state.dialog.open) {
+    state.items = new Map();
+    setStatus('');
+    state.dialog.showModal();
+  }
+
+  await renderQueue();
+  log('info', 'Pending submissions opened', { count: state.items.size });
+}
+
+/**
+ * Closes the pending submissions panel
+ */
+function closePendingSubmissions() {
+  if (state.dialog && state.dialog.open) {
+    state.dialog.close();
+  }
+}
+
+/**
+ * Opens the panel when asked by the offline notification and keeps it in
+ * step with the queue
+ */
+function initPendingSubmissions() {
+  window.addEventListener(QUEUE_OPEN_EVENT, openPendingSubmissions);
+  window.addEventListener(QUEUE_EVENT, handleQueueChange);
+  window.addEventListener('offlineStateChange', handleQueueChange);
+  log('info', 'Pending submissions panel ready');
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  initPendingSubmissions,
+  openPendingSubmissions,
+  closePendingSubmissions,
+};
@@ -0,0 +1,402 @@
+/**
+ * Volunteer Shift Coverage Component
+ *
+ * Coordinator view of how full each volunteer shift is. Reads the shifts of
+ * every ministry named on the root and the sign-up counts from the shift
+ * endpoint, then lists each opportunity's shifts with filled / needed slots
+ * and a fill-rate bar, plus a summary of the slots still open.
+ *
+ * Markup:
+ *   <div data-shift-coverage="outreach childrens" data-shifts-endpoint="/api/volunteers/shifts">
+ *     <p data-shift-coverage-summary></p>
+ *     <div data-shift-coverage-list></div>
+ *   </div>
+ *
+ * @module components/shift-coverage
+ * @generated-from: task-id:user-015
+ * @modifies: none (new file)
+ * @dependencies: [volunteer-shifts]
+ */
+
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import {
+  getShifts,
+  formatShiftTime,
+  fetchShiftSignups,
+  getShiftFill,
+  SHIFT_STATUS,
+} from '../utils/volunteer-shifts.js';
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const CONFIG = Object.freeze({
+  DATA_PATH: '/data/ministries/',
+  SHIFTS_ENDPOINT: '/api/volunteers/shifts', // Overridden by data-shifts-endpoint on the root
+});
+
+const SELECTORS = Object.freeze({
+  ROOT: '[data-shift-coverage]',
+  SUMMARY: '[data-shift-coverage-summary]',
+  LIST: '[data-shift-coverage-list]',
+  REFRESH: '[data-shift-coverage-refresh]',
+  SHOW_PAST: '[data-shift-coverage-past]',
+});
+
+const CLASSES = Object.freeze({
+  BLOCK: 'shift-coverage',
+  ROW_FULL: 'shift-coverage__row--full',
+  ROW_LIMITED: 'shift-coverage__row--limited',
+  ROW_PAST: 'shift-coverage__row--past',
+});
+
+const MESSAGES = Object.freeze({
+  LOADING: 'Loading shift coverage...',
+  NO_SHIFTS: 'No volunteer shifts are scheduled.',
+  COUNTS_UNAVAILABLE: 'Sign-up counts could not be loaded, so every shift shows as empty. Try refreshing.',
+  LOAD_ERROR: 'Shift data could not be loaded.',
+});
+
+// ============================================================================
+// STATE MANAGEMENT
+// ============================================================================
+
+const state = {
+  root: null,
+  ministries: [], // { id, name, opportunities }
+  counts: null,
+  showPast: false,
+  isLoading: false,
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Safely queries a single DOM element
+ * @param {string} selector - CSS selector
+ * @param {Document|Element} context - Context to query within
+ * @returns {Element|null} Found element or null
+ */
+function querySelector(selector, context = document) {
+  try {
+    return context.querySelector(selector);
+  } catch (error) {
+    console.error(`[ShiftCoverage] Invalid selector: ${selector}`, error);
+    return null;
+  }
+}
+
+/**
+ * Logs structured messages with context
+ * @param {string} level - Log level (info, warn, error)
+ * @param {string} message - Log message
+ * @param {Object} context - Additional context data
+ */
+function log(level, message, context = {}) {
+  const logMethod = console[level] || console.log;
+  logMethod('[ShiftCoverage]', message, context);
+}
+
+/**
+ * Creates an element with a class and text
+ * @param {string} tagName - Element name
+ * @param {string} className - Class name
+ * @param {string} [text] - Text content
+ * @returns {HTMLElement} Element
+ */
+function createElement(tagName, className, text = '') {
+  const element = document.createElement(tagName);
+  element.className = className;
+  element.textContent = text;
+  return element;
+}
+
+/**
+ * Formats a fill rate as a whole percentage
+ * @param {number} rate - Fill rate (0-1)
+ * @returns {string} Percentage
+ */
+function formatRate(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+// ============================================================================
+// DATA
+// ============================================================================
+
+/**
+ * Loads the opportunities with shifts from one ministry data file
+ * @param {string} ministry - Ministry ID (data file name)
+ * @returns {Promise<Object|null>} { id, name, opportunities }, or null on failure
+ */
+async function loadMinistry(ministry) {
+  try {
+    const response = await fetch(`${CONFIG.DATA_PATH}${ministry}.json`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const opportunities = (Array.isArray(data.volunteerOpportunities) ? data.volunteerOpportunities : [])
+      .filter((opportunity) => getShifts(opportunity).length > 0);
+
+    return { id: ministry, name: data.name || ministry, opportunities };
+  } catch (error) {
+    log('error', 'Failed to load ministry shifts', { ministry, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Gets the shifts to show for an opportunity
+ * @param {Object} opportunity - Volunteer opportunity
+ * @returns {Array<Object>} Shifts
+ */
+function getVisibleShifts(opportunity) {
+  return getShifts(opportunity, { upcoming: !state.showPast });
+}
+
+/**
+ * Totals slots and sign-ups across the shown shifts
+ * @returns {Object} { shifts, slots, filled, needsVolunteers }
+ */
+function getTotals() {
+  const totals = { shifts: 0, slots: 0, filled: 0, needsVolunteers: 0 };
+
+  state.ministries.forEach((ministry) => {
+    ministry.opportunities.forEach((opportunity) => {
+      getVisibleShifts(opportunity).forEach((shift) => {
+        const fill = getShiftFill(shift, state.counts);
+        totals.shifts += 1;
+        totals.slots += fill.slots;
+        totals.filled += Math.min(fill.filled, fill.slots);
+        if (fill.status !== SHIFT_STATUS.PAST && fill.slotsLeft > 0) {
+          totals.needsVolunteers += 1;
+        }
+      });
+    });
+  });
+
+  return totals;
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Creates the table row for one shift
+ * @param {Object} shift - Shift
+ * @returns {HTMLTableRowElement} Row
+ */
+function createShiftRow(shift) {
+  const fill = getShiftFill(shift, state.counts);
+  const row = createElement('tr', `${CLASSES.BLOCK}__row`);
+  row.classList.toggle(CLASSES.ROW_FULL, fill.status === SHIFT_STATUS.FULL);
+  row.classList.toggle(CLASSES.ROW_LIMITED, fill.status === SHIFT_STATUS.LIMITED);
+  row.classList.toggle(CLASSES.ROW_PAST, fill.status === SHIFT_STATUS.PAST);
+
+  const time = createElement('th', `${CLASSES.BLOCK}__cell`, formatShiftTime(shift));
+  time.scope = 'row';
+
+  const location = createElement('td', `${CLASSES.BLOCK}__cell`, shift.location || '');
+  const filled = createElement('td', `${CLASSES.BLOCK}__cell ${CLASSES.BLOCK}__cell--number`, `${fill.filled} / ${fill.slots}`);
+
+  const rate = createElement('td', `${CLASSES.BLOCK}__cell`);
+  const meter = document.createElement('meter');
+  meter.className = `${CLASSES.BLOCK}__meter`;
+  meter.min = 0;
+  meter.max = fill.slots;
+  meter.value = Math.min(fill.filled, fill.slots);
+  meter.low = Math.ceil(fill.slots / 2);
+  meter.optimum = fill.slots;
+  meter.setAttribute('aria-label', `${formatRate(fill.rate)} filled`);
+  rate.append(meter, ` ${formatRate(fill.rate)}`);
+
+  row.append(time, location, filled, rate);
+  return row;
+}
+
+/**
+ * Creates the coverage table for one opportunity
+ * @param {Object} opportunity - Volunteer opportunity
+ * @param {Array<Object>} shifts - Shifts to list
+ * @returns {HTMLElement} Opportunity block
+ */
+function createOpportunityBlock(opportunity, shifts) {
+  const block = createElement('div', `${CLASSES.BLOCK}__opportunity`);
+  const table = createElement('table', `${CLASSES.BLOCK}__table`);
+  table.appendChild(createElement('caption', `${CLASSES.BLOCK}__caption`, opportunity.title));
+
+  const head = document.createElement('thead');
+  const headRow = document.createElement('tr');
+  ['Shift', 'Location', 'Filled', 'Fill rate'].forEach((label) => {
+    const cell = createElement('th', `${CLASSES.BLOCK}__heading`, label);
+    cell.scope = 'col';
+    headRow.appendChild(cell);
+  });
+  head.appendChild(headRow);
+
+  const body = document.createElement('tbody');
+  shifts.forEach((shift) => body.appendChild(createShiftRow(shift)));
+
+  table.append(head, body);
+  block.appendChild(table);
+  return block;
+}
+
+/**
+ * Renders the summary line
+ */
+function renderSummary() {
+  const summary = querySelector(SELECTORS.SUMMARY, state.root);
+  if (!summary) return;
+
+  const totals = getTotals();
+
+  if (totals.shifts === 0) {
+    summary.textContent = MESSAGES.NO_SHIFTS;
+    return;
+  }
+
+  const rate = totals.slots ? totals.filled / totals.slots : 0;
+  summary.textContent = `${totals.filled} of ${totals.slots} slots filled (${formatRate(rate)}) across `
+    + `${totals.shifts} ${totals.shifts === 1 ? 'shift' : 'shifts'}. `
+    + `${totals.needsVolunteers} ${totals.needsVolunteers === 1 ? 'shift still needs' : 'shifts still need'} volunteers.`;
+
+  if (!state.counts) {
+    summary.textContent += ` ${MESSAGES.COUNTS_UNAVAILABLE}`;
+  }
+}
+
+/**
+ * Renders every ministry's shifts
+ */
+function render() {
+  const list = querySelector(SELECTORS.LIST, state.root);
+  if (!list) return;
+
+  const fragment = document.createDocumentFragment();
+
+  state.ministries.forEach((ministry) => {
+    const blocks = ministry.opportunities
+      .map((opportunity) => ({ opportunity, shifts: getVisibleShifts(opportunity) }))
+      .filter(({ shifts }) => shifts.length > 0);
+
+    if (blocks.length === 0) return;
+
+    const section = createElement('section', `${CLASSES.BLOCK}__ministry`);
+    section.appendChild(createElement('h2', `${CLASSES.BLOCK}__ministry-title`, ministry.name));
+    blocks.forEach(({ opportunity, shifts }) => section.appendChild(createOpportunityBlock(opportunity, shifts)));
+    fragment.appendChild(section);
+  });
+
+  list.innerHTML = '';
+  list.appendChild(fragment);
+  renderSummary();
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Reloads sign-up counts and re-renders
+ * @returns {Promise<boolean>} True if counts were loaded
+ */
+async function refreshCounts() {
+  if (state.isLoading) return false;
+
+  state.isLoading = true;
+  state.root.setAttribute('aria-busy', 'true');
+
+  const shiftIds = state.ministries.flatMap((ministry) => ministry.opportunities)
+    .flatMap((opportunity) => getShifts(opportunity))
+    .map((shift) => shift.id);
+
+  state.counts = await fetchShiftSignups(shiftIds, state.root.dataset.shiftsEndpoint || CONFIG.SHIFTS_ENDPOINT);
+  state.isLoading = false;
+  state.root.setAttribute('aria-busy', 'false');
+
+  render();
+  return Boolean(state.counts);
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Initializes the coverage view
+ * @returns {Promise<boolean>} True if initialized
+ */
+async function initShiftCoverage() {
+  const root = querySelector(SELECTORS.ROOT);
+  if (!root || state.root) return false;
+
+  state.root = root;
+
+  const summary = querySelector(SELECTORS.SUMMARY, root);
+  if (summary) {
+    summary.textContent = MESSAGES.LOADING;
+  }
+
+  const ministryIds = (root.dataset.shiftCoverage || '').split(/\s+/).filter(Boolean);
+  const ministries = await Promise.all(ministryIds.map(loadMinistry));
+  state.ministries = ministries.filter(Boolean);
+
+  if (ministryIds.length > 0 && state.ministries.length === 0) {
+    if (summary) {
+      summary.textContent = MESSAGES.LOAD_ERROR;
+    }
+    return false;
+  }
+
+  const refreshButton = querySelector(SELECTORS.REFRESH, root);
+  if (refreshButton) {
+    refreshButton.addEventListener('click', refreshCounts);
+  }
+
+  const showPast = querySelector(SELECTORS.SHOW_PAST, root);
+  if (showPast) {
+    state.showPast = showPast.checked;
+    showPast.addEventListener('change', () => {
+      state.showPast = showPast.checked;
+      render();
+    });
+  }
+
+  await refreshCounts();
+
+  log('info', 'Shift coverage initialized', { ministries: state.ministries.length });
+  return true;
+}
+
+// ============================================================================
+// AUTO-INITIALIZATION
+// ============================================================================
+
+function handleDOMReady() {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initShiftCoverage);
+  } else {
+    initShiftCoverage();
+  }
+}
+
+handleDOMReady();
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  initShiftCoverage,
+  refreshCounts,
+};
@@ -0,0 +1,546 @@
+/**
+ * Site Search Component
+ *
+ * Site-wide search dialog covering:
+ * - Pages listed in seo-meta.json
+ * - Page sections (headings and their text) from the HTML pages, in the
+ *   prebuilt index only
+ * - Ministry pages, leaders, activities, schedules and volunteer
+ *   opportunities from data/ministries/*.json
+ * - Events from events.json
+ *
+ * The first time the dialog opens it loads the prebuilt index generated by
+ * build/optimize.js, falling back to fetching and indexing the data files in
+ * the browser when no prebuilt index is available (e.g. the dev server).
+ * Results are grouped by type and link straight to the matching section
+ * anchor. The dialog is fully keyboard accessible (combobox pattern with
+ * arrow key navigation).
+ *
+ * @module components/site-search
+ * @generated-from: task-id:user-008
+ * @modifies: none (new file)
+ * @dependencies: [search, search-documents]
+ */
+
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import { searchIndex, highlightMatches } from '../utils/search.js';
+import {
+  extractPageDocuments,
+  extractMinistryDocuments,
+  extractEventDocuments,
+  createSiteIndex,
+  readSearchPayload,
+  RESULT_TYPES,
+  GROUP_LABELS,
+  MINISTRY_SOURCES,
+} from '../utils/search-documents.js';
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const CONFIG = Object.freeze({
+  PREBUILT_INDEX_URL: '/search-index.json',
+  SEO_META_URL: '/data/seo-meta.json',
+  EVENTS_URL: '/data/events.json',
+  MINISTRY_DATA_DIR: '/data/ministries',
+  MAX_RESULTS_PER_GROUP: 5,
+  DEBOUNCE_DELAY: 150,
+  MAX_SNIPPET_LENGTH: 120,
+});
+
+const SELECTORS = Object.freeze({
+  DIALOG: '#site-search',
+  INPUT: '#site-search-input',
+  RESULTS: '#site-search-results',
+  STATUS: '#site-search-status',
+  OPTIONS: '.site-search__result',
+});
+
+const CLASSES = Object.freeze({
+  DIALOG: 'site-search',
+  RESULT_ACTIVE: 'site-search__result--active',
+  HIGHLIGHT: 'site-search__highlight',
+});
+
+const MESSAGES = Object.freeze({
+  LOADING: 'Loading search...',
+  PROMPT: 'Search pages, ministries, people and events.',
+  NO_RESULTS: 'No results found. Try different or fewer words.',
+  LOAD_ERROR: 'Search is unavailable right now. Please check your connection and try again.',
+});
+
+// ============================================================================
+// STATE MANAGEMENT
+// ============================================================================
+
+const state = {
+  dialog: null,
+  documents: new Map(),
+  index: null,
+  loading: null,
+  activeIndex: -1,
+  debounceTimer: null,
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Safely queries a single DOM element
+ * @param {string} selector - CSS selector
+ * @param {Document|Element} context - Context to query within
+ * @returns {Element|null} Found element or null
+ */
+function querySelector(selector, context = document) {
+  try {
+    return context.querySelector(selector);
+  } catch (error) {
+    console.error(`[SiteSearch] Invalid selector: ${selector}`, error);
+    return null;
+  }
+}
+
+/**
+ * Safely queries multiple DOM elements
+ * @param {string} selector - CSS selector
+ * @param {Document|Element} context - Context to query within
+ * @returns {NodeList} NodeList of found elements
+ */
+function querySelectorAll(selector, context = document) {
+  try {
+    return context.querySelectorAll(selector);
+  } catch (error) {
+    console.error(`[SiteSearch] Invalid selector: ${selector}`, error);
+    return document.createDocumentFragment().childNodes;
+  }
+}
+
+/**
+ * Logs structured messages with context
+ * @param {string} level - Log level (info, warn, error)
+ * @param {string} message - Log message
+ * @param {Object} context - Additional context data
+ */
+function log(level, message, context = {}) {
+  const logMethod = console[level] || console.log;
+  logMethod('[SiteSearch]', message, context);
+}
+
+/**
+ * Escapes text for HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * Shortens text to a snippet length on a word boundary
+ * @param {string} text - Text to shorten
+ * @returns {string} Snippet
+ */
+function toSnippet(text) {
+  const value = String(text || '').trim();
+  if (value.length <= CONFIG.MAX_SNIPPET_LENGTH) {
+    return value;
+  }
+
+  const cut = value.slice(0, CONFIG.MAX_SNIPPET_LENGTH);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}...`;
+}
+
+/**
+ * Fetches a JSON file
+ * @param {string} url - URL to fetch
+ * @returns {Promise<*>} Parsed JSON
+ */
+async function fetchJSON(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+  return response.json();
+}
+
+// ============================================================================
+// INDEX LOADING
+// ============================================================================
+
+/**
+ * Stores loaded documents and their index
+ * @param {Array<Object>} documents - Search documents
+ * @param {Object} index - Search index
+ */
+function setIndex(documents, index) {
+  state.documents = new Map(documents.map((doc) => [doc.id, doc]));
+  state.index = index;
+}
+
+/**
+ * Loads the index prebuilt by build/optimize.js
+ * @returns {Promise<boolean>} True if the prebuilt index was loaded
+ */
+async function loadPrebuiltIndex() {
+  const payload = readSearchPayload(await fetchJSON(CONFIG.PREBUILT_INDEX_URL));
+
+  if (!payload) {
+    throw new Error('Unsupported search index format');
+  }
+
+  setIndex(payload.documents, payload.index);
+  log('info', 'Prebuilt site search index loaded', { documents: payload.documents.length });
+  return payload.documents.length > 0;
+}
+
+/**
+ * Loads all data sources and builds the search index in the browser. Sources
+ * that fail to load are skipped so the rest of the site stays searchable.
+ * @returns {Promise<boolean>} True if any documents were indexed
+ */
+async function buildSiteIndex() {
+  const sources = [
+    fetchJSON(CONFIG.SEO_META_URL).then(extractPageDocuments),
+    fetchJSON(CONFIG.EVENTS_URL).then(extractEventDocuments),
+    ...MINISTRY_SOURCES.map((source) =>
+      fetchJSON(`${CONFIG.MINISTRY_DATA_DIR}/${source.slug}.json`)
+        .then((data) => extractMinistryDocuments(source, data))
+    ),
+  ];
+
+  const results = await Promise.allSettled(sources);
+  const documents = [];
+
+  results.forEach((result) => {
+    if (result.status === 'fulfilled') {
+      documents.push(...result.value);
+    } else {
+      log('warn', 'Search source failed to load', { error: result.reason && result.reason.message });
+    }
+  });
+
+  setIndex(documents, createSiteIndex(documents));
+
+  log('info', 'Site search index built', { documents: documents.length });
+  return documents.length > 0;
+}
+
+/**
+ * Loads the index once, sharing the in-flight promise between callers
+ * @returns {Promise<boolean>} True if the index is ready
+ */
+function ensureIndex() {
+  if (!state.loading) {
+    state.loading = loadPrebuiltIndex().catch((error) => {
+      log('info', 'Prebuilt search index unavailable, indexing in the browser', { error: error.message });
+      return buildSiteIndex();
+    }).catch((error) => {
+      log('error', 'Site search index failed', { error: error.message });
+      state.loading = null;
+      return false;
+    });
+  }
+  return state.loading;
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+/**
+ * Searches the site and groups results by type
+ * @param {string} query - Search query
+ * @returns {Promise<Array<Object>>} Groups ({ type, label, results }) in display order
+ */
+async function searchSite(query) {
+  await ensureIndex();
+
+  const grouped = new Map(Object.keys(GROUP_LABELS).map((type) => [type, []]));
+
+  searchIndex(state.index, query).forEach((match) => {
+    const doc = state.documents.get(match.id);
+    const group = doc && grouped.get(doc.type);
+    if (group && group.length < CONFIG.MAX_RESULTS_PER_GROUP) {
+      group.push({ ...doc, score: match.score, terms: match.terms });
+    }
+  });
+
+  return Array.from(grouped, ([type, results]) => ({
+    type,
+    label: GROUP_LABELS[type],
+    results,
+  })).filter((group) => group.results.length > 0);
+}
+
+// ============================================================================
+// DIALOG RENDERING
+// ============================================================================
+
+/**
+ * Creates the search dialog and adds it to the page
+ * @returns {HTMLDialogElement} Search dialog
+ */
+function createDialog() {
+  const dialog = document.createElement('dialog');
+  dialog.id = SELECTORS.DIALOG.slice(1);
+  dialog.className = CLASSES.DIALOG;
+  dialog.setAttribute('aria-labelledby', 'site-search-title');
+  dialog.innerHTML = `
+    <div class="site-search__content">
+      <header class="site-search__header">
+        <h2 id="site-search-title" class="site-search__title">Search Grace Fellowship</h2>
+        <button type="button" class="site-search__close" aria-label="Close search">
+          <span aria-hidden="true">&times;</span>
+        </button>
+      </header>
+      <div class="site-search__field">
+        <label for="site-search-input" class="sr-only">Search the site</label>
+        <input
+          type="search"
+          id="site-search-input"
+          class="site-search__input"
+          placeholder="Search pages, ministries, people and events..."
+          autocomplete="off"
+          spellcheck="false"
+          role="combobox"
+          aria-autocomplete="list"
+          aria-expanded="false"
+          aria-controls="site-search-results"
+          aria-describedby="site-search-status"
+        >
+      </div>
+      <p id="site-search-status" class="site-search__status" role="status" aria-live="polite"></p>
+      <div id="site-search-results" class="site-search__results" role="listbox" aria-label="Search results"></div>
+    </div>
+  `;
+
+  document.body.appendChild(dialog);
+
+  const input = querySelector(SELECTORS.INPUT, dialog);
+  input.addEventListener('input', handleInput);
+  input.addEventListener('keydown', handleKeydown);
+  querySelector('.site-search__close', dialog).addEventListener('click', closeSiteSearch);
+  querySelector(SELECTORS.RESULTS, dialog).addEventListener('click', handleResultClick);
+  dialog.addEventListener('click', handleBackdropClick);
+
+  return dialog;
+}
+
+/**
+ * Updates the status message
+ * @param {string} message - Status text
+ */
+function setStatus(message) {
+  const status = querySelector(SELECTORS.STATUS, state.dialog);
+  if (status) {
+    status.textContent = message;
+  }
+}
+
+/**
+ * Renders grouped results into the listbox
+ * @param {Array<Object>} groups - Groups from searchSite
+ */
+function renderResults(groups) {
+  const container = querySelector(SELECTORS.RESULTS, state.dialog);
+  const input = querySelector(SELECTORS.INPUT, state.dialog);
+  if (!container || !input) return;
+
+  let optionIndex = 0;
+
+  container.innerHTML = groups.map((group) => `
+    <div class="site-search__group" role="group" aria-labelledby="site-search-group-${group.type}">
+      <h3 id="site-search-group-${group.type}" class="site-search__group-title">${escapeHTML(group.label)}</h3>
+      ${group.results.map((result) => `
+        <a
+          id="site-search-option-${optionIndex++}"
+          class="site-search__result"
+          href="${escapeHTML(result.url)}"
+          role="option"
+          aria-selected="false"
+        >
+          <span class="site-search__result-title">${highlightMatches(result.title, result.terms, CLASSES.HIGHLIGHT)}</span>
+          ${result.subtitle ? `<span class="site-search__result-meta">${highlightMatches(toSnippet(result.subtitle), result.terms, CLASSES.HIGHLIGHT)}</span>` : ''}
+        </a>
+      `).join('')}
+    </div>
+  `).join('');
+
+  state.activeIndex = -1;
+  input.setAttribute('aria-expanded', String(optionIndex > 0));
+  input.removeAttribute('aria-activedescendant');
+}
+
+/**
+ * Runs a search for the current input value and renders the results
+ */
+async function runSearch() {
+  const input = querySelector(SELECTORS.INPUT, state.dialog);
+  if (!input) return;
+
+  const query = input.value.trim();
+
+  if (!query) {
+    renderResults([]);
+    setStatus(MESSAGES.PROMPT);
+    return;
+  }
+
+  const groups = await searchSite(query);
+
+  // Ignore results for a query the visitor has already changed
+  if (input.value.trim() !== query) return;
+
+  renderResults(groups);
+
+  if (!state.index || state.documents.size === 0) {
+    setStatus(MESSAGES.LOAD_ERROR);
+    return;
+  }
+
+  const count = groups.reduce((total, group) => total + group.results.length, 0);
+  setStatus(count > 0 ? `${count} ${count === 1 ? 'result' : 'results'} found.` : MESSAGES.NO_RESULTS);
+}
+
+/**
+ * Moves the active option for keyboard navigation
+ * @param {number} index - New active option index
+ */
+function setActiveOption(index) {
+  const options = Array.from(querySelectorAll(SELECTORS.OPTIONS, state.dialog));
+  const input = querySelector(SELECTORS.INPUT, state.dialog);
+  if (options.length === 0 || !input) return;
+
+  state.activeIndex = (index + options.length) % options.length;
+
+  options.forEach((option, optionIndex) => {
+    const isActive = optionIndex === state.activeIndex;
+    option.classList.toggle(CLASSES.RESULT_ACTIVE, isActive);
+    option.setAttribute('aria-selected', String(isActive));
+  });
+
+  const active = options[state.activeIndex];
+  input.setAttribute('aria-activedescendant', active.id);
+  active.scrollIntoView({ block: 'nearest' });
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+/**
+ * Handles typing in the search input
+ */
+function handleInput() {
+  clearTimeout(state.debounceTimer);
+  state.debounceTimer = setTimeout(runSearch, CONFIG.DEBOUNCE_DELAY);
+}
+
+/**
+ * Handles arrow key navigation and selection in the search input
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleKeydown(event) {
+  const options = querySelectorAll(SELECTORS.OPTIONS, state.dialog);
+
+  switch (event.key) {
+    case 'ArrowDown':
+      event.preventDefault();
+      setActiveOption(state.activeIndex + 1);
+      break;
+    case 'ArrowUp':
+      event.preventDefault();
+      setActiveOption(state.activeIndex - 1);
+      break;
+    case 'Enter': {
+      const target = options[state.activeIndex >= 0 ? state.activeIndex : 0];
+      if (target) {
+        event.preventDefault();
+        target.click();
+      }
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+/**
+ * Closes the dialog when a result is chosen so same-page anchors are visible
+ * @param {MouseEvent} event - Click event
+ */
+function handleResultClick(event) {
+  if (event.target.closest(SELECTORS.OPTIONS)) {
+    closeSiteSearch();
+  }
+}
+
+/**
+ * Closes the dialog when the backdrop is clicked
+ * @param {MouseEvent} event - Click event
+ */
+function handleBackdropClick(event) {
+  if (event.target === state.dialog) {
+    closeSiteSearch();
+  }
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Opens the site search dialog, creating it and loading the index on first use
+ * @param {string} [query] - Optional initial query
+ */
+function openSiteSearch(query = '') {
+  if (!state.dialog) {
+    state.dialog = createDialog();
+  }
+
+  const input = querySelector(SELECTORS.INPUT, state.dialog);
+
+  if (!state.dialog.open) {
+    state.dialog.showModal();
+  }
+
+  if (input) {
+    if (query) input.value = query;
+    input.focus();
+    input.select();
+  }
+
+  if (!state.index) {
+    setStatus(MESSAGES.LOADING);
+  }
+
+  ensureIndex().then(runSearch);
+  log('info', 'Site search opened');
+}
+
+/**
+ * Closes the site search dialog
+ */
+function closeSiteSearch() {
+  if (state.dialog && state.dialog.open) {
+    state.dialog.close();
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  openSiteSearch,
+  closeSiteSearch,
+  searchSite,
+  RESULT_TYPES,
+};
@@ -6,20 +6,63 @@
  * - Opportunity filtering
  * - Contact information display
  * - Integration with church contact systems
+ * - Shift sign-up: opportunities with dated `shifts` in the ministry data file
+ *   ask for a specific shift (full shifts are disabled) instead of general
+ *   availability, and the visitor's sign-ups are listed under "My shifts"
+ *   with an iCalendar export
+ * - "Find your fit" questionnaire that ranks opportunities by interests,
+ *   skills, age, available days and physical demands (see volunteer-matching)
+ * 
+ * Opportunities are read from the data file of the page's ministry
+ * (`<main data-ministry="outreach">`).
  * 
  * @module components/volunteer
  * @generated-from: task-id:TASK-011
  * @modifies: none
- * @dependencies: [outreach.json]
+ * @dependencies: [ministry data files, form-submission, volunteer-shifts, volunteer-matching, offline]
  */
 
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import {
+  submitForm,
+  generateIdempotencyKey,
+  SUBMISSION_STATUS,
+} from '../utils/form-submission.js';
+import {
+  getShifts,
+  formatShiftTime,
+  fetchShiftSignups,
+  getShiftFill,
+  isPastShift,
+  loadMyShifts,
+  syncMyShiftStatuses,
+  saveMyShift,
+  exportMyShifts,
+  SHIFT_STATUS,
+  SIGNUP_STATUS,
+} from '../utils/volunteer-shifts.js';
+import {
+  rankOpportunities,
+  getRelevantOptions,
+  AGE_RANGES,
+  FIT,
+  REASON_TYPES,
+} from '../utils/volunteer-matching.js';
+import { QUEUE_EVENT } from '../utils/offline.js';
+
 // ============================================================================
 // CONSTANTS & CONFIGURATION
 // ============================================================================
 
 const CONFIG = Object.freeze({
-  DATA_URL: '/data/ministries/outreach.json',
-  FORM_SUBMIT_DELAY: 1500,
+  DATA_PATH: '/data/ministries/',
+  DEFAULT_MINISTRY: 'outreach', // Used when the page has no data-ministry
+  SUBMIT_ENDPOINT: '/api/volunteers', // Overridden by the form's data-endpoint
+  SHIFTS_ENDPOINT: '/api/volunteers/shifts', // Overridden by the form's data-shifts-endpoint
+  SUBMIT_ENCODING: 'json',
   VALIDATION_DEBOUNCE: 300,
   EMAIL_REGEX: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
   PHONE_REGEX: /^[\d\s\-\(\)]+$/,
@@ -31,6 +74,19 @@ const SELECTORS = Object.freeze({
   OPPORTUNITY_CARDS: '[data-opportunity-cards]',
   OPPORTUNITY_FILTER: '[data-opportunity-filter]',
   CONTACT_INFO: '[data-volunteer-contact]',
+  MINISTRY: '[data-ministry]',
+  SELECT_LINKS: '[data-volunteer-select]',
+  SHIFT_PICKER: '[data-shift-picker]',
+  SHIFT_OPTIONS: '[data-shift-options]',
+  SHIFT_ERROR: '[data-shift-error]',
+  AVAILABILITY_GROUP: '[data-volunteer-availability]',
+  MY_SHIFTS: '[data-my-shifts]',
+  MY_SHIFTS_LIST: '[data-my-shifts-list]',
+  MY_SHIFTS_EXPORT: '[data-my-shifts-export]',
+  MATCH_FORM: '[data-volunteer-match]',
+  MATCH_OPTIONS: '[data-match-options]',
+  MATCH_AGE: '[data-match-age]',
+  MATCH_RESULTS: '[data-volunteer-match-results]',
   FORM_FIELDS: {
     NAME: '[name="volunteer-name"]',
     EMAIL: '[name="volunteer-email"]',
@@ -38,11 +94,35 @@ const SELECTORS = Object.freeze({
     OPPORTUNITY: '[name="volunteer-opportunity"]',
     MESSAGE: '[name="volunteer-message"]',
     AVAILABILITY: '[name="volunteer-availability"]',
+    SHIFT: '[name="volunteer-shift"]',
   },
 });
 
+const CLASSES = Object.freeze({
+  SHIFT: 'volunteer-shift',
+  SHIFT_UNAVAILABLE: 'volunteer-shift--unavailable',
+  SHIFT_LIMITED: 'volunteer-shift--limited',
+  MY_SHIFT: 'volunteer-my-shifts__item',
+  MATCH: 'volunteer-match',
+});
+
 const MESSAGES = Object.freeze({
   SUCCESS: 'Thank you for your interest in volunteering! We will contact you soon.',
+  SHIFT_SUCCESS: 'You are signed up! The shift has been added to My Shifts below.',
+  SHIFT_QUEUED: 'You appear to be offline. Your shift sign-up has been saved to My Shifts and will be sent automatically when your connection returns.',
+  FULL: 'Full',
+  SIGNED_UP: 'You are signed up',
+  PENDING: 'Waiting to send',
+  MATCH_HEADING: 'Your best fits',
+  MATCH_NONE: 'None of our current roles fit those answers. Try choosing more days or interests, or contact us and we will find a way for you to serve.',
+  MATCH_SIGN_UP: 'Sign up',
+  FIT_LABELS: {
+    [FIT.STRONG]: 'Strong fit',
+    [FIT.GOOD]: 'Good fit',
+    [FIT.POSSIBLE]: 'Possible fit',
+  },
+  REFERENCE: 'Your confirmation reference is',
+  QUEUED: 'You appear to be offline. Your application has been saved and will be sent automatically when your connection returns.',
   ERROR: 'There was an error submitting your form. Please try again or contact us directly.',
   VALIDATION: {
     NAME_REQUIRED: 'Please enter your full name',
@@ -51,6 +131,8 @@ const MESSAGES = Object.freeze({
     EMAIL_INVALID: 'Please enter a valid email address',
     PHONE_INVALID: 'Please enter a valid phone number',
     OPPORTUNITY_REQUIRED: 'Please select a volunteer opportunity',
+    SHIFT_REQUIRED: 'Please choose a shift',
+    SHIFT_UNAVAILABLE: 'That shift is no longer available. Please choose another.',
     MESSAGE_MAX_LENGTH: 'Message must be less than 1000 characters',
   },
 });
@@ -61,9 +143,13 @@ const MESSAGES = Object.freeze({
 
 const state = {
   opportunities: [],
+  contactEmail: '',
   selectedOpportunity: null,
+  shiftCounts: null, // Map of shift ID -> sign-ups, or null until loaded
+  myShifts: [],
   isSubmitting: false,
   validationErrors: new Map(),
+  idempotencyKey: null,
 };
 
 // ============================================================================
@@ -156,6 +242,39 @@ function sanitizeInput(input) {
   return div.innerHTML;
 }
 
+/**
+ * Converts an opportunity title to an ID the same way ministry.js does, so
+ * links rendered on opportunity cards match the form's options
+ * @param {string} text - Source text
+ * @returns {string} ID
+ */
+function toId(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Gets the data file URL for the page's ministry
+ * @returns {string} Data URL
+ */
+function getDataUrl() {
+  const root = querySelector(SELECTORS.MINISTRY);
+  const ministry = (root && root.dataset.ministry) || CONFIG.DEFAULT_MINISTRY;
+  return `${CONFIG.DATA_PATH}${ministry}.json`;
+}
+
+/**
+ * Finds an opportunity by ID
+ * @param {string} opportunityId - Opportunity ID
+ * @returns {Object|null} Opportunity or null
+ */
+function findOpportunity(opportunityId) {
+  return state.opportunities.find((opp) => opp.id === opportunityId) || null;
+}
+
 // ============================================================================
 // DATA FETCHING
 // ============================================================================
@@ -166,9 +285,10 @@ function sanitizeInput(input) {
  */
 async function fetchVolunteerData() {
   try {
-    log('info', 'Fetching volunteer data', { url: CONFIG.DATA_URL });
+    const url = getDataUrl();
+    log('info', 'Fetching volunteer data', { url });
     
-    const response = await fetch(CONFIG.DATA_URL);
+    const response = await fetch(url);
     
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
@@ -249,6 +369,43 @@ function validateField(fieldName, value) {
   }
 }
 
+/**
+ * Checks whether a shift can still be chosen by this visitor
+ * @param {Object} shift - Shift
+ * @returns {boolean} True if the shift is upcoming, not full and not already taken by this visitor
+ */
+function isShiftAvailable(shift) {
+  const { status } = getShiftFill(shift, state.shiftCounts, state.myShifts);
+  return status !== SHIFT_STATUS.FULL
+    && status !== SHIFT_STATUS.PAST
+    && !state.myShifts.some((entry) => entry.shiftId === shift.id);
+}
+
+/**
+ * Validates the shift choice. Only opportunities with upcoming shifts need one.
+ * @param {string} opportunityId - Selected opportunity ID
+ * @param {string} shiftId - Selected shift ID
+ * @returns {string|null} Error message or null if valid
+ */
+function validateShiftChoice(opportunityId, shiftId) {
+  const shifts = getShifts(findOpportunity(opportunityId), { upcoming: true });
+  
+  if (shifts.length === 0) {
+    return null;
+  }
+  
+  if (!shiftId) {
+    return MESSAGES.VALIDATION.SHIFT_REQUIRED;
+  }
+  
+  const shift = shifts.find((item) => item.id === shiftId);
+  if (!shift || !isShiftAvailable(shift)) {
+    return MESSAGES.VALIDATION.SHIFT_UNAVAILABLE;
+  }
+  
+  return null;
+}
+
 /**
  * Validates entire form
  * @param {FormData} formData - Form data to validate
@@ -274,6 +431,15 @@ function validateForm(formData) {
     }
   });
   
+  const shiftError = validateShiftChoice(
+    formData.get('volunteer-opportunity'),
+    formData.get('volunteer-shift')
+  );
+  
+  if (shiftError) {
+    errors.set('volunteer-shift', shiftError);
+  }
+  
   return errors;
 }
 
@@ -335,19 +501,39 @@ function clearFieldError(field) {
  */
 function displayValidationErrors(errors) {
   errors.forEach((errorMessage, fieldName) => {
+    if (fieldName === 'volunteer-shift') {
+      showShiftError(errorMessage);
+      return;
+    }
+    
     const field = querySelector(`[name="${fieldName}"]`);
     if (field) {
       showFieldError(field, errorMessage);
     }
   });
   
-  // Focus first error field
-  const firstErrorField = querySelector('.volunteer-form__input--error');
+  // Focus first error field, or the shift picker if that is the only error
+  const firstErrorField = querySelector('.volunteer-form__input--error')
+    || (errors.has('volunteer-shift') ? querySelector(`${SELECTORS.FORM_FIELDS.SHIFT}:not(:disabled)`) : null);
   if (firstErrorField) {
     firstErrorField.focus();
   }
 }
 
+/**
+ * Shows an error for the shift picker, which is a group of radios rather
+ * than a single field
+ * @param {string} errorMessage - Error message to display
+ */
+function showShiftError(errorMessage) {
+  const picker = querySelector(SELECTORS.SHIFT_PICKER);
+  const errorElement = picker && querySelector(SELECTORS.SHIFT_ERROR, picker);
+  
+  if (errorElement) {
+    errorElement.textContent = errorMessage;
+  }
+}
+
 /**
  * Clears all validation errors
  */
@@ -356,6 +542,12 @@ function clearAllErrors() {
   errorFields.forEach((field) => {
     clearFieldError(field);
   });
+  
+  const picker = querySelector(SELECTORS.SHIFT_PICKER);
+  const shiftError = picker && querySelector(SELECTORS.SHIFT_ERROR, picker);
+  if (shiftError) {
+    shiftError.textContent = '';
+  }
 }
 
 // ============================================================================
@@ -371,6 +563,9 @@ const handleFieldInput = debounce((event) => {
   const fieldName = field.name;
   const value = field.value;
   
+  // Edited answers are a new application, not a retry of the previous one
+  state.idempotencyKey = null;
+  
   // Clear existing error
   clearFieldError(field);
   
@@ -415,6 +610,9 @@ async function handleFormSubmit(event) {
     return;
   }
   
+  const opportunity = findOpportunity(formData.get('volunteer-opportunity'));
+  const shift = getShifts(opportunity).find((item) => item.id === formData.get('volunteer-shift')) || null;
+  
   // Prepare submission data
   const submissionData = {
     name: sanitizeInput(formData.get('volunteer-name')),
@@ -422,10 +620,19 @@ async function handleFormSubmit(event) {
     phone: sanitizeInput(formData.get('volunteer-phone')),
     opportunity: sanitizeInput(formData.get('volunteer-opportunity')),
     message: sanitizeInput(formData.get('volunteer-message')),
-    availability: formData.getAll('volunteer-availability').map(sanitizeInput),
+    availability: shift ? [] : formData.getAll('volunteer-availability').map(sanitizeInput),
+    shiftId: shift ? shift.id : '',
+    shiftDate: shift ? shift.date : '',
+    shiftStartTime: shift ? shift.startTime : '',
+    shiftEndTime: shift ? shift.endTime : '',
     timestamp: new Date().toISOString(),
   };
   
+  // Reuse the key across retries so the backend can discard duplicates
+  if (!state.idempotencyKey) {
+    state.idempotencyKey = generateIdempotencyKey();
+  }
+  
   try {
     state.isSubmitting = true;
     
@@ -438,21 +645,60 @@ async function handleFormSubmit(event) {
     
     log('info', 'Submitting volunteer form', {
       opportunity: submissionData.opportunity,
+      shiftId: submissionData.shiftId || null,
     });
     
-    // Simulate form submission (replace with actual API call)
-    await new Promise((resolve) => setTimeout(resolve, CONFIG.FORM_SUBMIT_DELAY));
+    const result = await submitForm(
+      form.dataset.endpoint || CONFIG.SUBMIT_ENDPOINT,
+      { ...submissionData, idempotencyKey: state.idempotencyKey },
+      {
+        encoding: form.dataset.encoding || CONFIG.SUBMIT_ENCODING,
+        formType: 'volunteer',
+        idempotencyKey: state.idempotencyKey,
+      }
+    );
     
-    // Log submission data (in production, send to server)
-    console.log('[Volunteer] Form submission data:', submissionData);
+    if (result.status === SUBMISSION_STATUS.INVALID) {
+      const serverErrors = mapServerErrors(result.fieldErrors);
+      log('warn', 'Volunteer form rejected by server', {
+        fields: Array.from(serverErrors.keys()),
+      });
+      displayValidationErrors(serverErrors);
+      
+      // A shift the server turned down has probably just filled up
+      if (serverErrors.has('volunteer-shift')) {
+        loadShiftCounts();
+      }
+      return;
+    }
+    
+    if (!result.ok) {
+      throw new Error(`Submission failed${result.httpStatus ? ` (HTTP ${result.httpStatus})` : ''}`);
+    }
     
-    // Show success message
-    showSuccessMessage(form);
+    const queued = result.status === SUBMISSION_STATUS.QUEUED;
+    const reference = queued ? null : getConfirmationReference(result.data);
+    
+    if (shift) {
+      recordShiftSignup(opportunity, shift, {
+        status: queued ? SIGNUP_STATUS.QUEUED : SIGNUP_STATUS.SENT,
+        reference,
+      });
+    }
+    
+    if (queued) {
+      showSuccessMessage(form, { queued: true, shift: Boolean(shift) });
+      log('info', 'Volunteer form queued for sync');
+    } else {
+      showSuccessMessage(form, { reference, shift: Boolean(shift) });
+      log('info', 'Volunteer form submitted successfully');
+    }
     
     // Reset form
     form.reset();
-    
-    log('info', 'Volunteer form submitted successfully');
+    state.idempotencyKey = null;
+    state.selectedOpportunity = null;
+    renderShiftPicker(null);
   } catch (error) {
     log('error', 'Form submission failed', {
       error: error.message,
@@ -472,16 +718,62 @@ async function handleFormSubmit(event) {
   }
 }
 
+/**
+ * Maps server field errors onto volunteer form field names
+ * @param {Object<string, string>} fieldErrors - Server field errors
+ * @returns {Map<string, string>} Map of form field names to error messages
+ */
+function mapServerErrors(fieldErrors) {
+  const errors = new Map();
+  
+  Object.entries(fieldErrors).forEach(([field, message]) => {
+    const fieldName = field.startsWith('volunteer-') ? field : `volunteer-${field}`;
+    errors.set(fieldName, message);
+  });
+  
+  return errors;
+}
+
+/**
+ * Extracts the confirmation reference from a server response
+ * @param {Object|null} data - Parsed response body
+ * @returns {string|null} Confirmation reference
+ */
+function getConfirmationReference(data) {
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+  
+  const reference = data.reference || data.confirmationReference || data.confirmationId || data.id;
+  return reference ? String(reference) : null;
+}
+
 /**
  * Shows success message after form submission
  * @param {HTMLFormElement} form - Form element
+ * @param {Object} options - Message options
+ * @param {string|null} [options.reference] - Server confirmation reference
+ * @param {boolean} [options.queued] - Whether the application was queued offline
+ * @param {boolean} [options.shift] - Whether the application signed up for a shift
  */
-function showSuccessMessage(form) {
+function showSuccessMessage(form, { reference = null, queued = false, shift = false } = {}) {
   const messageElement = document.createElement('div');
   messageElement.className = 'volunteer-form__message volunteer-form__message--success';
   messageElement.setAttribute('role', 'status');
   messageElement.setAttribute('aria-live', 'polite');
-  messageElement.textContent = MESSAGES.SUCCESS;
+  
+  if (queued) {
+    messageElement.textContent = shift ? MESSAGES.SHIFT_QUEUED : MESSAGES.QUEUED;
+  } else {
+    messageElement.textContent = shift ? MESSAGES.SHIFT_SUCCESS : MESSAGES.SUCCESS;
+    
+    if (reference) {
+      const referenceElement = document.createElement('strong');
+      referenceElement.className = 'volunteer-form__reference';
+      referenceElement.textContent = reference;
+      messageElement.append(` ${MESSAGES.REFERENCE} `, referenceElement, '.');
+    }
+  }
   
   form.insertAdjacentElement('beforebegin', messageElement);
   
@@ -577,7 +869,7 @@ function handleFilterChange(event) {
  * @param {string} opportunityId - Opportunity ID
  */
 function displayContactInfo(opportunityId) {
-  const opportunity = state.opportunities.find((opp) => opp.id === opportunityId);
+  const opportunity = findOpportunity(opportunityId);
   
   if (!opportunity) {
     log('warn', 'Opportunity not found', { opportunityId });
@@ -591,13 +883,16 @@ function displayContactInfo(opportunityId) {
     return;
   }
   
+  // Opportunities without their own contact go to the ministry's inbox
+  const contact = sanitizeInput(opportunity.contact || state.contactEmail);
+  
   const contactHTML = `
     <div class="volunteer-contact">
       <h3 class="volunteer-contact__title">Contact Information</h3>
       <div class="volunteer-contact__item">
         <span class="volunteer-contact__icon" aria-hidden="true">✉</span>
-        <a href="mailto:${opportunity.contact}" class="volunteer-contact__link">
-          ${opportunity.contact}
+        <a href="mailto:${contact}" class="volunteer-contact__link">
+          ${contact}
         </a>
       </div>
       <div class="volunteer-contact__item">
@@ -623,6 +918,440 @@ function handleOpportunityChange(event) {
     displayContactInfo(opportunityId);
     state.selectedOpportunity = opportunityId;
   }
+  
+  renderShiftPicker(findOpportunity(opportunityId));
+}
+
+/**
+ * Handles "Choose a shift" links on opportunity cards (see ministry.js)
+ * @param {Event} event - Click event
+ */
+function handleSelectLink(event) {
+  const link = event.target.closest(SELECTORS.SELECT_LINKS);
+  const select = link && querySelector(SELECTORS.FORM_FIELDS.OPPORTUNITY);
+  
+  if (!select || !findOpportunity(link.dataset.volunteerSelect)) {
+    return;
+  }
+  
+  select.value = link.dataset.volunteerSelect;
+  select.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+// ============================================================================
+// SHIFT SIGN-UP
+// ============================================================================
+
+/**
+ * Describes a shift's availability for its picker option
+ * @param {Object} shift - Shift
+ * @returns {string} Availability text
+ */
+function describeShiftAvailability(shift) {
+  if (state.myShifts.some((entry) => entry.shiftId === shift.id)) {
+    return MESSAGES.SIGNED_UP;
+  }
+  
+  const fill = getShiftFill(shift, state.shiftCounts, state.myShifts);
+  
+  if (fill.status === SHIFT_STATUS.FULL) {
+    return MESSAGES.FULL;
+  }
+  
+  return `${fill.slotsLeft} of ${fill.slots} ${fill.slots === 1 ? 'spot' : 'spots'} open`;
+}
+
+/**
+ * Creates a picker option for a shift
+ * @param {Object} shift - Shift
+ * @param {string} checkedId - Shift ID to keep selected
+ * @returns {HTMLLabelElement} Option
+ */
+function createShiftOption(shift, checkedId) {
+  const available = isShiftAvailable(shift);
+  const fill = getShiftFill(shift, state.shiftCounts, state.myShifts);
+  
+  const option = document.createElement('label');
+  option.className = `volunteer-form__radio ${CLASSES.SHIFT}`;
+  option.classList.toggle(CLASSES.SHIFT_UNAVAILABLE, !available);
+  option.classList.toggle(CLASSES.SHIFT_LIMITED, available && fill.status === SHIFT_STATUS.LIMITED);
+  
+  const input = document.createElement('input');
+  input.type = 'radio';
+  input.name = 'volunteer-shift';
+  input.value = shift.id;
+  input.className = 'volunteer-form__radio-input';
+  input.disabled = !available;
+  input.checked = available && shift.id === checkedId;
+  
+  const text = document.createElement('span');
+  text.className = 'volunteer-form__radio-label';
+  
+  const time = document.createElement('span');
+  time.className = `${CLASSES.SHIFT}__time`;
+  time.textContent = formatShiftTime(shift);
+  text.appendChild(time);
+  
+  if (shift.location) {
+    const location = document.createElement('span');
+    location.className = `${CLASSES.SHIFT}__location`;
+    location.textContent = shift.location;
+    text.appendChild(location);
+  }
+  
+  const slots = document.createElement('span');
+  slots.className = `${CLASSES.SHIFT}__slots`;
+  slots.textContent = describeShiftAvailability(shift);
+  text.appendChild(slots);
+  
+  option.append(input, text);
+  return option;
+}
+
+/**
+ * Shows the upcoming shifts of an opportunity, or the general availability
+ * checkboxes when it has none
+ * @param {Object|null} opportunity - Selected opportunity
+ */
+function renderShiftPicker(opportunity) {
+  const picker = querySelector(SELECTORS.SHIFT_PICKER);
+  const options = picker && querySelector(SELECTORS.SHIFT_OPTIONS, picker);
+  const availability = querySelector(SELECTORS.AVAILABILITY_GROUP);
+  const shifts = getShifts(opportunity, { upcoming: true });
+  
+  if (availability) {
+    availability.hidden = shifts.length > 0;
+  }
+  
+  if (!options) {
+    return;
+  }
+  
+  const checked = querySelector(`${SELECTORS.FORM_FIELDS.SHIFT}:checked`, picker);
+  const checkedId = checked ? checked.value : '';
+  
+  options.innerHTML = '';
+  shifts.forEach((shift) => options.appendChild(createShiftOption(shift, checkedId)));
+  picker.hidden = shifts.length === 0;
+}
+
+/**
+ * Loads sign-up counts for every shift on the page, then refreshes the picker.
+ * Without counts, shifts show only this visitor's own sign-ups.
+ * @returns {Promise<boolean>} True if counts were loaded
+ */
+async function loadShiftCounts() {
+  const shiftIds = state.opportunities.flatMap((opportunity) => getShifts(opportunity, { upcoming: true }))
+    .map((shift) => shift.id);
+  
+  if (shiftIds.length === 0) {
+    return false;
+  }
+  
+  const form = querySelector(SELECTORS.VOLUNTEER_FORM);
+  const endpoint = (form && form.dataset.shiftsEndpoint) || CONFIG.SHIFTS_ENDPOINT;
+  const counts = await fetchShiftSignups(shiftIds, endpoint);
+  
+  if (counts) {
+    state.shiftCounts = counts;
+    renderShiftPicker(findOpportunity(state.selectedOpportunity));
+  }
+  
+  return Boolean(counts);
+}
+
+/**
+ * Handles a shift being chosen
+ */
+function handleShiftChange() {
+  // A different shift is a new sign-up, not a retry of the previous one
+  state.idempotencyKey = null;
+  
+  const picker = querySelector(SELECTORS.SHIFT_PICKER);
+  const errorElement = picker && querySelector(SELECTORS.SHIFT_ERROR, picker);
+  if (errorElement) {
+    errorElement.textContent = '';
+  }
+}
+
+/**
+ * Saves a shift sign-up to My Shifts
+ * @param {Object} opportunity - Opportunity the shift belongs to
+ * @param {Object} shift - Shift signed up for
+ * @param {Object} details - { status, reference }
+ */
+function recordShiftSignup(opportunity, shift, { status, reference }) {
+  saveMyShift({
+    shiftId: shift.id,
+    opportunityId: opportunity.id,
+    opportunityTitle: opportunity.title,
+    date: shift.date,
+    startTime: shift.startTime,
+    endTime: shift.endTime,
+    location: shift.location || '',
+    status,
+    idempotencyKey: state.idempotencyKey,
+    reference,
+  });
+  
+  state.myShifts = loadMyShifts();
+  renderMyShifts();
+}
+
+// ============================================================================
+// MY SHIFTS
+// ============================================================================
+
+/**
+ * Gets this visitor's sign-ups for shifts that have not started yet
+ * @returns {Array<Object>} Upcoming sign-ups
+ */
+function getUpcomingMyShifts() {
+  return state.myShifts.filter((entry) => !isPastShift(entry));
+}
+
+/**
+ * Renders the visitor's upcoming shifts; the panel stays hidden until there
+ * is at least one
+ */
+function renderMyShifts() {
+  const panel = querySelector(SELECTORS.MY_SHIFTS);
+  const list = panel && querySelector(SELECTORS.MY_SHIFTS_LIST, panel);
+  
+  if (!list) {
+    return;
+  }
+  
+  const entries = getUpcomingMyShifts();
+  const fragment = document.createDocumentFragment();
+  
+  entries.forEach((entry) => {
+    const item = document.createElement('li');
+    item.className = CLASSES.MY_SHIFT;
+    
+    const title = document.createElement('strong');
+    title.className = `${CLASSES.MY_SHIFT}-title`;
+    title.textContent = entry.opportunityTitle;
+    
+    const time = document.createElement('span');
+    time.className = `${CLASSES.MY_SHIFT}-time`;
+    time.textContent = entry.location
+      ? `${formatShiftTime(entry)}, ${entry.location}`
+      : formatShiftTime(entry);
+    
+    item.append(title, time);
+    
+    if (entry.status === SIGNUP_STATUS.QUEUED) {
+      const pending = document.createElement('span');
+      pending.className = `${CLASSES.MY_SHIFT}-status`;
+      pending.textContent = MESSAGES.PENDING;
+      item.appendChild(pending);
+    }
+    
+    fragment.appendChild(item);
+  });
+  
+  list.innerHTML = '';
+  list.appendChild(fragment);
+  panel.hidden = entries.length === 0;
+}
+
+/**
+ * Handles the My Shifts calendar export button
+ */
+function handleMyShiftsExport() {
+  const entries = getUpcomingMyShifts();
+  
+  if (exportMyShifts(entries)) {
+    log('info', 'My shifts exported', { count: entries.length });
+  }
+}
+
+// ============================================================================
+// OPPORTUNITY MATCHING
+// ============================================================================
+
+/**
+ * Reads the questionnaire answers
+ * @param {HTMLFormElement} form - Matching questionnaire
+ * @returns {Object} Answers for rankOpportunities
+ */
+function getMatchAnswers(form) {
+  const formData = new FormData(form);
+  
+  return {
+    interests: formData.getAll('match-interests'),
+    skills: formData.getAll('match-skills'),
+    ageRange: formData.get('match-age') || '',
+    days: formData.getAll('match-days').map((day) => parseInt(day, 10)),
+    physical: formData.get('match-physical') || '',
+  };
+}
+
+/**
+ * Creates one ranked result
+ * @param {Object} result - Result from rankOpportunities
+ * @returns {HTMLLIElement} Result item
+ */
+function createMatchResult(result) {
+  const item = document.createElement('li');
+  item.className = `${CLASSES.MATCH}__item ${CLASSES.MATCH}__item--${result.fit}`;
+  
+  const header = document.createElement('div');
+  header.className = `${CLASSES.MATCH}__header`;
+  
+  const title = document.createElement('h4');
+  title.className = `${CLASSES.MATCH}__title`;
+  title.textContent = result.opportunity.title;
+  
+  const badge = document.createElement('span');
+  badge.className = 'volunteer-card__badge';
+  badge.textContent = MESSAGES.FIT_LABELS[result.fit];
+  
+  header.append(title, badge);
+  
+  const reasons = document.createElement('ul');
+  reasons.className = `${CLASSES.MATCH}__reasons`;
+  
+  result.reasons.forEach((reason) => {
+    const reasonItem = document.createElement('li');
+    reasonItem.className = `${CLASSES.MATCH}__reason ${CLASSES.MATCH}__reason--${reason.type}`;
+    reasonItem.textContent = reason.text;
+    
+    if (reason.type === REASON_TYPES.CONCERN) {
+      reasonItem.prepend(Object.assign(document.createElement('span'), { className: 'sr-only', textContent: 'Note: ' }));
+    }
+    
+    reasons.appendChild(reasonItem);
+  });
+  
+  item.append(header, reasons);
+  
+  const signupForm = querySelector(SELECTORS.VOLUNTEER_FORM);
+  if (signupForm && signupForm.id) {
+    const link = document.createElement('a');
+    link.className = 'schedule-card__link';
+    link.href = `#${signupForm.id}`;
+    link.dataset.volunteerSelect = result.opportunity.id;
+    link.textContent = MESSAGES.MATCH_SIGN_UP;
+    item.appendChild(link);
+  }
+  
+  return item;
+}
+
+/**
+ * Renders ranked opportunities with the reasons for each
+ * @param {Array<Object>} results - Results from rankOpportunities
+ */
+function renderMatchResults(results) {
+  const container = querySelector(SELECTORS.MATCH_RESULTS);
+  
+  if (!container) {
+    return;
+  }
+  
+  container.innerHTML = '';
+  
+  if (results.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = `${CLASSES.MATCH}__empty`;
+    empty.textContent = MESSAGES.MATCH_NONE;
+    container.appendChild(empty);
+    return;
+  }
+  
+  const heading = document.createElement('h3');
+  heading.className = `${CLASSES.MATCH}__heading`;
+  heading.textContent = MESSAGES.MATCH_HEADING;
+  
+  const list = document.createElement('ol');
+  list.className = `${CLASSES.MATCH}__list`;
+  results.forEach((result) => list.appendChild(createMatchResult(result)));
+  
+  container.append(heading, list);
+}
+
+/**
+ * Handles the questionnaire being submitted
+ * @param {Event} event - Submit event
+ */
+function handleMatchSubmit(event) {
+  event.preventDefault();
+  
+  const answers = getMatchAnswers(event.target);
+  const results = rankOpportunities(state.opportunities, answers);
+  
+  renderMatchResults(results);
+  
+  log('info', 'Opportunities matched', {
+    results: results.length,
+    best: results.length > 0 ? results[0].opportunity.id : null,
+  });
+}
+
+/**
+ * Creates a checkbox for the questionnaire
+ * @param {string} name - Field name
+ * @param {Object} option - { id, label }
+ * @returns {HTMLLabelElement} Checkbox
+ */
+function createMatchCheckbox(name, option) {
+  const label = document.createElement('label');
+  label.className = 'volunteer-form__checkbox';
+  
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.name = name;
+  input.value = option.id;
+  input.className = 'volunteer-form__checkbox-input';
+  
+  const text = document.createElement('span');
+  text.className = 'volunteer-form__checkbox-label';
+  text.textContent = option.label;
+  
+  label.append(input, text);
+  return label;
+}
+
+/**
+ * Initializes the matching questionnaire, offering only the interests and
+ * skills the page's opportunities can match
+ */
+function initMatching() {
+  const form = querySelector(SELECTORS.MATCH_FORM);
+  
+  if (!form) {
+    return;
+  }
+  
+  querySelectorAll(SELECTORS.MATCH_OPTIONS, form).forEach((container) => {
+    const key = container.dataset.matchOptions;
+    const options = getRelevantOptions(state.opportunities, key);
+    
+    container.innerHTML = '';
+    options.forEach((option) => container.appendChild(createMatchCheckbox(`match-${key}`, option)));
+    
+    // Hide a question with nothing to choose from
+    const fieldset = container.closest('fieldset');
+    if (fieldset) {
+      fieldset.hidden = options.length === 0;
+    }
+  });
+  
+  const ageSelect = querySelector(SELECTORS.MATCH_AGE, form);
+  if (ageSelect) {
+    AGE_RANGES.forEach((range) => {
+      const option = document.createElement('option');
+      option.value = range.id;
+      option.textContent = range.label;
+      ageSelect.appendChild(option);
+    });
+  }
+  
+  form.addEventListener('submit', handleMatchSubmit);
+  
+  log('info', 'Opportunity matching initialized');
 }
 
 // ============================================================================
@@ -630,10 +1359,41 @@ function handleOpportunityChange(event) {
 // ============================================================================
 
 /**
- * Initializes volunteer form
+ * Fills the opportunity select from the data file when the markup does not
+ * list the opportunities itself
+ * @param {HTMLSelectElement} select - Opportunity select
+ */
+function renderOpportunityOptions(select) {
+  const hasOptions = Array.from(select.options).some((option) => option.value);
+  
+  if (hasOptions) {
+    return;
+  }
+  
+  state.opportunities.forEach((opportunity) => {
+    const option = document.createElement('option');
+    option.value = opportunity.id;
+    option.textContent = opportunity.title;
+    select.appendChild(option);
+  });
+}
+
+/**
+ * Stores opportunities in state, with the same IDs ministry.js gives them
  * @param {Object} data - Volunteer data
  */
-function initVolunteerForm(data) {
+function storeOpportunities(data) {
+  state.opportunities = (data.volunteerOpportunities || []).map((opportunity) => ({
+    ...opportunity,
+    id: opportunity.id || toId(opportunity.title),
+  }));
+  state.contactEmail = (data.contact && data.contact.email) || '';
+}
+
+/**
+ * Initializes volunteer form
+ */
+function initVolunteerForm() {
   const form = querySelector(SELECTORS.VOLUNTEER_FORM);
   
   if (!form) {
@@ -641,9 +1401,6 @@ function initVolunteerForm(data) {
     return;
   }
   
-  // Store opportunities in state
-  state.opportunities = data.volunteerOpportunities || [];
-  
   // Add form submit handler
   form.addEventListener('submit', handleFormSubmit);
   
@@ -658,12 +1415,54 @@ function initVolunteerForm(data) {
   // Add opportunity change handler
   const opportunitySelect = querySelector(SELECTORS.FORM_FIELDS.OPPORTUNITY, form);
   if (opportunitySelect) {
+    renderOpportunityOptions(opportunitySelect);
     opportunitySelect.addEventListener('change', handleOpportunityChange);
+    state.selectedOpportunity = opportunitySelect.value || null;
+  }
+  
+  // Add shift picker handler
+  const shiftPicker = querySelector(SELECTORS.SHIFT_PICKER, form);
+  if (shiftPicker) {
+    shiftPicker.addEventListener('change', handleShiftChange);
   }
   
+  document.addEventListener('click', handleSelectLink);
+  
+  renderShiftPicker(findOpportunity(state.selectedOpportunity));
+  loadShiftCounts();
+  
   log('info', 'Volunteer form initialized');
 }
 
+/**
+ * Refreshes sign-up statuses once queued sign-ups have been sent
+ */
+async function refreshMyShiftStatuses() {
+  state.myShifts = await syncMyShiftStatuses();
+  renderMyShifts();
+}
+
+/**
+ * Initializes the My Shifts panel
+ */
+function initMyShifts() {
+  state.myShifts = loadMyShifts();
+  
+  const panel = querySelector(SELECTORS.MY_SHIFTS);
+  if (!panel) {
+    return;
+  }
+  
+  const exportButton = querySelector(SELECTORS.MY_SHIFTS_EXPORT, panel);
+  if (exportButton) {
+    exportButton.addEventListener('click', handleMyShiftsExport);
+  }
+  
+  renderMyShifts();
+  refreshMyShiftStatuses();
+  window.addEventListener(QUEUE_EVENT, refreshMyShiftStatuses);
+}
+
 /**
  * Initializes opportunity filtering
  */
@@ -689,13 +1488,20 @@ async function init() {
     
     // Fetch volunteer data
     const data = await fetchVolunteerData();
+    storeOpportunities(data);
+    
+    // Load this visitor's shifts first so the picker can mark them
+    initMyShifts();
     
     // Initialize form
-    initVolunteerForm(data);
+    initVolunteerForm();
     
     // Initialize filtering
     initOpportunityFiltering();
     
+    // Initialize matching questionnaire
+    initMatching();
+    
     log('info', 'Volunteer component initialized successfully');
   } catch (error) {
     log('error', 'Failed to initialize volunteer component', {
@@ -724,4 +1530,8 @@ export {
   handleFormSubmit,
   filterOpportunities,
   displayContactInfo,
+  validateShiftChoice,
+  renderShiftPicker,
+  renderMyShifts,
+  renderMatchResults,
 };
\ No newline at end of file
@@ -9,14 +9,19 @@
  * - Performance monitoring
  * - Lazy loading initialization
  * - Accessibility utilities initialization
+ * - Consent banner and cookie settings (analytics, embeds, notifications)
  * - Analytics tracking initialization
  * - Progressive image loading initialization
  * - Offline functionality initialization
+ * - Pending form submissions panel for the offline queue
+ * - Service worker registration with a "new version available" prompt
+ * - Push notifications following the notifications consent choice
+ * - Site search launcher in the navigation bar
  * 
  * @module main
  * @generated-from: task-id:TASK-001
  * @modifies: none
- * @dependencies: [lazy-loading, accessibility, analytics, progressive-images, offline]
+ * @dependencies: [lazy-loading, accessibility, consent-manager, analytics, progressive-images, offline, pending-submissions, service-worker, push-notifications, navigation]
  */
 
 // ============================================================================
@@ -25,9 +30,14 @@
 
 import { init as initLazyLoading } from './utils/lazy-loading.js';
 import { initAccessibility } from './utils/accessibility.js';
+import { initConsentManager } from './components/consent-manager.js';
 import { init as initAnalytics } from './utils/analytics.js';
 import { init as initProgressiveImages } from './utils/progressive-images.js';
 import { init as initOffline } from './utils/offline.js';
+import { init as initServiceWorker } from './utils/service-worker.js';
+import { initPendingSubmissions } from './components/pending-submissions.js';
+import { initPushNotifications } from './utils/push-notifications.js';
+import { initSearchLauncher } from './components/navigation.js';
 
 // ============================================================================
 // CONSTANTS & CONFIGURATION
@@ -416,6 +426,16 @@ function init() {
     // Initialize mobile menu
     initMobileMenu();
     
+    // Initialize site search launcher
+    try {
+      initSearchLauncher();
+    } catch (error) {
+      log('error', 'Site search launcher initialization failed', { 
+        error: error.message, 
+        stack: error.stack 
+      });
+    }
+    
     // Initialize lazy loading
     try {
       initLazyLoading();
@@ -438,6 +458,16 @@ function init() {
       });
     }
     
+    // Ask for and apply consent before analytics and embeds load
+    try {
+      initConsentManager();
+    } catch (error) {
+      log('error', 'Consent manager initialization failed', { 
+        error: error.message, 
+        stack: error.stack 
+      });
+    }
+    
     // Initialize Google Analytics 4
     try {
       initAnalytics({
@@ -474,6 +504,36 @@ function init() {
       });
     }
     
+    // Let visitors review forms waiting in the offline queue
+    try {
+      initPendingSubmissions();
+    } catch (error) {
+      log('error', 'Pending submissions initialization failed', { 
+        error: error.message, 
+        stack: error.stack 
+      });
+    }
+    
+    // Register the service worker and offer new versions as they arrive
+    try {
+      initServiceWorker();
+    } catch (error) {
+      log('error', 'Service worker initialization failed', { 
+        error: error.message, 
+        stack: error.stack 
+      });
+    }
+    
+    // Drop push subscriptions when notifications consent is withdrawn
+    try {
+      initPushNotifications();
+    } catch (error) {
+      log('error', 'Push notifications initialization failed', { 
+        error: error.message, 
+        stack: error.stack 
+      });
+    }
+    
     performanceMark('init-end');
     performanceMeasure('total-init-time', 'init-start', 'init-end');
     
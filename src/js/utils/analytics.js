@@ -10,6 +10,8 @@
  * - Page view tracking with metadata
  * - Conversion goal tracking
  * - Privacy-compliant data collection
+ * - Follows the analytics consent category (utils/consent.js) and sets
+ *   Google Consent Mode v2 defaults before gtag is configured
  * - Error handling and logging
  * - Offline event queuing
  * - Performance monitoring
@@ -17,9 +19,22 @@
  * @module analytics
  * @generated-from: task-id:TASK-013
  * @modifies: none
- * @dependencies: none
+ * @dependencies: [consent]
  */
 
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import {
+  hasCategoryConsent,
+  updateConsent,
+  getGtagDefaultConsent,
+  updateGtagConsent,
+  CONSENT_CATEGORIES,
+  CONSENT_EVENT,
+} from './consent.js';
+
 // ============================================================================
 // CONSTANTS & CONFIGURATION
 // ============================================================================
@@ -223,6 +238,9 @@ function initializeGtag() {
 
   window.gtag('js', new Date());
 
+  // Nothing is stored until the visitor's choice is applied below
+  window.gtag('consent', 'default', getGtagDefaultConsent());
+
   const config = {
     send_page_view: false, // Manual page view tracking
     cookie_flags: CONFIG.COOKIE_FLAGS,
@@ -238,6 +256,7 @@ function initializeGtag() {
   }
 
   window.gtag('config', CONFIG.GA_MEASUREMENT_ID, config);
+  updateGtagConsent();
 
   log('info', 'gtag initialized', { measurementId: CONFIG.GA_MEASUREMENT_ID });
 }
@@ -517,19 +536,24 @@ async function trackError(errorType, errorData = {}) {
 // ============================================================================
 
 /**
- * Sets user consent for analytics
+ * Sets user consent for analytics. Saved as the analytics consent category,
+ * so the consent banner and other tabs follow it.
  * @param {boolean} consent - Consent status
  */
 function setConsent(consent) {
-  analyticsState.consentGiven = consent;
+  updateConsent({ [CONSENT_CATEGORIES.ANALYTICS]: consent });
+}
 
-  if (isGtagAvailable()) {
-    window.gtag('consent', 'update', {
-      analytics_storage: consent ? 'granted' : 'denied',
-      ad_storage: 'denied', // Always deny ad storage for privacy
-    });
+/**
+ * Follows changes to the analytics consent category
+ */
+function handleConsentChange() {
+  const consent = hasCategoryConsent(CONSENT_CATEGORIES.ANALYTICS);
+  if (consent === analyticsState.consentGiven) {
+    return;
   }
 
+  analyticsState.consentGiven = consent;
   log('info', 'Consent updated', { consent });
 
   if (consent) {
@@ -633,6 +657,10 @@ async function init(options = {}) {
     // Generate session ID
     analyticsState.sessionId = generateSessionId();
 
+    // Follow the visitor's consent choice
+    analyticsState.consentGiven = hasCategoryConsent(CONSENT_CATEGORIES.ANALYTICS);
+    window.addEventListener(CONSENT_EVENT, handleConsentChange);
+
     // Load queued events from storage
     const queuedEvents = getFromStorage(CONFIG.QUEUE_STORAGE_KEY);
     if (queuedEvents && Array.isArray(queuedEvents)) {
@@ -681,6 +709,7 @@ function cleanup() {
   stopQueueFlushing();
   window.removeEventListener('online', handleOnline);
   window.removeEventListener('offline', handleOffline);
+  window.removeEventListener(CONSENT_EVENT, handleConsentChange);
   analyticsState.initialized = false;
   log('info', 'Analytics cleanup completed');
 }
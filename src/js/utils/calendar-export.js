@@ -4,28 +4,46 @@
  * Provides functionality for generating calendar export files and URLs:
  * - Google Calendar URL generation
  * - iCalendar (.ics) file generation
- * - Timezone handling (WAT - West Africa Time)
+ * - Multi-event iCalendar feeds for calendar subscriptions
+ * - Timezone handling (church time zone, WAT by default, via utils/timezone)
+ * - Recurring events (RRULE/EXDATE)
  * - RFC 5545 compliant formatting
  * - Error handling and validation
  * 
  * @module calendar-export
  * @generated-from: task-id:TASK-007
  * @modifies: none
- * @dependencies: none
+ * @dependencies: [recurrence, timezone]
  */
 
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import { isRecurring, toRRule, toCalendarDate, toDateKey, WEEKDAY_CODES } from './recurrence.js';
+import {
+  getChurchTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  getTimeZoneName,
+  formatUTCOffset,
+  parseZonedDateTime,
+  toZonedDateKey,
+} from './timezone.js';
+
 // ============================================================================
 // CONSTANTS & CONFIGURATION
 // ============================================================================
 
 const CONFIG = Object.freeze({
-  TIMEZONE: 'Africa/Lagos',
-  TIMEZONE_OFFSET: '+0100',
   GOOGLE_CALENDAR_BASE_URL: 'https://www.google.com/calendar/render',
   ICS_VERSION: '2.0',
   PRODID: '-//Grace Fellowship Church//Events Calendar//EN',
   CALSCALE: 'GREGORIAN',
   METHOD: 'PUBLISH',
+  UID_DOMAIN: 'gracefellowship.church',
+  FEED_NAME: 'Grace Fellowship Church Events',
+  FEED_REFRESH_INTERVAL: 'PT12H',
 });
 
 const DATE_FORMAT = Object.freeze({
@@ -101,19 +119,20 @@ function padZero(num, size = 2) {
 }
 
 /**
- * Formats a date for iCalendar format (YYYYMMDDTHHmmss)
- * @param {Date} date - Date object to format
+ * Formats a date for iCalendar format (YYYYMMDDTHHmmss) as wall-clock time
+ * in the church time zone, for use with TZID parameters
+ * @param {Date} date - Instant to format
  * @returns {string} Formatted date string
  */
 function formatICalDate(date) {
-  const year = date.getFullYear();
-  const month = padZero(date.getMonth() + 1);
-  const day = padZero(date.getDate());
-  const hours = padZero(date.getHours());
-  const minutes = padZero(date.getMinutes());
-  const seconds = padZero(date.getSeconds());
-
-  return `${year}${month}${day}T${hours}${minutes}${seconds}`;
+  const parts = getZonedParts(date);
+  const month = padZero(parts.month);
+  const day = padZero(parts.day);
+  const hours = padZero(parts.hour);
+  const minutes = padZero(parts.minute);
+  const seconds = padZero(parts.second);
+
+  return `${parts.year}${month}${day}T${hours}${minutes}${seconds}`;
 }
 
 /**
@@ -133,20 +152,16 @@ function formatICalDateUTC(date) {
 }
 
 /**
- * Parses event date and time into Date object
+ * Parses event date and time, written as church wall-clock time, into an instant
  * @param {string} dateStr - Date string (YYYY-MM-DD)
  * @param {string} timeStr - Time string (HH:mm)
- * @returns {Date} Parsed date object in WAT timezone
+ * @returns {Date} Instant of the event start
  */
 function parseEventDateTime(dateStr, timeStr) {
   try {
-    const [year, month, day] = dateStr.split('-').map(Number);
-    const [hours, minutes] = timeStr.split(':').map(Number);
-
-    // Create date in local timezone (assuming WAT)
-    const date = new Date(year, month - 1, day, hours, minutes, 0);
+    const date = parseZonedDateTime(dateStr, timeStr);
 
-    if (isNaN(date.getTime())) {
+    if (!date) {
       throw new Error('Invalid date/time values');
     }
 
@@ -171,13 +186,13 @@ function parseEventDateTime(dateStr, timeStr) {
 function calculateEndDate(startDate, endTime, defaultDuration = 2) {
   if (endTime) {
     try {
-      const [hours, minutes] = endTime.split(':').map(Number);
-      const endDate = new Date(startDate);
-      endDate.setHours(hours, minutes, 0);
+      const startDateKey = toZonedDateKey(startDate);
+      let endDate = parseEventDateTime(startDateKey, endTime);
       
       // If end time is before start time, assume next day
       if (endDate < startDate) {
-        endDate.setDate(endDate.getDate() + 1);
+        const nextDay = new Date(toCalendarDate(startDateKey).getTime() + 86400000);
+        endDate = parseEventDateTime(toDateKey(nextDay), endTime);
       }
       
       return endDate;
@@ -190,9 +205,7 @@ function calculateEndDate(startDate, endTime, defaultDuration = 2) {
   }
 
   // Default: add duration to start time
-  const endDate = new Date(startDate);
-  endDate.setHours(endDate.getHours() + defaultDuration);
-  return endDate;
+  return new Date(startDate.getTime() + defaultDuration * 3600000);
 }
 
 /**
@@ -239,6 +252,45 @@ function foldLine(line) {
   return lines.join('\r\n');
 }
 
+/**
+ * Resolves the series start date for an event or one of its occurrences
+ * @param {Object} event - Event or occurrence object
+ * @returns {string} Start date (YYYY-MM-DD)
+ */
+function getSeriesStartDate(event) {
+  return event.seriesStart || event.date;
+}
+
+/**
+ * Builds the RRULE value for a recurring event
+ * @param {Object} event - Recurring event object
+ * @returns {string} RRULE value (without the "RRULE:" prefix)
+ */
+function buildRecurrenceRule(event) {
+  const { recurrence } = event;
+  const untilUTC = recurrence.until
+    ? formatICalDateUTC(parseEventDateTime(recurrence.until, event.time))
+    : null;
+
+  return toRRule(recurrence, untilUTC, getSeriesStartDate(event));
+}
+
+/**
+ * Builds the EXDATE property for a recurring event's exceptions
+ * @param {Object} event - Recurring event object
+ * @returns {string|null} EXDATE property line or null if none
+ */
+function buildExceptionDates(event) {
+  const exceptions = event.recurrence.exceptions;
+
+  if (!Array.isArray(exceptions) || exceptions.length === 0) {
+    return null;
+  }
+
+  const values = exceptions.map((date) => formatICalDate(parseEventDateTime(date, event.time)));
+  return `EXDATE;TZID=${getChurchTimeZone()}:${values.join(',')}`;
+}
+
 /**
  * Generates a unique identifier for calendar events
  * @param {string} eventId - Event ID
@@ -269,7 +321,8 @@ function generateGoogleCalendarUrl(event) {
   try {
     validateEvent(event);
 
-    const startDate = parseEventDateTime(event.date, event.time);
+    const recurring = isRecurring(event);
+    const startDate = parseEventDateTime(recurring ? getSeriesStartDate(event) : event.date, event.time);
     const endDate = calculateEndDate(startDate, event.endTime);
 
     // Format dates for Google Calendar (YYYYMMDDTHHmmss)
@@ -280,7 +333,7 @@ function generateGoogleCalendarUrl(event) {
       action: 'TEMPLATE',
       text: event.title,
       dates: `${startDateStr}/${endDateStr}`,
-      ctz: CONFIG.TIMEZONE,
+      ctz: getChurchTimeZone(),
     });
 
     if (event.description) {
@@ -291,6 +344,10 @@ function generateGoogleCalendarUrl(event) {
       params.append('location', event.location);
     }
 
+    if (recurring) {
+      params.append('recur', `RRULE:${buildRecurrenceRule(event)}`);
+    }
+
     const url = `${CONFIG.GOOGLE_CALENDAR_BASE_URL}?${params.toString()}`;
 
     log('info', 'Generated Google Calendar URL', {
@@ -313,6 +370,172 @@ function generateGoogleCalendarUrl(event) {
 // ICALENDAR (.ICS) EXPORT
 // ============================================================================
 
+/**
+ * Finds the first UTC offset change of a time zone within a year
+ * @param {string} timeZone - IANA time zone
+ * @param {number} year - Year to search
+ * @param {number} fromMonth - Month (0-11) to start searching from
+ * @returns {Date|null} Instant the new offset takes effect, or null if none
+ */
+function findOffsetTransition(timeZone, year, fromMonth) {
+  const hour = 3600000;
+  let low = Date.UTC(year, fromMonth, 1);
+  const initialOffset = getTimeZoneOffset(new Date(low), timeZone);
+
+  // Step a day at a time, then narrow the change down to the minute
+  let high = low;
+  while (getTimeZoneOffset(new Date(high), timeZone) === initialOffset) {
+    high += 24 * hour;
+    if (high > Date.UTC(year + 1, 0, 1)) {
+      return null;
+    }
+  }
+  low = high - 24 * hour;
+
+  while (high - low > 60000) {
+    const middle = low + Math.floor((high - low) / 120000) * 60000;
+    if (getTimeZoneOffset(new Date(middle), timeZone) === initialOffset) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  return new Date(high);
+}
+
+/**
+ * Builds one STANDARD or DAYLIGHT observance starting at a transition
+ * @param {string} type - 'STANDARD' or 'DAYLIGHT'
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} transition - Instant the observance starts
+ * @returns {Array<string>} Observance lines
+ */
+function buildObservance(type, timeZone, transition) {
+  const offsetFrom = getTimeZoneOffset(new Date(transition.getTime() - 60000), timeZone);
+  const offsetTo = getTimeZoneOffset(transition, timeZone);
+  // DTSTART is the local time just before the change, in the old offset
+  const localStart = new Date(transition.getTime() + offsetFrom * 60000);
+  const month = localStart.getUTCMonth() + 1;
+  const week = Math.ceil(localStart.getUTCDate() / 7);
+  const isLastWeek = localStart.getUTCDate() + 7 > new Date(Date.UTC(localStart.getUTCFullYear(), month, 0)).getUTCDate();
+
+  // Start the rule in 1970 so it covers events in any year
+  const firstStart = new Date(Date.UTC(1970, month - 1, 1, localStart.getUTCHours(), localStart.getUTCMinutes()));
+  const firstWeekday = (localStart.getUTCDay() - firstStart.getUTCDay() + 7) % 7;
+  firstStart.setUTCDate(1 + firstWeekday + (isLastWeek ? 28 : (week - 1) * 7));
+  if (firstStart.getUTCMonth() !== month - 1) {
+    firstStart.setUTCDate(firstStart.getUTCDate() - 7);
+  }
+
+  return [
+    `BEGIN:${type}`,
+    `TZOFFSETFROM:${formatUTCOffset(offsetFrom)}`,
+    `TZOFFSETTO:${formatUTCOffset(offsetTo)}`,
+    `TZNAME:${getTimeZoneName(transition, timeZone)}`,
+    `DTSTART:${formatICalDateUTC(firstStart).slice(0, -1)}`,
+    `RRULE:FREQ=YEARLY;BYMONTH=${month};BYDAY=${isLastWeek ? -1 : week}${WEEKDAY_CODES[localStart.getUTCDay()]}`,
+    `END:${type}`,
+  ];
+}
+
+/**
+ * Builds the VTIMEZONE component for the church time zone, derived from the
+ * zone's rules via Intl. Zones without daylight saving (such as
+ * Africa/Lagos, WAT since 1919) get a single fixed STANDARD observance.
+ * @param {Date} [referenceDate] - Date whose year the rules are taken from
+ * @returns {Array<string>} VTIMEZONE lines
+ */
+function buildVTimezone(referenceDate = new Date()) {
+  const timeZone = getChurchTimeZone();
+  const year = referenceDate.getUTCFullYear();
+  const lines = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    `X-LIC-LOCATION:${timeZone}`,
+  ];
+
+  const firstTransition = findOffsetTransition(timeZone, year, 0);
+  const secondTransition = firstTransition &&
+    findOffsetTransition(timeZone, year, new Date(firstTransition).getUTCMonth() + 1);
+
+  if (!firstTransition || !secondTransition) {
+    const offset = formatUTCOffset(getTimeZoneOffset(referenceDate, timeZone));
+    lines.push(
+      'BEGIN:STANDARD',
+      `TZOFFSETFROM:${offset}`,
+      `TZOFFSETTO:${offset}`,
+      `TZNAME:${getTimeZoneName(referenceDate, timeZone)}`,
+      'DTSTART:19700101T000000',
+      'END:STANDARD'
+    );
+  } else {
+    [firstTransition, secondTransition].forEach((transition) => {
+      const offsetBefore = getTimeZoneOffset(new Date(transition.getTime() - 60000), timeZone);
+      const type = getTimeZoneOffset(transition, timeZone) > offsetBefore ? 'DAYLIGHT' : 'STANDARD';
+      lines.push(...buildObservance(type, timeZone, transition));
+    });
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * Builds the VEVENT component lines for an event
+ * @param {Object} event - Validated event object
+ * @param {string} uid - Unique identifier for the VEVENT
+ * @param {Date} now - Timestamp used for DTSTAMP
+ * @returns {Array<string>} VEVENT lines
+ */
+function buildVEvent(event, uid, now) {
+  const recurring = isRecurring(event);
+  const startDate = parseEventDateTime(recurring ? getSeriesStartDate(event) : event.date, event.time);
+  const endDate = calculateEndDate(startDate, event.endTime);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatICalDateUTC(now)}`,
+    `DTSTART;TZID=${getChurchTimeZone()}:${formatICalDate(startDate)}`,
+    `DTEND;TZID=${getChurchTimeZone()}:${formatICalDate(endDate)}`,
+    foldLine(`SUMMARY:${escapeICalText(event.title)}`),
+  ];
+
+  if (recurring) {
+    lines.push(foldLine(`RRULE:${buildRecurrenceRule(event)}`));
+
+    const exdate = buildExceptionDates(event);
+    if (exdate) {
+      lines.push(foldLine(exdate));
+    }
+  }
+
+  if (event.description) {
+    lines.push(foldLine(`DESCRIPTION:${escapeICalText(event.description)}`));
+  }
+
+  if (event.location) {
+    lines.push(foldLine(`LOCATION:${escapeICalText(event.location)}`));
+  }
+
+  if (event.category) {
+    lines.push(foldLine(`CATEGORIES:${escapeICalText(event.category)}`));
+  }
+
+  if (event.organizer) {
+    lines.push(foldLine(`ORGANIZER;CN=${escapeICalText(event.organizer)}:MAILTO:events@gracefellowship.church`));
+  }
+
+  lines.push(
+    'STATUS:CONFIRMED',
+    'SEQUENCE:0',
+    'END:VEVENT'
+  );
+
+  return lines;
+}
+
 /**
  * Generates iCalendar (.ics) file content for event
  * @param {Object} event - Event object
@@ -324,59 +547,30 @@ function generateGoogleCalendarUrl(event) {
  * @param {string} event.endTime - Event end time (HH:mm)
  * @param {string} event.location - Event location
  * @param {string} event.organizer - Event organizer
+ * @param {Object} [event.recurrence] - Recurrence rule; emitted as RRULE/EXDATE
  * @returns {string} iCalendar file content
  */
 function generateICalendar(event) {
   try {
     validateEvent(event);
 
-    const startDate = parseEventDateTime(event.date, event.time);
-    const endDate = calculateEndDate(startDate, event.endTime);
-    const now = new Date();
-
-    const uid = generateUID(event.id || 'event');
-    const dtstamp = formatICalDateUTC(now);
-    const dtstart = formatICalDate(startDate);
-    const dtend = formatICalDate(endDate);
-
     const lines = [
       'BEGIN:VCALENDAR',
       `VERSION:${CONFIG.ICS_VERSION}`,
       `PRODID:${CONFIG.PRODID}`,
       `CALSCALE:${CONFIG.CALSCALE}`,
       `METHOD:${CONFIG.METHOD}`,
-      'BEGIN:VEVENT',
-      `UID:${uid}`,
-      `DTSTAMP:${dtstamp}`,
-      `DTSTART;TZID=${CONFIG.TIMEZONE}:${dtstart}`,
-      `DTEND;TZID=${CONFIG.TIMEZONE}:${dtend}`,
-      foldLine(`SUMMARY:${escapeICalText(event.title)}`),
+      ...buildVTimezone(),
+      ...buildVEvent(event, generateUID(event.id || 'event'), new Date()),
+      'END:VCALENDAR',
     ];
 
-    if (event.description) {
-      lines.push(foldLine(`DESCRIPTION:${escapeICalText(event.description)}`));
-    }
-
-    if (event.location) {
-      lines.push(foldLine(`LOCATION:${escapeICalText(event.location)}`));
-    }
-
-    if (event.organizer) {
-      lines.push(foldLine(`ORGANIZER;CN=${escapeICalText(event.organizer)}:MAILTO:events@gracefellowship.church`));
-    }
-
-    lines.push(
-      'STATUS:CONFIRMED',
-      'SEQUENCE:0',
-      'END:VEVENT',
-      'END:VCALENDAR'
-    );
-
     const icsContent = lines.join('\r\n');
 
     log('info', 'Generated iCalendar content', {
       eventId: event.id,
       title: event.title,
+      recurring: isRecurring(event),
       size: icsContent.length,
     });
 
@@ -391,6 +585,81 @@ function generateICalendar(event) {
   }
 }
 
+/**
+ * Generates a single iCalendar feed containing many events.
+ * UIDs are stable per event so subscribed calendars update entries in place,
+ * and occurrences of the same recurring series are emitted once as a series.
+ * Invalid events are skipped and logged rather than failing the whole feed.
+ * @param {Array<Object>} events - Event objects (dates as YYYY-MM-DD)
+ * @param {Object} options - Feed options
+ * @param {string} [options.name] - Calendar name shown by subscribing apps
+ * @param {string} [options.description] - Calendar description
+ * @param {string} [options.category] - Only include events in this category
+ * @returns {string} iCalendar feed content
+ */
+function generateICalendarFeed(events, options = {}) {
+  const name = options.name || CONFIG.FEED_NAME;
+  const now = new Date();
+  const seen = new Set();
+  let included = 0;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    `VERSION:${CONFIG.ICS_VERSION}`,
+    `PRODID:${CONFIG.PRODID}`,
+    `CALSCALE:${CONFIG.CALSCALE}`,
+    `METHOD:${CONFIG.METHOD}`,
+    foldLine(`X-WR-CALNAME:${escapeICalText(name)}`),
+    `X-WR-TIMEZONE:${getChurchTimeZone()}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${CONFIG.FEED_REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${CONFIG.FEED_REFRESH_INTERVAL}`,
+  ];
+
+  if (options.description) {
+    lines.push(foldLine(`X-WR-CALDESC:${escapeICalText(options.description)}`));
+  }
+
+  lines.push(...buildVTimezone(now));
+
+  (Array.isArray(events) ? events : []).forEach((event) => {
+    if (options.category && event.category !== options.category) {
+      return;
+    }
+
+    const seriesEvent = event.seriesStart ? { ...event, date: event.seriesStart } : event;
+    const key = seriesEvent.id || `${seriesEvent.title}-${seriesEvent.date}-${seriesEvent.time}`;
+
+    if (seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+
+    try {
+      validateEvent(seriesEvent);
+      lines.push(...buildVEvent(seriesEvent, `${key}@${CONFIG.UID_DOMAIN}`, now));
+      included += 1;
+    } catch (error) {
+      log('warn', 'Skipping invalid event in feed', {
+        eventId: event.id,
+        error: error.message,
+      });
+    }
+  });
+
+  lines.push('END:VCALENDAR');
+
+  const icsContent = lines.join('\r\n');
+
+  log('info', 'Generated iCalendar feed', {
+    name,
+    category: options.category || 'all',
+    events: included,
+    size: icsContent.length,
+  });
+
+  return icsContent;
+}
+
 /**
  * Downloads iCalendar file to user's device
  * @param {string} icsContent - iCalendar file content
@@ -468,6 +737,24 @@ function addToGoogleCalendar(event) {
   }
 }
 
+/**
+ * Generates and downloads a multi-event iCalendar feed
+ * @param {Array<Object>} events - Event objects (dates as YYYY-MM-DD)
+ * @param {Object} options - Feed options (see generateICalendarFeed)
+ * @param {string} [filename] - Filename for download
+ */
+function downloadICalendarFeed(events, options = {}, filename = 'calendar.ics') {
+  try {
+    downloadICalendar(generateICalendarFeed(events, options), filename);
+  } catch (error) {
+    log('error', 'Failed to download iCalendar feed', {
+      filename,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
 /**
  * Downloads iCalendar file for event
  * @param {Object} event - Event object
@@ -491,8 +778,10 @@ function downloadICalendarFile(event) {
 export {
   addToGoogleCalendar,
   downloadICalendarFile,
+  downloadICalendarFeed,
   generateGoogleCalendarUrl,
   generateICalendar,
+  generateICalendarFeed,
   validateEvent,
   parseEventDateTime,
   calculateEndDate,
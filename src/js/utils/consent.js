@@ -0,0 +1,347 @@
+/**
+ * Consent Storage
+ *
+ * Keeps the visitor's privacy choices per category and shares them with the
+ * rest of the site:
+ * - necessary: always on (saved preferences, offline queue, security)
+ * - analytics: Google Analytics (analytics.js)
+ * - marketing: advertising storage and third-party embeds (maps, YouTube)
+ * - notifications: Web Push event reminders (push-notifications.js)
+ *
+ * Choices are stored with the policy version and the time they were made.
+ * When CONSENT_VERSION goes up (e.g. a category is added) the visitor is asked
+ * again; their earlier choices apply until they answer.
+ *
+ * Every change updates Google Consent Mode v2 and dispatches CONSENT_EVENT on
+ * window, also for changes made in another tab. The banner and preferences
+ * dialog live in components/consent-manager.js.
+ *
+ * @module consent
+ * @generated-from: task-id:user-025
+ * @modifies: none (new file)
+ * @dependencies: none
+ */
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const CONFIG = Object.freeze({
+  STORAGE_KEY: 'gfc_consent',
+  LEGACY_STORAGE_KEY: 'gfc_analytics_consent', // Single analytics choice before categories
+  LEGACY_GRANTED: 'granted',
+  WAIT_FOR_UPDATE: 500, // ms gtag waits for a stored choice before sending hits
+});
+
+// Bump when categories or their purposes change to ask visitors again
+const CONSENT_VERSION = 1;
+
+const CONSENT_CATEGORIES = Object.freeze({
+  NECESSARY: 'necessary',
+  ANALYTICS: 'analytics',
+  MARKETING: 'marketing',
+  NOTIFICATIONS: 'notifications',
+});
+
+// Dispatched on window with detail { categories, previous } when choices change
+const CONSENT_EVENT = 'gfc:consentchange';
+
+const GTAG_GRANTED = 'granted';
+const GTAG_DENIED = 'denied';
+
+// Google Consent Mode v2 types and the category that controls each
+const GTAG_CONSENT_TYPES = Object.freeze({
+  analytics_storage: CONSENT_CATEGORIES.ANALYTICS,
+  ad_storage: CONSENT_CATEGORIES.MARKETING,
+  ad_user_data: CONSENT_CATEGORIES.MARKETING,
+  ad_personalization: CONSENT_CATEGORIES.MARKETING,
+});
+
+// ============================================================================
+// STATE MANAGEMENT
+// ============================================================================
+
+const state = {
+  record: undefined, // Stored choice; undefined until read, null if none
+  initialized: false,
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Logs structured messages with context
+ * @param {string} level - Log level (info, warn, error)
+ * @param {string} message - Log message
+ * @param {Object} context - Additional context data
+ */
+function log(level, message, context = {}) {
+  const logMethod = console[level] || console.log;
+  logMethod('[GFC Consent]', message, context);
+}
+
+/**
+ * Builds a full set of category choices, necessary always on
+ * @param {Object} [choices] - Choices by category
+ * @returns {Object} Choices for every category
+ */
+function normalizeCategories(choices = {}) {
+  return Object.values(CONSENT_CATEGORIES).reduce((categories, category) => {
+    categories[category] = category === CONSENT_CATEGORIES.NECESSARY || choices[category] === true;
+    return categories;
+  }, {});
+}
+
+/**
+ * Builds a stored consent record
+ * @param {Object} categories - Choices by category
+ * @param {number} version - Consent version the choices were made under
+ * @returns {Object} { version, timestamp, categories }
+ */
+function createRecord(categories, version = CONSENT_VERSION) {
+  return { version, timestamp: Date.now(), categories: normalizeCategories(categories) };
+}
+
+/**
+ * Turns the single analytics choice stored before categories existed into a
+ * record. Push notifications followed that choice, so they keep it too. The
+ * old version number makes the banner ask again about the new categories.
+ * @returns {Object|null} Migrated record, or null if there was no old choice
+ */
+function migrateLegacyConsent() {
+  const legacy = localStorage.getItem(CONFIG.LEGACY_STORAGE_KEY);
+  if (legacy === null) {
+    return null;
+  }
+
+  const granted = legacy === CONFIG.LEGACY_GRANTED;
+  const record = createRecord({
+    [CONSENT_CATEGORIES.ANALYTICS]: granted,
+    [CONSENT_CATEGORIES.NOTIFICATIONS]: granted,
+  }, 0);
+
+  localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(record));
+  localStorage.removeItem(CONFIG.LEGACY_STORAGE_KEY);
+  log('info', 'Migrated analytics consent to categories', { granted });
+  return record;
+}
+
+/**
+ * Reads the stored consent record
+ * @returns {Object|null} { version, timestamp, categories }, or null if none
+ */
+function readRecord() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEY));
+    if (stored && stored.categories) {
+      return { ...stored, categories: normalizeCategories(stored.categories) };
+    }
+    return migrateLegacyConsent();
+  } catch (error) {
+    log('warn', 'Failed to read consent', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Gets the stored consent record, reading it once
+ * @returns {Object|null} Record or null
+ */
+function getRecord() {
+  if (state.record === undefined) {
+    state.record = readRecord();
+  }
+  return state.record;
+}
+
+/**
+ * Maps category choices to Google Consent Mode values
+ * @param {Object} categories - Choices by category
+ * @returns {Object} Consent Mode v2 state
+ */
+function toGtagConsent(categories) {
+  return Object.entries(GTAG_CONSENT_TYPES).reduce((consent, [type, category]) => {
+    consent[type] = categories[category] ? GTAG_GRANTED : GTAG_DENIED;
+    return consent;
+  }, {});
+}
+
+/**
+ * Sends the current choices to Google Consent Mode, if gtag is on the page
+ */
+function updateGtagConsent() {
+  if (typeof window.gtag === 'function') {
+    window.gtag('consent', 'update', toGtagConsent(getConsent()));
+  }
+}
+
+/**
+ * Tells the rest of the page the choices changed
+ * @param {Object} previous - Choices before the change
+ */
+function dispatchConsentChange(previous) {
+  window.dispatchEvent(new CustomEvent(CONSENT_EVENT, {
+    detail: { categories: getConsent(), previous },
+  }));
+}
+
+/**
+ * Follows choices made in another tab
+ * @param {StorageEvent} event - Storage event
+ */
+function handleStorage(event) {
+  if (event.key !== CONFIG.STORAGE_KEY) {
+    return;
+  }
+
+  const previous = getConsent();
+  state.record = readRecord();
+  updateGtagConsent();
+  dispatchConsentChange(previous);
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Gets the visitor's current choices. Without a stored choice only necessary
+ * storage is allowed.
+ * @returns {Object} Choices by category (true if allowed)
+ */
+function getConsent() {
+  const record = getRecord();
+  return record ? { ...record.categories } : normalizeCategories();
+}
+
+/**
+ * Checks whether a category is allowed
+ * @param {string} category - One of CONSENT_CATEGORIES
+ * @returns {boolean} True if allowed
+ */
+function hasCategoryConsent(category) {
+  return getConsent()[category] === true;
+}
+
+/**
+ * Gets the stored consent record
+ * @returns {Object|null} { version, timestamp, categories }, or null if none
+ */
+function getConsentRecord() {
+  const record = getRecord();
+  return record ? { ...record, categories: { ...record.categories } } : null;
+}
+
+/**
+ * Checks whether the visitor should be asked: no choice yet, or a choice
+ * made under an older consent version
+ * @returns {boolean} True if the banner should show
+ */
+function needsConsent() {
+  const record = getRecord();
+  return !record || record.version < CONSENT_VERSION;
+}
+
+/**
+ * Saves the visitor's choices under the current version. Categories not
+ * given are declined.
+ * @param {Object} categories - Choices by category
+ * @returns {Object} Saved record
+ */
+function saveConsent(categories) {
+  const previous = getConsent();
+  const record = createRecord(categories);
+
+  try {
+    localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(record));
+  } catch (error) {
+    // Still applies for this page view
+    log('warn', 'Failed to store consent', { error: error.message });
+  }
+
+  state.record = record;
+  updateGtagConsent();
+  dispatchConsentChange(previous);
+
+  log('info', 'Consent saved', { categories: record.categories });
+  return getConsentRecord();
+}
+
+/**
+ * Changes some categories and keeps the others as they are
+ * @param {Object} changes - Choices by category
+ * @returns {Object} Saved record
+ */
+function updateConsent(changes) {
+  return saveConsent({ ...getConsent(), ...changes });
+}
+
+/**
+ * Allows every category
+ * @returns {Object} Saved record
+ */
+function acceptAllConsent() {
+  return saveConsent(Object.values(CONSENT_CATEGORIES).reduce((categories, category) => {
+    categories[category] = true;
+    return categories;
+  }, {}));
+}
+
+/**
+ * Declines every category except necessary storage
+ * @returns {Object} Saved record
+ */
+function rejectAllConsent() {
+  return saveConsent({});
+}
+
+/**
+ * Gets the Consent Mode defaults to set before gtag is configured: everything
+ * denied until the stored choice is applied
+ * @returns {Object} Consent Mode v2 default state
+ */
+function getGtagDefaultConsent() {
+  return {
+    ...toGtagConsent(normalizeCategories()),
+    wait_for_update: CONFIG.WAIT_FOR_UPDATE,
+  };
+}
+
+/**
+ * Applies the stored choice to gtag and follows changes from other tabs.
+ * Safe to call more than once.
+ */
+function initConsent() {
+  if (state.initialized) {
+    return;
+  }
+
+  window.addEventListener('storage', handleStorage);
+  state.initialized = true;
+
+  if (getRecord()) {
+    updateGtagConsent();
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  initConsent,
+  getConsent,
+  getConsentRecord,
+  hasCategoryConsent,
+  needsConsent,
+  saveConsent,
+  updateConsent,
+  acceptAllConsent,
+  rejectAllConsent,
+  getGtagDefaultConsent,
+  updateGtagConsent,
+  CONSENT_VERSION,
+  CONSENT_CATEGORIES,
+  CONSENT_EVENT,
+};
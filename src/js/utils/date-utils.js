@@ -3,26 +3,27 @@
  * 
  * Provides comprehensive date manipulation, timezone conversion, formatting,
  * and comparison utilities for the Grace Fellowship Church events system.
- * All dates are handled in West Africa Time (WAT, UTC+1).
+ * Time zone conversion goes through the shared time zone layer, so "WAT"
+ * means the church's configured IANA zone (Africa/Lagos by default).
+ * 
+ * Formatting and comparison helpers read local getters, so they expect
+ * wall-clock dates such as those returned by toWAT() and nowInWAT().
  * 
  * @module date-utils
  * @generated-from: task-id:TASK-007
  * @modifies: none
- * @dependencies: none
+ * @dependencies: [timezone]
  */
 
 // ============================================================================
-// CONSTANTS & CONFIGURATION
+// IMPORTS
 // ============================================================================
 
-const CONFIG = Object.freeze({
-  WAT_OFFSET_HOURS: 1,
-  WAT_OFFSET_MS: 3600000, // 1 hour in milliseconds
-  TIMEZONE_NAME: 'Africa/Lagos',
-  MILLISECONDS_PER_DAY: 86400000,
-  MILLISECONDS_PER_HOUR: 3600000,
-  MILLISECONDS_PER_MINUTE: 60000,
-});
+import { toZonedWallClock, fromZonedWallClock } from './timezone.js';
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
 
 const MONTH_NAMES = Object.freeze([
   'January', 'February', 'March', 'April', 'May', 'June',
@@ -98,9 +99,9 @@ function log(level, message, context = {}) {
 // ============================================================================
 
 /**
- * Converts a Date to West Africa Time (WAT, UTC+1)
- * @param {Date|string|number} input - Date to convert
- * @returns {Date|null} Date adjusted to WAT or null if invalid
+ * Converts an instant to church wall-clock time (WAT by default)
+ * @param {Date|string|number} input - Instant to convert
+ * @returns {Date|null} Wall-clock date whose local getters read church time, or null if invalid
  */
 function toWAT(input) {
   const date = parseDate(input);
@@ -111,13 +112,7 @@ function toWAT(input) {
   }
   
   try {
-    // Get UTC time
-    const utcTime = date.getTime();
-    
-    // Add WAT offset (UTC+1)
-    const watTime = utcTime + CONFIG.WAT_OFFSET_MS;
-    
-    return new Date(watTime);
+    return toZonedWallClock(date);
   } catch (error) {
     log('error', 'WAT conversion failed', { 
       input, 
@@ -129,16 +124,16 @@ function toWAT(input) {
 
 /**
  * Gets the current date and time in WAT
- * @returns {Date} Current date in WAT
+ * @returns {Date} Current wall-clock date in WAT
  */
 function nowInWAT() {
   return toWAT(new Date());
 }
 
 /**
- * Converts a WAT date to UTC
- * @param {Date|string|number} input - WAT date to convert
- * @returns {Date|null} Date adjusted to UTC or null if invalid
+ * Converts a church wall-clock date (from toWAT) back to an instant
+ * @param {Date|string|number} input - Wall-clock date to convert
+ * @returns {Date|null} Instant or null if invalid
  */
 function watToUTC(input) {
   const date = parseDate(input);
@@ -149,13 +144,7 @@ function watToUTC(input) {
   }
   
   try {
-    // Get WAT time
-    const watTime = date.getTime();
-    
-    // Subtract WAT offset to get UTC
-    const utcTime = watTime - CONFIG.WAT_OFFSET_MS;
-    
-    return new Date(utcTime);
+    return fromZonedWallClock(date);
   } catch (error) {
     log('error', 'UTC conversion failed', { 
       input, 
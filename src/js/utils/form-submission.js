@@ -0,0 +1,295 @@
+/**
+ * Form Submission Utilities
+ *
+ * Provides the shared network layer for site forms: request encoding (JSON or
+ * form-encoded), timeout handling, response parsing, mapping of server-side
+ * validation errors back to field names, and hand-off to the offline sync
+ * queue when the visitor has no connection.
+ *
+ * @module form-submission
+ * @generated-from: task-id:user-001
+ * @modifies: none (new file)
+ * @dependencies: [offline, request-encoding]
+ */
+
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import { isOffline, queueFormSubmission } from './offline.js';
+import {
+  encodeBody,
+  resolveEncoding,
+  ENCODINGS,
+  CONTENT_TYPES,
+} from './request-encoding.js';
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const CONFIG = Object.freeze({
+  REQUEST_TIMEOUT: 15000, // 15 seconds
+  DEFAULT_METHOD: 'POST',
+  IDEMPOTENCY_HEADER: 'Idempotency-Key',
+});
+
+const SUBMISSION_STATUS = Object.freeze({
+  SENT: 'sent',
+  QUEUED: 'queued',
+  INVALID: 'invalid',
+  FAILED: 'failed',
+});
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Logs structured messages with context
+ * @param {string} level - Log level (info, warn, error)
+ * @param {string} message - Log message
+ * @param {Object} context - Additional context data
+ */
+function log(level, message, context = {}) {
+  const logMethod = console[level] || console.log;
+  logMethod('[FormSubmission]', message, context);
+}
+
+/**
+ * Parses a response body as JSON when possible
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Object|null>} Parsed body or null
+ */
+async function parseResponseBody(response) {
+  try {
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  } catch (error) {
+    log('warn', 'Response body is not JSON', { status: response.status });
+    return null;
+  }
+}
+
+/**
+ * Extracts field-level validation errors from a server response body.
+ * Accepts `{ errors: { field: message } }`, `{ errors: [{ field, message }] }`
+ * and the same shapes under `fieldErrors`.
+ * @param {Object|null} body - Parsed response body
+ * @returns {Object<string, string>} Map of field names to messages
+ */
+function extractFieldErrors(body) {
+  const source = body && (body.fieldErrors || body.errors);
+  const fieldErrors = {};
+
+  if (!source) {
+    return fieldErrors;
+  }
+
+  if (Array.isArray(source)) {
+    source.forEach((entry) => {
+      const field = entry && (entry.field || entry.name || entry.path);
+      if (field) {
+        fieldErrors[field] = entry.message || 'Please check this field';
+      }
+    });
+    return fieldErrors;
+  }
+
+  if (typeof source === 'object') {
+    Object.entries(source).forEach(([field, message]) => {
+      fieldErrors[field] = Array.isArray(message) ? message[0] : String(message);
+    });
+  }
+
+  return fieldErrors;
+}
+
+/**
+ * Generates a unique idempotency key for a submission
+ * @returns {string} Idempotency key
+ */
+function generateIdempotencyKey() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+
+  return `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 12)}`;
+}
+
+/**
+ * Builds request headers for a submission
+ * @param {string} encoding - Body encoding
+ * @param {Object} options - Request options
+ * @returns {Object} Request headers
+ */
+function buildHeaders(encoding, options) {
+  const headers = {
+    'Content-Type': CONTENT_TYPES[encoding],
+    Accept: 'application/json',
+    ...options.headers,
+  };
+
+  if (options.idempotencyKey) {
+    headers[CONFIG.IDEMPOTENCY_HEADER] = options.idempotencyKey;
+  }
+
+  return headers;
+}
+
+/**
+ * Checks whether an error was caused by the network rather than the server
+ * @param {Error} error - Error thrown by fetch
+ * @returns {boolean} True for connection failures and timeouts
+ */
+function isNetworkError(error) {
+  return error instanceof TypeError || isTimeoutError(error);
+}
+
+/**
+ * Checks whether a request was aborted by the submission timeout
+ * @param {Error} error - Error thrown by fetch
+ * @returns {boolean} True for timeouts
+ */
+function isTimeoutError(error) {
+  return Boolean(error && error.name === 'AbortError');
+}
+
+// ============================================================================
+// SUBMISSION
+// ============================================================================
+
+/**
+ * Queues a submission in the offline sync queue
+ * @param {string} url - Endpoint URL
+ * @param {Object} data - Submission data
+ * @param {Object} options - Request options
+ * @returns {Promise<Object>} Submission result
+ */
+async function queueSubmission(url, data, options) {
+  const encoding = resolveEncoding(options.encoding);
+  const queued = await queueFormSubmission({
+    url,
+    method: options.method || CONFIG.DEFAULT_METHOD,
+    encoding,
+    headers: options.idempotencyKey
+      ? { ...options.headers, [CONFIG.IDEMPOTENCY_HEADER]: options.idempotencyKey }
+      : options.headers || {},
+    body: data,
+    formType: options.formType,
+    idempotencyKey: options.idempotencyKey || null,
+  });
+
+  log('info', 'Submission queued for later delivery', { url, queued });
+
+  return {
+    status: queued ? SUBMISSION_STATUS.QUEUED : SUBMISSION_STATUS.FAILED,
+    ok: queued,
+    httpStatus: null,
+    data: null,
+    fieldErrors: {},
+  };
+}
+
+/**
+ * Submits form data to an endpoint, queueing it when offline. A request that
+ * times out is only queued when it carries an idempotency key; otherwise it
+ * fails rather than risk sending the server a second copy.
+ * Never throws; the outcome is described by the returned status.
+ * @param {string} url - Endpoint URL
+ * @param {Object} data - Sanitized form data
+ * @param {Object} options - Request options
+ * @param {string} [options.encoding='json'] - Body encoding ('json' or 'form')
+ * @param {string} [options.method='POST'] - HTTP method
+ * @param {Object} [options.headers] - Additional request headers
+ * @param {number} [options.timeout] - Request timeout in milliseconds
+ * @param {string} [options.formType] - Form identifier recorded with queued items
+ * @param {string} [options.idempotencyKey] - Key sent with the request and any offline replay
+ * @param {boolean} [options.queueWhenOffline=true] - Queue instead of failing when offline
+ * @returns {Promise<Object>} Result with status, ok, httpStatus, data and fieldErrors
+ */
+async function submitForm(url, data, options = {}) {
+  const encoding = resolveEncoding(options.encoding);
+  const queueWhenOffline = options.queueWhenOffline !== false;
+
+  if (queueWhenOffline && isOffline()) {
+    return queueSubmission(url, data, options);
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(
+    () => controller.abort(),
+    options.timeout || CONFIG.REQUEST_TIMEOUT
+  );
+
+  try {
+    const response = await fetch(url, {
+      method: options.method || CONFIG.DEFAULT_METHOD,
+      headers: buildHeaders(encoding, options),
+      body: encodeBody(data, encoding),
+      signal: controller.signal,
+    });
+
+    const body = await parseResponseBody(response);
+
+    if (response.ok) {
+      log('info', 'Submission accepted', { url, status: response.status });
+      return {
+        status: SUBMISSION_STATUS.SENT,
+        ok: true,
+        httpStatus: response.status,
+        data: body,
+        fieldErrors: {},
+      };
+    }
+
+    const fieldErrors = extractFieldErrors(body);
+    const hasFieldErrors = Object.keys(fieldErrors).length > 0;
+
+    log('warn', 'Submission rejected', { url, status: response.status, hasFieldErrors });
+
+    return {
+      status: hasFieldErrors ? SUBMISSION_STATUS.INVALID : SUBMISSION_STATUS.FAILED,
+      ok: false,
+      httpStatus: response.status,
+      data: body,
+      fieldErrors,
+    };
+  } catch (error) {
+    // A timed-out request may still have reached the server, so it is only
+    // replayed when an idempotency key lets the server drop the duplicate
+    const canReplay = !isTimeoutError(error) || Boolean(options.idempotencyKey);
+
+    if (queueWhenOffline && isNetworkError(error) && canReplay) {
+      log('warn', 'Network error during submission, queueing', { url, error: error.message });
+      return queueSubmission(url, data, options);
+    }
+
+    log('error', 'Submission failed', { url, error: error.message });
+    return {
+      status: SUBMISSION_STATUS.FAILED,
+      ok: false,
+      httpStatus: null,
+      data: null,
+      fieldErrors: {},
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  submitForm,
+  encodeBody,
+  extractFieldErrors,
+  generateIdempotencyKey,
+  isNetworkError,
+  isTimeoutError,
+  ENCODINGS,
+  CONTENT_TYPES,
+  SUBMISSION_STATUS,
+};
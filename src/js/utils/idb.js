@@ -0,0 +1,296 @@
+/**
+ * IndexedDB Utilities
+ *
+ * A small promise layer over IndexedDB for features that must keep working
+ * without a connection. Connections are opened once per database name and
+ * reused; schema changes happen in the caller's `upgrade` callback.
+ *
+ * Like the other utilities, the helpers never throw: reads resolve to null or
+ * an empty list and writes resolve to a boolean, with the failure logged.
+ *
+ * @module idb
+ * @generated-from: task-id:user-013
+ * @modifies: none (new file)
+ * @dependencies: none
+ */
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const TRANSACTION_MODES = Object.freeze({
+  READ: 'readonly',
+  WRITE: 'readwrite',
+});
+
+// ============================================================================
+// STATE MANAGEMENT
+// ============================================================================
+
+const state = {
+  connections: new Map(), // name -> Promise<IDBDatabase|null>
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Logs structured messages with context
+ * @param {string} level - Log level (info, warn, error)
+ * @param {string} message - Log message
+ * @param {Object} context - Additional context data
+ */
+function log(level, message, context = {}) {
+  const logMethod = console[level] || console.log;
+  logMethod('[GFC IDB]', message, context);
+}
+
+/**
+ * Checks whether IndexedDB is available in this context
+ * @returns {boolean} True if IndexedDB can be used
+ */
+function isIndexedDBSupported() {
+  return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Request result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// ============================================================================
+// CONNECTIONS
+// ============================================================================
+
+/**
+ * Opens (and caches) a database connection
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {Function} upgrade - Called as upgrade(db, oldVersion, transaction) on version change
+ * @returns {Promise<IDBDatabase|null>} Open database, or null if unavailable
+ */
+function openDatabase(name, version, upgrade) {
+  if (state.connections.has(name)) {
+    return state.connections.get(name);
+  }
+
+  if (!isIndexedDBSupported()) {
+    log('warn', 'IndexedDB is not supported', { name });
+    return Promise.resolve(null);
+  }
+
+  const connection = new Promise((resolve) => {
+    const request = indexedDB.open(name, version);
+
+    request.onupgradeneeded = (event) => {
+      try {
+        upgrade(request.result, event.oldVersion, request.transaction);
+      } catch (error) {
+        log('error', 'Database upgrade failed', { name, error: error.message });
+        request.transaction.abort();
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+
+      // Another tab upgraded the schema; let it proceed and reopen next time
+      db.onversionchange = () => {
+        db.close();
+        state.connections.delete(name);
+      };
+
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      log('error', 'Failed to open database', { name, error: request.error && request.error.message });
+      state.connections.delete(name);
+      resolve(null);
+    };
+
+    request.onblocked = () => {
+      log('warn', 'Database open is blocked by another connection', { name });
+    };
+  });
+
+  state.connections.set(name, connection);
+  return connection;
+}
+
+/**
+ * Closes a cached database connection
+ * @param {string} name - Database name
+ * @returns {Promise<void>}
+ */
+async function closeDatabase(name) {
+  const connection = state.connections.get(name);
+  state.connections.delete(name);
+
+  const db = connection ? await connection : null;
+  if (db) {
+    db.close();
+  }
+}
+
+// ============================================================================
+// TRANSACTIONS
+// ============================================================================
+
+/**
+ * Runs work inside a single transaction and waits for it to commit.
+ * All writes made by `work` succeed or fail together.
+ * @param {IDBDatabase} db - Open database
+ * @param {string|Array<string>} storeNames - Stores the transaction covers
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Called with an object of stores keyed by name; may return a value
+ * @returns {Promise<Object>} { ok, result }
+ */
+function runTransaction(db, storeNames, mode, work) {
+  const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+
+  return new Promise((resolve) => {
+    if (!db) {
+      resolve({ ok: false, result: null });
+      return;
+    }
+
+    let result = null;
+    let transaction;
+
+    try {
+      transaction = db.transaction(names, mode);
+      const stores = Object.fromEntries(names.map((name) => [name, transaction.objectStore(name)]));
+      result = work(stores);
+    } catch (error) {
+      log('error', 'Transaction could not start', { stores: names, error: error.message });
+      if (transaction) {
+        try { transaction.abort(); } catch (abortError) { /* already finished */ }
+      }
+      resolve({ ok: false, result: null });
+      return;
+    }
+
+    transaction.oncomplete = () => resolve({ ok: true, result });
+    transaction.onabort = () => {
+      log('error', 'Transaction aborted', { stores: names, error: transaction.error && transaction.error.message });
+      resolve({ ok: false, result: null });
+    };
+  });
+}
+
+// ============================================================================
+// RECORD HELPERS
+// ============================================================================
+
+/**
+ * Reads one record by key
+ * @param {IDBDatabase} db - Open database
+ * @param {string} storeName - Object store
+ * @param {*} key - Record key
+ * @returns {Promise<Object|null>} Record, or null if missing or on error
+ */
+async function getRecord(db, storeName, key) {
+  if (!db) return null;
+
+  try {
+    const store = db.transaction(storeName, TRANSACTION_MODES.READ).objectStore(storeName);
+    const record = await requestToPromise(store.get(key));
+    return record === undefined ? null : record;
+  } catch (error) {
+    log('error', 'Failed to read record', { storeName, key, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Reads all records from a store, optionally through an index
+ * @param {IDBDatabase} db - Open database
+ * @param {string} storeName - Object store
+ * @param {Object} [options] - { index, query } to filter by an index value or key range
+ * @returns {Promise<Array<Object>>} Records (empty on error)
+ */
+async function getAllRecords(db, storeName, options = {}) {
+  if (!db) return [];
+
+  try {
+    const store = db.transaction(storeName, TRANSACTION_MODES.READ).objectStore(storeName);
+    const source = options.index ? store.index(options.index) : store;
+    return await requestToPromise(source.getAll(options.query));
+  } catch (error) {
+    log('error', 'Failed to read records', { storeName, index: options.index, error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Counts records in a store
+ * @param {IDBDatabase} db - Open database
+ * @param {string} storeName - Object store
+ * @returns {Promise<number>} Record count (0 on error)
+ */
+async function countRecords(db, storeName) {
+  if (!db) return 0;
+
+  try {
+    const store = db.transaction(storeName, TRANSACTION_MODES.READ).objectStore(storeName);
+    return await requestToPromise(store.count());
+  } catch (error) {
+    log('error', 'Failed to count records', { storeName, error: error.message });
+    return 0;
+  }
+}
+
+/**
+ * Inserts or replaces one record
+ * @param {IDBDatabase} db - Open database
+ * @param {string} storeName - Object store
+ * @param {Object} record - Record to store
+ * @returns {Promise<boolean>} True once committed
+ */
+async function putRecord(db, storeName, record) {
+  const { ok } = await runTransaction(db, storeName, TRANSACTION_MODES.WRITE, (stores) => {
+    stores[storeName].put(record);
+  });
+  return ok;
+}
+
+/**
+ * Deletes one record by key
+ * @param {IDBDatabase} db - Open database
+ * @param {string} storeName - Object store
+ * @param {*} key - Record key
+ * @returns {Promise<boolean>} True once committed
+ */
+async function deleteRecord(db, storeName, key) {
+  const { ok } = await runTransaction(db, storeName, TRANSACTION_MODES.WRITE, (stores) => {
+    stores[storeName].delete(key);
+  });
+  return ok;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  isIndexedDBSupported,
+  openDatabase,
+  closeDatabase,
+  runTransaction,
+  getRecord,
+  getAllRecords,
+  countRecords,
+  putRecord,
+  deleteRecord,
+  requestToPromise,
+  TRANSACTION_MODES,
+};
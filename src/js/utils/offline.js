@@ -3,13 +3,35 @@
  * 
  * Provides comprehensive offline detection, cache management, user notifications,
  * and background sync capabilities for form submissions when connection returns.
+ *
+ * Queued submissions live in IndexedDB so the service worker can replay them
+ * (Background Sync tag `sync-forms`) even after the tab is closed. Failed
+ * attempts back off exponentially; after MAX_SYNC_RETRIES, or a rejection that
+ * retrying cannot fix, a submission is kept as failed rather than dropped.
+ * When a submission with an idempotency key leaves the queue, whether it was
+ * sent or discarded is recorded for a while (getSubmissionOutcomes), so a page
+ * that shows it as waiting can tell which happened.
  * 
  * @module offline
  * @generated-from: task-id:TASK-013
  * @modifies: none (new file)
- * @dependencies: []
+ * @dependencies: [idb, service-worker, request-encoding]
  */
 
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import {
+  openDatabase,
+  runTransaction,
+  getAllRecords,
+  countRecords,
+  TRANSACTION_MODES,
+} from './idb.js';
+import { getExistingRegistration } from './service-worker.js';
+import { encodeBody, resolveEncoding, CONTENT_TYPES } from './request-encoding.js';
+
 // ============================================================================
 // CONSTANTS & CONFIGURATION
 // ============================================================================
@@ -19,15 +41,25 @@ const CONFIG = Object.freeze({
   ONLINE_CHECK_TIMEOUT: 5000, // 5 seconds
   NOTIFICATION_DURATION: 5000, // 5 seconds
   SYNC_RETRY_DELAY: 2000, // 2 seconds
-  MAX_SYNC_RETRIES: 3,
+  MAX_SYNC_RETRIES: 5, // Then the submission is kept as failed
+  RETRY_BACKOFF_BASE: 30000, // 30 seconds, doubled after each failed attempt
+  RETRY_BACKOFF_MAX: 3600000, // 1 hour
+  CLAIM_DURATION: 60000, // How long an attempt in progress holds a submission
   STORAGE_KEY_PREFIX: 'gfc_offline_',
   PING_URL: '/favicon.ico',
+  // Shared with src/sw.js, which replays the queue for Background Sync
+  SYNC_TAG: 'sync-forms',
+  QUEUE_DB_NAME: 'gfc-offline-queue',
+  QUEUE_DB_VERSION: 2,
+  QUEUE_STORE: 'submissions',
+  OUTCOMES_STORE: 'outcomes',
+  OUTCOME_TTL: 2592000000, // 30 days
 });
 
 const STORAGE_KEYS = Object.freeze({
   PENDING_FORMS: `${CONFIG.STORAGE_KEY_PREFIX}pending_forms`,
   OFFLINE_STATE: `${CONFIG.STORAGE_KEY_PREFIX}state`,
-  SYNC_QUEUE: `${CONFIG.STORAGE_KEY_PREFIX}sync_queue`,
+  SYNC_QUEUE: `${CONFIG.STORAGE_KEY_PREFIX}sync_queue`, // Before the IndexedDB queue
 });
 
 const NOTIFICATION_TYPES = Object.freeze({
@@ -38,6 +70,23 @@ const NOTIFICATION_TYPES = Object.freeze({
   SYNC_ERROR: 'sync-error',
 });
 
+const SUBMISSION_STATES = Object.freeze({
+  PENDING: 'pending', // Waiting to be sent (possibly backing off)
+  FAILED: 'failed', // Gave up; kept until the visitor retries or discards it
+});
+
+// What became of a submission that left the queue
+const SUBMISSION_OUTCOMES = Object.freeze({
+  SENT: 'sent',
+  DISCARDED: 'discarded',
+});
+
+// Window event fired whenever queued submissions are added, sent or change state
+const QUEUE_EVENT = 'offlineQueueChange';
+
+// Window event asking the pending submissions panel to open
+const QUEUE_OPEN_EVENT = 'offlineQueueOpen';
+
 // ============================================================================
 // STATE MANAGEMENT
 // ============================================================================
@@ -46,8 +95,11 @@ let offlineState = {
   isOffline: !navigator.onLine,
   lastCheck: Date.now(),
   notificationElement: null,
+  notificationVisible: false,
   checkInterval: null,
   syncInProgress: false,
+  retryTimer: null,
+  hideTimer: null,
 };
 
 // ============================================================================
@@ -257,7 +309,7 @@ function startOfflineMonitoring() {
   log('info', 'Starting offline monitoring');
 
   // Initial check
-  checkOnlineStatus().then(updateOfflineState);
+  checkOnlineStatus().then((isOnline) => updateOfflineState(!isOnline));
 
   // Periodic checks
   offlineState.checkInterval = setInterval(async () => {
@@ -306,7 +358,9 @@ function handleOfflineEvent() {
 // ============================================================================
 
 /**
- * Creates notification element if it doesn't exist
+ * Creates notification element if it doesn't exist. Besides the message it
+ * holds a button that opens the pending submissions panel while forms are
+ * waiting to be sent.
  * @returns {HTMLElement} Notification element
  */
 function createNotificationElement() {
@@ -316,12 +370,13 @@ function createNotificationElement() {
 
   const notification = document.createElement('div');
   notification.className = 'offline-notification';
-  notification.setAttribute('role', 'status');
-  notification.setAttribute('aria-live', 'polite');
   notification.style.cssText = `
     position: fixed;
     top: 20px;
     right: 20px;
+    display: flex;
+    align-items: center;
+    gap: 12px;
     padding: 16px 24px;
     border-radius: 8px;
     box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
@@ -335,12 +390,94 @@ function createNotificationElement() {
     pointer-events: none;
   `;
 
+  const message = document.createElement('span');
+  message.className = 'offline-notification__message';
+  message.setAttribute('role', 'status');
+  message.setAttribute('aria-live', 'polite');
+
+  const viewButton = document.createElement('button');
+  viewButton.type = 'button';
+  viewButton.className = 'offline-notification__view';
+  viewButton.hidden = true;
+  viewButton.style.cssText = `
+    padding: 4px 12px;
+    font: inherit;
+    color: inherit;
+    background: transparent;
+    border: 1px solid currentColor;
+    border-radius: 6px;
+    cursor: pointer;
+  `;
+  viewButton.addEventListener('click', () => {
+    hideNotification();
+    window.dispatchEvent(new CustomEvent(QUEUE_OPEN_EVENT));
+  });
+
+  // Keep the notification up while the pointer or focus is on it
+  notification.addEventListener('mouseenter', holdNotification);
+  notification.addEventListener('focusin', holdNotification);
+  notification.addEventListener('mouseleave', () => scheduleHideNotification());
+  notification.addEventListener('focusout', (event) => {
+    if (!notification.contains(event.relatedTarget)) {
+      scheduleHideNotification();
+    }
+  });
+
+  notification.append(message, viewButton);
   document.body.appendChild(notification);
   offlineState.notificationElement = notification;
 
   return notification;
 }
 
+/**
+ * Hides the notification
+ */
+function hideNotification() {
+  const notification = offlineState.notificationElement;
+  clearTimeout(offlineState.hideTimer);
+  offlineState.hideTimer = null;
+
+  offlineState.notificationVisible = false;
+  if (!notification) {
+    return;
+  }
+
+  notification.style.opacity = '0';
+  notification.style.transform = 'translateY(-20px)';
+  notification.style.pointerEvents = 'none';
+  notification.querySelector('.offline-notification__view').hidden = true;
+}
+
+/**
+ * Cancels the pending hide while the visitor is on the notification
+ */
+function holdNotification() {
+  clearTimeout(offlineState.hideTimer);
+  offlineState.hideTimer = null;
+}
+
+/**
+ * Hides the notification after a delay
+ * @param {number} [duration] - Delay in milliseconds
+ */
+function scheduleHideNotification(duration = CONFIG.NOTIFICATION_DURATION) {
+  clearTimeout(offlineState.hideTimer);
+  offlineState.hideTimer = setTimeout(hideNotification, duration);
+}
+
+/**
+ * Shows or hides the "view pending forms" button for the current queue
+ * @param {HTMLElement} notification - Notification element
+ */
+async function updateNotificationAction(notification) {
+  const viewButton = notification.querySelector('.offline-notification__view');
+  const count = await getQueueCount();
+
+  viewButton.textContent = `View pending forms (${count})`;
+  viewButton.hidden = count === 0 || !offlineState.notificationVisible;
+}
+
 /**
  * Shows notification to user
  * @param {string} type - Notification type
@@ -377,168 +514,458 @@ function showNotification(type, message, duration = CONFIG.NOTIFICATION_DURATION
   const style = styles[type] || styles[NOTIFICATION_TYPES.OFFLINE];
   notification.style.background = style.background;
   notification.style.color = style.color;
-  notification.textContent = message;
+  notification.querySelector('.offline-notification__message').textContent = message;
 
   // Show notification
+  offlineState.notificationVisible = true;
   requestAnimationFrame(() => {
     notification.style.opacity = '1';
     notification.style.transform = 'translateY(0)';
     notification.style.pointerEvents = 'auto';
   });
+  updateNotificationAction(notification);
 
   // Hide after duration
-  setTimeout(() => {
-    notification.style.opacity = '0';
-    notification.style.transform = 'translateY(-20px)';
-    notification.style.pointerEvents = 'none';
-  }, duration);
+  scheduleHideNotification(duration);
 
   log('info', 'Notification shown', { type, message });
 }
 
 // ============================================================================
-// FORM QUEUE MANAGEMENT
+// FORM QUEUE STORAGE
 // ============================================================================
 
+/**
+ * Creates the queue and outcome stores. The service worker opens the same
+ * database, so src/sw.js repeats this schema; change both together.
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {number} oldVersion - Version before the upgrade
+ */
+function upgradeQueueDatabase(db, oldVersion) {
+  if (oldVersion < 1) {
+    const store = db.createObjectStore(CONFIG.QUEUE_STORE, { keyPath: 'id' });
+    store.createIndex('status', 'status');
+    store.createIndex('idempotencyKey', 'data.idempotencyKey');
+  }
+  if (oldVersion < 2) {
+    db.createObjectStore(CONFIG.OUTCOMES_STORE, { keyPath: 'idempotencyKey' });
+  }
+}
+
+/**
+ * Opens the shared queue database
+ * @returns {Promise<IDBDatabase|null>} Database, or null if unavailable
+ */
+function openQueueDatabase() {
+  return openDatabase(CONFIG.QUEUE_DB_NAME, CONFIG.QUEUE_DB_VERSION, upgradeQueueDatabase);
+}
+
+/**
+ * Lets other components know the queue changed
+ */
+function dispatchQueueEvent() {
+  try {
+    window.dispatchEvent(new CustomEvent(QUEUE_EVENT, {
+      detail: { timestamp: Date.now() },
+    }));
+  } catch (error) {
+    log('error', 'Failed to dispatch queue event', { error: error.message });
+  }
+}
+
+/**
+ * Creates a queue record for a submission
+ * @param {Object} formData - Form data to queue
+ * @param {number} [timestamp] - When it was first queued
+ * @returns {Object} Queue record
+ */
+function createQueueItem(formData, timestamp = Date.now()) {
+  return {
+    id: `form_${timestamp}_${Math.random().toString(36).substr(2, 9)}`,
+    timestamp,
+    data: formData,
+    status: SUBMISSION_STATES.PENDING,
+    retries: 0,
+    nextAttemptAt: 0,
+    lockedUntil: 0,
+    lastError: null,
+    lastStatus: null,
+  };
+}
+
+/**
+ * Moves a queue left in localStorage by earlier versions into IndexedDB
+ * @returns {Promise<void>}
+ */
+async function migrateLegacyQueue() {
+  const legacy = getStorageItem(STORAGE_KEYS.SYNC_QUEUE, null);
+  if (!Array.isArray(legacy)) {
+    return;
+  }
+
+  const db = await openQueueDatabase();
+  const { ok } = await runTransaction(db, CONFIG.QUEUE_STORE, TRANSACTION_MODES.WRITE, (stores) => {
+    legacy.forEach((item) => {
+      stores[CONFIG.QUEUE_STORE].put({
+        ...createQueueItem(item.data, item.timestamp),
+        id: item.id,
+        retries: item.retries || 0,
+      });
+    });
+  });
+
+  if (ok) {
+    removeStorageItem(STORAGE_KEYS.SYNC_QUEUE);
+    log('info', 'Moved queued submissions to IndexedDB', { count: legacy.length });
+  }
+}
+
 /**
  * Adds form submission to queue for later sync
  * @param {Object} formData - Form data to queue
- * @returns {boolean} Success status
+ * @returns {Promise<boolean>} Success status
  */
-function queueFormSubmission(formData) {
-  try {
-    const queue = getStorageItem(STORAGE_KEYS.SYNC_QUEUE, []);
-    
-    const queueItem = {
-      id: `form_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      timestamp: Date.now(),
-      data: formData,
-      retries: 0,
-    };
+async function queueFormSubmission(formData) {
+  const db = await openQueueDatabase();
+  const queueItem = createQueueItem(formData);
+  const idempotencyKey = formData && formData.idempotencyKey;
+
+  const { ok, result } = await runTransaction(db, CONFIG.QUEUE_STORE, TRANSACTION_MODES.WRITE, (stores) => {
+    const store = stores[CONFIG.QUEUE_STORE];
+    const outcome = { duplicate: false };
+
+    if (!idempotencyKey) {
+      store.add(queueItem);
+      return outcome;
+    }
 
-    queue.push(queueItem);
-    setStorageItem(STORAGE_KEYS.SYNC_QUEUE, queue);
+    // A replayed submission with the same idempotency key is already queued
+    const lookup = store.index('idempotencyKey').getKey(idempotencyKey);
+    lookup.onsuccess = () => {
+      if (lookup.result === undefined) {
+        store.add(queueItem);
+      } else {
+        outcome.duplicate = true;
+      }
+    };
+    return outcome;
+  });
 
-    log('info', 'Form submission queued', { id: queueItem.id });
-    showNotification(
-      NOTIFICATION_TYPES.OFFLINE,
-      'Form saved. Will submit when connection is restored.'
-    );
+  if (!ok) {
+    log('error', 'Failed to queue form submission');
+    return false;
+  }
 
+  if (result.duplicate) {
+    log('info', 'Submission already queued', { idempotencyKey });
     return true;
-  } catch (error) {
-    log('error', 'Failed to queue form submission', { error: error.message });
-    return false;
   }
+
+  log('info', 'Form submission queued', { id: queueItem.id });
+  showNotification(
+    NOTIFICATION_TYPES.OFFLINE,
+    'Form saved. Will submit when connection is restored.'
+  );
+  dispatchQueueEvent();
+  requestBackgroundSync();
+
+  return true;
 }
 
 /**
- * Retrieves all queued form submissions
- * @returns {Array} Queued submissions
+ * Retrieves queued form submissions, oldest first
+ * @param {string} [status] - Only items in this state (see SUBMISSION_STATES)
+ * @returns {Promise<Array>} Queued submissions
  */
-function getQueuedSubmissions() {
-  return getStorageItem(STORAGE_KEYS.SYNC_QUEUE, []);
+async function getQueuedSubmissions(status) {
+  const db = await openQueueDatabase();
+  const items = await getAllRecords(db, CONFIG.QUEUE_STORE, status ? { index: 'status', query: status } : {});
+  return items.sort((a, b) => a.timestamp - b.timestamp);
 }
 
 /**
- * Removes submission from queue
- * @param {string} id - Submission ID
- * @returns {boolean} Success status
+ * Records what became of a submission leaving the queue. Runs inside the
+ * transaction that removes it.
+ * @param {IDBObjectStore} store - Outcomes store
+ * @param {Object} item - Queued submission
+ * @param {string} outcome - One of SUBMISSION_OUTCOMES
  */
-function removeFromQueue(id) {
-  try {
-    const queue = getStorageItem(STORAGE_KEYS.SYNC_QUEUE, []);
-    const filteredQueue = queue.filter((item) => item.id !== id);
-    setStorageItem(STORAGE_KEYS.SYNC_QUEUE, filteredQueue);
-    log('info', 'Removed from queue', { id });
-    return true;
-  } catch (error) {
-    log('error', 'Failed to remove from queue', { id, error: error.message });
-    return false;
+function recordOutcome(store, item, outcome) {
+  const idempotencyKey = item.data && item.data.idempotencyKey;
+
+  if (idempotencyKey) {
+    store.put({ idempotencyKey, formType: item.data.formType || null, outcome, at: Date.now() });
   }
 }
 
 /**
- * Updates retry count for queued submission
- * @param {string} id - Submission ID
- * @returns {boolean} Success status
+ * Drops outcomes older than OUTCOME_TTL
+ * @param {IDBObjectStore} store - Outcomes store
  */
-function incrementRetryCount(id) {
-  try {
-    const queue = getStorageItem(STORAGE_KEYS.SYNC_QUEUE, []);
-    const item = queue.find((i) => i.id === id);
-    
-    if (item) {
-      item.retries += 1;
-      setStorageItem(STORAGE_KEYS.SYNC_QUEUE, queue);
-      return true;
+function pruneOutcomes(store) {
+  const cutoff = Date.now() - CONFIG.OUTCOME_TTL;
+
+  store.openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    if (cursor.value.at < cutoff) {
+      cursor.delete();
     }
-    
-    return false;
-  } catch (error) {
-    log('error', 'Failed to increment retry count', { id, error: error.message });
-    return false;
+    cursor.continue();
+  };
+}
+
+/**
+ * Removes a submission from the queue and records why, in one transaction
+ * @param {string} id - Submission ID
+ * @param {string} outcome - One of SUBMISSION_OUTCOMES
+ * @returns {Promise<boolean>} True if it was removed
+ */
+async function finishQueueItem(id, outcome) {
+  const db = await openQueueDatabase();
+  const stores = [CONFIG.QUEUE_STORE, CONFIG.OUTCOMES_STORE];
+  const { ok, result } = await runTransaction(db, stores, TRANSACTION_MODES.WRITE, (txStores) => {
+    const queue = txStores[CONFIG.QUEUE_STORE];
+    const found = { removed: false };
+    const request = queue.get(id);
+
+    request.onsuccess = () => {
+      if (request.result) {
+        queue.delete(id);
+        recordOutcome(txStores[CONFIG.OUTCOMES_STORE], request.result, outcome);
+        pruneOutcomes(txStores[CONFIG.OUTCOMES_STORE]);
+        found.removed = true;
+      }
+    };
+    return found;
+  });
+
+  const removed = ok && result.removed;
+  if (removed) {
+    log('info', 'Removed from queue', { id, outcome });
+    dispatchQueueEvent();
   }
+  return removed;
+}
+
+/**
+ * Removes submission from queue without sending it
+ * @param {string} id - Submission ID
+ * @returns {Promise<boolean>} Success status
+ */
+async function removeFromQueue(id) {
+  return finishQueueItem(id, SUBMISSION_OUTCOMES.DISCARDED);
+}
+
+/**
+ * Reads what became of submissions that recently left the queue
+ * @returns {Promise<Array<Object>>} [{ idempotencyKey, formType, outcome, at }]
+ */
+async function getSubmissionOutcomes() {
+  const db = await openQueueDatabase();
+  return getAllRecords(db, CONFIG.OUTCOMES_STORE);
+}
+
+/**
+ * Changes a queued submission in one transaction
+ * @param {string} id - Submission ID
+ * @param {Function} update - Called with the stored item; returns the new item,
+ *   or null to leave it unchanged
+ * @returns {Promise<Object|null>} Updated item, or null if missing, unchanged or on error
+ */
+async function updateQueueItem(id, update) {
+  const db = await openQueueDatabase();
+  const { ok, result } = await runTransaction(db, CONFIG.QUEUE_STORE, TRANSACTION_MODES.WRITE, (stores) => {
+    const store = stores[CONFIG.QUEUE_STORE];
+    const outcome = { item: null };
+    const request = store.get(id);
+
+    request.onsuccess = () => {
+      const updated = request.result ? update(request.result) : null;
+      if (updated) {
+        store.put(updated);
+        outcome.item = updated;
+      }
+    };
+    return outcome;
+  });
+
+  return ok ? result.item : null;
 }
 
 // ============================================================================
 // BACKGROUND SYNC
 // ============================================================================
 
+/**
+ * Gets the wait before the next attempt, doubling after each failure
+ * @param {number} retries - Failed attempts so far
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(retries) {
+  return Math.min(
+    CONFIG.RETRY_BACKOFF_BASE * 2 ** Math.max(0, retries - 1),
+    CONFIG.RETRY_BACKOFF_MAX
+  );
+}
+
+/**
+ * Checks whether a rejected submission may succeed if sent again
+ * @param {number} status - HTTP status
+ * @returns {boolean} True for server errors, timeouts and rate limiting
+ */
+function isRetryableStatus(status) {
+  return status >= 500 || status === 408 || status === 429;
+}
+
+/**
+ * Claims a due submission so the page and the service worker never send it
+ * at the same time
+ * @param {string} id - Submission ID
+ * @param {boolean} force - Ignore the backoff delay
+ * @returns {Promise<Object|null>} Claimed item, or null if not available
+ */
+function claimQueueItem(id, force) {
+  const now = Date.now();
+
+  return updateQueueItem(id, (item) => {
+    const isDue = force || item.nextAttemptAt <= now;
+    if (item.status !== SUBMISSION_STATES.PENDING || !isDue || item.lockedUntil > now) {
+      return null;
+    }
+    return { ...item, lockedUntil: now + CONFIG.CLAIM_DURATION };
+  });
+}
+
+/**
+ * Records a failed attempt, scheduling a retry or marking the item as failed
+ * @param {Object} queueItem - Queued submission
+ * @param {Object} failure - { error, httpStatus, permanent }
+ * @returns {Promise<string>} SUBMISSION_STATES value the item ended in
+ */
+async function recordFailedAttempt(queueItem, { error, httpStatus = null, permanent = false }) {
+  const retries = queueItem.retries + 1;
+  const giveUp = permanent || retries >= CONFIG.MAX_SYNC_RETRIES;
+
+  await updateQueueItem(queueItem.id, (item) => ({
+    ...item,
+    retries,
+    status: giveUp ? SUBMISSION_STATES.FAILED : SUBMISSION_STATES.PENDING,
+    nextAttemptAt: giveUp ? 0 : Date.now() + getRetryDelay(retries),
+    lockedUntil: 0,
+    lastError: error,
+    lastStatus: httpStatus,
+  }));
+
+  if (giveUp) {
+    log('error', 'Form submission failed permanently', { id: queueItem.id, retries, httpStatus });
+  }
+  return giveUp ? SUBMISSION_STATES.FAILED : SUBMISSION_STATES.PENDING;
+}
+
 /**
  * Submits a single form from the queue
  * @param {Object} queueItem - Queued form submission
- * @returns {Promise<boolean>} Success status
+ * @param {boolean} [force=false] - Send even if the backoff delay has not passed
+ * @returns {Promise<string|null>} 'sent', a SUBMISSION_STATES value, or null if skipped
  */
-async function submitQueuedForm(queueItem) {
-  try {
-    const { id, data, retries } = queueItem;
+async function submitQueuedForm(queueItem, force = false) {
+  const claimed = await claimQueueItem(queueItem.id, force);
+  if (!claimed) {
+    return null;
+  }
 
-    if (retries >= CONFIG.MAX_SYNC_RETRIES) {
-      log('error', 'Max retries reached for form submission', { id, retries });
-      return false;
-    }
+  const { id, data, retries } = claimed;
+  dispatchQueueEvent();
 
+  try {
     log('info', 'Attempting to submit queued form', { id, attempt: retries + 1 });
 
+    const encoding = resolveEncoding(data.encoding);
     const response = await fetch(data.url, {
       method: data.method || 'POST',
       headers: {
-        'Content-Type': 'application/json',
+        'Content-Type': CONTENT_TYPES[encoding],
         ...data.headers,
       },
-      body: JSON.stringify(data.body),
+      body: encodeBody(data.body, encoding),
     });
 
     if (response.ok) {
       log('info', 'Form submission successful', { id });
-      removeFromQueue(id);
-      return true;
+      await finishQueueItem(id, SUBMISSION_OUTCOMES.SENT);
+      return 'sent';
     }
 
     log('warn', 'Form submission failed', { id, status: response.status });
-    incrementRetryCount(id);
-    return false;
-  } catch (error) {
-    log('error', 'Form submission error', { 
-      id: queueItem.id, 
-      error: error.message 
+    return await recordFailedAttempt(claimed, {
+      error: `The server responded with ${response.status}`,
+      httpStatus: response.status,
+      permanent: !isRetryableStatus(response.status),
     });
-    incrementRetryCount(queueItem.id);
-    return false;
+  } catch (error) {
+    log('error', 'Form submission error', { id, error: error.message });
+    return await recordFailedAttempt(claimed, { error: error.message });
+  }
+}
+
+/**
+ * Shows the outcome of a sync run
+ * @param {Object} results - { success, failed, retrying }
+ */
+function showSyncResults(results) {
+  if (results.success > 0) {
+    showNotification(
+      NOTIFICATION_TYPES.SYNC_SUCCESS,
+      `Successfully synced ${results.success} form(s)`
+    );
+  }
+
+  if (results.failed > 0) {
+    showNotification(
+      NOTIFICATION_TYPES.SYNC_ERROR,
+      `${results.failed} form(s) could not be sent. They are saved on this device.`,
+      CONFIG.NOTIFICATION_DURATION * 2
+    );
+  } else if (results.retrying > 0) {
+    showNotification(
+      NOTIFICATION_TYPES.SYNC_ERROR,
+      `Failed to sync ${results.retrying} form(s). Will retry later.`
+    );
+  }
+}
+
+/**
+ * Runs the queue again when the next postponed submission is due
+ * @param {Array} items - Queued submissions
+ */
+function scheduleNextSync(items) {
+  clearTimeout(offlineState.retryTimer);
+  offlineState.retryTimer = null;
+
+  const due = items
+    .filter((item) => item.status === SUBMISSION_STATES.PENDING)
+    .map((item) => item.nextAttemptAt);
+
+  if (due.length > 0) {
+    const delay = Math.max(CONFIG.SYNC_RETRY_DELAY, Math.min(...due) - Date.now());
+    offlineState.retryTimer = setTimeout(() => triggerBackgroundSync(), delay);
   }
 }
 
 /**
- * Processes all queued form submissions
+ * Processes queued form submissions that are due
+ * @param {Object} [options] - { force: also send items still waiting out their backoff }
  * @returns {Promise<Object>} Sync results
  */
-async function processQueuedSubmissions() {
-  const queue = getQueuedSubmissions();
+async function processQueuedSubmissions({ force = false } = {}) {
+  const now = Date.now();
+  const queue = (await getQueuedSubmissions(SUBMISSION_STATES.PENDING))
+    .filter((item) => force || item.nextAttemptAt <= now);
 
   if (queue.length === 0) {
     log('info', 'No queued submissions to process');
-    return { success: 0, failed: 0, total: 0 };
+    return { success: 0, failed: 0, retrying: 0, total: 0 };
   }
 
   log('info', 'Processing queued submissions', { count: queue.length });
@@ -547,43 +974,60 @@ async function processQueuedSubmissions() {
   const results = {
     success: 0,
     failed: 0,
+    retrying: 0,
     total: queue.length,
   };
 
   for (const item of queue) {
-    const success = await submitQueuedForm(item);
-    if (success) {
+    const outcome = await submitQueuedForm(item, force);
+    if (outcome === 'sent') {
       results.success += 1;
-    } else {
+    } else if (outcome === SUBMISSION_STATES.FAILED) {
       results.failed += 1;
+    } else if (outcome === SUBMISSION_STATES.PENDING) {
+      results.retrying += 1;
     }
+    dispatchQueueEvent();
 
     // Add delay between submissions
     await new Promise((resolve) => setTimeout(resolve, CONFIG.SYNC_RETRY_DELAY));
   }
 
   log('info', 'Queue processing complete', results);
+  showSyncResults(results);
 
-  // Show result notification
-  if (results.success > 0) {
-    showNotification(
-      NOTIFICATION_TYPES.SYNC_SUCCESS,
-      `Successfully synced ${results.success} form(s)`
-    );
-  }
+  return results;
+}
 
-  if (results.failed > 0) {
-    showNotification(
-      NOTIFICATION_TYPES.SYNC_ERROR,
-      `Failed to sync ${results.failed} form(s). Will retry later.`
-    );
+/**
+ * Asks the service worker to replay the queue through Background Sync, which
+ * also runs after the tab is closed
+ * @returns {Promise<boolean>} True if a sync was registered
+ */
+async function requestBackgroundSync() {
+  if (typeof ServiceWorkerRegistration === 'undefined'
+    || !('sync' in ServiceWorkerRegistration.prototype)) {
+    return false;
   }
 
-  return results;
+  try {
+    const registration = await getExistingRegistration();
+    if (!registration || !registration.active) {
+      return false;
+    }
+
+    await registration.sync.register(CONFIG.SYNC_TAG);
+    log('info', 'Background sync registered');
+    return true;
+  } catch (error) {
+    log('warn', 'Failed to register background sync', { error: error.message });
+    return false;
+  }
 }
 
 /**
- * Triggers background sync for queued submissions
+ * Triggers background sync for queued submissions. Where Background Sync is
+ * available the service worker sends them; otherwise this page does.
  */
 async function triggerBackgroundSync() {
   if (offlineState.syncInProgress) {
@@ -599,7 +1043,10 @@ async function triggerBackgroundSync() {
   offlineState.syncInProgress = true;
 
   try {
-    await processQueuedSubmissions();
+    if (!(await requestBackgroundSync())) {
+      await processQueuedSubmissions();
+      scheduleNextSync(await getQueuedSubmissions(SUBMISSION_STATES.PENDING));
+    }
   } catch (error) {
     log('error', 'Background sync failed', { error: error.message });
   } finally {
@@ -608,24 +1055,18 @@ async function triggerBackgroundSync() {
 }
 
 /**
- * Registers service worker sync event (if supported)
+ * Handles sync results reported by the service worker
+ * @param {MessageEvent} event - Message from the service worker
  */
-function registerServiceWorkerSync() {
-  if (!('serviceWorker' in navigator) || !('sync' in ServiceWorkerRegistration.prototype)) {
-    log('info', 'Background Sync API not supported');
+function handleServiceWorkerMessage(event) {
+  const { data } = event;
+  if (!data || data.type !== 'FORM_SYNC_COMPLETE') {
     return;
   }
 
-  navigator.serviceWorker.ready
-    .then((registration) => {
-      return registration.sync.register('sync-forms');
-    })
-    .then(() => {
-      log('info', 'Background sync registered');
-    })
-    .catch((error) => {
-      log('error', 'Failed to register background sync', { error: error.message });
-    });
+  log('info', 'Service worker synced queued forms', data.results);
+  showSyncResults(data.results);
+  dispatchQueueEvent();
 }
 
 // ============================================================================
@@ -642,14 +1083,22 @@ function init() {
     // Start monitoring
     startOfflineMonitoring();
 
-    // Register service worker sync
-    registerServiceWorkerSync();
-
-    // Process any existing queue on startup
-    if (!offlineState.isOffline) {
-      setTimeout(() => triggerBackgroundSync(), 1000);
+    // Hear about submissions the service worker sent in the background
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
     }
 
+    // Move any old localStorage queue over, then process it on startup
+    migrateLegacyQueue()
+      .catch((error) => {
+        log('error', 'Failed to move queued submissions', { error: error.message });
+      })
+      .then(() => {
+        if (!offlineState.isOffline) {
+          setTimeout(() => triggerBackgroundSync(), 1000);
+        }
+      });
+
     log('info', 'Offline utilities initialized');
   } catch (error) {
     log('error', 'Failed to initialize offline utilities', { 
@@ -669,34 +1118,127 @@ function isOffline() {
 
 /**
  * Gets count of queued submissions
- * @returns {number} Queue count
+ * @param {string} [status] - Only count items in this state (see SUBMISSION_STATES)
+ * @returns {Promise<number>} Queue count
  */
-function getQueueCount() {
-  return getQueuedSubmissions().length;
+async function getQueueCount(status) {
+  if (status) {
+    return (await getQueuedSubmissions(status)).length;
+  }
+
+  const db = await openQueueDatabase();
+  return countRecords(db, CONFIG.QUEUE_STORE);
 }
 
 /**
- * Manually triggers sync (for testing or user action)
- * @returns {Promise<Object>} Sync results
+ * Manually sends pending submissions from this page without waiting for
+ * their backoff (for testing or user action)
+ * @returns {Promise<Object|null>} Sync results, or null if a sync is already running
  */
 async function manualSync() {
   log('info', 'Manual sync triggered');
-  return await triggerBackgroundSync();
+
+  if (offlineState.syncInProgress) {
+    return null;
+  }
+
+  offlineState.syncInProgress = true;
+
+  try {
+    return await processQueuedSubmissions({ force: true });
+  } finally {
+    offlineState.syncInProgress = false;
+  }
 }
 
 /**
- * Clears all queued submissions
- * @returns {boolean} Success status
+ * Puts a submission back in the queue for another round of attempts, to be
+ * sent straight away. A submission that is being sent right now is left alone.
+ * @param {string} id - Submission ID
+ * @returns {Promise<boolean>} True if the submission was requeued
  */
-function clearQueue() {
-  try {
-    setStorageItem(STORAGE_KEYS.SYNC_QUEUE, []);
-    log('info', 'Queue cleared');
-    return true;
-  } catch (error) {
-    log('error', 'Failed to clear queue', { error: error.message });
+async function retrySubmission(id) {
+  const now = Date.now();
+  const item = await updateQueueItem(id, (stored) => (
+    stored.lockedUntil > now
+      ? null
+      : {
+        ...stored,
+        status: SUBMISSION_STATES.PENDING,
+        retries: 0,
+        nextAttemptAt: 0,
+      }
+  ));
+
+  if (!item) {
     return false;
   }
+
+  log('info', 'Submission requeued', { id });
+  dispatchQueueEvent();
+  triggerBackgroundSync();
+  return true;
+}
+
+/**
+ * Replaces the fields of a queued submission and queues it to be sent again.
+ * A submission that is being sent right now cannot be changed.
+ * @param {string} id - Submission ID
+ * @param {Object} body - New form fields
+ * @returns {Promise<boolean>} True if the submission was updated
+ */
+async function updateQueuedSubmission(id, body) {
+  const now = Date.now();
+  const item = await updateQueueItem(id, (stored) => (
+    stored.lockedUntil > now
+      ? null
+      : {
+        ...stored,
+        data: { ...stored.data, body },
+        status: SUBMISSION_STATES.PENDING,
+        retries: 0,
+        nextAttemptAt: 0,
+        lastError: null,
+        lastStatus: null,
+      }
+  ));
+
+  if (!item) {
+    log('warn', 'Submission could not be updated', { id });
+    return false;
+  }
+
+  log('info', 'Submission updated', { id });
+  dispatchQueueEvent();
+  triggerBackgroundSync();
+  return true;
+}
+
+/**
+ * Clears all queued submissions, recording them as discarded
+ * @returns {Promise<boolean>} Success status
+ */
+async function clearQueue() {
+  const db = await openQueueDatabase();
+  const stores = [CONFIG.QUEUE_STORE, CONFIG.OUTCOMES_STORE];
+  const { ok } = await runTransaction(db, stores, TRANSACTION_MODES.WRITE, (txStores) => {
+    const request = txStores[CONFIG.QUEUE_STORE].getAll();
+    request.onsuccess = () => {
+      request.result.forEach((item) => {
+        recordOutcome(txStores[CONFIG.OUTCOMES_STORE], item, SUBMISSION_OUTCOMES.DISCARDED);
+      });
+      pruneOutcomes(txStores[CONFIG.OUTCOMES_STORE]);
+      txStores[CONFIG.QUEUE_STORE].clear();
+    };
+  });
+
+  if (ok) {
+    log('info', 'Queue cleared');
+    dispatchQueueEvent();
+  } else {
+    log('error', 'Failed to clear queue');
+  }
+  return ok;
 }
 
 /**
@@ -704,6 +1246,14 @@ function clearQueue() {
  */
 function cleanup() {
   stopOfflineMonitoring();
+  clearTimeout(offlineState.retryTimer);
+  clearTimeout(offlineState.hideTimer);
+  offlineState.retryTimer = null;
+  offlineState.hideTimer = null;
+
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.removeEventListener('message', handleServiceWorkerMessage);
+  }
   
   if (offlineState.notificationElement) {
     offlineState.notificationElement.remove();
@@ -724,9 +1274,17 @@ export {
   getQueuedSubmissions,
   getQueueCount,
   manualSync,
+  retrySubmission,
+  updateQueuedSubmission,
+  removeFromQueue,
+  getSubmissionOutcomes,
   clearQueue,
   cleanup,
   checkOnlineStatus,
   showNotification,
   NOTIFICATION_TYPES,
+  SUBMISSION_STATES,
+  SUBMISSION_OUTCOMES,
+  QUEUE_EVENT,
+  QUEUE_OPEN_EVENT,
 };
\ No newline at end of file
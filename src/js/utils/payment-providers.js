@@ -0,0 +1,253 @@
+/**
+ * Payment Provider Adapters
+ *
+ * The giving form never talks to a payment processor directly. It hands a
+ * payment request to whichever provider is registered here under the name the
+ * form asks for (`data-payment-provider`), so a processor can be swapped in
+ * without touching the form:
+ *
+ *   registerPaymentProvider({
+ *     id: 'processor',
+ *     label: 'Card payment',
+ *     frequencies: ['one-time', 'monthly'],
+ *     async createPayment(request) { ... return { status: 'succeeded', transactionId }; },
+ *   });
+ *
+ * A request is { amount (minor units, e.g. cents), currency, frequency, fund,
+ * donor: { name, email }, idempotencyKey }. Providers return a status from
+ * PAYMENT_STATUS plus a transactionId (and subscriptionId for recurring gifts);
+ * processPayment() fills in the rest so callers always get the same shape.
+ *
+ * The built-in `mock` provider settles locally after a short delay and is meant
+ * for development and testing. It is only registered when the site is served
+ * from a development host (localhost), so a live page without a real provider
+ * shows giving as unavailable instead of taking test payments. It declines any
+ * amount ending in .13 so the failure path can be exercised too.
+ *
+ * @module payment-providers
+ * @generated-from: task-id:user-014
+ * @modifies: none (new file)
+ * @dependencies: none
+ */
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const CONFIG = Object.freeze({
+  MOCK_DELAY: 600, // Simulated processing time in milliseconds
+  MOCK_DECLINE_CENTS: 13, // Amounts ending in .13 are declined by the mock
+  DEVELOPMENT_HOSTS: Object.freeze(['localhost', '127.0.0.1', '[::1]']), // Hosts the mock is offered on
+});
+
+const PAYMENT_STATUS = Object.freeze({
+  SUCCEEDED: 'succeeded',
+  DECLINED: 'declined',
+  FAILED: 'failed',
+});
+
+const FREQUENCIES = Object.freeze({
+  ONE_TIME: 'one-time',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  YEARLY: 'yearly',
+});
+
+const MESSAGES = Object.freeze({
+  UNKNOWN_PROVIDER: 'Online giving is not available right now.',
+  INVALID_AMOUNT: 'The gift amount is not valid.',
+  UNSUPPORTED_FREQUENCY: 'This payment method does not support that giving frequency.',
+  DECLINED: 'The payment was declined. Please check your details or try another card.',
+  FAILED: 'The payment could not be processed. Please try again.',
+});
+
+// ============================================================================
+// STATE MANAGEMENT
+// ============================================================================
+
+const providers = new Map();
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Logs structured messages with context
+ * @param {string} level - Log level (info, warn, error)
+ * @param {string} message - Log message
+ * @param {Object} context - Additional context data
+ */
+function log(level, message, context = {}) {
+  const logMethod = console[level] || console.log;
+  logMethod('[GFC Payments]', message, context);
+}
+
+/**
+ * Creates a provider-style reference such as "mock_txn_lq2x8a1b"
+ * @param {string} prefix - Reference prefix
+ * @returns {string} Reference
+ */
+function createReference(prefix) {
+  const random = typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+    ? crypto.randomUUID().replace(/-/g, '').slice(0, 12)
+    : Math.random().toString(36).substring(2, 14);
+
+  return `${prefix}_${Date.now().toString(36)}${random}`;
+}
+
+/**
+ * Builds a result object
+ * @param {string} status - One of PAYMENT_STATUS
+ * @param {Object} [details] - transactionId, subscriptionId, message
+ * @returns {Object} Payment result
+ */
+function createResult(status, details = {}) {
+  return {
+    status,
+    ok: status === PAYMENT_STATUS.SUCCEEDED,
+    transactionId: details.transactionId || null,
+    subscriptionId: details.subscriptionId || null,
+    provider: details.provider || null,
+    message: details.message || '',
+  };
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+/**
+ * Registers a payment provider, replacing any provider with the same ID
+ * @param {Object} provider - { id, label, frequencies, createPayment }
+ * @returns {boolean} True if the provider was registered
+ */
+function registerPaymentProvider(provider) {
+  if (!provider || !provider.id || typeof provider.createPayment !== 'function') {
+    log('error', 'Invalid payment provider', { id: provider && provider.id });
+    return false;
+  }
+
+  providers.set(provider.id, {
+    label: provider.id,
+    frequencies: Object.values(FREQUENCIES),
+    ...provider,
+  });
+
+  log('info', 'Payment provider registered', { id: provider.id });
+  return true;
+}
+
+/**
+ * Gets a registered provider
+ * @param {string} id - Provider ID
+ * @returns {Object|null} Provider or null
+ */
+function getPaymentProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * Sends a payment request to a provider. Never throws.
+ * @param {string} providerId - Registered provider ID
+ * @param {Object} request - Payment request (amount in minor units)
+ * @returns {Promise<Object>} { status, ok, transactionId, subscriptionId, provider, message }
+ */
+async function processPayment(providerId, request) {
+  const provider = getPaymentProvider(providerId);
+
+  if (!provider) {
+    log('error', 'Payment provider not registered', { providerId });
+    return createResult(PAYMENT_STATUS.FAILED, { message: MESSAGES.UNKNOWN_PROVIDER });
+  }
+
+  if (!Number.isInteger(request.amount) || request.amount <= 0) {
+    return createResult(PAYMENT_STATUS.FAILED, { provider: provider.id, message: MESSAGES.INVALID_AMOUNT });
+  }
+
+  if (!provider.frequencies.includes(request.frequency)) {
+    return createResult(PAYMENT_STATUS.FAILED, { provider: provider.id, message: MESSAGES.UNSUPPORTED_FREQUENCY });
+  }
+
+  try {
+    const response = await provider.createPayment(request);
+    const status = Object.values(PAYMENT_STATUS).includes(response && response.status)
+      ? response.status
+      : PAYMENT_STATUS.FAILED;
+
+    log(status === PAYMENT_STATUS.SUCCEEDED ? 'info' : 'warn', 'Payment processed', {
+      provider: provider.id,
+      status,
+      frequency: request.frequency,
+    });
+
+    return createResult(status, {
+      ...response,
+      provider: provider.id,
+      message: (response && response.message)
+        || (status === PAYMENT_STATUS.DECLINED ? MESSAGES.DECLINED : '')
+        || (status === PAYMENT_STATUS.FAILED ? MESSAGES.FAILED : ''),
+    });
+  } catch (error) {
+    log('error', 'Payment provider error', { provider: provider.id, error: error.message });
+    return createResult(PAYMENT_STATUS.FAILED, { provider: provider.id, message: MESSAGES.FAILED });
+  }
+}
+
+// ============================================================================
+// MOCK PROVIDER
+// ============================================================================
+
+const mockProvider = Object.freeze({
+  id: 'mock',
+  label: 'Test payment (no money is taken)',
+  frequencies: Object.values(FREQUENCIES),
+
+  /**
+   * Settles a payment locally after a short delay
+   * @param {Object} request - Payment request
+   * @returns {Promise<Object>} Provider response
+   */
+  createPayment(request) {
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        if (request.amount % 100 === CONFIG.MOCK_DECLINE_CENTS) {
+          resolve({ status: PAYMENT_STATUS.DECLINED });
+          return;
+        }
+
+        resolve({
+          status: PAYMENT_STATUS.SUCCEEDED,
+          transactionId: createReference('mock_txn'),
+          subscriptionId: request.frequency === FREQUENCIES.ONE_TIME ? null : createReference('mock_sub'),
+        });
+      }, CONFIG.MOCK_DELAY);
+    });
+  },
+});
+
+/**
+ * Checks whether the mock provider is offered on this page
+ * @returns {boolean} True on a development host
+ */
+function isMockProviderEnabled() {
+  const { hostname } = window.location;
+  return CONFIG.DEVELOPMENT_HOSTS.includes(hostname) || hostname.endsWith('.localhost');
+}
+
+if (isMockProviderEnabled()) {
+  registerPaymentProvider(mockProvider);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  registerPaymentProvider,
+  getPaymentProvider,
+  processPayment,
+  mockProvider,
+  isMockProviderEnabled,
+  PAYMENT_STATUS,
+  FREQUENCIES,
+};
@@ -0,0 +1,530 @@
+/**
+ * Push Notification Subscriptions
+ *
+ * Client side of the push notifications handled by src/sw.js:
+ * - Subscribes the browser through the service worker's PushManager
+ * - Per-category opt-in (worship, youth, community announcements)
+ * - "Remind me" for single events, sent shortly before they start
+ * - Keeps the push server in step with the visitor's choices
+ *
+ * Notifications follow the notifications consent category (utils/consent.js).
+ * Nothing is subscribed without consent, and withdrawing consent (in this tab
+ * or another) removes the subscription from the browser and the server.
+ *
+ * Push server contract (see build/mock-push-server.js for a local server):
+ * - GET    {API}/vapid-public-key -> { publicKey } (base64url, uncompressed P-256)
+ * - PUT    {API}/subscriptions    <- { subscription, categories, reminders }
+ * - DELETE {API}/subscriptions    <- { endpoint }
+ * Payloads sent to the browser are JSON `{ title, body, url, tag }`; `url` is
+ * the deep link opened when the notification is clicked.
+ *
+ * @module push-notifications
+ * @generated-from: task-id:user-017
+ * @modifies: none (new file)
+ * @dependencies: [service-worker, consent]
+ */
+
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import { getRegistration, getExistingRegistration } from './service-worker.js';
+import { hasCategoryConsent, CONSENT_CATEGORIES, CONSENT_EVENT } from './consent.js';
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const CONFIG = Object.freeze({
+  API_BASE: '/api/push',
+  TIMEOUT: 8000, // 8 seconds
+  STORAGE_KEY: 'gfc_push_preferences',
+  REMINDER_LEAD_MINUTES: 60,
+});
+
+// Event categories visitors can follow; labels come from the events page
+const PUSH_CATEGORIES = Object.freeze(['worship', 'youth', 'community']);
+
+const PUSH_STATUS = Object.freeze({
+  SUBSCRIBED: 'subscribed',
+  UNSUBSCRIBED: 'unsubscribed',
+  UNSUPPORTED: 'unsupported',
+  NO_CONSENT: 'no-consent',
+  BLOCKED: 'blocked', // Notification permission denied
+  FAILED: 'failed',
+});
+
+// ============================================================================
+// STATE MANAGEMENT
+// ============================================================================
+
+const state = {
+  initialized: false,
+  syncing: null, // Promise of the sync in flight
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Logs structured messages with context
+ * @param {string} level - Log level (info, warn, error)
+ * @param {string} message - Log message
+ * @param {Object} context - Additional context data
+ */
+function log(level, message, context = {}) {
+  const logMethod = console[level] || console.log;
+  logMethod('[GFC Push]', message, context);
+}
+
+/**
+ * Checks whether this browser can receive push notifications
+ * @returns {boolean} True if service workers, PushManager and notifications exist
+ */
+function isPushSupported() {
+  return typeof window !== 'undefined'
+    && 'serviceWorker' in navigator
+    && 'PushManager' in window
+    && 'Notification' in window;
+}
+
+/**
+ * Checks the visitor's notifications consent choice
+ * @returns {boolean} True if consent was granted
+ */
+function hasPushConsent() {
+  return hasCategoryConsent(CONSENT_CATEGORIES.NOTIFICATIONS);
+}
+
+/**
+ * Converts a base64url string to bytes
+ * @param {string} value - Base64url string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64UrlToBytes(value) {
+  const padded = `${value}${'='.repeat((4 - (value.length % 4)) % 4)}`;
+  const binary = atob(padded.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Compares a subscription's server key with a key from the push server
+ * @param {PushSubscription} subscription - Existing subscription
+ * @param {Uint8Array} key - Current application server key
+ * @returns {boolean} True if the subscription was made with this key
+ */
+function isSameServerKey(subscription, key) {
+  const current = subscription.options && subscription.options.applicationServerKey;
+  if (!current) return true; // Browser does not expose it; assume unchanged
+
+  const bytes = new Uint8Array(current);
+  return bytes.length === key.length && bytes.every((byte, index) => byte === key[index]);
+}
+
+/**
+ * Sends a JSON request to the push server
+ * @param {string} path - Path under CONFIG.API_BASE
+ * @param {Object} [options] - { method, body }
+ * @returns {Promise<Object|null>} Parsed response body ({} when empty)
+ * @throws {Error} On network failure, timeout or a non-2xx response
+ */
+async function requestPushApi(path, { method = 'GET', body } = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), CONFIG.TIMEOUT);
+
+  try {
+    const response = await fetch(`${CONFIG.API_BASE}${path}`, {
+      method,
+      headers: body
+        ? { 'Content-Type': 'application/json', Accept: 'application/json' }
+        : { Accept: 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : {};
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// ============================================================================
+// PREFERENCES
+// ============================================================================
+
+/**
+ * Reads the visitor's notification choices, dropping reminders for events
+ * that have already started
+ * @returns {Object} { categories: Array<string>, reminders: Array<Object> }
+ */
+function loadPreferences() {
+  let stored = null;
+
+  try {
+    stored = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEY) || 'null');
+  } catch (error) {
+    log('error', 'Failed to read push preferences', { error: error.message });
+  }
+
+  const now = Date.now();
+  const categories = stored && Array.isArray(stored.categories) ? stored.categories : [];
+  const reminders = stored && Array.isArray(stored.reminders) ? stored.reminders : [];
+
+  return {
+    categories: categories.filter((category) => PUSH_CATEGORIES.includes(category)),
+    reminders: reminders.filter((reminder) => reminder && Date.parse(reminder.startsAt) > now),
+  };
+}
+
+/**
+ * Writes the visitor's notification choices
+ * @param {Object} preferences - { categories, reminders }
+ * @returns {boolean} Success status
+ */
+function savePreferences(preferences) {
+  try {
+    localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(preferences));
+    return true;
+  } catch (error) {
+    log('error', 'Failed to save push preferences', { error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Checks whether the visitor wants any notification at all
+ * @param {Object} preferences - { categories, reminders }
+ * @returns {boolean} True if a category or reminder is selected
+ */
+function wantsNotifications(preferences) {
+  return preferences.categories.length > 0 || preferences.reminders.length > 0;
+}
+
+// ============================================================================
+// SUBSCRIPTION
+// ============================================================================
+
+/**
+ * Gets the current push subscription without prompting
+ * @returns {Promise<PushSubscription|null>} Subscription, or null if none
+ */
+async function getSubscription() {
+  if (!isPushSupported()) return null;
+
+  try {
+    const registration = await getExistingRegistration();
+    return registration ? await registration.pushManager.getSubscription() : null;
+  } catch (error) {
+    log('warn', 'Unable to read push subscription', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Subscribes the browser, replacing a subscription made with an old server key
+ * @returns {Promise<PushSubscription>} Subscription
+ * @throws {Error} If permission is refused or the push server is unreachable
+ */
+async function subscribe() {
+  const registration = await getRegistration();
+  const { publicKey } = await requestPushApi('/vapid-public-key');
+
+  if (!publicKey) {
+    throw new Error('Push server did not return a public key');
+  }
+
+  const serverKey = base64UrlToBytes(publicKey);
+  const existing = await registration.pushManager.getSubscription();
+
+  if (existing && isSameServerKey(existing, serverKey)) {
+    return existing;
+  }
+  if (existing) {
+    await existing.unsubscribe();
+    log('info', 'Replaced subscription made with an old server key');
+  }
+
+  return registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: serverKey,
+  });
+}
+
+/**
+ * Removes the push subscription from the browser and the push server
+ * @returns {Promise<boolean>} True if a subscription was removed
+ */
+async function unsubscribe() {
+  const subscription = await getSubscription();
+  if (!subscription) return false;
+
+  try {
+    await requestPushApi('/subscriptions', {
+      method: 'DELETE',
+      body: { endpoint: subscription.endpoint },
+    });
+  } catch (error) {
+    // The push service drops the endpoint once the browser unsubscribes
+    log('warn', 'Push server did not confirm unsubscribe', { error: error.message });
+  }
+
+  await subscription.unsubscribe();
+  log('info', 'Push subscription removed');
+  return true;
+}
+
+/**
+ * Brings the browser subscription and the push server in line with the
+ * stored preferences: subscribes when something is selected, unsubscribes
+ * when nothing is. Never throws.
+ * @returns {Promise<Object>} { status: PUSH_STATUS value, preferences }
+ */
+async function syncSubscription() {
+  const preferences = loadPreferences();
+
+  if (!isPushSupported()) {
+    return { status: PUSH_STATUS.UNSUPPORTED, preferences };
+  }
+
+  if (!hasPushConsent() || !wantsNotifications(preferences)) {
+    await unsubscribe().catch((error) => {
+      log('warn', 'Unsubscribe failed', { error: error.message });
+    });
+    return {
+      status: hasPushConsent() ? PUSH_STATUS.UNSUBSCRIBED : PUSH_STATUS.NO_CONSENT,
+      preferences,
+    };
+  }
+
+  if (Notification.permission === 'denied') {
+    return { status: PUSH_STATUS.BLOCKED, preferences };
+  }
+
+  try {
+    const subscription = await subscribe();
+    await requestPushApi('/subscriptions', {
+      method: 'PUT',
+      body: {
+        subscription: subscription.toJSON(),
+        categories: preferences.categories,
+        reminders: preferences.reminders,
+      },
+    });
+
+    log('info', 'Push subscription synced', {
+      categories: preferences.categories,
+      reminders: preferences.reminders.length,
+    });
+    return { status: PUSH_STATUS.SUBSCRIBED, preferences };
+  } catch (error) {
+    log('error', 'Push subscription failed', { error: error.message });
+    return {
+      status: Notification.permission === 'denied' ? PUSH_STATUS.BLOCKED : PUSH_STATUS.FAILED,
+      preferences,
+    };
+  }
+}
+
+/**
+ * Runs syncSubscription, waiting for any sync already in flight first so
+ * quick successive changes reach the server in order
+ * @returns {Promise<Object>} { status, preferences }
+ */
+function queueSync() {
+  const previous = state.syncing || Promise.resolve();
+  state.syncing = previous.then(syncSubscription, syncSubscription);
+  return state.syncing;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Gets the current notification state without prompting
+ * @returns {Promise<Object>} { status, preferences }
+ */
+async function getPushState() {
+  const preferences = loadPreferences();
+
+  if (!isPushSupported()) {
+    return { status: PUSH_STATUS.UNSUPPORTED, preferences };
+  }
+  if (!hasPushConsent()) {
+    return { status: PUSH_STATUS.NO_CONSENT, preferences };
+  }
+  if (Notification.permission === 'denied') {
+    return { status: PUSH_STATUS.BLOCKED, preferences };
+  }
+
+  const subscription = await getSubscription();
+  return {
+    status: subscription && wantsNotifications(preferences)
+      ? PUSH_STATUS.SUBSCRIBED
+      : PUSH_STATUS.UNSUBSCRIBED,
+    preferences,
+  };
+}
+
+/**
+ * Applies a change to the preferences and syncs it. Nothing is stored without
+ * consent, and a change the browser or server refused is rolled back.
+ * @param {Function} update - Receives a copy of the preferences, returns the new ones
+ * @returns {Promise<Object>} { status, preferences }
+ */
+async function updatePreferences(update) {
+  const previous = loadPreferences();
+
+  if (!isPushSupported()) {
+    return { status: PUSH_STATUS.UNSUPPORTED, preferences: previous };
+  }
+  if (!hasPushConsent()) {
+    return { status: PUSH_STATUS.NO_CONSENT, preferences: previous };
+  }
+
+  savePreferences(update({
+    categories: [...previous.categories],
+    reminders: [...previous.reminders],
+  }));
+
+  const result = await queueSync();
+
+  if (result.status === PUSH_STATUS.BLOCKED || result.status === PUSH_STATUS.FAILED) {
+    savePreferences(previous);
+    return { status: result.status, preferences: previous };
+  }
+
+  return result;
+}
+
+/**
+ * Sets the announcement categories the visitor follows. Call from a user
+ * gesture: the first opt-in asks for notification permission.
+ * @param {Array<string>} categories - Values from PUSH_CATEGORIES
+ * @returns {Promise<Object>} { status, preferences }
+ */
+function setCategories(categories) {
+  return updatePreferences((preferences) => ({
+    ...preferences,
+    categories: PUSH_CATEGORIES.filter((category) => categories.includes(category)),
+  }));
+}
+
+/**
+ * Asks for a notification before an event starts. Call from a user gesture.
+ * @param {Object} event - { id, title, url (deep link), startsAt (Date or ISO string) }
+ * @returns {Promise<Object>} { status, preferences }
+ */
+function addReminder(event) {
+  const startsAt = new Date(event.startsAt);
+  const remindAt = startsAt.getTime() - CONFIG.REMINDER_LEAD_MINUTES * 60 * 1000;
+
+  return updatePreferences((preferences) => ({
+    ...preferences,
+    reminders: [
+      ...preferences.reminders.filter((reminder) => reminder.eventId !== event.id),
+      {
+        eventId: event.id,
+        title: event.title,
+        url: event.url,
+        startsAt: startsAt.toISOString(),
+        remindAt: new Date(Math.max(Date.now(), remindAt)).toISOString(),
+      },
+    ],
+  }));
+}
+
+/**
+ * Cancels an event reminder
+ * @param {string} eventId - Event ID passed to addReminder
+ * @returns {Promise<Object>} { status, preferences }
+ */
+function removeReminder(eventId) {
+  return updatePreferences((preferences) => ({
+    ...preferences,
+    reminders: preferences.reminders.filter((reminder) => reminder.eventId !== eventId),
+  }));
+}
+
+/**
+ * Checks whether a reminder is set for an event
+ * @param {string} eventId - Event ID
+ * @returns {boolean} True if a reminder is set
+ */
+function hasReminder(eventId) {
+  return loadPreferences().reminders.some((reminder) => reminder.eventId === eventId);
+}
+
+// ============================================================================
+// CONSENT
+// ============================================================================
+
+/**
+ * Drops the subscription if consent has been withdrawn. Preferences stay so
+ * the visitor's choices return if they grant consent again.
+ */
+function removeWithoutConsent() {
+  if (hasPushConsent()) return;
+
+  getSubscription().then((subscription) => {
+    if (subscription) {
+      log('info', 'Consent withdrawn, removing push subscription');
+      queueSync();
+    }
+  });
+}
+
+/**
+ * Follows a consent change: removes the subscription when consent is
+ * withdrawn, and restores it when consent returns and the visitor had
+ * already allowed notifications (no permission prompt outside a gesture)
+ */
+function handleConsentChange() {
+  if (!hasPushConsent()) {
+    removeWithoutConsent();
+    return;
+  }
+
+  if (wantsNotifications(loadPreferences()) && Notification.permission === 'granted') {
+    queueSync();
+  }
+}
+
+/**
+ * Starts following consent changes, including those made in other tabs
+ * (re-dispatched by utils/consent.js). Safe to call more than once.
+ */
+function initPushNotifications() {
+  if (state.initialized || !isPushSupported()) return;
+
+  window.addEventListener(CONSENT_EVENT, handleConsentChange);
+  state.initialized = true;
+
+  // Consent may have been withdrawn while no page was open
+  removeWithoutConsent();
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  initPushNotifications,
+  isPushSupported,
+  hasPushConsent,
+  getPushState,
+  setCategories,
+  addReminder,
+  removeReminder,
+  hasReminder,
+  unsubscribe,
+  PUSH_CATEGORIES,
+  PUSH_STATUS,
+  CONSENT_EVENT,
+};
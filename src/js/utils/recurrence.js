@@ -0,0 +1,447 @@
+/**
+ * Event Recurrence Utilities
+ *
+ * Expands recurring event series from events.json into individual occurrences
+ * and converts recurrence rules to RFC 5545 RRULE/EXDATE values. Supports:
+ * - Weekly recurrence on one or more weekdays
+ * - Monthly recurrence by weekday position (e.g. first Saturday, last Sunday)
+ * - Monthly recurrence by day of month
+ * - Intervals, end dates (until), occurrence counts and exception dates
+ *
+ * Dates are handled as calendar dates (YYYY-MM-DD) so expansion is not
+ * affected by the visitor's timezone.
+ *
+ * @module recurrence
+ * @generated-from: task-id:user-003
+ * @modifies: none (new file)
+ * @dependencies: none
+ */
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const CONFIG = Object.freeze({
+  MAX_OCCURRENCES: 500, // Safety limit per series within the requested range
+  MS_PER_DAY: 86400000,
+  LAST_WEEK_START: 28, // Days after this are always the last of their weekday
+});
+
+const FREQUENCIES = Object.freeze({
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+});
+
+const WEEKDAY_CODES = Object.freeze(['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']);
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Logs structured messages with context
+ * @param {string} level - Log level (info, warn, error)
+ * @param {string} message - Log message
+ * @param {Object} context - Additional context data
+ */
+function log(level, message, context = {}) {
+  const logMethod = console[level] || console.log;
+  logMethod('[GFC Recurrence]', message, context);
+}
+
+/**
+ * Pads a number with leading zeros
+ * @param {number} num - Number to pad
+ * @returns {string} Padded string
+ */
+function padZero(num) {
+  return String(num).padStart(2, '0');
+}
+
+/**
+ * Converts a date key or Date to a UTC-midnight Date for calendar arithmetic
+ * @param {string|Date} input - Date key (YYYY-MM-DD) or Date
+ * @returns {Date|null} UTC-midnight Date or null if invalid
+ */
+function toCalendarDate(input) {
+  if (input instanceof Date) {
+    if (isNaN(input.getTime())) {
+      return null;
+    }
+    return new Date(Date.UTC(input.getFullYear(), input.getMonth(), input.getDate()));
+  }
+
+  if (typeof input === 'string' && DATE_KEY_PATTERN.test(input)) {
+    const [year, month, day] = input.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+
+  return null;
+}
+
+/**
+ * Formats a UTC-midnight calendar date as a date key
+ * @param {Date} date - Calendar date
+ * @returns {string} Date key (YYYY-MM-DD)
+ */
+function toDateKey(date) {
+  return `${date.getUTCFullYear()}-${padZero(date.getUTCMonth() + 1)}-${padZero(date.getUTCDate())}`;
+}
+
+/**
+ * Adds days to a calendar date
+ * @param {Date} date - Calendar date
+ * @param {number} days - Number of days to add
+ * @returns {Date} New calendar date
+ */
+function addCalendarDays(date, days) {
+  return new Date(date.getTime() + days * CONFIG.MS_PER_DAY);
+}
+
+/**
+ * Resolves weekday codes (SU..SA) to day indexes (0..6)
+ * @param {Array<string>} codes - Weekday codes
+ * @returns {Array<number>} Sorted day indexes
+ */
+function resolveWeekdays(codes) {
+  return codes
+    .map((code) => WEEKDAY_CODES.indexOf(String(code).toUpperCase()))
+    .filter((index) => index >= 0)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Finds the nth weekday of a month
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @param {number} weekday - Day index (0-6)
+ * @param {number} position - 1-5 from the start, or -1 to -5 from the end
+ * @returns {Date|null} Calendar date or null if the month has no such day
+ */
+function nthWeekdayOfMonth(year, month, weekday, position) {
+  if (position > 0) {
+    const first = new Date(Date.UTC(year, month, 1));
+    const offset = (weekday - first.getUTCDay() + 7) % 7;
+    const date = addCalendarDays(first, offset + (position - 1) * 7);
+    return date.getUTCMonth() === month ? date : null;
+  }
+
+  const last = new Date(Date.UTC(year, month + 1, 0));
+  const offset = (last.getUTCDay() - weekday + 7) % 7;
+  const date = addCalendarDays(last, -(offset + (-position - 1) * 7));
+  return date.getUTCMonth() === month ? date : null;
+}
+
+// ============================================================================
+// RULE NORMALIZATION
+// ============================================================================
+
+/**
+ * Checks whether an event defines a recurrence rule
+ * @param {Object} event - Event object
+ * @returns {boolean} True if event recurs
+ */
+function isRecurring(event) {
+  return Boolean(
+    event &&
+    event.recurrence &&
+    Object.values(FREQUENCIES).includes(event.recurrence.frequency)
+  );
+}
+
+/**
+ * Normalizes a recurrence rule with defaults derived from the series start
+ * @param {Object} recurrence - Raw recurrence rule from events.json
+ * @param {Date} start - Series start calendar date
+ * @returns {Object} Normalized rule
+ */
+function normalizeRule(recurrence, start) {
+  const hasByDay = Array.isArray(recurrence.byDay) && recurrence.byDay.length > 0;
+  const byDay = hasByDay ? resolveWeekdays(recurrence.byDay) : [start.getUTCDay()];
+  const isMonthly = recurrence.frequency === FREQUENCIES.MONTHLY;
+
+  return {
+    frequency: recurrence.frequency,
+    interval: Math.max(1, parseInt(recurrence.interval, 10) || 1),
+    byDay: isMonthly && !hasByDay ? [] : byDay,
+    bySetPos: isMonthly && hasByDay ? getMonthlyPosition(recurrence, start) : null,
+    until: recurrence.until ? toCalendarDate(recurrence.until) : null,
+    count: recurrence.count ? parseInt(recurrence.count, 10) : null,
+    exceptions: new Set(Array.isArray(recurrence.exceptions) ? recurrence.exceptions : []),
+  };
+}
+
+// ============================================================================
+// OCCURRENCE GENERATION
+// ============================================================================
+
+/**
+ * Gets the weekday position of a monthly byDay rule: bySetPos, or when it is
+ * missing the position of the start date in its month (the 9th is the 2nd
+ * Saturday, so the series repeats on the 2nd Saturday). A start after the
+ * 28th is the last such weekday of its month; few months have a 5th one, so
+ * the series repeats on the last instead.
+ * @param {Object} recurrence - Recurrence rule from events.json
+ * @param {Date} start - Series start calendar date
+ * @returns {number} Position (1-4, or -1 for the last)
+ */
+function getMonthlyPosition(recurrence, start) {
+  const position = parseInt(recurrence.bySetPos, 10);
+  if (position) {
+    return position;
+  }
+
+  return start.getUTCDate() > CONFIG.LAST_WEEK_START ? -1 : Math.ceil(start.getUTCDate() / 7);
+}
+
+/**
+ * Collects a series date if it falls in the range and COUNT allows it
+ * @param {Object} series - Generation state { index, dates, done }
+ * @param {Date} date - Candidate date, on or after the series start
+ * @param {Object} rule - Normalized rule
+ * @param {Date} from - First calendar date of the range
+ */
+function collectDate(series, date, rule, from) {
+  series.index += 1;
+
+  if (rule.count && series.index > rule.count) {
+    series.done = true;
+    return;
+  }
+
+  if (date >= from) {
+    series.dates.push(date);
+    series.done = series.dates.length >= CONFIG.MAX_OCCURRENCES;
+  }
+}
+
+/**
+ * Generates weekly occurrence dates within a range, in chronological order.
+ * Skips whole periods before the range, counting their dates for COUNT.
+ * @param {Date} start - Series start calendar date
+ * @param {Object} rule - Normalized rule
+ * @param {Date} from - First calendar date of the range
+ * @param {Date} limit - Last calendar date to generate
+ * @returns {Array<Date>} Occurrence dates
+ */
+function generateWeekly(start, rule, from, limit) {
+  const series = { index: 0, dates: [], done: false };
+  const periodDays = 7 * rule.interval;
+  const firstWeek = addCalendarDays(start, -start.getUTCDay());
+  const skipped = Math.max(0, Math.floor((from - firstWeek) / (periodDays * CONFIG.MS_PER_DAY)));
+
+  if (skipped > 0) {
+    const inFirstWeek = rule.byDay.filter((weekday) => addCalendarDays(firstWeek, weekday) >= start).length;
+    series.index = inFirstWeek + (skipped - 1) * rule.byDay.length;
+  }
+
+  for (
+    let week = addCalendarDays(firstWeek, skipped * periodDays);
+    week <= limit && !series.done;
+    week = addCalendarDays(week, periodDays)
+  ) {
+    for (const weekday of rule.byDay) {
+      const date = addCalendarDays(week, weekday);
+      if (date > limit || series.done) {
+        break;
+      }
+      if (date >= start) {
+        collectDate(series, date, rule, from);
+      }
+    }
+  }
+
+  return series.dates;
+}
+
+/**
+ * Lists the dates of one month of a monthly series
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @param {Date} start - Series start calendar date
+ * @param {Object} rule - Normalized rule
+ * @returns {Array<Date>} Dates in chronological order
+ */
+function getMonthDates(year, month, start, rule) {
+  if (rule.byDay.length > 0) {
+    return rule.byDay
+      .map((weekday) => nthWeekdayOfMonth(year, month, weekday, rule.bySetPos))
+      .filter(Boolean)
+      .sort((a, b) => a - b);
+  }
+
+  const date = new Date(Date.UTC(year, month, start.getUTCDate()));
+  // Skip months that do not have this day (e.g. the 31st)
+  return date.getUTCMonth() === month ? [date] : [];
+}
+
+/**
+ * Generates monthly occurrence dates within a range, in chronological order.
+ * Without COUNT it jumps straight to the first period of the range; with
+ * COUNT it steps through earlier periods to count their dates.
+ * @param {Date} start - Series start calendar date
+ * @param {Object} rule - Normalized rule
+ * @param {Date} from - First calendar date of the range
+ * @param {Date} limit - Last calendar date to generate
+ * @returns {Array<Date>} Occurrence dates
+ */
+function generateMonthly(start, rule, from, limit) {
+  const series = { index: 0, dates: [], done: false };
+  const startMonth = start.getUTCFullYear() * 12 + start.getUTCMonth();
+  const fromMonth = from.getUTCFullYear() * 12 + from.getUTCMonth();
+  let period = 0;
+
+  if (!rule.count && fromMonth > startMonth) {
+    period = Math.floor((fromMonth - startMonth) / rule.interval);
+  }
+
+  for (; !series.done; period += 1) {
+    const monthIndex = startMonth + period * rule.interval;
+    const year = Math.floor(monthIndex / 12);
+    const month = monthIndex % 12;
+
+    if (new Date(Date.UTC(year, month, 1)) > limit) {
+      break;
+    }
+
+    for (const date of getMonthDates(year, month, start, rule)) {
+      if (date > limit || series.done) {
+        break;
+      }
+      if (date >= start) {
+        collectDate(series, date, rule, from);
+      }
+    }
+  }
+
+  return series.dates;
+}
+
+/**
+ * Lists the occurrence dates of a recurring event within a range
+ * @param {Object} event - Event with date (YYYY-MM-DD) and recurrence rule
+ * @param {string|Date} rangeStart - First date of the range (inclusive)
+ * @param {string|Date} rangeEnd - Last date of the range (inclusive)
+ * @returns {Array<string>} Occurrence date keys (YYYY-MM-DD)
+ */
+function getOccurrenceDates(event, rangeStart, rangeEnd) {
+  const start = toCalendarDate(event.date);
+  const from = toCalendarDate(rangeStart);
+  const to = toCalendarDate(rangeEnd);
+
+  if (!start || !from || !to) {
+    log('warn', 'Invalid date for recurrence expansion', { eventId: event.id });
+    return [];
+  }
+
+  const rule = normalizeRule(event.recurrence, start);
+  let limit = to;
+  if (rule.until && rule.until < limit) {
+    limit = rule.until;
+  }
+
+  // COUNT is applied before exceptions (RFC 5545), so excepted dates still count
+  const dates = rule.frequency === FREQUENCIES.WEEKLY
+    ? generateWeekly(start, rule, from, limit)
+    : generateMonthly(start, rule, from, limit);
+
+  return dates
+    .map(toDateKey)
+    .filter((key) => !rule.exceptions.has(key));
+}
+
+/**
+ * Expands events into individual occurrences within a date range.
+ * Non-recurring events are returned unchanged; each occurrence of a series
+ * keeps the series id and gains `seriesId` and `occurrenceId`.
+ * @param {Array<Object>} events - Events with date strings (YYYY-MM-DD)
+ * @param {string|Date} rangeStart - First date of the range (inclusive)
+ * @param {string|Date} rangeEnd - Last date of the range (inclusive)
+ * @returns {Array<Object>} Events and occurrences
+ */
+function expandEvents(events, rangeStart, rangeEnd) {
+  const expanded = [];
+
+  events.forEach((event) => {
+    if (!isRecurring(event)) {
+      expanded.push(event);
+      return;
+    }
+
+    getOccurrenceDates(event, rangeStart, rangeEnd).forEach((dateKey) => {
+      expanded.push({
+        ...event,
+        date: dateKey,
+        seriesId: event.id,
+        seriesStart: event.date,
+        occurrenceId: `${event.id}@${dateKey}`,
+      });
+    });
+  });
+
+  return expanded;
+}
+
+// ============================================================================
+// ICALENDAR CONVERSION
+// ============================================================================
+
+/**
+ * Converts a recurrence rule to an RFC 5545 RRULE value. Monthly weekday
+ * rules always carry a position (e.g. BYDAY=2SA), taken from the series start
+ * when bySetPos is missing, so calendars repeat on the same dates as the page.
+ * @param {Object} recurrence - Recurrence rule from events.json
+ * @param {string} [untilUTC] - UNTIL value already formatted as UTC date-time
+ * @param {string|Date} [seriesStart] - Series start date (YYYY-MM-DD); needed
+ *   for monthly byDay rules without bySetPos
+ * @returns {string} RRULE value (without the "RRULE:" prefix)
+ */
+function toRRule(recurrence, untilUTC = null, seriesStart = null) {
+  const parts = [`FREQ=${recurrence.frequency.toUpperCase()}`];
+  const interval = parseInt(recurrence.interval, 10);
+
+  if (interval > 1) {
+    parts.push(`INTERVAL=${interval}`);
+  }
+
+  if (Array.isArray(recurrence.byDay) && recurrence.byDay.length > 0) {
+    const start = toCalendarDate(seriesStart);
+    let prefix = '';
+
+    if (recurrence.frequency === FREQUENCIES.MONTHLY) {
+      if (recurrence.bySetPos || start) {
+        prefix = String(getMonthlyPosition(recurrence, start));
+      } else {
+        log('warn', 'Monthly byDay rule without bySetPos or start date', { recurrence });
+      }
+    }
+
+    const days = recurrence.byDay.map((code) => `${prefix}${String(code).toUpperCase()}`);
+    parts.push(`BYDAY=${days.join(',')}`);
+  }
+
+  if (recurrence.count) {
+    parts.push(`COUNT=${parseInt(recurrence.count, 10)}`);
+  } else if (untilUTC) {
+    parts.push(`UNTIL=${untilUTC}`);
+  }
+
+  return parts.join(';');
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  isRecurring,
+  expandEvents,
+  getOccurrenceDates,
+  toRRule,
+  toDateKey,
+  toCalendarDate,
+  FREQUENCIES,
+  WEEKDAY_CODES,
+};
@@ -0,0 +1,78 @@
+/**
+ * Request Body Encoding
+ *
+ * Turns form data into a request body, JSON or form-encoded. Submissions sent
+ * straight away (form-submission.js) and those replayed from the offline
+ * queue (offline.js) use the same encoder, so a queued form reaches the server
+ * exactly as it would have online: arrays become repeated fields and empty
+ * (null or undefined) values are left out. The service worker cannot import
+ * modules and keeps its own copy in sw.js (encodeQueuedBody).
+ *
+ * @module request-encoding
+ * @generated-from: task-id:user-001
+ * @modifies: none (new file)
+ * @dependencies: none
+ */
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const ENCODINGS = Object.freeze({
+  JSON: 'json',
+  FORM: 'form',
+});
+
+const DEFAULT_ENCODING = ENCODINGS.JSON;
+
+const CONTENT_TYPES = Object.freeze({
+  [ENCODINGS.JSON]: 'application/json',
+  [ENCODINGS.FORM]: 'application/x-www-form-urlencoded',
+});
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Resolves a supported encoding, falling back to the default
+ * @param {string} encoding - Requested encoding
+ * @returns {string} Supported encoding
+ */
+function resolveEncoding(encoding) {
+  return Object.values(ENCODINGS).includes(encoding) ? encoding : DEFAULT_ENCODING;
+}
+
+/**
+ * Encodes a plain data object as a request body
+ * @param {Object} data - Data to encode
+ * @param {string} encoding - Encoding ('json' or 'form')
+ * @returns {string} Encoded request body
+ */
+function encodeBody(data, encoding = DEFAULT_ENCODING) {
+  if (resolveEncoding(encoding) === ENCODINGS.FORM) {
+    const params = new URLSearchParams();
+    Object.entries(data || {}).forEach(([key, value]) => {
+      if (Array.isArray(value)) {
+        value.forEach((item) => params.append(key, item));
+      } else if (value !== undefined && value !== null) {
+        params.append(key, value);
+      }
+    });
+    return params.toString();
+  }
+
+  return JSON.stringify(data || {});
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  encodeBody,
+  resolveEncoding,
+  ENCODINGS,
+  DEFAULT_ENCODING,
+  CONTENT_TYPES,
+};
@@ -0,0 +1,223 @@
+/**
+ * Saved Data Utilities
+ *
+ * Keeps the last good copy of data files (ministry pages, events) in
+ * IndexedDB so pages can still render them without a connection, and shows
+ * a "Showing saved data from ..." banner while they do.
+ *
+ * Loaders save each successful response with saveData(), fall back to
+ * loadSavedData() when offline or when the request fails, and refresh once
+ * onReconnect() reports the connection is back.
+ *
+ * @module saved-data
+ * @generated-from: task-id:user-023
+ * @modifies: none (new file)
+ * @dependencies: [idb, date-utils]
+ */
+
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import { openDatabase, getRecord, putRecord } from './idb.js';
+import { formatRelativeTime } from './date-utils.js';
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const CONFIG = Object.freeze({
+  DB_NAME: 'gfc-saved-data',
+  DB_VERSION: 1,
+  STORE: 'responses',
+  RELATIVE_TIME_REFRESH: 60000, // Keep "5 minutes ago" current
+});
+
+const CLASSES = Object.freeze({
+  BANNER: 'saved-data-banner',
+  BANNER_TEXT: 'saved-data-banner__text',
+});
+
+// Dispatched by utils/offline.js when the connection state changes
+const OFFLINE_STATE_EVENT = 'offlineStateChange';
+
+// ============================================================================
+// STATE MANAGEMENT
+// ============================================================================
+
+const state = {
+  banners: new Map(), // anchor element -> { element, savedAt }
+  refreshTimer: null,
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Logs structured messages with context
+ * @param {string} level - Log level (info, warn, error)
+ * @param {string} message - Log message
+ * @param {Object} context - Additional context data
+ */
+function log(level, message, context = {}) {
+  const logMethod = console[level] || console.log;
+  logMethod('[GFC SavedData]', message, context);
+}
+
+/**
+ * Creates the saved data store
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {number} oldVersion - Version before the upgrade
+ */
+function upgradeDatabase(db, oldVersion) {
+  if (oldVersion < 1) {
+    db.createObjectStore(CONFIG.STORE, { keyPath: 'key' });
+  }
+}
+
+/**
+ * Opens the saved data database
+ * @returns {Promise<IDBDatabase|null>} Database, or null if unavailable
+ */
+function openSavedDataDatabase() {
+  return openDatabase(CONFIG.DB_NAME, CONFIG.DB_VERSION, upgradeDatabase);
+}
+
+/**
+ * Builds the banner message
+ * @param {number} savedAt - When the data was saved
+ * @returns {string} Message
+ */
+function getBannerMessage(savedAt) {
+  return `Showing saved data from ${formatRelativeTime(savedAt, Date.now())}`;
+}
+
+/**
+ * Updates the relative times of the banners on the page
+ */
+function refreshBanners() {
+  state.banners.forEach(({ element, savedAt }) => {
+    element.querySelector(`.${CLASSES.BANNER_TEXT}`).textContent = getBannerMessage(savedAt);
+  });
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Saves the last good copy of some data
+ * @param {string} key - Data key, e.g. the URL it came from
+ * @param {*} data - Data to save (must be structured-cloneable)
+ * @returns {Promise<boolean>} True once saved
+ */
+async function saveData(key, data) {
+  const db = await openSavedDataDatabase();
+  const saved = await putRecord(db, CONFIG.STORE, { key, data, savedAt: Date.now() });
+
+  if (!saved) {
+    log('warn', 'Failed to save data for offline use', { key });
+  }
+  return saved;
+}
+
+/**
+ * Reads the saved copy of some data
+ * @param {string} key - Data key
+ * @returns {Promise<Object|null>} { data, savedAt }, or null if nothing is saved
+ */
+async function loadSavedData(key) {
+  const db = await openSavedDataDatabase();
+  const record = await getRecord(db, CONFIG.STORE, key);
+
+  return record ? { data: record.data, savedAt: record.savedAt } : null;
+}
+
+// ============================================================================
+// BANNER
+// ============================================================================
+
+/**
+ * Shows (or updates) the saved data banner at the start of a container
+ * @param {Element} container - Element the banner is placed in
+ * @param {number} savedAt - When the data shown was saved
+ */
+function showSavedDataBanner(container, savedAt) {
+  if (!container) {
+    return;
+  }
+
+  let banner = state.banners.get(container);
+
+  if (!banner) {
+    const element = document.createElement('div');
+    element.className = CLASSES.BANNER;
+    element.setAttribute('role', 'status');
+
+    const text = document.createElement('p');
+    text.className = CLASSES.BANNER_TEXT;
+    element.appendChild(text);
+
+    container.prepend(element);
+    banner = { element, savedAt };
+    state.banners.set(container, banner);
+  }
+
+  banner.savedAt = savedAt;
+  refreshBanners();
+
+  if (!state.refreshTimer) {
+    state.refreshTimer = setInterval(refreshBanners, CONFIG.RELATIVE_TIME_REFRESH);
+  }
+}
+
+/**
+ * Removes the saved data banner from a container
+ * @param {Element} container - Element the banner was placed in
+ */
+function hideSavedDataBanner(container) {
+  const banner = state.banners.get(container);
+
+  if (banner) {
+    banner.element.remove();
+    state.banners.delete(container);
+  }
+
+  if (state.banners.size === 0 && state.refreshTimer) {
+    clearInterval(state.refreshTimer);
+    state.refreshTimer = null;
+  }
+}
+
+// ============================================================================
+// RECONNECTION
+// ============================================================================
+
+/**
+ * Calls back each time the connection comes back
+ * @param {Function} callback - Called with no arguments
+ * @returns {Function} Removes the listener
+ */
+function onReconnect(callback) {
+  const handler = (event) => {
+    if (event.detail && event.detail.isOffline === false) {
+      callback();
+    }
+  };
+
+  window.addEventListener(OFFLINE_STATE_EVENT, handler);
+  return () => window.removeEventListener(OFFLINE_STATE_EVENT, handler);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  saveData,
+  loadSavedData,
+  showSavedDataBanner,
+  hideSavedDataBanner,
+  onReconnect,
+};
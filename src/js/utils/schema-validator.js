@@ -0,0 +1,250 @@
+/**
+ * JSON Schema Validator
+ *
+ * Validates data against the subset of JSON Schema (draft 2020-12) used by the
+ * schemas in src/data/schemas:
+ * - type (single or list), enum, const
+ * - required, properties, additionalProperties (false or a schema)
+ * - items, minItems
+ * - minLength, pattern, minimum
+ * - local $ref (#/$defs/...)
+ *
+ * Annotation keywords ($schema, $id, title, description) are ignored. Every
+ * error carries the path of the offending value (e.g. `leadership[2].email`)
+ * so a broken data file can be fixed without guessing.
+ *
+ * @module schema-validator
+ * @generated-from: task-id:user-011
+ * @modifies: none (new file)
+ * @dependencies: none
+ */
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const CONFIG = Object.freeze({
+  ROOT_PATH: '(root)',
+  MAX_ERRORS: 100, // Stop collecting after this many
+});
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Logs structured messages with context
+ * @param {string} level - Log level (info, warn, error)
+ * @param {string} message - Log message
+ * @param {Object} context - Additional context data
+ */
+function log(level, message, context = {}) {
+  const logMethod = console[level] || console.log;
+  logMethod('[GFC Schema]', message, context);
+}
+
+/**
+ * Returns the JSON Schema type of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} One of null, array, integer, number, string, boolean, object
+ */
+function getType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Checks a value against a schema type ("number" also accepts integers)
+ * @param {*} value - Value to check
+ * @param {string} type - Schema type
+ * @returns {boolean} Whether the value has the type
+ */
+function matchesType(value, type) {
+  const actual = getType(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Appends a property name or array index to a path
+ * @param {string} path - Parent path
+ * @param {string|number} key - Property name or index
+ * @returns {string} Child path
+ */
+function joinPath(path, key) {
+  let segment;
+  if (typeof key === 'number') {
+    segment = `[${key}]`;
+  } else if (IDENTIFIER_PATTERN.test(key)) {
+    segment = `.${key}`;
+  } else {
+    segment = `[${JSON.stringify(key)}]`;
+  }
+
+  return path === CONFIG.ROOT_PATH ? segment.replace(/^\./, '') : `${path}${segment}`;
+}
+
+/**
+ * Resolves a local $ref such as "#/$defs/leader"
+ * @param {Object} root - Root schema
+ * @param {string} ref - Reference
+ * @returns {Object|null} Referenced schema, or null if it cannot be resolved
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#')) {
+    log('warn', 'Only local $ref values are supported', { ref });
+    return null;
+  }
+
+  return ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .map((part) => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), root) || null;
+}
+
+/**
+ * Shortens a value for inclusion in an error message
+ * @param {*} value - Value to describe
+ * @returns {string} Short description
+ */
+function describeValue(value) {
+  const text = JSON.stringify(value);
+  if (text === undefined) return String(value);
+  return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validates one value against one schema node, collecting errors
+ * @param {*} value - Value to validate
+ * @param {Object|boolean} schema - Schema node
+ * @param {string} path - Path of the value
+ * @param {Object} context - { root, errors }
+ */
+function validateNode(value, schema, path, context) {
+  if (context.errors.length >= CONFIG.MAX_ERRORS) return;
+
+  const addError = (message) => {
+    context.errors.push({ path, message });
+  };
+
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    addError('is not allowed');
+    return;
+  }
+
+  if (schema.$ref) {
+    const target = resolveRef(context.root, schema.$ref);
+    if (!target) {
+      addError(`has an unresolvable schema reference ${schema.$ref}`);
+      return;
+    }
+    validateNode(value, target, path, context);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      addError(`must be ${types.join(' or ')}, got ${getType(value)}`);
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+    addError(`must equal ${describeValue(schema.const)}`);
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+    addError(`must be one of ${schema.enum.map(describeValue).join(', ')}, got ${describeValue(value)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      addError(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      addError(`must match ${schema.pattern}, got ${describeValue(value)}`);
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    addError(`must be at least ${schema.minimum}, got ${value}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      addError(`must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => {
+        validateNode(item, schema.items, joinPath(path, index), context);
+      });
+    }
+  }
+
+  if (getType(value) === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        context.errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = joinPath(path, key);
+
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        validateNode(child, properties[key], childPath, context);
+      } else if (schema.additionalProperties === false) {
+        context.errors.push({ path: childPath, message: 'is not an allowed property' });
+      } else if (schema.additionalProperties !== undefined) {
+        validateNode(child, schema.additionalProperties, childPath, context);
+      }
+    });
+  }
+}
+
+/**
+ * Validates data against a JSON Schema
+ * @param {*} data - Data to validate
+ * @param {Object} schema - Root schema
+ * @returns {Object} { valid, errors } where each error is { path, message }
+ */
+function validateSchema(data, schema) {
+  const context = { root: schema, errors: [] };
+
+  validateNode(data, schema, CONFIG.ROOT_PATH, context);
+
+  return {
+    valid: context.errors.length === 0,
+    errors: context.errors,
+  };
+}
+
+/**
+ * Formats validation errors as one line each, e.g. "leadership[2].email is required"
+ * @param {Array<Object>} errors - Errors from validateSchema
+ * @returns {Array<string>} Readable messages
+ */
+function formatSchemaErrors(errors) {
+  return errors.map((error) => `${error.path} ${error.message}`);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  validateSchema,
+  formatSchemaErrors,
+};
@@ -0,0 +1,315 @@
+/**
+ * Site Search Documents
+ *
+ * Turns the site's data files into search documents and packs them into the
+ * prebuilt search index format. Shared by the browser (site search dialog)
+ * and the build (build/optimize.js writes dist/search-index.json), so both
+ * index exactly the same content with the same fields and stemming rules.
+ *
+ * Documents have the shape { id, type, title, subtitle, text, url, label }.
+ * Only `text` is left out of the prebuilt payload; it is indexed but never shown.
+ *
+ * @module search-documents
+ * @generated-from: task-id:user-009
+ * @modifies: none (new file)
+ * @dependencies: [search]
+ */
+
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import { createSearchIndex, serializeSearchIndex, deserializeSearchIndex } from './search.js';
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+// Bump when the payload layout or the analyzer changes
+const SEARCH_INDEX_VERSION = 1;
+
+const EVENTS_PAGE_URL = '/events.html';
+
+const RESULT_TYPES = Object.freeze({
+  PAGE: 'page',
+  SECTION: 'section',
+  MINISTRY: 'ministry',
+  EVENT: 'event',
+  LEADER: 'leader',
+  ACTIVITY: 'activity',
+  SCHEDULE: 'schedule',
+  VOLUNTEER: 'volunteer',
+});
+
+// Display order of result groups
+const GROUP_LABELS = Object.freeze({
+  [RESULT_TYPES.PAGE]: 'Pages',
+  [RESULT_TYPES.SECTION]: 'Page Sections',
+  [RESULT_TYPES.MINISTRY]: 'Ministries',
+  [RESULT_TYPES.EVENT]: 'Events',
+  [RESULT_TYPES.LEADER]: 'Leaders',
+  [RESULT_TYPES.ACTIVITY]: 'Activities & Programs',
+  [RESULT_TYPES.SCHEDULE]: 'Schedules',
+  [RESULT_TYPES.VOLUNTEER]: 'Volunteer Opportunities',
+});
+
+// The group label is indexed so "volunteer teacher" or "leader sarah" work
+const SEARCH_FIELDS = Object.freeze({
+  title: 4,
+  subtitle: 2,
+  text: 1,
+  label: 1,
+});
+
+const SEARCH_OPTIONS = Object.freeze({
+  stem: true,
+  stopWords: true,
+});
+
+// Fields kept in the prebuilt payload for rendering results
+const PAYLOAD_FIELDS = Object.freeze(['id', 'type', 'title', 'subtitle', 'url']);
+
+// Section heading IDs on the ministry pages
+const DEFAULT_SECTION_ANCHORS = Object.freeze({
+  [RESULT_TYPES.MINISTRY]: 'intro-title',
+  [RESULT_TYPES.LEADER]: 'leadership-title',
+  [RESULT_TYPES.ACTIVITY]: 'schedule-title',
+  [RESULT_TYPES.SCHEDULE]: 'schedule-title',
+  [RESULT_TYPES.VOLUNTEER]: 'contact-title',
+});
+
+const MINISTRY_SOURCES = Object.freeze([
+  { slug: 'childrens', url: '/childrens.html' },
+  { slug: 'youth', url: '/youth.html' },
+  { slug: 'mens', url: '/mens.html' },
+  { slug: 'womens', url: '/womens.html' },
+  {
+    slug: 'outreach',
+    url: '/outreach.html',
+    anchors: {
+      [RESULT_TYPES.LEADER]: 'contact-title',
+      [RESULT_TYPES.ACTIVITY]: 'programs-title',
+      [RESULT_TYPES.SCHEDULE]: 'programs-title',
+      [RESULT_TYPES.VOLUNTEER]: 'volunteer-title',
+    },
+  },
+]);
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Joins the truthy parts of a text into one string
+ * @param {...*} parts - Text parts
+ * @returns {string} Joined text
+ */
+function joinText(...parts) {
+  return parts.flat().filter(Boolean).join(' ');
+}
+
+/**
+ * Lists regular meetings and special events of a ministry
+ * @param {Object} data - Ministry data (src/data/schemas/ministry.schema.json)
+ * @returns {Array<Object>} Schedule entries with name, when, location and description
+ */
+function getScheduleEntries(data) {
+  const schedule = data.schedule || {};
+
+  return [...(schedule.regular || []), ...(schedule.special || [])]
+    .map((item) => ({
+      name: item.name,
+      when: joinText(item.day, item.date, item.time),
+      location: item.location,
+      description: item.description,
+    }))
+    .filter((entry) => entry.name);
+}
+
+// ============================================================================
+// DOCUMENT EXTRACTION
+// ============================================================================
+
+/**
+ * Creates search documents for the pages listed in seo-meta.json.
+ * Nested groups (such as `pages.ministries`) are flattened.
+ * @param {Object} seoMeta - Parsed seo-meta.json
+ * @returns {Array<Object>} Page documents
+ */
+function extractPageDocuments(seoMeta) {
+  const documents = [];
+
+  const visit = (entries, prefix) => {
+    Object.entries(entries || {}).forEach(([key, page]) => {
+      if (!page || typeof page !== 'object') return;
+
+      if (!page.canonical) {
+        visit(page, `${prefix}${key}-`);
+        return;
+      }
+
+      documents.push({
+        id: `page:${prefix}${key}`,
+        type: RESULT_TYPES.PAGE,
+        title: String(page.title || key).split(' - ')[0],
+        subtitle: page.description,
+        text: page.keywords,
+        url: page.canonical,
+      });
+    });
+  };
+
+  visit(seoMeta && seoMeta.pages, '');
+  return documents;
+}
+
+/**
+ * Creates search documents for a ministry data file
+ * @param {Object} source - Entry from MINISTRY_SOURCES
+ * @param {Object} data - Parsed ministry JSON
+ * @returns {Array<Object>} Ministry documents
+ */
+function extractMinistryDocuments(source, data) {
+  const anchors = { ...DEFAULT_SECTION_ANCHORS, ...source.anchors };
+  const ministryName = data.name || source.slug;
+  const link = (type) => `${source.url}#${anchors[type]}`;
+  const documents = [];
+
+  const add = (type, key, fields) => {
+    documents.push({
+      id: `${type}:${source.slug}:${key}`,
+      type,
+      url: link(type),
+      ministry: ministryName,
+      ...fields,
+    });
+  };
+
+  add(RESULT_TYPES.MINISTRY, 'overview', {
+    title: ministryName,
+    subtitle: data.tagline,
+    text: joinText(data.description, data.mission),
+  });
+
+  (data.leadership || []).forEach((leader, index) => {
+    add(RESULT_TYPES.LEADER, leader.id || index, {
+      title: leader.name,
+      subtitle: joinText(leader.role, `· ${ministryName}`),
+      text: leader.bio,
+    });
+  });
+
+  (data.activities || []).forEach((activity, index) => {
+    add(RESULT_TYPES.ACTIVITY, activity.id || index, {
+      title: activity.name,
+      subtitle: joinText(ministryName, activity.schedule || activity.frequency),
+      text: joinText(activity.description, activity.ageRange, activity.location),
+    });
+  });
+
+  getScheduleEntries(data).forEach((entry, index) => {
+    add(RESULT_TYPES.SCHEDULE, index, {
+      title: entry.name,
+      subtitle: joinText(ministryName, entry.when && `· ${entry.when}`),
+      text: joinText(entry.description, entry.location),
+    });
+  });
+
+  (data.volunteerOpportunities || []).forEach((opportunity, index) => {
+    add(RESULT_TYPES.VOLUNTEER, opportunity.id || index, {
+      title: opportunity.title,
+      subtitle: joinText(ministryName, opportunity.timeCommitment),
+      text: joinText(opportunity.description, opportunity.requirements),
+    });
+  });
+
+  return documents;
+}
+
+/**
+ * Creates search documents for events; links open the event on the events page
+ * @param {Array<Object>} events - Parsed events.json
+ * @returns {Array<Object>} Event documents
+ */
+function extractEventDocuments(events) {
+  return (Array.isArray(events) ? events : []).map((event) => ({
+    id: `event:${event.id}`,
+    type: RESULT_TYPES.EVENT,
+    title: event.title,
+    subtitle: joinText(event.date, event.time, event.location && `· ${event.location}`),
+    text: joinText(event.description, event.category, event.organizer),
+    url: `${EVENTS_PAGE_URL}#${encodeURIComponent(event.id)}`,
+  }));
+}
+
+// ============================================================================
+// INDEXING
+// ============================================================================
+
+/**
+ * Labels documents with their result group and builds the site search index
+ * @param {Array<Object>} documents - Extracted documents (labelled in place)
+ * @returns {Object} Search index
+ */
+function createSiteIndex(documents) {
+  documents.forEach((doc) => {
+    doc.label = GROUP_LABELS[doc.type];
+  });
+
+  return createSearchIndex(documents, SEARCH_FIELDS, SEARCH_OPTIONS);
+}
+
+/**
+ * Packs documents and their index into the prebuilt index payload
+ * @param {Array<Object>} documents - Extracted documents
+ * @returns {Object} JSON-serializable payload
+ */
+function createSearchPayload(documents) {
+  const index = createSiteIndex(documents);
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    documents: documents.map((doc) => {
+      const entry = {};
+      PAYLOAD_FIELDS.forEach((field) => {
+        if (doc[field]) entry[field] = doc[field];
+      });
+      return entry;
+    }),
+    index: serializeSearchIndex(index, documents.map((doc) => doc.id)),
+  };
+}
+
+/**
+ * Unpacks a prebuilt index payload
+ * @param {Object} payload - Parsed search-index.json
+ * @returns {Object|null} { documents, index }, or null if the payload is
+ *   malformed or from another version
+ */
+function readSearchPayload(payload) {
+  if (!payload || payload.version !== SEARCH_INDEX_VERSION || !Array.isArray(payload.documents)) {
+    return null;
+  }
+
+  const documents = payload.documents.map((doc) => ({ ...doc, label: GROUP_LABELS[doc.type] }));
+  const index = deserializeSearchIndex(payload.index, documents.map((doc) => doc.id));
+
+  return index ? { documents, index } : null;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  extractPageDocuments,
+  extractMinistryDocuments,
+  extractEventDocuments,
+  createSiteIndex,
+  createSearchPayload,
+  readSearchPayload,
+  RESULT_TYPES,
+  GROUP_LABELS,
+  MINISTRY_SOURCES,
+  SEARCH_INDEX_VERSION,
+};
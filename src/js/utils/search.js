@@ -0,0 +1,444 @@
+/**
+ * Search Utilities
+ *
+ * Tokenized in-memory full-text search:
+ * - Case and accent-insensitive tokenization
+ * - Optional light English stemming and stop-word removal
+ * - Inverted index with weighted fields (e.g. title above description)
+ * - Prefix matching for partially typed words ("conf" finds "conference")
+ * - Typo tolerance using bounded edit distance ("worshp" finds "worship")
+ * - Relevance scoring and HTML-safe match highlighting
+ * - JSON serialization so indexes can be prebuilt at build time
+ *
+ * Every query word must match for a document to be returned.
+ *
+ * @module search
+ * @generated-from: task-id:user-007
+ * @modifies: none (new file)
+ * @dependencies: none
+ */
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const CONFIG = Object.freeze({
+  MIN_TOKEN_LENGTH: 2,
+  MIN_PREFIX_LENGTH: 2, // Shorter query words only match exactly
+  MIN_FUZZY_LENGTH: 4, // Query words this long tolerate one typo
+  MIN_FUZZY_LENGTH_TWO_EDITS: 8, // Query words this long tolerate two typos
+  MIN_STEM_LENGTH: 4, // Shorter words are never stemmed
+  MIN_STEM_BASE_LENGTH: 3, // Suffixes are only removed if this much word remains
+  MIN_PARTIAL_STEM_LENGTH: 4, // Stems this long match query words that extend them
+  HIGHLIGHT_CLASS: 'search-highlight',
+});
+
+const MATCH_SCORES = Object.freeze({
+  EXACT: 1,
+  PREFIX: 0.75,
+  FUZZY: 0.5,
+});
+
+// Common English words that carry no meaning on their own in a query
+const STOP_WORDS = new Set([
+  'about', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'for',
+  'from', 'has', 'have', 'he', 'her', 'his', 'how', 'in', 'into', 'is', 'it', 'its',
+  'of', 'on', 'or', 'our', 'she', 'so', 'than', 'that', 'the', 'their', 'them',
+  'then', 'there', 'these', 'they', 'this', 'to', 'was', 'we', 'were', 'what',
+  'when', 'where', 'which', 'who', 'will', 'with', 'you', 'your',
+]);
+
+const HTML_ESCAPES = Object.freeze({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+});
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Escapes HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * Lowercases text and strips diacritics
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Reduces an English word to a stem by removing common suffixes, so
+ * "meetings", "meeting" and "meet" share one index term. This is a light
+ * Porter-style stemmer: stems are only used for matching and need not be words.
+ * @param {string} word - Normalized token
+ * @returns {string} Stem
+ */
+function stem(word) {
+  if (word.length < CONFIG.MIN_STEM_LENGTH || /[0-9]/.test(word)) {
+    return word;
+  }
+
+  let result = word;
+
+  if (result.endsWith('sses')) {
+    result = result.slice(0, -2);
+  } else if (result.endsWith('ies') && result.length > CONFIG.MIN_STEM_LENGTH) {
+    result = `${result.slice(0, -3)}y`;
+  } else if (result.endsWith('s') && !/(ss|us|is)$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+
+  for (const suffix of ['ing', 'ed']) {
+    const base = result.slice(0, -suffix.length);
+    if (result.endsWith(suffix) && base.length >= CONFIG.MIN_STEM_BASE_LENGTH && /[aeiouy]/.test(base)) {
+      // "worshipping" -> "worshipp" -> "worship"
+      result = /([^aeioulsz])\1$/.test(base) ? base.slice(0, -1) : base;
+      break;
+    }
+  }
+
+  if (result.endsWith('ly') && result.length - 2 >= CONFIG.MIN_STEM_LENGTH) {
+    result = result.slice(0, -2);
+  }
+
+  // "serve", "served" and "serving" all become "serv"
+  if (result.endsWith('e') && result.length >= CONFIG.MIN_STEM_LENGTH) {
+    result = result.slice(0, -1);
+  }
+
+  return result;
+}
+
+/**
+ * Splits text into normalized search tokens
+ * @param {string} text - Text to tokenize
+ * @param {Object} [options] - Tokenizer options
+ * @param {boolean} [options.stem] - Reduce tokens to their stems
+ * @param {boolean} [options.stopWords] - Drop common words such as "the" and "and"
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(text, options = {}) {
+  if (text === null || text === undefined) {
+    return [];
+  }
+
+  const tokens = (normalizeText(text).match(/[a-z0-9]+/g) || [])
+    .filter((token) => token.length >= CONFIG.MIN_TOKEN_LENGTH)
+    .filter((token) => !options.stopWords || !STOP_WORDS.has(token));
+
+  return options.stem ? tokens.map(stem) : tokens;
+}
+
+/**
+ * Calculates the edit distance between two words (insertions, deletions,
+ * substitutions and adjacent transpositions), stopping early past a limit
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} maxDistance - Largest distance of interest
+ * @returns {number} Edit distance, or maxDistance + 1 if it exceeds the limit
+ */
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+}
+
+/**
+ * Gets the number of typos tolerated for a query word
+ * @param {string} token - Query token
+ * @returns {number} Maximum edit distance
+ */
+function getMaxEdits(token) {
+  if (token.length >= CONFIG.MIN_FUZZY_LENGTH_TWO_EDITS) return 2;
+  if (token.length >= CONFIG.MIN_FUZZY_LENGTH) return 1;
+  return 0;
+}
+
+// ============================================================================
+// INDEXING
+// ============================================================================
+
+/**
+ * Builds an inverted index over documents
+ * @param {Array<Object>} documents - Documents to index
+ * @param {Object<string, number>} fields - Field names mapped to weights
+ * @param {Object} options - Index options
+ * @param {Function} [options.getId] - Returns a document's ID (defaults to `doc.id`)
+ * @param {boolean} [options.stem] - Index word stems (queries are stemmed to match)
+ * @param {boolean} [options.stopWords] - Leave common words out of the index
+ * @returns {Object} Search index
+ */
+function createSearchIndex(documents, fields, options = {}) {
+  const getId = options.getId || ((doc) => doc.id);
+  const analyzer = { stem: Boolean(options.stem), stopWords: Boolean(options.stopWords) };
+  const terms = new Map();
+
+  documents.forEach((doc) => {
+    const id = getId(doc);
+
+    Object.entries(fields).forEach(([field, weight]) => {
+      const value = Array.isArray(doc[field]) ? doc[field].join(' ') : doc[field];
+
+      tokenize(value, analyzer).forEach((token) => {
+        if (!terms.has(token)) {
+          terms.set(token, new Map());
+        }
+        const postings = terms.get(token);
+        // Keep the strongest field a term appears in rather than summing repeats
+        postings.set(id, Math.max(postings.get(id) || 0, weight));
+      });
+    });
+  });
+
+  return {
+    terms,
+    analyzer,
+    documentCount: documents.length,
+  };
+}
+
+/**
+ * Converts an index to plain JSON. Postings become flat
+ * [position, weight, position, weight, ...] arrays, where position points
+ * into the `ids` list the caller stores alongside the index.
+ * @param {Object} index - Index from createSearchIndex
+ * @param {Array<string>} ids - Every indexed document ID
+ * @returns {Object} JSON-serializable index
+ */
+function serializeSearchIndex(index, ids) {
+  const positions = new Map(ids.map((id, position) => [id, position]));
+  const terms = {};
+
+  index.terms.forEach((postings, term) => {
+    terms[term] = [];
+    postings.forEach((weight, id) => {
+      terms[term].push(positions.get(id), weight);
+    });
+  });
+
+  return {
+    analyzer: index.analyzer,
+    documentCount: index.documentCount,
+    terms,
+  };
+}
+
+/**
+ * Restores an index produced by serializeSearchIndex
+ * @param {Object} data - Serialized index
+ * @param {Array<string>} ids - The ID list the index was serialized with
+ * @returns {Object|null} Search index, or null if the data is malformed
+ */
+function deserializeSearchIndex(data, ids) {
+  if (!data || typeof data.terms !== 'object' || !Array.isArray(ids)) {
+    return null;
+  }
+
+  const terms = new Map();
+
+  Object.entries(data.terms).forEach(([term, flatPostings]) => {
+    const postings = new Map();
+    for (let i = 0; i + 1 < flatPostings.length; i += 2) {
+      const id = ids[flatPostings[i]];
+      if (id !== undefined) {
+        postings.set(id, flatPostings[i + 1]);
+      }
+    }
+    terms.set(term, postings);
+  });
+
+  return {
+    terms,
+    analyzer: { stem: Boolean(data.analyzer && data.analyzer.stem), stopWords: Boolean(data.analyzer && data.analyzer.stopWords) },
+    documentCount: data.documentCount || ids.length,
+  };
+}
+
+// ============================================================================
+// QUERYING
+// ============================================================================
+
+/**
+ * Finds index terms matching a query token
+ * @param {Object} index - Search index
+ * @param {string} token - Query token (stemmed if the index is)
+ * @param {string} word - Query token before stemming
+ * @returns {Array<Array>} Pairs of [term, match score]
+ */
+function matchTerms(index, token, word) {
+  const matches = [];
+  const maxEdits = getMaxEdits(token);
+  const isStemmed = Boolean(index.analyzer && index.analyzer.stem);
+
+  index.terms.forEach((_, term) => {
+    if (term === token) {
+      matches.push([term, MATCH_SCORES.EXACT]);
+    } else if (token.length >= CONFIG.MIN_PREFIX_LENGTH && term.startsWith(token)) {
+      matches.push([term, MATCH_SCORES.PREFIX]);
+    } else if (isStemmed && term.length >= CONFIG.MIN_PARTIAL_STEM_LENGTH && word.startsWith(term)) {
+      // A partly typed word ("meetin") can run past the stem ("meet")
+      matches.push([term, MATCH_SCORES.PREFIX]);
+    } else if (maxEdits > 0) {
+      const distance = editDistance(token, term, maxEdits);
+      if (distance <= maxEdits) {
+        matches.push([term, MATCH_SCORES.FUZZY / distance]);
+      }
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Searches an index, ranking documents by weighted match quality
+ * @param {Object} index - Index from createSearchIndex
+ * @param {string} query - Search query
+ * @returns {Array<Object>} Results ({ id, score, terms }) sorted by score, highest first
+ */
+function searchIndex(index, query) {
+  const analyzer = (index && index.analyzer) || {};
+  const queryWords = [...new Set(tokenize(query, { stopWords: analyzer.stopWords }))];
+
+  if (!index || queryWords.length === 0) {
+    return [];
+  }
+
+  let results = null;
+
+  for (const word of queryWords) {
+    const token = analyzer.stem ? stem(word) : word;
+    const tokenResults = new Map();
+
+    matchTerms(index, token, word).forEach(([term, matchScore]) => {
+      index.terms.get(term).forEach((weight, id) => {
+        const entry = tokenResults.get(id) || { score: 0, terms: [] };
+        entry.score = Math.max(entry.score, weight * matchScore);
+        entry.terms.push(term);
+        tokenResults.set(id, entry);
+      });
+    });
+
+    if (results === null) {
+      results = tokenResults;
+    } else {
+      // Every query word must match
+      const combined = new Map();
+      results.forEach((entry, id) => {
+        const tokenEntry = tokenResults.get(id);
+        if (tokenEntry) {
+          combined.set(id, {
+            score: entry.score + tokenEntry.score,
+            terms: entry.terms.concat(tokenEntry.terms),
+          });
+        }
+      });
+      results = combined;
+    }
+
+    if (results.size === 0) {
+      return [];
+    }
+  }
+
+  return Array.from(results, ([id, entry]) => ({
+    id,
+    score: entry.score,
+    terms: [...new Set(entry.terms)],
+  })).sort((a, b) => b.score - a.score);
+}
+
+// ============================================================================
+// HIGHLIGHTING
+// ============================================================================
+
+/**
+ * Escapes text as HTML and wraps words matching search terms in <mark>
+ * @param {string} text - Text to highlight
+ * @param {Array<string>} terms - Matched index terms from searchIndex (words or stems)
+ * @param {string} [className] - Class for the <mark> elements
+ * @returns {string} HTML string
+ */
+function highlightMatches(text, terms, className = CONFIG.HIGHLIGHT_CLASS) {
+  const source = String(text || '');
+
+  if (!terms || terms.length === 0) {
+    return escapeHTML(source);
+  }
+
+  const termSet = new Set(terms);
+  let html = '';
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const isMatch = tokenize(match[0]).some((token) => termSet.has(token) || termSet.has(stem(token)));
+
+    if (isMatch) {
+      html += escapeHTML(source.slice(lastIndex, match.index));
+      html += `<mark class="${escapeHTML(className)}">${escapeHTML(match[0])}</mark>`;
+      lastIndex = match.index + match[0].length;
+    }
+  }
+
+  return html + escapeHTML(source.slice(lastIndex));
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  tokenize,
+  normalizeText,
+  stem,
+  editDistance,
+  createSearchIndex,
+  serializeSearchIndex,
+  deserializeSearchIndex,
+  searchIndex,
+  highlightMatches,
+  MATCH_SCORES,
+};
@@ -0,0 +1,371 @@
+/**
+ * Service Worker Registration and Updates
+ *
+ * Registers /sw.js for every page and handles new versions:
+ * - Detects a new worker waiting to take over (after a deploy)
+ * - Shows a toast offering to reload into the new version, announced to
+ *   screen readers
+ * - On "Reload", tells the waiting worker to activate (SKIP_WAITING)
+ * - Coordinates open tabs: the other tabs drop their toast and reload when
+ *   the new worker takes control, unless they hold unsaved form input, in
+ *   which case they offer to reload when the visitor is ready
+ *
+ * A first install activates straight away and does not prompt or reload.
+ *
+ * @module service-worker
+ * @generated-from: task-id:user-020
+ * @modifies: none (new file)
+ * @dependencies: [accessibility]
+ */
+
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import { announce } from './accessibility.js';
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const CONFIG = Object.freeze({
+  SW_URL: '/sw.js',
+  SCOPE: '/',
+  UPDATE_CHECK_INTERVAL: 60 * 60 * 1000, // 1 hour
+  CHANNEL_NAME: 'gfc-sw-update',
+});
+
+const MESSAGES = Object.freeze({
+  UPDATE_READY: 'A new version of this site is available.',
+  UPDATE_ACTIVE: 'A new version of this site is active. Reload when you have finished here.',
+  RELOAD: 'Reload',
+  LATER: 'Later',
+});
+
+const CLASSES = Object.freeze({
+  TOAST: 'update-toast',
+  TOAST_VISIBLE: 'update-toast--visible',
+  MESSAGE: 'update-toast__message',
+  ACTIONS: 'update-toast__actions',
+  BUTTON: 'update-toast__btn',
+  BUTTON_PRIMARY: 'update-toast__btn--primary',
+});
+
+const CHANNEL_MESSAGES = Object.freeze({
+  UPDATE_ACCEPTED: 'update-accepted',
+});
+
+// ============================================================================
+// STATE MANAGEMENT
+// ============================================================================
+
+const state = {
+  registration: null,
+  registering: null, // Promise of the registration in flight
+  hadController: false, // Page was controlled when it loaded (not a first install)
+  reloadAccepted: false, // Visitor chose to reload in this tab
+  reloading: false,
+  hasUnsavedInput: false,
+  channel: null,
+  toast: null,
+  updateTimer: null,
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Logs structured messages with context
+ * @param {string} level - Log level (info, warn, error)
+ * @param {string} message - Log message
+ * @param {Object} context - Additional context data
+ */
+function log(level, message, context = {}) {
+  const logMethod = console[level] || console.log;
+  logMethod('[GFC SW]', message, context);
+}
+
+/**
+ * Checks whether service workers are available
+ * @returns {boolean} True if supported
+ */
+function isSupported() {
+  return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+}
+
+/**
+ * Reloads the page once
+ */
+function reloadPage() {
+  if (state.reloading) return;
+  state.reloading = true;
+  window.location.reload();
+}
+
+// ============================================================================
+// TOAST
+// ============================================================================
+
+/**
+ * Hides the update toast
+ */
+function hideToast() {
+  if (state.toast) {
+    state.toast.remove();
+    state.toast = null;
+  }
+}
+
+/**
+ * Shows the update toast, replacing any earlier one
+ * @param {string} message - Toast message
+ * @param {Function} onReload - Called when the visitor chooses to reload
+ */
+function showToast(message, onReload) {
+  hideToast();
+
+  const toast = document.createElement('div');
+  toast.className = CLASSES.TOAST;
+  toast.setAttribute('role', 'region');
+  toast.setAttribute('aria-label', 'Site update');
+
+  const text = document.createElement('p');
+  text.className = CLASSES.MESSAGE;
+  text.textContent = message;
+
+  const actions = document.createElement('div');
+  actions.className = CLASSES.ACTIONS;
+
+  const reloadButton = document.createElement('button');
+  reloadButton.type = 'button';
+  reloadButton.className = `${CLASSES.BUTTON} ${CLASSES.BUTTON_PRIMARY}`;
+  reloadButton.textContent = MESSAGES.RELOAD;
+  reloadButton.addEventListener('click', () => {
+    reloadButton.disabled = true;
+    onReload();
+  });
+
+  const laterButton = document.createElement('button');
+  laterButton.type = 'button';
+  laterButton.className = CLASSES.BUTTON;
+  laterButton.textContent = MESSAGES.LATER;
+  laterButton.addEventListener('click', hideToast);
+
+  actions.append(reloadButton, laterButton);
+  toast.append(text, actions);
+  toast.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') hideToast();
+  });
+
+  document.body.appendChild(toast);
+  state.toast = toast;
+
+  // Next frame so the entrance transition runs
+  requestAnimationFrame(() => toast.classList.add(CLASSES.TOAST_VISIBLE));
+  announce(`${message} Use the Reload button to update.`);
+}
+
+// ============================================================================
+// UPDATE FLOW
+// ============================================================================
+
+/**
+ * Activates a waiting worker and lets the other tabs know
+ * @param {ServiceWorker} worker - Waiting worker
+ */
+function acceptUpdate(worker) {
+  state.reloadAccepted = true;
+
+  if (state.channel) {
+    state.channel.postMessage({ type: CHANNEL_MESSAGES.UPDATE_ACCEPTED });
+  }
+
+  worker.postMessage({ type: 'SKIP_WAITING' });
+  log('info', 'Update accepted, activating new worker');
+}
+
+/**
+ * Offers the update for a worker that has finished installing
+ * @param {ServiceWorker} worker - Waiting worker
+ */
+function promptForUpdate(worker) {
+  // Without a controller this is the first install, which activates by itself
+  if (!navigator.serviceWorker.controller) return;
+
+  log('info', 'New version waiting');
+  showToast(MESSAGES.UPDATE_READY, () => acceptUpdate(worker));
+}
+
+/**
+ * Watches a newly found worker until it is installed
+ * @param {ServiceWorkerRegistration} registration - Registration
+ */
+function handleUpdateFound(registration) {
+  const worker = registration.installing;
+  if (!worker) return;
+
+  worker.addEventListener('statechange', () => {
+    if (worker.state === 'installed') {
+      promptForUpdate(worker);
+    }
+  });
+}
+
+/**
+ * Handles the new worker taking control. The tab that accepted the update
+ * reloads, as do other tabs unless the visitor has typed into a form.
+ */
+function handleControllerChange() {
+  if (!state.hadController) {
+    // First install claiming this page; nothing to reload
+    state.hadController = true;
+    return;
+  }
+
+  if (state.reloadAccepted || !state.hasUnsavedInput) {
+    reloadPage();
+    return;
+  }
+
+  showToast(MESSAGES.UPDATE_ACTIVE, reloadPage);
+}
+
+/**
+ * Handles messages from other tabs
+ * @param {MessageEvent} event - Channel message
+ */
+function handleChannelMessage(event) {
+  if (event.data && event.data.type === CHANNEL_MESSAGES.UPDATE_ACCEPTED) {
+    // The new worker is activating; controllerchange decides what to do here
+    hideToast();
+  }
+}
+
+/**
+ * Remembers that the visitor has typed into a form on this page
+ * @param {Event} event - Input event
+ */
+function handleInput(event) {
+  if (event.target && event.target.form) {
+    state.hasUnsavedInput = true;
+  }
+}
+
+/**
+ * Clears the unsaved input flag once a form is submitted
+ */
+function handleSubmit() {
+  state.hasUnsavedInput = false;
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Registers the service worker and starts watching for updates. Safe to
+ * call more than once.
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null if unsupported or failed
+ */
+function registerServiceWorker() {
+  if (!isSupported()) {
+    return Promise.resolve(null);
+  }
+  if (state.registering) {
+    return state.registering;
+  }
+
+  state.hadController = Boolean(navigator.serviceWorker.controller);
+  navigator.serviceWorker.addEventListener('controllerchange', handleControllerChange);
+  document.addEventListener('input', handleInput, true);
+  document.addEventListener('submit', handleSubmit, true);
+
+  if ('BroadcastChannel' in window) {
+    state.channel = new BroadcastChannel(CONFIG.CHANNEL_NAME);
+    state.channel.addEventListener('message', handleChannelMessage);
+  }
+
+  state.registering = navigator.serviceWorker
+    .register(CONFIG.SW_URL, { scope: CONFIG.SCOPE })
+    .then((registration) => {
+      state.registration = registration;
+      log('info', 'Service worker registered', { scope: registration.scope });
+
+      if (registration.waiting) {
+        promptForUpdate(registration.waiting);
+      }
+      registration.addEventListener('updatefound', () => handleUpdateFound(registration));
+
+      // Long-lived tabs check for new deploys now and then
+      state.updateTimer = setInterval(() => {
+        registration.update().catch((error) => {
+          log('warn', 'Update check failed', { error: error.message });
+        });
+      }, CONFIG.UPDATE_CHECK_INTERVAL);
+
+      return registration;
+    })
+    .catch((error) => {
+      log('error', 'Service worker registration failed', { error: error.message });
+      state.registering = null;
+      return null;
+    });
+
+  return state.registering;
+}
+
+/**
+ * Gets the active service worker registration, registering if needed
+ * @returns {Promise<ServiceWorkerRegistration|null>} Active registration, or null if unavailable
+ */
+async function getRegistration() {
+  if (!isSupported()) {
+    return null;
+  }
+
+  const registration = await registerServiceWorker();
+  return registration ? navigator.serviceWorker.ready : null;
+}
+
+/**
+ * Gets the registration if one exists, without registering
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration or null
+ */
+async function getExistingRegistration() {
+  if (!isSupported()) {
+    return null;
+  }
+
+  return state.registration
+    || (await navigator.serviceWorker.getRegistration(CONFIG.SCOPE))
+    || null;
+}
+
+/**
+ * Registers the service worker once the page has loaded, so registration
+ * and precaching do not compete with the first render
+ */
+function init() {
+  if (!isSupported()) {
+    log('info', 'Service workers not supported');
+    return;
+  }
+
+  if (document.readyState === 'complete') {
+    registerServiceWorker();
+  } else {
+    window.addEventListener('load', () => registerServiceWorker(), { once: true });
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  init,
+  registerServiceWorker,
+  getRegistration,
+  getExistingRegistration,
+};
@@ -0,0 +1,391 @@
+/**
+ * Time Zone Utilities
+ *
+ * Single time zone layer for the site, built on Intl.DateTimeFormat and
+ * driven by a configurable IANA zone (Africa/Lagos by default):
+ * - Event date/time strings are wall-clock times in the church's zone
+ * - Instants can be converted to and from wall-clock time in any zone,
+ *   including zones with daylight saving time
+ * - Times can be shown in the church's zone and in the visitor's own zone
+ *
+ * Two kinds of Date are used:
+ * - Instants: ordinary Dates pointing at a moment in time
+ * - Wall-clock dates: Dates whose local getters (getHours(), getDate(), ...)
+ *   read the wall-clock time in a zone, for calendar grid arithmetic.
+ *   They must never be formatted with a `timeZone` option.
+ *
+ * @module timezone
+ * @generated-from: task-id:user-010
+ * @modifies: none (new file)
+ * @dependencies: none
+ */
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const CONFIG = Object.freeze({
+  DEFAULT_TIME_ZONE: 'Africa/Lagos', // West Africa Time (WAT)
+  LOCALE: 'en-NG',
+  MS_PER_MINUTE: 60000,
+});
+
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+
+// ============================================================================
+// STATE MANAGEMENT
+// ============================================================================
+
+const state = {
+  churchTimeZone: CONFIG.DEFAULT_TIME_ZONE,
+  formatters: new Map(),
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Logs structured messages with context
+ * @param {string} level - Log level (info, warn, error)
+ * @param {string} message - Log message
+ * @param {Object} context - Additional context data
+ */
+function log(level, message, context = {}) {
+  const logMethod = console[level] || console.log;
+  logMethod('[GFC TimeZone]', message, context);
+}
+
+/**
+ * Pads a number with leading zeros
+ * @param {number} num - Number to pad
+ * @returns {string} Padded string
+ */
+function padZero(num) {
+  return String(num).padStart(2, '0');
+}
+
+/**
+ * Gets a cached formatter that splits instants into numeric wall-clock parts
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getPartsFormatter(timeZone) {
+  if (!state.formatters.has(timeZone)) {
+    state.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return state.formatters.get(timeZone);
+}
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Checks whether a string is an IANA time zone supported by the runtime
+ * @param {string} timeZone - Time zone to check
+ * @returns {boolean} True if supported
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Gets the church's time zone, in which event times are written
+ * @returns {string} IANA time zone
+ */
+function getChurchTimeZone() {
+  return state.churchTimeZone;
+}
+
+/**
+ * Sets the church's time zone
+ * @param {string} timeZone - IANA time zone (e.g. "Africa/Lagos")
+ * @returns {boolean} True if the zone was applied
+ */
+function setChurchTimeZone(timeZone) {
+  if (!isValidTimeZone(timeZone)) {
+    log('warn', 'Unsupported time zone, keeping current zone', { timeZone, current: state.churchTimeZone });
+    return false;
+  }
+
+  state.churchTimeZone = timeZone;
+  return true;
+}
+
+/**
+ * Gets the visitor's own time zone as reported by the browser
+ * @returns {string} IANA time zone (the church zone if unavailable)
+ */
+function getVisitorTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || state.churchTimeZone;
+  } catch (error) {
+    return state.churchTimeZone;
+  }
+}
+
+/**
+ * Checks whether the visitor's clock matches church time at a given moment.
+ * Zones are compared by offset, so e.g. Africa/Kinshasa counts as church time.
+ * @param {Date} [date] - Moment to compare at (defaults to now)
+ * @returns {boolean} True if the visitor sees the same wall-clock time
+ */
+function isVisitorInChurchTimeZone(date = new Date()) {
+  return getTimeZoneOffset(date, getVisitorTimeZone()) === getTimeZoneOffset(date, state.churchTimeZone);
+}
+
+// ============================================================================
+// CONVERSION
+// ============================================================================
+
+/**
+ * Splits an instant into its wall-clock parts in a zone
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA time zone (defaults to the church zone)
+ * @returns {Object} { year, month (1-12), day, hour, minute, second }
+ */
+function getZonedParts(date, timeZone = state.churchTimeZone) {
+  const parts = {};
+
+  getPartsFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Gets a zone's UTC offset at an instant
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA time zone (defaults to the church zone)
+ * @returns {number} Offset in minutes east of UTC (e.g. 60 for WAT)
+ */
+function getTimeZoneOffset(date, timeZone = state.churchTimeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+
+  return Math.round((asUTC - instant) / CONFIG.MS_PER_MINUTE);
+}
+
+/**
+ * Converts an instant to a wall-clock date in a zone
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA time zone (defaults to the church zone)
+ * @returns {Date} Wall-clock date
+ */
+function toZonedWallClock(date, timeZone = state.churchTimeZone) {
+  const parts = getZonedParts(date, timeZone);
+  return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, date.getMilliseconds());
+}
+
+/**
+ * Converts wall-clock parts in a zone to an instant. Wall-clock times skipped
+ * by a daylight saving change resolve to the moment after the gap; repeated
+ * times resolve to their first occurrence.
+ * @param {Object} parts - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+function zonedPartsToInstant(parts, timeZone) {
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second || 0);
+
+  // The zone offset can differ either side of a daylight saving change, so
+  // try the offsets found near the wall-clock time and keep the one that fits
+  const firstGuess = asUTC - getTimeZoneOffset(new Date(asUTC), timeZone) * CONFIG.MS_PER_MINUTE;
+  const secondGuess = asUTC - getTimeZoneOffset(new Date(firstGuess), timeZone) * CONFIG.MS_PER_MINUTE;
+  const candidates = [...new Set([firstGuess, secondGuess])].sort((a, b) => a - b);
+
+  const exact = candidates.find((candidate) => {
+    const check = getZonedParts(new Date(candidate), timeZone);
+    return check.day === parts.day && check.hour === parts.hour && check.minute === parts.minute;
+  });
+
+  return new Date(exact !== undefined ? exact : candidates[candidates.length - 1]);
+}
+
+/**
+ * Converts a wall-clock date in a zone back to an instant
+ * @param {Date} wallClock - Wall-clock date
+ * @param {string} [timeZone] - IANA time zone (defaults to the church zone)
+ * @returns {Date} Instant
+ */
+function fromZonedWallClock(wallClock, timeZone = state.churchTimeZone) {
+  const instant = zonedPartsToInstant({
+    year: wallClock.getFullYear(),
+    month: wallClock.getMonth() + 1,
+    day: wallClock.getDate(),
+    hour: wallClock.getHours(),
+    minute: wallClock.getMinutes(),
+    second: wallClock.getSeconds(),
+  }, timeZone);
+
+  return new Date(instant.getTime() + wallClock.getMilliseconds());
+}
+
+/**
+ * Parses event date/time strings into wall-clock parts
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @param {string} [timeStr] - Time (HH:mm or HH:mm:ss), defaults to midnight
+ * @returns {Object|null} { year, month (1-12), day, hour, minute, second } or null if invalid
+ */
+function parseDateTimeParts(dateStr, timeStr = '00:00') {
+  const dateMatch = DATE_KEY_PATTERN.exec(String(dateStr || '').trim());
+  const timeMatch = TIME_PATTERN.exec(String(timeStr || '00:00').trim());
+
+  if (!dateMatch || !timeMatch) {
+    return null;
+  }
+
+  const [year, month, day] = dateMatch.slice(1).map(Number);
+  const [hour, minute, second = 0] = timeMatch.slice(1).map((value) => Number(value || 0));
+  const check = new Date(Date.UTC(year, month - 1, day));
+
+  // Reject overflow such as 2024-02-31 or 25:00
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+
+  return { year, month, day, hour, minute, second };
+}
+
+/**
+ * Parses event date/time strings into a wall-clock date, without any zone math
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @param {string} [timeStr] - Time (HH:mm or HH:mm:ss), defaults to midnight
+ * @returns {Date|null} Wall-clock date or null if invalid
+ */
+function parseWallClock(dateStr, timeStr = '00:00') {
+  const parts = parseDateTimeParts(dateStr, timeStr);
+  return parts
+    ? new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+    : null;
+}
+
+/**
+ * Interprets event date/time strings as wall-clock time in a zone
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @param {string} [timeStr] - Time (HH:mm), defaults to midnight
+ * @param {string} [timeZone] - IANA time zone (defaults to the church zone)
+ * @returns {Date|null} Instant or null if invalid
+ */
+function parseZonedDateTime(dateStr, timeStr = '00:00', timeZone = state.churchTimeZone) {
+  const parts = parseDateTimeParts(dateStr, timeStr);
+  return parts ? zonedPartsToInstant(parts, timeZone) : null;
+}
+
+/**
+ * Gets the calendar date of an instant in a zone
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA time zone (defaults to the church zone)
+ * @returns {string} Date key (YYYY-MM-DD)
+ */
+function toZonedDateKey(date, timeZone = state.churchTimeZone) {
+  const parts = getZonedParts(date, timeZone);
+  return `${parts.year}-${padZero(parts.month)}-${padZero(parts.day)}`;
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+/**
+ * Formats an instant in a zone
+ * @param {Date} date - Instant
+ * @param {Object} [options] - Intl.DateTimeFormat options
+ * @param {string} [timeZone] - IANA time zone (defaults to the church zone)
+ * @returns {string} Formatted string
+ */
+function formatInTimeZone(date, options = {}, timeZone = state.churchTimeZone) {
+  try {
+    return new Intl.DateTimeFormat(CONFIG.LOCALE, { timeZone, ...options }).format(date);
+  } catch (error) {
+    log('error', 'Time zone formatting failed', { timeZone, error: error.message });
+    return date.toLocaleString();
+  }
+}
+
+/**
+ * Gets a zone's display name at an instant (e.g. "WAT", "GMT+1", "BST")
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA time zone (defaults to the church zone)
+ * @param {string} [style] - Intl timeZoneName style ('short' or 'long')
+ * @returns {string} Zone name
+ */
+function getTimeZoneName(date, timeZone = state.churchTimeZone, style = 'short') {
+  try {
+    const part = new Intl.DateTimeFormat(CONFIG.LOCALE, { timeZone, timeZoneName: style })
+      .formatToParts(date)
+      .find(({ type }) => type === 'timeZoneName');
+    return part ? part.value : timeZone;
+  } catch (error) {
+    return timeZone;
+  }
+}
+
+/**
+ * Formats a UTC offset for iCalendar (e.g. 60 -> "+0100")
+ * @param {number} offsetMinutes - Offset in minutes east of UTC
+ * @returns {string} Offset string
+ */
+function formatUTCOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  return `${sign}${padZero(Math.floor(absolute / 60))}${padZero(absolute % 60)}`;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  // Configuration
+  isValidTimeZone,
+  getChurchTimeZone,
+  setChurchTimeZone,
+  getVisitorTimeZone,
+  isVisitorInChurchTimeZone,
+
+  // Conversion
+  getZonedParts,
+  getTimeZoneOffset,
+  toZonedWallClock,
+  fromZonedWallClock,
+  parseWallClock,
+  parseZonedDateTime,
+  toZonedDateKey,
+
+  // Formatting
+  formatInTimeZone,
+  getTimeZoneName,
+  formatUTCOffset,
+};
@@ -0,0 +1,402 @@
+/**
+ * Volunteer Opportunity Matching
+ *
+ * Scores volunteer opportunities against a short questionnaire (interests,
+ * skills, age range, available days and how physical a role can be) and
+ * explains each score.
+ *
+ * Opportunities are described in free text in the ministry data files, so
+ * the facts used for matching are read from that text:
+ * - `requirements`: minimum age ("Age 18 or older"), supervised younger
+ *   volunteers, physical demands ("lift", "outdoors") and skills
+ * - `timeCommitment` and `shifts`: the days the role meets, or "Flexible"
+ * - `training`: whether training is provided and how long it runs
+ * - `title` and `description`: interests and skills
+ * The keyword tables below are the only place that knows the wording, so new
+ * phrasing in the data files only needs a keyword added here.
+ *
+ * @module volunteer-matching
+ * @generated-from: task-id:user-016
+ * @modifies: none (new file)
+ * @dependencies: none
+ */
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const CONFIG = Object.freeze({
+  WEIGHTS: Object.freeze({
+    INTEREST: 3, // Per matching interest
+    SKILL: 2, // Per matching skill
+    DAY: 2, // Meets on a day the volunteer is free
+    FLEXIBLE: 1, // No fixed day
+    TRAINING: 1, // Training provided and no matching skills needed
+    DAY_CONFLICT: -2,
+    PHYSICAL_CONFLICT: -3,
+  }),
+  STRONG_FIT: 6, // Scores at or above are a strong fit
+  GOOD_FIT: 3, // Scores at or above are a good fit
+});
+
+const INTERESTS = Object.freeze([
+  { id: 'hunger', label: 'Food and hunger relief', keywords: ['food', 'meal', 'pantry', 'produce'] },
+  { id: 'homelessness', label: 'Homelessness', keywords: ['homeless'] },
+  { id: 'justice', label: 'Prison and reentry', keywords: ['prison', 'incarcerated', 'reentry'] },
+  { id: 'seniors', label: 'Seniors', keywords: ['elderly', 'senior'] },
+  { id: 'refugees', label: 'Refugees and newcomers', keywords: ['refugee', 'culture'] },
+  { id: 'health', label: 'Health and medical missions', keywords: ['medical', 'healthcare'] },
+  { id: 'outdoors', label: 'Gardening and the outdoors', keywords: ['garden', 'outdoor'] },
+  { id: 'children', label: 'Children', keywords: ['children', 'nursery', 'classroom', 'class ', 'check-in'] },
+  { id: 'faith', label: 'Teaching the faith and prayer', keywords: ['bible', 'spiritual', 'prayer'] },
+  { id: 'events', label: 'Events and hospitality', keywords: ['event', 'welcome', 'festival'] },
+  { id: 'admin', label: 'Behind-the-scenes support', keywords: ['administrative', 'behind-the-scenes', 'data entry'] },
+]);
+
+const SKILLS = Object.freeze([
+  { id: 'teaching', label: 'Teaching or tutoring', keywords: ['teach', 'tutor', 'lesson', 'lead a class', 'bible study'] },
+  { id: 'communication', label: 'Listening and conversation', keywords: ['communication', 'listening', 'conversation', 'relationships'] },
+  { id: 'medical', label: 'Medical or nursing', keywords: ['medical', 'healthcare', 'nurses', 'nursing', 'doctor'] },
+  { id: 'computer', label: 'Computers and data entry', keywords: ['computer', 'data entry', 'software'] },
+  { id: 'organizing', label: 'Organizing and planning', keywords: ['organiz', 'scheduling', 'plan ', 'attention to detail', 'sort'] },
+  { id: 'childcare', label: 'Caring for children', keywords: ['children', 'nursery', 'infants', 'classroom'] },
+  { id: 'english', label: 'Fluent English', keywords: ['english'] },
+  { id: 'gardening', label: 'Gardening', keywords: ['garden'] },
+]);
+
+const AGE_RANGES = Object.freeze([
+  { id: 'under-12', label: 'Under 12', min: 0, max: 11 },
+  { id: '12-15', label: '12 to 15', min: 12, max: 15 },
+  { id: '16-17', label: '16 or 17', min: 16, max: 17 },
+  { id: '18-20', label: '18 to 20', min: 18, max: 20 },
+  { id: '21-plus', label: '21 or older', min: 21, max: 120 },
+]);
+
+const DAYS = Object.freeze(['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']);
+
+// Ordered from least to most demanding; a volunteer can take any role at or below their level
+const PHYSICAL_LEVELS = Object.freeze({
+  LIGHT: 'light',
+  MODERATE: 'moderate',
+  STRENUOUS: 'strenuous',
+});
+
+const PHYSICAL_KEYWORDS = Object.freeze({
+  [PHYSICAL_LEVELS.STRENUOUS]: ['lift', 'physical ability', 'challenging conditions'],
+  [PHYSICAL_LEVELS.MODERATE]: ['outdoor', 'weather', 'on your feet'],
+});
+
+const FIT = Object.freeze({
+  STRONG: 'strong',
+  GOOD: 'good',
+  POSSIBLE: 'possible',
+  INELIGIBLE: 'ineligible',
+});
+
+const REASON_TYPES = Object.freeze({
+  MATCH: 'match',
+  NOTE: 'note',
+  CONCERN: 'concern',
+});
+
+const PATTERNS = Object.freeze({
+  MIN_AGE: /age\s+(\d+)\s+or\s+older/i,
+  SUPERVISED: /younger with (?:a )?parent/i,
+  DAY: /\b(sun|mon|tues|wednes|thurs|fri|satur)days?\b/gi,
+  FLEXIBLE: /\bflexible\b/i,
+  BACKGROUND_CHECK: /background check/i,
+  TRAINING_WEEKS: /(\d+)\s*weeks?\b/i,
+});
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Joins text fields into one lowercase string for keyword matching
+ * @param {...*} parts - Strings or arrays of strings
+ * @returns {string} Searchable text
+ */
+function toSearchText(...parts) {
+  return ` ${parts.flat().filter((part) => typeof part === 'string').join(' ').toLowerCase()} `;
+}
+
+/**
+ * Finds the entries of a keyword table that appear in text
+ * @param {Array<Object>} table - Entries with keywords
+ * @param {string} text - Searchable text
+ * @returns {Array<Object>} Matching entries
+ */
+function matchKeywords(table, text) {
+  return table.filter((entry) => entry.keywords.some((keyword) => text.includes(keyword)));
+}
+
+/**
+ * Joins labels into a readable list ("a, b and c")
+ * @param {Array<string>} items - Items
+ * @returns {string} List
+ */
+function formatList(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/**
+ * Formats a weekday index as a plural name ("Saturdays")
+ * @param {number} day - Day index (0 = Sunday)
+ * @returns {string} Day name
+ */
+function formatDay(day) {
+  const name = DAYS[day];
+  return `${name.charAt(0).toUpperCase()}${name.slice(1)}s`;
+}
+
+// ============================================================================
+// OPPORTUNITY PROFILES
+// ============================================================================
+
+/**
+ * Reads the days an opportunity meets from its time commitment and shifts
+ * @param {Object} opportunity - Volunteer opportunity
+ * @returns {Set<number>} Day indexes (0 = Sunday); empty when unknown
+ */
+function getOpportunityDays(opportunity) {
+  const days = new Set();
+  const text = opportunity.timeCommitment || '';
+
+  for (const match of text.matchAll(PATTERNS.DAY)) {
+    const prefix = match[1].toLowerCase();
+    days.add(DAYS.findIndex((day) => day.startsWith(prefix)));
+  }
+
+  (Array.isArray(opportunity.shifts) ? opportunity.shifts : []).forEach((shift) => {
+    const [year, month, day] = String(shift.date).split('-').map(Number);
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    if (Number.isInteger(weekday)) {
+      days.add(weekday);
+    }
+  });
+
+  return days;
+}
+
+/**
+ * Works out how physical a role is from its requirements
+ * @param {string} text - Searchable requirements text
+ * @returns {string} One of PHYSICAL_LEVELS
+ */
+function getPhysicalLevel(text) {
+  if (PHYSICAL_KEYWORDS[PHYSICAL_LEVELS.STRENUOUS].some((keyword) => text.includes(keyword))) {
+    return PHYSICAL_LEVELS.STRENUOUS;
+  }
+
+  if (PHYSICAL_KEYWORDS[PHYSICAL_LEVELS.MODERATE].some((keyword) => text.includes(keyword))) {
+    return PHYSICAL_LEVELS.MODERATE;
+  }
+
+  return PHYSICAL_LEVELS.LIGHT;
+}
+
+/**
+ * Reads the facts used for matching from an opportunity's text fields
+ * @param {Object} opportunity - Volunteer opportunity
+ * @returns {Object} { minAge, supervisedYounger, days, flexible, physical,
+ *   interests, skills, backgroundCheck, training, trainingWeeks }
+ */
+function getOpportunityProfile(opportunity) {
+  const requirements = Array.isArray(opportunity.requirements) ? opportunity.requirements : [];
+  const requirementText = toSearchText(requirements);
+  const roleText = toSearchText(opportunity.title, opportunity.description);
+  const ageMatch = requirementText.match(PATTERNS.MIN_AGE);
+  const training = typeof opportunity.training === 'string' ? opportunity.training.trim() : '';
+  const weeksMatch = training.match(PATTERNS.TRAINING_WEEKS);
+
+  return {
+    minAge: ageMatch ? parseInt(ageMatch[1], 10) : null,
+    supervisedYounger: PATTERNS.SUPERVISED.test(requirementText),
+    days: getOpportunityDays(opportunity),
+    flexible: PATTERNS.FLEXIBLE.test(opportunity.timeCommitment || ''),
+    physical: getPhysicalLevel(requirementText),
+    interests: matchKeywords(INTERESTS, roleText).map((interest) => interest.id),
+    skills: matchKeywords(SKILLS, toSearchText(roleText, requirementText)).map((skill) => skill.id),
+    backgroundCheck: PATTERNS.BACKGROUND_CHECK.test(requirementText),
+    training,
+    trainingWeeks: weeksMatch ? parseInt(weeksMatch[1], 10) : null,
+  };
+}
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+/**
+ * Checks the volunteer's age range against the role's minimum age
+ * @param {Object} profile - Opportunity profile
+ * @param {string} ageRangeId - Selected age range ID
+ * @param {Array<Object>} reasons - Reasons list to add to
+ * @returns {boolean} False if the volunteer is too young for the role
+ */
+function checkAge(profile, ageRangeId, reasons) {
+  const range = AGE_RANGES.find((item) => item.id === ageRangeId);
+
+  if (!range || profile.minAge === null) {
+    return true;
+  }
+
+  if (range.min >= profile.minAge) {
+    reasons.push({ type: REASON_TYPES.MATCH, text: `Open to volunteers aged ${profile.minAge} and over` });
+    return true;
+  }
+
+  if (range.max >= profile.minAge) {
+    reasons.push({ type: REASON_TYPES.NOTE, text: `Volunteers must be ${profile.minAge} or older` });
+    return true;
+  }
+
+  if (profile.supervisedYounger) {
+    reasons.push({ type: REASON_TYPES.NOTE, text: `Under ${profile.minAge}s can serve with a parent or guardian` });
+    return true;
+  }
+
+  reasons.push({ type: REASON_TYPES.CONCERN, text: `Volunteers must be ${profile.minAge} or older` });
+  return false;
+}
+
+/**
+ * Scores one opportunity against questionnaire answers
+ * @param {Object} opportunity - Volunteer opportunity
+ * @param {Object} answers - { interests, skills, ageRange, days, physical }
+ *   (interests and skills are IDs from INTERESTS and SKILLS, days are day
+ *   indexes with 0 = Sunday, physical is one of PHYSICAL_LEVELS)
+ * @returns {Object} { opportunity, score, fit, reasons }
+ */
+function scoreOpportunity(opportunity, answers = {}) {
+  const profile = getOpportunityProfile(opportunity);
+  const weights = CONFIG.WEIGHTS;
+  const reasons = [];
+  let score = 0;
+
+  const eligible = checkAge(profile, answers.ageRange, reasons);
+
+  const interests = INTERESTS.filter((interest) => (answers.interests || []).includes(interest.id)
+    && profile.interests.includes(interest.id));
+  if (interests.length > 0) {
+    score += interests.length * weights.INTEREST;
+    reasons.push({
+      type: REASON_TYPES.MATCH,
+      text: `Matches your interest in ${formatList(interests.map((interest) => interest.label.toLowerCase()))}`,
+    });
+  }
+
+  const skills = SKILLS.filter((skill) => (answers.skills || []).includes(skill.id)
+    && profile.skills.includes(skill.id));
+  if (skills.length > 0) {
+    score += skills.length * weights.SKILL;
+    reasons.push({
+      type: REASON_TYPES.MATCH,
+      text: `Uses your skills: ${formatList(skills.map((skill) => skill.label.toLowerCase()))}`,
+    });
+  }
+
+  const days = answers.days || [];
+  if (profile.days.size > 0 && days.length > 0) {
+    const shared = [...profile.days].filter((day) => days.includes(day)).sort();
+    const dayNames = formatList([...profile.days].sort().map(formatDay));
+
+    if (shared.length > 0) {
+      score += weights.DAY;
+      reasons.push({ type: REASON_TYPES.MATCH, text: `Meets on ${formatList(shared.map(formatDay))}, when you are free` });
+    } else {
+      score += weights.DAY_CONFLICT;
+      reasons.push({ type: REASON_TYPES.CONCERN, text: `Meets on ${dayNames}, which you did not pick` });
+    }
+  } else if (profile.flexible) {
+    score += weights.FLEXIBLE;
+    reasons.push({ type: REASON_TYPES.MATCH, text: 'Flexible schedule' });
+  }
+
+  const levels = Object.values(PHYSICAL_LEVELS);
+  if (answers.physical && levels.indexOf(profile.physical) > levels.indexOf(answers.physical)) {
+    score += weights.PHYSICAL_CONFLICT;
+    reasons.push({
+      type: REASON_TYPES.CONCERN,
+      text: profile.physical === PHYSICAL_LEVELS.STRENUOUS
+        ? 'Involves lifting or physically demanding work'
+        : 'Involves outdoor work',
+    });
+  }
+
+  if (profile.training) {
+    if (skills.length === 0) {
+      score += weights.TRAINING;
+    }
+    reasons.push({
+      type: REASON_TYPES.NOTE,
+      text: profile.trainingWeeks
+        ? `Training: ${profile.training} (allow ${profile.trainingWeeks} weeks before you start)`
+        : `Training: ${profile.training}`,
+    });
+  }
+
+  if (profile.backgroundCheck) {
+    reasons.push({ type: REASON_TYPES.NOTE, text: 'Requires a background check' });
+  }
+
+  reasons.push({ type: REASON_TYPES.NOTE, text: `Time commitment: ${opportunity.timeCommitment}` });
+
+  let fit = FIT.POSSIBLE;
+  if (!eligible) {
+    fit = FIT.INELIGIBLE;
+  } else if (score >= CONFIG.STRONG_FIT) {
+    fit = FIT.STRONG;
+  } else if (score >= CONFIG.GOOD_FIT) {
+    fit = FIT.GOOD;
+  }
+
+  return { opportunity, score, fit, reasons };
+}
+
+/**
+ * Scores and ranks opportunities, best fit first. Roles the volunteer is too
+ * young for are left out.
+ * @param {Array<Object>} opportunities - Volunteer opportunities
+ * @param {Object} answers - Questionnaire answers (see scoreOpportunity)
+ * @returns {Array<Object>} Ranked results
+ */
+function rankOpportunities(opportunities, answers) {
+  return opportunities
+    .map((opportunity) => scoreOpportunity(opportunity, answers))
+    .filter((result) => result.fit !== FIT.INELIGIBLE)
+    .sort((a, b) => b.score - a.score || a.opportunity.title.localeCompare(b.opportunity.title));
+}
+
+/**
+ * Lists the interests or skills that at least one opportunity offers, so the
+ * questionnaire only asks about things the page can match
+ * @param {Array<Object>} opportunities - Volunteer opportunities
+ * @param {string} key - 'interests' or 'skills'
+ * @returns {Array<Object>} Entries from INTERESTS or SKILLS
+ */
+function getRelevantOptions(opportunities, key) {
+  const table = key === 'skills' ? SKILLS : INTERESTS;
+  const offered = new Set(opportunities.flatMap((opportunity) => getOpportunityProfile(opportunity)[key]));
+  return table.filter((entry) => offered.has(entry.id));
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  getOpportunityProfile,
+  scoreOpportunity,
+  rankOpportunities,
+  getRelevantOptions,
+  INTERESTS,
+  SKILLS,
+  AGE_RANGES,
+  DAYS,
+  PHYSICAL_LEVELS,
+  FIT,
+  REASON_TYPES,
+};
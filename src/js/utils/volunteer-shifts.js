@@ -0,0 +1,384 @@
+/**
+ * Volunteer Shift Utilities
+ *
+ * Shared helpers for the dated shifts volunteer opportunities publish in the
+ * ministry data files (`volunteerOpportunities[].shifts`, see
+ * src/data/schemas/ministry.schema.json):
+ * - Sorting shifts and telling upcoming shifts from past ones (church time zone)
+ * - Sign-up counts from a configurable endpoint and the fill rate per shift
+ * - "My shifts": the shifts this visitor signed up for, kept in localStorage
+ * - Exporting my shifts as an iCalendar file
+ *
+ * Sign-up counts come from the server. Until it answers (or when it cannot be
+ * reached) a shift counts only this visitor's own sign-ups, and sign-ups still
+ * waiting in the offline queue are always added on top so a visitor never sees
+ * a slot they have just taken as free.
+ *
+ * @module volunteer-shifts
+ * @generated-from: task-id:user-015
+ * @modifies: none (new file)
+ * @dependencies: [timezone, calendar-export, offline]
+ */
+
+// ============================================================================
+// IMPORTS
+// ============================================================================
+
+import { parseZonedDateTime, formatInTimeZone } from './timezone.js';
+import { downloadICalendarFeed } from './calendar-export.js';
+import { getSubmissionOutcomes, SUBMISSION_OUTCOMES } from './offline.js';
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+
+const CONFIG = Object.freeze({
+  SIGNUPS_ENDPOINT: '/api/volunteers/shifts', // Sign-up counts, ?ids=a,b,c
+  SIGNUPS_TIMEOUT: 8000, // 8 seconds
+  LOW_SLOTS_THRESHOLD: 2, // Highlight shifts with this many slots or fewer
+  STORAGE_KEY: 'gfc_volunteer_shifts',
+  CALENDAR_NAME: 'My Volunteer Shifts',
+  CALENDAR_FILENAME: 'my-volunteer-shifts.ics',
+});
+
+const SHIFT_STATUS = Object.freeze({
+  OPEN: 'open',
+  LIMITED: 'limited',
+  FULL: 'full',
+  PAST: 'past',
+});
+
+const SIGNUP_STATUS = Object.freeze({
+  SENT: 'sent',
+  QUEUED: 'queued',
+});
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Logs structured messages with context
+ * @param {string} level - Log level (info, warn, error)
+ * @param {string} message - Log message
+ * @param {Object} context - Additional context data
+ */
+function log(level, message, context = {}) {
+  const logMethod = console[level] || console.log;
+  logMethod('[GFC Shifts]', message, context);
+}
+
+/**
+ * Gets the start of a shift
+ * @param {Object} shift - Shift with date and startTime
+ * @returns {Date|null} Start instant or null if invalid
+ */
+function getShiftStart(shift) {
+  return shift ? parseZonedDateTime(shift.date, shift.startTime) : null;
+}
+
+/**
+ * Checks whether a shift has already started
+ * @param {Object} shift - Shift with date and startTime
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True if the shift has started (or has an invalid date)
+ */
+function isPastShift(shift, now = new Date()) {
+  const start = getShiftStart(shift);
+  return !start || start <= now;
+}
+
+/**
+ * Compares shifts by start date and time
+ * @param {Object} a - Shift
+ * @param {Object} b - Shift
+ * @returns {number} Sort order
+ */
+function compareShifts(a, b) {
+  return `${a.date} ${a.startTime}`.localeCompare(`${b.date} ${b.startTime}`);
+}
+
+/**
+ * Gets an opportunity's shifts in date order
+ * @param {Object} opportunity - Volunteer opportunity
+ * @param {Object} [options] - { upcoming: only shifts that have not started }
+ * @returns {Array<Object>} Shifts
+ */
+function getShifts(opportunity, { upcoming = false } = {}) {
+  const shifts = opportunity && Array.isArray(opportunity.shifts) ? [...opportunity.shifts] : [];
+  const now = new Date();
+
+  return shifts
+    .filter((shift) => !upcoming || !isPastShift(shift, now))
+    .sort(compareShifts);
+}
+
+/**
+ * Formats a shift's date and time range in the church time zone,
+ * e.g. "Sat, 7 Nov · 9:00 – 13:00"
+ * @param {Object} shift - Shift with date, startTime and endTime
+ * @returns {string} Formatted shift time
+ */
+function formatShiftTime(shift) {
+  const start = getShiftStart(shift);
+  const end = shift ? parseZonedDateTime(shift.date, shift.endTime) : null;
+
+  if (!start) {
+    return '';
+  }
+
+  const day = formatInTimeZone(start, { weekday: 'short', month: 'short', day: 'numeric' });
+  const time = (date) => formatInTimeZone(date, { hour: 'numeric', minute: '2-digit' });
+
+  return end ? `${day} · ${time(start)} – ${time(end)}` : `${day} · ${time(start)}`;
+}
+
+// ============================================================================
+// SIGN-UP COUNTS
+// ============================================================================
+
+/**
+ * Reads a sign-up count from an endpoint entry
+ * @param {Object|number} entry - `{ filled }` or a bare count
+ * @returns {number|null} Count, or null if the entry is not usable
+ */
+function toFilledCount(entry) {
+  const value = entry && typeof entry === 'object' ? entry.filled : entry;
+  const count = parseInt(value, 10);
+  return Number.isFinite(count) ? Math.max(0, count) : null;
+}
+
+/**
+ * Fetches sign-up counts for shifts. Accepts `{ "<shiftId>": { filled } }`,
+ * `{ "<shiftId>": 3 }`, an array of `{ id, filled }`, or any of those under
+ * `shifts`. Never throws.
+ * @param {Array<string>} shiftIds - Shift IDs
+ * @param {string} [endpoint] - Sign-up count endpoint
+ * @returns {Promise<Map<string, number>|null>} Counts by shift ID, or null on failure
+ */
+async function fetchShiftSignups(shiftIds, endpoint = CONFIG.SIGNUPS_ENDPOINT) {
+  const ids = [...new Set(shiftIds.filter(Boolean))];
+
+  if (ids.length === 0) {
+    return new Map();
+  }
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), CONFIG.SIGNUPS_TIMEOUT);
+
+  try {
+    const response = await fetch(`${endpoint}?ids=${ids.map(encodeURIComponent).join(',')}`, {
+      headers: { Accept: 'application/json' },
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const body = await response.json();
+    const source = body && body.shifts ? body.shifts : body;
+    const entries = Array.isArray(source)
+      ? source.map((entry) => [entry && entry.id, entry])
+      : Object.entries(source || {});
+    const counts = new Map();
+
+    entries.forEach(([id, entry]) => {
+      const filled = toFilledCount(entry);
+      if (id && filled !== null) {
+        counts.set(id, filled);
+      }
+    });
+
+    log('info', 'Shift sign-ups loaded', { requested: ids.length, received: counts.size });
+    return counts;
+  } catch (error) {
+    log('warn', 'Shift sign-up lookup failed', { error: error.message });
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Works out how full a shift is
+ * @param {Object} shift - Shift with id and slots
+ * @param {Map<string, number>|null} counts - Server counts, or null if unavailable
+ * @param {Array<Object>} [myShifts] - This visitor's sign-ups (see loadMyShifts)
+ * @returns {Object} { filled, slots, slotsLeft, rate (0-1), status }
+ */
+function getShiftFill(shift, counts, myShifts = []) {
+  const slots = Math.max(1, parseInt(shift.slots, 10) || 1);
+  const mine = myShifts.filter((entry) => entry.shiftId === shift.id
+    && (!counts || entry.status === SIGNUP_STATUS.QUEUED));
+  const filled = ((counts && counts.get(shift.id)) || 0) + mine.length;
+  const slotsLeft = Math.max(0, slots - filled);
+
+  let status = SHIFT_STATUS.OPEN;
+  if (isPastShift(shift)) {
+    status = SHIFT_STATUS.PAST;
+  } else if (slotsLeft === 0) {
+    status = SHIFT_STATUS.FULL;
+  } else if (slotsLeft <= CONFIG.LOW_SLOTS_THRESHOLD) {
+    status = SHIFT_STATUS.LIMITED;
+  }
+
+  return {
+    filled,
+    slots,
+    slotsLeft,
+    rate: Math.min(1, filled / slots),
+    status,
+  };
+}
+
+// ============================================================================
+// MY SHIFTS
+// ============================================================================
+
+/**
+ * Reads this visitor's shift sign-ups
+ * @returns {Array<Object>} Sign-ups in shift order
+ */
+function loadMyShifts() {
+  let entries;
+
+  try {
+    entries = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEY) || '[]');
+  } catch (error) {
+    log('error', 'Failed to read my shifts', { error: error.message });
+    return [];
+  }
+
+  if (!Array.isArray(entries)) {
+    return [];
+  }
+
+  return entries.sort(compareShifts);
+}
+
+/**
+ * Follows queued sign-ups once they leave the offline queue: marks them sent
+ * when the queue reports them sent, and drops them when they were discarded
+ * (e.g. from the pending submissions panel). The queue is in IndexedDB (and
+ * may be emptied by the service worker), so this runs after the first render
+ * and whenever the queue changes.
+ * @returns {Promise<Array<Object>>} Sign-ups in shift order
+ */
+async function syncMyShiftStatuses() {
+  const outcomes = new Map((await getSubmissionOutcomes())
+    .map((record) => [record.idempotencyKey, record.outcome]));
+  const entries = loadMyShifts();
+  let changed = false;
+
+  const kept = entries.filter((entry) => {
+    if (entry.status !== SIGNUP_STATUS.QUEUED) {
+      return true;
+    }
+
+    const outcome = outcomes.get(entry.idempotencyKey);
+    if (outcome === SUBMISSION_OUTCOMES.SENT) {
+      entry.status = SIGNUP_STATUS.SENT;
+      changed = true;
+    } else if (outcome === SUBMISSION_OUTCOMES.DISCARDED) {
+      changed = true;
+      return false;
+    }
+    return true;
+  });
+
+  if (changed) {
+    storeMyShifts(kept);
+  }
+
+  return kept;
+}
+
+/**
+ * Writes this visitor's shift sign-ups
+ * @param {Array<Object>} entries - Sign-ups
+ * @returns {boolean} Success status
+ */
+function storeMyShifts(entries) {
+  try {
+    localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(entries));
+    return true;
+  } catch (error) {
+    log('error', 'Failed to save my shifts', { error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Records a shift sign-up, replacing an earlier sign-up for the same shift
+ * @param {Object} entry - { shiftId, opportunityId, opportunityTitle, date,
+ *   startTime, endTime, location, status, idempotencyKey, reference }
+ * @returns {boolean} Success status
+ */
+function saveMyShift(entry) {
+  const entries = loadMyShifts().filter((existing) => existing.shiftId !== entry.shiftId);
+  entries.push({ ...entry, savedAt: new Date().toISOString() });
+  return storeMyShifts(entries);
+}
+
+/**
+ * Converts a sign-up into a calendar-export event
+ * @param {Object} entry - Sign-up
+ * @returns {Object} Event for calendar-export.js
+ */
+function toCalendarEvent(entry) {
+  return {
+    id: `volunteer-shift-${entry.shiftId}`,
+    title: `Volunteer: ${entry.opportunityTitle}`,
+    date: entry.date,
+    time: entry.startTime,
+    endTime: entry.endTime,
+    location: entry.location || '',
+    description: entry.reference
+      ? `Volunteer shift for ${entry.opportunityTitle}. Reference: ${entry.reference}`
+      : `Volunteer shift for ${entry.opportunityTitle}.`,
+  };
+}
+
+/**
+ * Downloads sign-ups as one iCalendar file
+ * @param {Array<Object>} entries - Sign-ups to export
+ * @returns {boolean} True if a file was generated
+ */
+function exportMyShifts(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return false;
+  }
+
+  try {
+    downloadICalendarFeed(
+      entries.map(toCalendarEvent),
+      { name: CONFIG.CALENDAR_NAME, description: 'Volunteer shifts at Grace Fellowship Church' },
+      CONFIG.CALENDAR_FILENAME
+    );
+    return true;
+  } catch (error) {
+    log('error', 'Failed to export my shifts', { error: error.message });
+    return false;
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export {
+  getShifts,
+  getShiftStart,
+  isPastShift,
+  formatShiftTime,
+  fetchShiftSignups,
+  getShiftFill,
+  loadMyShifts,
+  syncMyShiftStatuses,
+  saveMyShift,
+  toCalendarEvent,
+  exportMyShifts,
+  SHIFT_STATUS,
+  SIGNUP_STATUS,
+};
@@ -2,21 +2,30 @@
  * Service Worker for Grace Fellowship Church Website
  * Implements offline-first caching strategy with progressive enhancement
  * 
+ * The production build (build/optimize.js) writes dist/sw.js with a
+ * content-hashed precache manifest of every emitted file in place of the
+ * __PRECACHE_MANIFEST placeholder. Precached files are stored under their revision,
+ * so an update only downloads files whose content changed. Run unbuilt (dev
+ * server), the worker precaches STATIC_ASSETS without revisions instead.
+ *
+ * Other requests follow the ROUTES table: each route picks a strategy
+ * (cache-first, network-first with an optional timeout, stale-while-revalidate,
+ * network-only or cache-only) and its own cache expiry.
+ *
+ * The offline page asks which pages can be opened without a connection with a
+ * GET_OFFLINE_PAGES message; see js/components/offline-page.js.
+ *
+ * Form submissions queued offline by js/utils/offline.js are kept in
+ * IndexedDB and replayed here when the `sync-forms` Background Sync fires.
+ *
  * @generated-from: task-id:TASK-013
  * @modifies: none (new file)
  * @dependencies: []
  */
 
 const CACHE_VERSION = 'gfc-v1';
-const STATIC_CACHE = `${CACHE_VERSION}-static`;
-const DYNAMIC_CACHE = `${CACHE_VERSION}-dynamic`;
-const IMAGE_CACHE = `${CACHE_VERSION}-images`;
 
-// Cache size limits
-const MAX_DYNAMIC_CACHE_SIZE = 50;
-const MAX_IMAGE_CACHE_SIZE = 100;
-
-// Critical static assets for offline functionality
+// Critical static assets, precached when running unbuilt (no manifest)
 const STATIC_ASSETS = [
   '/',
   '/index.html',
@@ -26,25 +35,125 @@ const STATIC_ASSETS = [
   '/js/main.js',
   '/js/utils/accessibility.js',
   '/js/components/navigation.js',
-  '/offline.html'
+  '/offline.html',
+  '/js/components/offline-page.js',
+  '/js/utils/recurrence.js',
+  '/js/utils/timezone.js',
+  '/js/utils/saved-data.js',
+  '/js/utils/idb.js',
+  '/js/utils/date-utils.js'
 ];
 
-// Dynamic content patterns (network-first strategy)
-const DYNAMIC_PATTERNS = [
-  /\/api\//,
-  /\/data\//,
-  /\.json$/
-];
+// Precache: [{ url, revision }], injected by the build. The cache name does
+// not change between deploys so unchanged files are kept.
+const PRECACHE = `${CACHE_VERSION}-precache`;
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST
+  || STATIC_ASSETS.map(url => ({ url, revision: null }));
+const REVISION_PARAM = '__rev';
 
-// Image patterns (cache-first with fallback)
-const IMAGE_PATTERNS = [
-  /\.jpg$/,
-  /\.jpeg$/,
-  /\.png$/,
-  /\.gif$/,
-  /\.webp$/,
-  /\.svg$/
-];
+// Image files, cached from this site and from image CDNs
+const IMAGE_PATTERN = /\.(?:jpe?g|png|gif|webp|svg)$/;
+
+const STRATEGIES = Object.freeze({
+  CACHE_FIRST: 'cache-first',
+  NETWORK_FIRST: 'network-first',
+  STALE_WHILE_REVALIDATE: 'stale-while-revalidate',
+  NETWORK_ONLY: 'network-only',
+  CACHE_ONLY: 'cache-only',
+});
+
+// Set on runtime-cached responses so maxAgeSeconds and maxEntries can tell
+// how old an entry is
+const CACHED_AT_HEADER = 'x-sw-cached-at';
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Site pages, as listed by the offline page
+const PAGE_PATTERN = /(?:\/|\.html)$/;
+const OFFLINE_PAGE = '/offline.html';
+
+// Offline form queue, written by js/utils/offline.js and replayed here for
+// Background Sync. Keep the database, schema, body encoding and retry rules in
+// step with it.
+const FORM_QUEUE = Object.freeze({
+  SYNC_TAG: 'sync-forms',
+  DB_NAME: 'gfc-offline-queue',
+  DB_VERSION: 2,
+  STORE: 'submissions',
+  OUTCOMES_STORE: 'outcomes', // What became of submissions that left the queue
+  OUTCOME_TTL: 2592000000, // 30 days
+  MAX_RETRIES: 5,
+  BACKOFF_BASE: 30000, // 30 seconds, doubled after each failed attempt
+  BACKOFF_MAX: 3600000, // 1 hour
+  CLAIM_DURATION: 60000,
+});
+
+/**
+ * Runtime caching rules. Checked in order; the first match handles the request.
+ * - match: RegExp tested against the path, or ({ url, request }) => boolean
+ * - strategy: one of STRATEGIES
+ * - cacheName: runtime cache for the route (not used by network-only)
+ * - maxEntries / maxAgeSeconds: expiry for that cache, newest entries kept
+ * - networkTimeoutSeconds: network-first only; answer from the cache when the
+ *   network is slower than this, and let the response update the cache
+ * - crossOrigin: also applies to CDN requests
+ * Strategies that read a cache fall back to the precache.
+ */
+const ROUTES = Object.freeze([
+  {
+    name: 'api',
+    match: /^\/api\//,
+    strategy: STRATEGIES.NETWORK_ONLY,
+  },
+  {
+    name: 'offline-page',
+    match: /^\/offline\.html$/,
+    strategy: STRATEGIES.CACHE_ONLY,
+  },
+  {
+    name: 'data',
+    match: /\.json$/,
+    strategy: STRATEGIES.STALE_WHILE_REVALIDATE,
+    cacheName: `${CACHE_VERSION}-data`,
+    maxEntries: 30,
+    maxAgeSeconds: 7 * DAY_SECONDS,
+  },
+  {
+    name: 'images',
+    match: ({ url }) => IMAGE_PATTERN.test(url.pathname),
+    strategy: STRATEGIES.CACHE_FIRST,
+    cacheName: `${CACHE_VERSION}-images`,
+    maxEntries: 100,
+    maxAgeSeconds: 30 * DAY_SECONDS,
+    crossOrigin: true,
+  },
+  {
+    name: 'pages',
+    match: ({ request }) => request.mode === 'navigate',
+    strategy: STRATEGIES.NETWORK_FIRST,
+    cacheName: `${CACHE_VERSION}-pages`,
+    networkTimeoutSeconds: 3,
+    maxEntries: 30,
+    maxAgeSeconds: 7 * DAY_SECONDS,
+  },
+  {
+    name: 'calendars',
+    match: /\.ics$/,
+    strategy: STRATEGIES.NETWORK_FIRST,
+    cacheName: `${CACHE_VERSION}-calendars`,
+    maxEntries: 10,
+    maxAgeSeconds: DAY_SECONDS,
+  },
+  {
+    name: 'static',
+    match: /\.(?:js|css|woff2?|ico|webmanifest)$/,
+    strategy: STRATEGIES.CACHE_FIRST,
+    cacheName: `${CACHE_VERSION}-static`,
+    maxEntries: 60,
+    maxAgeSeconds: 7 * DAY_SECONDS,
+    crossOrigin: true,
+  },
+]);
 
 /**
  * Logs structured messages with context
@@ -72,156 +181,435 @@ function log(level, message, context = {}) {
 }
 
 /**
- * Limits cache size by removing oldest entries
- * @param {string} cacheName - Name of cache to limit
- * @param {number} maxSize - Maximum number of items
+ * Gets the cache key for a precache entry: the URL plus its revision, so a
+ * changed file gets a new key and an unchanged one keeps its cached copy
+ * @param {Object} entry - Manifest entry { url, revision }
+ * @returns {string} Absolute cache key URL
+ */
+function getPrecacheKey(entry) {
+  const url = new URL(entry.url, self.location.origin);
+  if (entry.revision) {
+    url.searchParams.set(REVISION_PARAM, entry.revision);
+  }
+  return url.href;
+}
+
+/**
+ * Precache keys by path; directory paths also resolve to their index.html
+ */
+const PRECACHE_KEYS = new Map();
+PRECACHE_MANIFEST.forEach((entry) => {
+  const key = getPrecacheKey(entry);
+  const { pathname } = new URL(entry.url, self.location.origin);
+  PRECACHE_KEYS.set(pathname, key);
+  if (pathname.endsWith('/index.html')) {
+    PRECACHE_KEYS.set(pathname.slice(0, -'index.html'.length), key);
+  }
+});
+
+/**
+ * Downloads precache entries that are not cached yet. Revisioned entries
+ * already in the cache are kept; unrevisioned ones are always refreshed.
+ * @returns {Promise<Object>} { downloaded, reused }
+ */
+async function precacheAssets() {
+  const cache = await caches.open(PRECACHE);
+  const cachedKeys = new Set((await cache.keys()).map(request => request.url));
+  const missing = PRECACHE_MANIFEST.filter(entry => 
+    !entry.revision || !cachedKeys.has(getPrecacheKey(entry))
+  );
+  
+  await Promise.all(missing.map(async (entry) => {
+    // Bypass the HTTP cache so a changed file is not served from a stale copy
+    const response = await fetch(new Request(entry.url, { cache: 'reload' }));
+    if (!response.ok) {
+      throw new Error(`Precache failed for ${entry.url}: HTTP ${response.status}`);
+    }
+    await cache.put(getPrecacheKey(entry), response);
+  }));
+  
+  return { downloaded: missing.length, reused: PRECACHE_MANIFEST.length - missing.length };
+}
+
+/**
+ * Removes precached files that are no longer in the manifest
+ * @returns {Promise<number>} Number of entries removed
+ */
+async function cleanupPrecache() {
+  const cache = await caches.open(PRECACHE);
+  const currentKeys = new Set(PRECACHE_MANIFEST.map(getPrecacheKey));
+  const staleRequests = (await cache.keys()).filter(request => !currentKeys.has(request.url));
+  
+  await Promise.all(staleRequests.map(request => cache.delete(request)));
+  return staleRequests.length;
+}
+
+/**
+ * Finds the precached response for a request. Page requests match on the
+ * path alone since query strings only carry page state.
+ * @param {Request|string} request - Request or URL
+ * @returns {Promise<Response|undefined>} Cached response, if precached
+ */
+async function matchPrecache(request) {
+  const url = new URL(typeof request === 'string' ? request : request.url, self.location.origin);
+  const isPage = typeof request !== 'string' && request.mode === 'navigate';
+  
+  if (url.origin !== self.location.origin || (url.search && !isPage)) {
+    return undefined;
+  }
+  
+  const key = PRECACHE_KEYS.get(url.pathname);
+  if (!key) {
+    return undefined;
+  }
+  
+  const cache = await caches.open(PRECACHE);
+  return cache.match(key);
+}
+
+/**
+ * Finds the route for a request
+ * @param {Request} request - Fetch request
+ * @param {URL} url - Parsed request URL
+ * @returns {Object|undefined} First matching route
+ */
+function findRoute(request, url) {
+  const isSameOrigin = url.origin === self.location.origin;
+  
+  return ROUTES.find(route => {
+    if (!isSameOrigin && !route.crossOrigin) {
+      return false;
+    }
+    return route.match instanceof RegExp
+      ? route.match.test(url.pathname)
+      : route.match({ url, request });
+  });
+}
+
+/**
+ * Reads when a runtime-cached response was stored
+ * @param {Response} response - Cached response
+ * @returns {number|null} Timestamp, or null if unknown (e.g. opaque responses)
+ */
+function getCachedAt(response) {
+  const cachedAt = Number(response.headers.get(CACHED_AT_HEADER));
+  return cachedAt > 0 ? cachedAt : null;
+}
+
+/**
+ * Checks a cached response against the route's maxAgeSeconds
+ * @param {Response} response - Cached response
+ * @param {Object} route - Route
+ * @returns {boolean} True if the response may still be served
+ */
+function isFresh(response, route) {
+  const cachedAt = getCachedAt(response);
+  return !route.maxAgeSeconds || !cachedAt
+    || Date.now() - cachedAt < route.maxAgeSeconds * 1000;
+}
+
+/**
+ * Copies a response with the time it was cached. Opaque responses cannot be
+ * copied and are stored as they are.
+ * @param {Response} response - Network response
+ * @returns {Promise<Response>} Response to store
+ */
+async function stampResponse(response) {
+  if (response.type === 'opaque') {
+    return response;
+  }
+  
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, String(Date.now()));
+  
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+/**
+ * Applies a route's maxAgeSeconds and maxEntries to its cache, removing
+ * expired entries and then the oldest ones over the limit
+ * @param {Object} route - Route with cacheName
+ * @returns {Promise<void>}
  */
-async function limitCacheSize(cacheName, maxSize) {
+async function expireEntries(route) {
+  if (!route.maxEntries && !route.maxAgeSeconds) {
+    return;
+  }
+  
   try {
-    const cache = await caches.open(cacheName);
-    const keys = await cache.keys();
+    const cache = await caches.open(route.cacheName);
+    const entries = await Promise.all((await cache.keys()).map(async (request) => {
+      const response = await cache.match(request);
+      return { request, response, cachedAt: response ? getCachedAt(response) || 0 : 0 };
+    }));
     
-    if (keys.length > maxSize) {
-      const deleteCount = keys.length - maxSize;
-      log('info', 'Limiting cache size', { 
-        cacheName, 
-        currentSize: keys.length, 
-        maxSize,
-        deleteCount 
+    const expired = entries.filter(entry => !entry.response || !isFresh(entry.response, route));
+    const kept = entries
+      .filter(entry => !expired.includes(entry))
+      .sort((a, b) => b.cachedAt - a.cachedAt);
+    const overflow = route.maxEntries ? kept.slice(route.maxEntries) : [];
+    const removed = [...expired, ...overflow];
+    
+    if (removed.length > 0) {
+      await Promise.all(removed.map(entry => cache.delete(entry.request)));
+      log('info', 'Expired cache entries', { 
+        cacheName: route.cacheName, 
+        expired: expired.length,
+        overflow: overflow.length
       });
-      
-      // Delete oldest entries
-      await Promise.all(
-        keys.slice(0, deleteCount).map(key => cache.delete(key))
-      );
     }
   } catch (error) {
-    log('error', 'Failed to limit cache size', { 
-      cacheName, 
+    log('error', 'Failed to expire cache entries', { 
+      cacheName: route.cacheName, 
       error: error.message 
     });
   }
 }
 
 /**
- * Determines caching strategy based on request URL
+ * Finds a usable cached response: the route's cache, then the precache
  * @param {Request} request - Fetch request
- * @returns {string} Strategy name
+ * @param {Object} route - Route
+ * @returns {Promise<Response|undefined>} Cached response
  */
-function getCacheStrategy(request) {
-  const url = new URL(request.url);
-  
-  // Check for dynamic content patterns
-  if (DYNAMIC_PATTERNS.some(pattern => pattern.test(url.pathname))) {
-    return 'network-first';
+async function matchCached(request, route) {
+  if (route.cacheName) {
+    const cache = await caches.open(route.cacheName);
+    const cached = await cache.match(request);
+    
+    if (cached && isFresh(cached, route)) {
+      return cached;
+    }
   }
   
-  // Check for image patterns
-  if (IMAGE_PATTERNS.some(pattern => pattern.test(url.pathname))) {
-    return 'cache-first-image';
-  }
+  return matchPrecache(request);
+}
+
+/**
+ * Fetches a request and stores the response in the route's cache
+ * @param {Request} request - Fetch request
+ * @param {Object} route - Route
+ * @param {FetchEvent} event - Fetch event, kept alive for cache expiry
+ * @returns {Promise<Response>} Network response
+ */
+async function fetchAndCache(request, route, event) {
+  const response = await fetch(request);
   
-  // Check for static assets
-  if (STATIC_ASSETS.some(asset => url.pathname === asset || url.pathname.endsWith(asset))) {
-    return 'cache-first-static';
+  if (route.cacheName && (response.ok || response.type === 'opaque')) {
+    const cache = await caches.open(route.cacheName);
+    await cache.put(request, await stampResponse(response.clone()));
+    event.waitUntil(expireEntries(route));
   }
   
-  // Default to network-first for HTML pages
-  if (request.destination === 'document') {
-    return 'network-first';
+  return response;
+}
+
+/**
+ * Cache-first: cached copy if there is one, network otherwise
+ * @param {Request} request - Fetch request
+ * @param {Object} route - Route
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request, route, event) {
+  const cached = await matchCached(request, route);
+  if (cached) {
+    return cached;
   }
   
-  return 'cache-first-static';
+  return fetchAndCache(request, route, event);
 }
 
 /**
- * Cache-first strategy for static assets
+ * Network-first: network response, cached copy when the network fails or
+ * takes longer than the route's networkTimeoutSeconds
  * @param {Request} request - Fetch request
- * @param {string} cacheName - Cache to use
+ * @param {Object} route - Route
+ * @param {FetchEvent} event - Fetch event
  * @returns {Promise<Response>} Response
  */
-async function cacheFirstStrategy(request, cacheName) {
+async function networkFirst(request, route, event) {
+  const network = fetchAndCache(request, route, event);
+  
   try {
-    const cache = await caches.open(cacheName);
-    const cachedResponse = await cache.match(request);
-    
-    if (cachedResponse) {
-      log('info', 'Cache hit', { url: request.url, cache: cacheName });
-      return cachedResponse;
-    }
-    
-    log('info', 'Cache miss, fetching', { url: request.url });
-    const networkResponse = await fetch(request);
-    
-    if (networkResponse.ok) {
-      await cache.put(request, networkResponse.clone());
-      log('info', 'Cached network response', { url: request.url });
+    if (route.networkTimeoutSeconds) {
+      const timedOut = Symbol('timeout');
+      const first = await Promise.race([
+        network,
+        new Promise(resolve => setTimeout(resolve, route.networkTimeoutSeconds * 1000, timedOut))
+      ]);
+      
+      if (first !== timedOut) {
+        return first;
+      }
+      
+      const cached = await matchCached(request, route);
+      if (cached) {
+        log('info', 'Network slow, serving cache', { url: request.url });
+        // Let the response still update the cache for next time
+        event.waitUntil(network.catch(() => undefined));
+        return cached;
+      }
     }
     
-    return networkResponse;
+    return await network;
   } catch (error) {
-    log('error', 'Cache-first strategy failed', { 
-      url: request.url, 
-      error: error.message 
-    });
-    
-    // Try to return cached version as fallback
-    const cache = await caches.open(cacheName);
-    const cachedResponse = await cache.match(request);
-    if (cachedResponse) {
-      return cachedResponse;
+    const cached = await matchCached(request, route);
+    if (cached) {
+      log('info', 'Network failed, serving cache', { url: request.url });
+      return cached;
     }
-    
     throw error;
   }
 }
 
 /**
- * Network-first strategy for dynamic content
+ * Stale-while-revalidate: cached copy straight away while the network
+ * refreshes the cache in the background; network if nothing is cached
+ * @param {Request} request - Fetch request
+ * @param {Object} route - Route
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(request, route, event) {
+  const cached = await matchCached(request, route);
+  const network = fetchAndCache(request, route, event);
+  
+  if (cached) {
+    event.waitUntil(network.catch((error) => {
+      log('warn', 'Background refresh failed', { url: request.url, error: error.message });
+    }));
+    return cached;
+  }
+  
+  return network;
+}
+
+/**
+ * Network-only: never cached
+ * @param {Request} request - Fetch request
+ * @returns {Promise<Response>} Network response
+ */
+function networkOnly(request) {
+  return fetch(request);
+}
+
+/**
+ * Cache-only: never goes to the network
+ * @param {Request} request - Fetch request
+ * @param {Object} route - Route
+ * @returns {Promise<Response>} Cached response
+ */
+async function cacheOnly(request, route) {
+  const cached = await matchCached(request, route);
+  if (!cached) {
+    throw new Error('Not in cache');
+  }
+  return cached;
+}
+
+const STRATEGY_HANDLERS = Object.freeze({
+  [STRATEGIES.CACHE_FIRST]: cacheFirst,
+  [STRATEGIES.NETWORK_FIRST]: networkFirst,
+  [STRATEGIES.STALE_WHILE_REVALIDATE]: staleWhileRevalidate,
+  [STRATEGIES.NETWORK_ONLY]: networkOnly,
+  [STRATEGIES.CACHE_ONLY]: cacheOnly,
+});
+
+/**
+ * Handles a request with its route's strategy. Failed page loads get the
+ * offline page; anything else a 503 JSON response.
  * @param {Request} request - Fetch request
- * @param {string} cacheName - Cache to use
+ * @param {Object} route - Route
+ * @param {FetchEvent} event - Fetch event
  * @returns {Promise<Response>} Response
  */
-async function networkFirstStrategy(request, cacheName) {
+async function handleRoute(request, route, event) {
   try {
-    const networkResponse = await fetch(request);
-    
-    if (networkResponse.ok) {
-      const cache = await caches.open(cacheName);
-      await cache.put(request, networkResponse.clone());
-      log('info', 'Network response cached', { url: request.url });
-      
-      // Limit cache size after adding
-      await limitCacheSize(cacheName, MAX_DYNAMIC_CACHE_SIZE);
-    }
-    
-    return networkResponse;
+    return await STRATEGY_HANDLERS[route.strategy](request, route, event);
   } catch (error) {
-    log('warn', 'Network failed, trying cache', { 
+    log('warn', 'Route failed', { 
+      route: route.name, 
       url: request.url, 
       error: error.message 
     });
     
-    const cache = await caches.open(cacheName);
-    const cachedResponse = await cache.match(request);
-    
-    if (cachedResponse) {
-      log('info', 'Serving stale cache', { url: request.url });
-      return cachedResponse;
-    }
-    
-    // Return offline page for navigation requests
-    if (request.destination === 'document') {
-      const offlineResponse = await cache.match('/offline.html');
+    if (request.mode === 'navigate') {
+      const offlineResponse = await matchPrecache('/offline.html');
       if (offlineResponse) {
         return offlineResponse;
       }
     }
     
-    throw error;
+    return new Response(
+      JSON.stringify({ 
+        error: 'Offline', 
+        message: 'Unable to fetch resource while offline' 
+      }),
+      {
+        status: 503,
+        statusText: 'Service Unavailable',
+        headers: { 'Content-Type': 'application/json' }
+      }
+    );
   }
 }
 
+/**
+ * Reads the title of a cached page
+ * @param {Response} response - Cached page
+ * @returns {Promise<string>} Page title, or an empty string
+ */
+async function readPageTitle(response) {
+  try {
+    const match = (await response.text()).match(/<title[^>]*>([^<]*)<\/title>/i);
+    return match ? match[1].trim() : '';
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Lists the site pages that can be served without a connection: precached
+ * pages and fresh entries in the pages cache
+ * @returns {Promise<Array<Object>>} [{ url, title }], by path
+ */
+async function listOfflinePages() {
+  const pagesRoute = ROUTES.find(route => route.name === 'pages');
+  const pages = new Map();
+  
+  const addPage = async (url, response) => {
+    const path = url.pathname.replace(/\/index\.html$/, '/');
+    if (url.origin !== self.location.origin || pages.has(path)
+      || path === OFFLINE_PAGE || !PAGE_PATTERN.test(path)) {
+      return;
+    }
+    pages.set(path, { url: path, title: await readPageTitle(response) });
+  };
+  
+  const precache = await caches.open(PRECACHE);
+  for (const request of await precache.keys()) {
+    const url = new URL(request.url);
+    if (PAGE_PATTERN.test(url.pathname)) {
+      await addPage(url, await precache.match(request));
+    }
+  }
+  
+  const pagesCache = await caches.open(pagesRoute.cacheName);
+  for (const request of await pagesCache.keys()) {
+    const response = await pagesCache.match(request);
+    if (response && isFresh(response, pagesRoute)) {
+      await addPage(new URL(request.url), response);
+    }
+  }
+  
+  return [...pages.values()].sort((a, b) => a.url.localeCompare(b.url));
+}
+
 /**
  * Install event - cache static assets
  */
@@ -231,12 +619,10 @@ self.addEventListener('install', (event) => {
   event.waitUntil(
     (async () => {
       try {
-        const cache = await caches.open(STATIC_CACHE);
-        await cache.addAll(STATIC_ASSETS);
-        log('info', 'Static assets cached', { count: STATIC_ASSETS.length });
-        
-        // Skip waiting to activate immediately
-        await self.skipWaiting();
+        const { downloaded, reused } = await precacheAssets();
+        log('info', 'Precache updated', { downloaded, reused });
+        // An update waits until a page sends SKIP_WAITING (see
+        // js/utils/service-worker.js); a first install activates right away
       } catch (error) {
         log('error', 'Installation failed', { error: error.message });
         throw error;
@@ -254,9 +640,13 @@ self.addEventListener('activate', (event) => {
   event.waitUntil(
     (async () => {
       try {
+        const currentCaches = new Set([
+          PRECACHE,
+          ...ROUTES.map(route => route.cacheName).filter(Boolean)
+        ]);
         const cacheNames = await caches.keys();
         const oldCaches = cacheNames.filter(name => 
-          name.startsWith('gfc-') && !name.startsWith(CACHE_VERSION)
+          name.startsWith('gfc-') && !currentCaches.has(name)
         );
         
         await Promise.all(
@@ -268,6 +658,9 @@ self.addEventListener('activate', (event) => {
         
         log('info', 'Old caches cleaned', { deletedCount: oldCaches.length });
         
+        const removed = await cleanupPrecache();
+        log('info', 'Outdated precache entries removed', { removed });
+        
         // Take control of all clients immediately
         await self.clients.claim();
       } catch (error) {
@@ -279,67 +672,29 @@ self.addEventListener('activate', (event) => {
 });
 
 /**
- * Fetch event - implement caching strategies
+ * Fetch event - handle requests with the matching route's strategy
  */
 self.addEventListener('fetch', (event) => {
   const { request } = event;
-  const url = new URL(request.url);
   
   // Skip non-GET requests
   if (request.method !== 'GET') {
     return;
   }
   
-  // Skip cross-origin requests (except for same-origin or CDN assets)
+  const url = new URL(request.url);
+  
+  // Skip cross-origin requests other than CDN assets
   if (url.origin !== self.location.origin && !url.hostname.includes('cdn')) {
     return;
   }
   
-  const strategy = getCacheStrategy(request);
+  const route = findRoute(request, url);
+  if (!route) {
+    return;
+  }
   
-  event.respondWith(
-    (async () => {
-      try {
-        switch (strategy) {
-          case 'cache-first-static':
-            return await cacheFirstStrategy(request, STATIC_CACHE);
-          
-          case 'cache-first-image':
-            const imageResponse = await cacheFirstStrategy(request, IMAGE_CACHE);
-            await limitCacheSize(IMAGE_CACHE, MAX_IMAGE_CACHE_SIZE);
-            return imageResponse;
-          
-          case 'network-first':
-            return await networkFirstStrategy(request, DYNAMIC_CACHE);
-          
-          default:
-            log('warn', 'Unknown strategy, using network', { 
-              url: request.url, 
-              strategy 
-            });
-            return await fetch(request);
-        }
-      } catch (error) {
-        log('error', 'Fetch handler failed', { 
-          url: request.url, 
-          error: error.message 
-        });
-        
-        // Return generic offline response
-        return new Response(
-          JSON.stringify({ 
-            error: 'Offline', 
-            message: 'Unable to fetch resource while offline' 
-          }),
-          {
-            status: 503,
-            statusText: 'Service Unavailable',
-            headers: { 'Content-Type': 'application/json' }
-          }
-        );
-      }
-    })()
-  );
+  event.respondWith(handleRoute(request, route, event));
 });
 
 /**
@@ -396,69 +751,365 @@ self.addEventListener('message', (event) => {
       );
       break;
     
+    case 'GET_OFFLINE_PAGES':
+      event.waitUntil(
+        (async () => {
+          try {
+            const pages = await listOfflinePages();
+            event.ports[0].postMessage({ success: true, pages });
+          } catch (error) {
+            log('error', 'Failed to list offline pages', { error: error.message });
+            event.ports[0].postMessage({ success: false, error: error.message });
+          }
+        })()
+      );
+      break;
+    
     default:
       log('warn', 'Unknown message type', { type: data.type });
   }
 });
 
 /**
- * Sync event - background sync for offline actions
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} Request result
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Opens the queue database, creating it with the same schema as offline.js
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openQueueDatabase() {
+  const request = indexedDB.open(FORM_QUEUE.DB_NAME, FORM_QUEUE.DB_VERSION);
+
+  request.onupgradeneeded = (event) => {
+    if (event.oldVersion < 1) {
+      const store = request.result.createObjectStore(FORM_QUEUE.STORE, { keyPath: 'id' });
+      store.createIndex('status', 'status');
+      store.createIndex('idempotencyKey', 'data.idempotencyKey');
+    }
+    if (event.oldVersion < 2) {
+      request.result.createObjectStore(FORM_QUEUE.OUTCOMES_STORE, { keyPath: 'idempotencyKey' });
+    }
+  };
+
+  return idbRequest(request);
+}
+
+/**
+ * Changes one queued submission in a single transaction
+ * @param {IDBDatabase} db - Queue database
+ * @param {string} id - Submission ID
+ * @param {Function} update - Returns the new item, or null to leave it unchanged
+ * @returns {Promise<Object|null>} Updated item or null
+ */
+function updateQueueItem(db, id, update) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(FORM_QUEUE.STORE, 'readwrite');
+    const store = transaction.objectStore(FORM_QUEUE.STORE);
+    const request = store.get(id);
+    let updated = null;
+
+    request.onsuccess = () => {
+      updated = request.result ? update(request.result) : null;
+      if (updated) {
+        store.put(updated);
+      }
+    };
+    transaction.oncomplete = () => resolve(updated);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Removes a sent submission from the queue and records it as sent, in one
+ * transaction, so pages showing it as waiting can tell it went out
+ * @param {IDBDatabase} db - Queue database
+ * @param {Object} item - Sent submission
+ * @returns {Promise<void>}
+ */
+function completeQueueItem(db, item) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([FORM_QUEUE.STORE, FORM_QUEUE.OUTCOMES_STORE], 'readwrite');
+    const outcomes = transaction.objectStore(FORM_QUEUE.OUTCOMES_STORE);
+    const idempotencyKey = item.data && item.data.idempotencyKey;
+    const cutoff = Date.now() - FORM_QUEUE.OUTCOME_TTL;
+
+    transaction.objectStore(FORM_QUEUE.STORE).delete(item.id);
+    if (idempotencyKey) {
+      outcomes.put({ idempotencyKey, formType: item.data.formType || null, outcome: 'sent', at: Date.now() });
+    }
+
+    outcomes.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      if (cursor.value.at < cutoff) {
+        cursor.delete();
+      }
+      cursor.continue();
+    };
+
+    transaction.oncomplete = () => resolve();
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Encodes a queued submission's body the way js/utils/request-encoding.js
+ * does for live submissions: arrays as repeated fields, empty values left out
+ * @param {Object} data - Queued request { body, encoding }
+ * @returns {string} Request body
+ */
+function encodeQueuedBody(data) {
+  if (data.encoding !== 'form') {
+    return JSON.stringify(data.body || {});
+  }
+
+  const params = new URLSearchParams();
+  Object.entries(data.body || {}).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      value.forEach((item) => params.append(key, item));
+    } else if (value !== undefined && value !== null) {
+      params.append(key, value);
+    }
+  });
+  return params.toString();
+}
+
+/**
+ * Sends one queued submission, claiming it first so an open page does not
+ * send it at the same time
+ * @param {IDBDatabase} db - Queue database
+ * @param {Object} queueItem - Queued submission
+ * @returns {Promise<string|null>} 'sent', 'pending' (will retry), 'failed', or null if skipped
+ */
+async function replayQueueItem(db, queueItem) {
+  const now = Date.now();
+  const claimed = await updateQueueItem(db, queueItem.id, (item) => (
+    item.status === 'pending' && item.nextAttemptAt <= now && item.lockedUntil <= now
+      ? { ...item, lockedUntil: now + FORM_QUEUE.CLAIM_DURATION }
+      : null
+  ));
+
+  if (!claimed) {
+    return null;
+  }
+
+  const { data } = claimed;
+  let failure;
+
+  try {
+    const isFormEncoded = data.encoding === 'form';
+    const response = await fetch(data.url, {
+      method: data.method || 'POST',
+      headers: {
+        'Content-Type': isFormEncoded ? 'application/x-www-form-urlencoded' : 'application/json',
+        ...data.headers,
+      },
+      body: encodeQueuedBody(data),
+    });
+
+    if (response.ok) {
+      await completeQueueItem(db, claimed);
+      log('info', 'Queued form sent', { id: claimed.id });
+      return 'sent';
+    }
+
+    const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    failure = {
+      error: `The server responded with ${response.status}`,
+      httpStatus: response.status,
+      permanent: !retryable,
+    };
+  } catch (error) {
+    failure = { error: error.message, httpStatus: null, permanent: false };
+  }
+
+  const retries = claimed.retries + 1;
+  const giveUp = failure.permanent || retries >= FORM_QUEUE.MAX_RETRIES;
+  const delay = Math.min(FORM_QUEUE.BACKOFF_BASE * 2 ** (retries - 1), FORM_QUEUE.BACKOFF_MAX);
+
+  await updateQueueItem(db, claimed.id, (item) => ({
+    ...item,
+    retries,
+    status: giveUp ? 'failed' : 'pending',
+    nextAttemptAt: giveUp ? 0 : Date.now() + delay,
+    lockedUntil: 0,
+    lastError: failure.error,
+    lastStatus: failure.httpStatus,
+  }));
+
+  log('warn', 'Queued form not sent', { id: claimed.id, retries, giveUp, error: failure.error });
+  return giveUp ? 'failed' : 'pending';
+}
+
+/**
+ * Replays the offline form queue and tells open pages how it went
+ * @returns {Promise<Object>} { success, failed, retrying, total }
+ * @throws {Error} If submissions remain pending, so the browser schedules
+ *   another sync
+ */
+async function replayFormQueue() {
+  const db = await openQueueDatabase();
+  const results = { success: 0, failed: 0, retrying: 0, total: 0 };
+
+  try {
+    const pending = await idbRequest(
+      db.transaction(FORM_QUEUE.STORE).objectStore(FORM_QUEUE.STORE).index('status').getAll('pending')
+    );
+    pending.sort((a, b) => a.timestamp - b.timestamp);
+
+    for (const item of pending) {
+      const outcome = await replayQueueItem(db, item);
+      if (outcome) {
+        results.total += 1;
+      }
+      if (outcome === 'sent') {
+        results.success += 1;
+      } else if (outcome === 'failed') {
+        results.failed += 1;
+      } else if (outcome === 'pending') {
+        results.retrying += 1;
+      }
+    }
+
+    const remaining = await idbRequest(
+      db.transaction(FORM_QUEUE.STORE).objectStore(FORM_QUEUE.STORE).index('status').count('pending')
+    );
+
+    if (results.total > 0) {
+      const clients = await self.clients.matchAll({ type: 'window' });
+      clients.forEach(client => client.postMessage({ type: 'FORM_SYNC_COMPLETE', results }));
+    }
+
+    log('info', 'Form queue replayed', { ...results, remaining });
+
+    if (remaining > 0) {
+      throw new Error(`${remaining} queued form(s) still pending`);
+    }
+
+    return results;
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Sync event - replays queued form submissions, even after the tab is closed
  */
 self.addEventListener('sync', (event) => {
   log('info', 'Background sync triggered', { tag: event.tag });
   
-  if (event.tag === 'sync-analytics') {
-    event.waitUntil(
-      (async () => {
-        try {
-          // Sync queued analytics events
-          log('info', 'Syncing analytics events');
-          // Implementation would integrate with analytics.js
-        } catch (error) {
-          log('error', 'Sync failed', { error: error.message });
-          throw error;
-        }
-      })()
-    );
+  if (event.tag === FORM_QUEUE.SYNC_TAG) {
+    event.waitUntil(replayFormQueue());
   }
 });
 
 /**
- * Push event - handle push notifications (future enhancement)
+ * Resolves a notification link against the site, keeping only same-origin URLs
+ * @param {string} url - Deep link from the push payload
+ * @returns {string} Absolute URL on this origin (home page if unusable)
+ */
+function resolveNotificationUrl(url) {
+  try {
+    const target = new URL(url || '/', self.location.origin);
+    return target.origin === self.location.origin ? target.href : `${self.location.origin}/`;
+  } catch (error) {
+    return `${self.location.origin}/`;
+  }
+}
+
+/**
+ * Push event - shows announcements and event reminders sent by the push
+ * server (see js/utils/push-notifications.js). Payload: { title, body, url, tag }
  */
 self.addEventListener('push', (event) => {
   if (!event.data) {
     return;
   }
   
+  let data;
   try {
-    const data = event.data.json();
-    log('info', 'Push notification received', { title: data.title });
-    
-    event.waitUntil(
-      self.registration.showNotification(data.title, {
-        body: data.body,
-        icon: data.icon || '/icon-192.png',
-        badge: '/badge-72.png',
-        data: data.url
-      })
-    );
+    data = event.data.json();
   } catch (error) {
-    log('error', 'Push notification failed', { error: error.message });
+    data = { title: 'Grace Fellowship Church', body: event.data.text() };
   }
+  
+  log('info', 'Push notification received', { title: data.title, tag: data.tag });
+  
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Grace Fellowship Church', {
+      body: data.body,
+      icon: data.icon || '/icon-192.png',
+      badge: '/badge-72.png',
+      tag: data.tag, // Replaces an earlier notification for the same event
+      data: { url: resolveNotificationUrl(data.url) }
+    }).catch((error) => {
+      log('error', 'Push notification failed', { error: error.message });
+    })
+  );
 });
 
 /**
- * Notification click event
+ * Notification click event - opens the notification's deep link, reusing an
+ * open tab of the site when there is one
  */
 self.addEventListener('notificationclick', (event) => {
   event.notification.close();
   
-  if (event.notification.data) {
-    event.waitUntil(
-      self.clients.openWindow(event.notification.data)
-    );
+  const { data } = event.notification;
+  // Older notifications stored the URL directly
+  const url = resolveNotificationUrl(typeof data === 'string' ? data : data && data.url);
+  
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const existing = windows.find((client) => client.url === url)
+        || windows.find((client) => 'navigate' in client);
+      
+      if (existing) {
+        const navigated = existing.url === url ? Promise.resolve(existing) : existing.navigate(url);
+        return navigated.then((client) => (client || existing).focus());
+      }
+      
+      return self.clients.openWindow(url);
+    }).catch((error) => {
+      log('error', 'Failed to open notification link', { url, error: error.message });
+      return self.clients.openWindow(url);
+    })
+  );
+});
+
+/**
+ * Push subscription change - the browser rotated the subscription; tell the
+ * push server so it moves the old subscription's preferences to the new one
+ */
+self.addEventListener('pushsubscriptionchange', (event) => {
+  const oldEndpoint = event.oldSubscription && event.oldSubscription.endpoint;
+  const options = event.oldSubscription && event.oldSubscription.options;
+  
+  if (!oldEndpoint || !options) {
+    return;
   }
+  
+  event.waitUntil(
+    self.registration.pushManager.subscribe(options)
+      .then((subscription) => fetch('/api/push/subscriptions', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ subscription: subscription.toJSON(), oldEndpoint })
+      }))
+      .then(() => log('info', 'Push subscription renewed'))
+      .catch((error) => {
+        log('error', 'Push subscription renewal failed', { error: error.message });
+      })
+  );
 });
 
 log('info', 'Service worker script loaded', { version: CACHE_VERSION });
\ No newline at end of file